@@ -0,0 +1,529 @@
+/**
+ * Agent versions and bundles
+ *
+ * LibreChat keeps an agent's history in its `versions` array: each entry is a
+ * snapshot of the agent's fields after a change. Admin edits follow the same
+ * format, adding `editedBy` (the admin's email) and, for rollbacks,
+ * `restoredVersion`. Agents saved before history was kept get their
+ * pre-edit state recorded first, so the first admin edit is undoable too.
+ * Versions are numbered from 1 in array order.
+ *
+ * Bundles carry agents between LibreChat installs (e.g. staging to
+ * production): an agent plus every sub-agent it references through
+ * `agent_ids`, limited to fields that mean the same in any install. Imports
+ * give each agent a new id and rewrite references to match.
+ *
+ * Clones copy an agent within this install, with optional overrides. Agents
+ * flagged `is_template` are offered as starting points for new agents.
+ */
+const { validateBody } = require('./validation');
+
+// Never part of a snapshot, as in LibreChat
+const VERSION_EXCLUDED_FIELDS = ['_id', 'id', 'versions', 'author', '__v'];
+
+// Describe the version rather than the agent; ignored when comparing
+const VERSION_META_FIELDS = ['createdAt', 'updatedAt', 'updatedBy', 'editedBy', 'restoredVersion'];
+
+// Admin panel flags stored on the agent; not agent configuration, so never versioned
+const ADMIN_FIELDS = ['is_template'];
+
+// Line diffs larger than this (lines before × lines after, once the common
+// start and end are trimmed) show the middle as one replaced block
+const MAX_LINE_DIFF_CELLS = 4000000;
+
+/**
+ * The fields a version records
+ * @param {object} agent - agents document or version
+ * @returns {object}
+ */
+function agentFields(agent) {
+  const fields = { ...agent };
+  for (const field of [...VERSION_EXCLUDED_FIELDS, ...VERSION_META_FIELDS, ...ADMIN_FIELDS]) delete fields[field];
+  return fields;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Field-level differences; nested objects (e.g. model_parameters) are compared per key
+ * @param {object} before
+ * @param {object} after
+ * @param {string} [prefix] - Path of the enclosing object
+ * @returns {Array<{ field: string, before: any, after: any }>} field is a dotted path
+ */
+function diffFields(before, after, prefix = '') {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys.flatMap((key) => {
+    const field = `${prefix}${key}`;
+    const a = before[key];
+    const b = after[key];
+    if (isPlainObject(a) && isPlainObject(b)) return diffFields(a, b, `${field}.`);
+    if (sameValue(a, b)) return [];
+    return [{ field, before: a === undefined ? null : a, after: b === undefined ? null : b }];
+  });
+}
+
+// Longest-common-subsequence edit script between two line arrays
+function lineOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n * m > MAX_LINE_DIFF_CELLS) {
+    return [...a.map(text => ({ type: 'removed', text })), ...b.map(text => ({ type: 'added', text }))];
+  }
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      ops.push({ type: 'removed', text: a[i++] });
+    } else {
+      ops.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', text: a[i++] });
+  while (j < m) ops.push({ type: 'added', text: b[j++] });
+  return ops;
+}
+
+/**
+ * Side-by-side line diff of two texts
+ * Removed lines followed by added lines are paired up as 'changed' rows
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: string, left: string|null, right: string|null, leftLine: number|null, rightLine: number|null }>}
+ *   type: 'same' | 'changed' | 'removed' | 'added'
+ */
+function lineDiff(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const ops = [
+    ...a.slice(0, start).map(text => ({ type: 'same', text })),
+    ...lineOps(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+    ...a.slice(a.length - end).map(text => ({ type: 'same', text })),
+  ];
+
+  const rows = [];
+  let leftLine = 1;
+  let rightLine = 1;
+  for (let index = 0; index < ops.length;) {
+    if (ops[index].type === 'same') {
+      rows.push({ type: 'same', left: ops[index].text, right: ops[index].text, leftLine: leftLine++, rightLine: rightLine++ });
+      index++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type === 'removed') removed.push(ops[index++].text);
+    while (index < ops.length && ops[index].type === 'added') added.push(ops[index++].text);
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      rows.push({
+        type: left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added',
+        left,
+        right,
+        leftLine: left !== null ? leftLine++ : null,
+        rightLine: right !== null ? rightLine++ : null,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Differences between two agent states, with line diffs for multi-line text
+ * @param {object} before - agents document or version
+ * @param {object} after - agents document or version
+ * @returns {Array<{ field: string, before: any, after: any, lines?: object[] }>}
+ */
+function compareVersions(before, after) {
+  return diffFields(agentFields(before), agentFields(after)).map((change) => {
+    const multiline = [change.before, change.after].some(value => typeof value === 'string' && value.includes('\n'));
+    const text = [change.before, change.after].every(value => value === null || typeof value === 'string');
+    return change.field === 'instructions' || (multiline && text)
+      ? { ...change, lines: lineDiff(change.before || '', change.after || '') }
+      : change;
+  });
+}
+
+/**
+ * Version summaries, newest first
+ * @param {object} agent - agents document
+ * @returns {Array<{ version: number, savedAt: Date, editedBy: string|null, restoredVersion: number|null, changes: string[], latest: boolean }>}
+ *   changes: fields that differ from the previous version
+ */
+function listVersions(agent) {
+  const versions = agent.versions || [];
+  return versions.map((version, index) => ({
+    version: index + 1,
+    savedAt: version.updatedAt || version.createdAt || null,
+    // LibreChat records the editing user's id in updatedBy
+    editedBy: version.editedBy || (version.updatedBy ? String(version.updatedBy) : null),
+    restoredVersion: version.restoredVersion || null,
+    changes: index === 0 ? [] : diffFields(agentFields(versions[index - 1]), agentFields(version)).map(change => change.field),
+    latest: index === versions.length - 1,
+  })).reverse();
+}
+
+/**
+ * Apply changes to an agent and record the result as a new version
+ * @param {object} db - MongoDB database
+ * @param {object} agent - Current agents document
+ * @param {object} update
+ * @param {object} update.set - Fields to write
+ * @param {string[]} [update.unset] - Fields to remove
+ * @param {object} meta
+ * @param {string} meta.editedBy - Email of the admin
+ * @param {number} [meta.restoredVersion] - Version a rollback restores
+ * @returns {Promise<{ agent: object, changes: object[], version: number|null }>}
+ *   version: null when nothing changed (no version is recorded)
+ */
+async function saveAgentVersion(db, agent, { set, unset = [] }, { editedBy, restoredVersion = null }) {
+  const after = { ...agent, ...set };
+  for (const field of unset) delete after[field];
+  const changes = diffFields(agentFields(agent), agentFields(after));
+  if (changes.length === 0) {
+    return { agent, changes, version: null };
+  }
+
+  const now = new Date();
+  const versions = [];
+  if (!agent.versions || agent.versions.length === 0) {
+    versions.push({
+      ...agentFields(agent),
+      createdAt: agent.createdAt || now,
+      updatedAt: agent.updatedAt || agent.createdAt || now,
+      editedBy: null,
+    });
+  }
+  versions.push({
+    ...agentFields(after),
+    createdAt: now,
+    updatedAt: now,
+    editedBy,
+    ...(restoredVersion && { restoredVersion }),
+  });
+
+  const update = { $set: { ...set, updatedAt: now }, $push: { versions: { $each: versions } } };
+  if (unset.length > 0) update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+
+  const result = await db.collection('agents').findOneAndUpdate({ _id: agent._id }, update, { returnDocument: 'after' });
+  return { agent: result, changes, version: result.versions.length };
+}
+
+/**
+ * Restore an agent to an earlier version, recorded as a new version
+ * @param {object} db - MongoDB database
+ * @param {object} agent - Current agents document
+ * @param {number} versionNumber - From 1
+ * @param {object} meta
+ * @param {string} meta.editedBy - Email of the admin
+ * @returns {Promise<object|null>} As saveAgentVersion; null if the version doesn't exist
+ */
+async function rollbackAgent(db, agent, versionNumber, { editedBy }) {
+  const target = (agent.versions || [])[versionNumber - 1];
+  if (!target) return null;
+
+  const set = agentFields(target);
+  const unset = Object.keys(agentFields(agent)).filter(field => !(field in set));
+  return saveAgentVersion(db, agent, { set, unset }, { editedBy, restoredVersion: versionNumber });
+}
+
+const BUNDLE_FORMAT = 'librechat-agent-bundle';
+const BUNDLE_VERSION = 1;
+
+// Agents one bundle may hold, counting sub-agents
+const MAX_BUNDLE_AGENTS = 50;
+
+/**
+ * Fields a bundle carries. Left out because they point at data in the source
+ * install: author, projectIds, tool_resources (file ids), actions (action ids)
+ * and avatar (stored file paths).
+ */
+const PORTABLE_FIELDS = [
+  'name',
+  'description',
+  'instructions',
+  'provider',
+  'model',
+  'model_parameters',
+  'artifacts',
+  'recursion_limit',
+  'tools',
+  'tool_kwargs',
+  'agent_ids',
+  'conversation_starters',
+  'category',
+  'support_contact',
+  'end_after_tools',
+  'hide_sequential_outputs',
+];
+
+// What an import does about an existing agent with the same name
+const CONFLICT_STRATEGIES = ['fail', 'skip', 'rename'];
+
+/**
+ * New LibreChat agent id (agent_ followed by 21 random characters)
+ * @returns {string}
+ */
+function generateAgentId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let result = 'agent_';
+  for (let i = 0; i < 21; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
+/**
+ * The first entry of a new agent's `versions`: the agent as created, as LibreChat does
+ * @param {object} agent - New agents document
+ * @param {string} editedBy - Email of the admin
+ * @returns {object}
+ */
+function initialVersion(agent, editedBy) {
+  return { ...agentFields(agent), createdAt: agent.createdAt, updatedAt: agent.updatedAt, editedBy };
+}
+
+function portable(agent) {
+  return Object.fromEntries(PORTABLE_FIELDS.filter(field => agent[field] !== undefined).map(field => [field, agent[field]]));
+}
+
+/**
+ * Serialize an agent and the sub-agents it references
+ * @param {object} db - MongoDB database
+ * @param {object} agent - agents document
+ * @param {object} options
+ * @param {string} options.exportedBy - Email of the admin
+ * @returns {Promise<object>} The bundle; `warnings` lists what couldn't be included
+ */
+async function exportAgentBundle(db, agent, { exportedBy }) {
+  const agents = [];
+  const warnings = [];
+  const seen = new Set([agent.id]);
+  const queue = [agent];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    agents.push({ id: current.id, ...portable(current) });
+    if ((current.actions || []).length > 0) {
+      warnings.push(`${current.name}: ${current.actions.length} action(s) not included; add them again after importing`);
+    }
+    if (current.tool_resources && Object.keys(current.tool_resources).length > 0) {
+      warnings.push(`${current.name}: tool files not included; upload them again after importing`);
+    }
+
+    const pending = (current.agent_ids || []).filter(id => !seen.has(id));
+    pending.forEach(id => seen.add(id));
+    if (pending.length === 0) continue;
+    const found = await db.collection('agents').find({ id: { $in: pending } }).toArray();
+    for (const id of pending) {
+      const subAgent = found.find(candidate => candidate.id === id);
+      if (!subAgent) warnings.push(`${current.name}: sub-agent ${id} no longer exists`);
+      else if (agents.length + queue.length >= MAX_BUNDLE_AGENTS) warnings.push(`${current.name}: sub-agent ${id} not included (bundle limit)`);
+      else queue.push(subAgent);
+    }
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date(),
+    exportedBy,
+    root: agent.id,
+    agents,
+    warnings,
+  };
+}
+
+// Name that no existing agent or earlier import in this bundle uses
+function freeName(name, taken) {
+  let candidate = `${name} (imported)`;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${name} (imported ${n})`;
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Check a bundle and plan its import without writing anything
+ * @param {object} db - MongoDB database
+ * @param {object} bundle - Parsed bundle
+ * @param {object} options
+ * @param {string} options.onConflict - One of CONFLICT_STRATEGIES
+ * @returns {Promise<object>} { error } for an unreadable bundle, otherwise
+ *   { root, total, invalid, conflicts, warnings, agents: [{ sourceId, name, action, newId, importedName, conflict, errors, value }] }
+ *   action: 'create' | 'rename' | 'skip' (reuse the existing agent) | 'conflict' (blocked by onConflict 'fail')
+ */
+async function previewAgentImport(db, bundle, { onConflict }) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.agents)) {
+    return { error: 'Not an agent bundle; export one from the agent list' };
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    return { error: `Bundle version ${bundle.version} is newer than this admin panel supports` };
+  }
+  if (bundle.agents.length === 0 || bundle.agents.length > MAX_BUNDLE_AGENTS) {
+    return { error: `Bundles hold 1 to ${MAX_BUNDLE_AGENTS} agents` };
+  }
+
+  const sourceIds = bundle.agents.map(agent => agent && agent.id);
+  const names = bundle.agents.map(agent => agent && agent.name).filter(name => typeof name === 'string');
+  const existing = await db.collection('agents')
+    .find({ name: { $in: names } }, { projection: { id: 1, name: 1 } })
+    .toArray();
+  const taken = new Set(await db.collection('agents').distinct('name', { name: { $regex: '\\(imported' } }));
+  names.forEach(name => taken.add(name));
+
+  const warnings = [...(Array.isArray(bundle.warnings) ? bundle.warnings : [])];
+  const agents = bundle.agents.map((raw, index) => {
+    const sourceId = raw && typeof raw.id === 'string' ? raw.id : null;
+    const { value, errors } = validateBody('agents', portable(raw || {}));
+    const allErrors = { ...errors };
+    if (!sourceId) allErrors.id = 'Required';
+    else if (sourceIds.indexOf(sourceId) !== index) allErrors.id = 'Appears twice in the bundle';
+
+    const conflict = existing.find(agent => agent.name === value.name) || null;
+    let action = 'create';
+    if (conflict) action = onConflict === 'fail' ? 'conflict' : onConflict;
+
+    return {
+      sourceId,
+      name: value.name || null,
+      action,
+      newId: action === 'skip' ? conflict.id : generateAgentId(),
+      importedName: action === 'rename' ? freeName(value.name, taken) : value.name || null,
+      conflict: conflict ? { id: conflict.id, name: conflict.name } : null,
+      errors: Object.keys(allErrors).length > 0 ? allErrors : null,
+      value,
+    };
+  });
+
+  // Sub-agents outside the bundle don't exist here; their references are dropped
+  for (const agent of agents) {
+    const outside = (agent.value.agent_ids || []).filter(id => !sourceIds.includes(id));
+    if (outside.length > 0) {
+      warnings.push(`${agent.name}: ${outside.length} sub-agent reference(s) not in the bundle will be removed`);
+    }
+  }
+
+  return {
+    root: typeof bundle.root === 'string' && sourceIds.includes(bundle.root) ? bundle.root : sourceIds[0],
+    total: agents.length,
+    invalid: agents.filter(agent => agent.errors).length,
+    conflicts: agents.filter(agent => agent.conflict).length,
+    warnings,
+    agents,
+  };
+}
+
+/**
+ * Create the agents a preview planned, with references rewritten to the new ids
+ * Bundles don't carry an author, so every created agent is owned by `owner`;
+ * LibreChat requires an author and checks it for ownership.
+ * @param {object} db - MongoDB database
+ * @param {object} preview - From previewAgentImport, with no invalid agents or unresolved conflicts
+ * @param {object} options
+ * @param {string} options.editedBy - Email of the admin
+ * @param {object} options.owner - users document of the LibreChat user the agents will belong to
+ * @returns {Promise<{ created: object[], rootId: string }>} created: { sourceId, id, name }
+ */
+async function commitAgentImport(db, preview, { editedBy, owner }) {
+  const idMap = Object.fromEntries(preview.agents.map(agent => [agent.sourceId, agent.newId]));
+  const now = new Date();
+
+  const docs = preview.agents.filter(agent => agent.action === 'create' || agent.action === 'rename').map((agent) => {
+    const doc = {
+      id: agent.newId,
+      ...agent.value,
+      name: agent.importedName,
+      agent_ids: (agent.value.agent_ids || []).filter(id => idMap[id]).map(id => idMap[id]),
+      author: owner._id,
+      authorName: owner.name || owner.username || owner.email,
+      projectIds: [],
+      is_promoted: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+    doc.versions = [initialVersion(doc, editedBy)];
+    return doc;
+  });
+
+  if (docs.length > 0) {
+    await db.collection('agents').insertMany(docs, { ordered: true });
+  }
+
+  return {
+    created: preview.agents
+      .filter(agent => agent.action !== 'skip')
+      .map(agent => ({ sourceId: agent.sourceId, id: agent.newId, name: agent.importedName })),
+    rootId: idMap[preview.root],
+  };
+}
+
+/**
+ * Copy an agent as a new agent
+ * Actions are left out: LibreChat links each action to a single agent. The
+ * copy keeps the source's author, which LibreChat requires and checks for
+ * ownership; agentFields leaves it out because versions don't record it.
+ * @param {object} db - MongoDB database
+ * @param {object} source - agents document to copy
+ * @param {object} overrides - Validated agent fields replacing the copied ones
+ * @param {object} options
+ * @param {string} options.editedBy - Email of the admin
+ * @param {ObjectId} [options.author] - Owner of the copy; defaults to the source's author
+ * @returns {Promise<{ agent: object, droppedActions: number }>}
+ */
+async function cloneAgent(db, source, overrides, { editedBy, author = source.author }) {
+  const now = new Date();
+  const agent = {
+    ...agentFields(source),
+    ...overrides,
+    author,
+    id: generateAgentId(),
+    name: overrides.name || `${source.name} (copy)`,
+    actions: [],
+    projectIds: overrides.projectIds || [],
+    is_promoted: overrides.is_promoted || false,
+    createdAt: now,
+    updatedAt: now,
+  };
+  agent.versions = [initialVersion(agent, editedBy)];
+
+  const result = await db.collection('agents').insertOne(agent);
+  return { agent: { _id: result.insertedId, ...agent }, droppedActions: (source.actions || []).length };
+}
+
+module.exports = {
+  CONFLICT_STRATEGIES,
+  generateAgentId,
+  initialVersion,
+  compareVersions,
+  listVersions,
+  saveAgentVersion,
+  rollbackAgent,
+  exportAgentBundle,
+  previewAgentImport,
+  commitAgentImport,
+  cloneAgent,
+};
@@ -0,0 +1,146 @@
+/**
+ * Admin authorization middleware
+ *
+ * The API trusts identity headers only when the request arrives through the
+ * nginx sidecar that fronts OAuth2-Proxy. The caller's admin tier comes from
+ * the `admin_tiers` collection; LibreChat ADMIN users without an explicit
+ * tier are treated as owners. Each request is then checked against the
+ * policy entry for the Express route that will handle it (see policy.js), so
+ * the check and the routing can't disagree about case or trailing slashes.
+ */
+const { hasTier, createPolicy } = require('./policy');
+const { ADMIN_ROLE } = require('./roles.service');
+
+// nginx proxies /admin/api/ to localhost:3001, so only loopback peers are trusted by default
+const DEFAULT_TRUSTED_PROXIES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Parse a comma-separated list of trusted proxy addresses
+ * @param {string} value - e.g. "127.0.0.1,10.0.0.5" or "*" to trust any peer
+ * @returns {string[]} Trusted addresses
+ */
+function parseTrustedProxies(value) {
+  if (!value) return DEFAULT_TRUSTED_PROXIES;
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Read the caller identity injected by OAuth2-Proxy
+ * @param {object} req - Express request
+ * @param {string[]} trustedProxies - Peer addresses allowed to set identity headers
+ * @returns {{ email: string|null, name: string|null, trusted: boolean }}
+ */
+function proxyHeaderSource(req, trustedProxies = DEFAULT_TRUSTED_PROXIES) {
+  const peer = req.socket && req.socket.remoteAddress;
+  const trusted = trustedProxies.includes('*') || trustedProxies.includes(peer);
+  const email = req.headers['x-forwarded-email'] || req.headers['x-auth-request-email'] || null;
+  const name = req.headers['x-forwarded-user'] || req.headers['x-auth-request-user'] || null;
+  return { email, name, trusted };
+}
+
+/**
+ * Resolve the admin tier for a caller
+ * @param {object} db - MongoDB database
+ * @param {string} email - Caller email (lowercased)
+ * @param {object|null} user - Caller's LibreChat user document, if any
+ * @returns {Promise<string|null>} Tier name, or null if the caller is not an admin
+ */
+async function resolveTier(db, email, user) {
+  const assignment = await db.collection('admin_tiers').findOne({ email });
+  if (assignment) return assignment.tier;
+  if (user && user.role === ADMIN_ROLE) return 'owner';
+  return null;
+}
+
+/**
+ * List the routes registered on an Express app, in registration order
+ * @param {object} app - Express application
+ * @returns {{ method: string, path: string }[]}
+ */
+function registeredRoutes(app) {
+  const stack = (app._router && app._router.stack) || [];
+  return stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      path: layer.route.path,
+    })));
+}
+
+/**
+ * Find the route pattern Express will dispatch a request to
+ * Layers are tried in registration order with Express's own matcher, like the router does.
+ * @param {object} req - Express request
+ * @returns {string|null} e.g. '/api/users/:id/export', or null if no route matches
+ */
+function matchedRoutePath(req) {
+  const stack = (req.app && req.app._router && req.app._router.stack) || [];
+  const path = req.originalUrl.split('?')[0];
+  const layer = stack.find(candidate => (
+    candidate.route && candidate.route._handles_method(req.method) && candidate.match(path)
+  ));
+  return layer ? layer.route.path : null;
+}
+
+/**
+ * Create the authentication and authorization middleware pair
+ * @param {object} options
+ * @param {Function} options.getDb - Returns the connected MongoDB database
+ * @param {Function} [options.headerSource] - (req) => { email, name, trusted }; defaults to the OAuth2-Proxy headers
+ * @param {string[]} [options.trustedProxies] - Peer addresses used by the default header source
+ * @param {Function} [options.requiredTier] - (method, routePath) => tier; defaults to the ROUTE_POLICY table
+ * @returns {{ authenticate: Function, authorize: Function }}
+ */
+function createAdminAuth({ getDb, headerSource, trustedProxies = DEFAULT_TRUSTED_PROXIES, requiredTier = createPolicy() }) {
+  const readIdentity = headerSource || (req => proxyHeaderSource(req, trustedProxies));
+
+  // Resolves the caller and attaches it as req.caller = { email, name, user, tier }
+  async function authenticate(req, res, next) {
+    const { email, name, trusted } = readIdentity(req);
+
+    if (!trusted) {
+      return res.status(401).json({ error: 'Request did not come through the trusted proxy' });
+    }
+    if (!email) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    try {
+      const normalizedEmail = email.toLowerCase();
+      const db = getDb();
+      const user = await db.collection('users').findOne({ email: normalizedEmail });
+      const tier = await resolveTier(db, normalizedEmail, user);
+      req.caller = { email: normalizedEmail, name: name || normalizedEmail, user, tier };
+      next();
+    } catch (error) {
+      console.error('Error resolving caller:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Must run after authenticate
+  function authorize(req, res, next) {
+    const tier = req.caller && req.caller.tier;
+    if (!tier) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const path = matchedRoutePath(req) || req.originalUrl.split('?')[0];
+    const required = requiredTier(req.method, path);
+    if (!hasTier(tier, required)) {
+      return res.status(403).json({ error: `This action requires the ${required} admin tier`, requiredTier: required });
+    }
+    next();
+  }
+
+  return { authenticate, authorize };
+}
+
+module.exports = {
+  createAdminAuth,
+  resolveTier,
+  registeredRoutes,
+  proxyHeaderSource,
+  parseTrustedProxies,
+  DEFAULT_TRUSTED_PROXIES,
+};
@@ -0,0 +1,305 @@
+/**
+ * Cascading deletes for LibreChat users and conversations
+ *
+ * LibreChat doesn't use foreign keys, so deleting a `users` document leaves
+ * everything that references it behind. USER_DEPENDENTS lists each collection
+ * holding user-owned documents and the field that points at the user, or how
+ * to find them when they're keyed some other way (ban entries, admin tiers). Shared
+ * content (agents, prompts) can be handed to another user instead of being
+ * removed. Only database documents are removed; file blobs in external
+ * storage are left for LibreChat's own cleanup.
+ *
+ * A conversation owns its messages and shared links. Files are only removed
+ * when nothing else (another conversation's messages, an agent) uses them.
+ */
+const { userRefValues } = require('./query');
+const { BAN_COLLECTION, banKey } = require('./suspension.service');
+
+/**
+ * Collections that reference a user
+ *  - field:    the user reference (string or ObjectId, both are matched)
+ *  - filter:   (user) => MongoDB filter, for documents not keyed by user id
+ *  - reassign: (newOwner) => $set applied instead of deleting, when a new owner is given
+ */
+const USER_DEPENDENTS = [
+  { collection: 'conversations', field: 'user' },
+  { collection: 'messages', field: 'user' },
+  { collection: 'files', field: 'user' },
+  { collection: 'sessions', field: 'user' },
+  { collection: 'tokens', field: 'userId' },
+  { collection: 'transactions', field: 'user' },
+  { collection: 'balances', field: 'user' },
+  { collection: 'presets', field: 'user' },
+  { collection: 'sharedlinks', field: 'user' },
+  { collection: 'conversationtags', field: 'user' },
+  { collection: 'keys', field: 'userId' },
+  { collection: 'pluginauths', field: 'userId' },
+  { collection: 'memoryentries', field: 'userId' },
+  // A suspension's entry in LibreChat's ban store
+  { collection: BAN_COLLECTION, filter: user => ({ key: banKey(user._id) }) },
+  // Admin tiers are keyed by the lowercased email (see auth.middleware.js)
+  { collection: 'admin_tiers', filter: user => ({ email: String(user.email).toLowerCase() }) },
+  {
+    collection: 'agents',
+    field: 'author',
+    reassign: owner => ({ author: owner._id, authorName: owner.name || owner.username || owner.email }),
+  },
+  {
+    collection: 'promptgroups',
+    field: 'author',
+    reassign: owner => ({ author: owner._id, authorName: owner.name || owner.username || owner.email }),
+  },
+  {
+    collection: 'prompts',
+    field: 'author',
+    reassign: owner => ({ author: owner._id }),
+  },
+];
+
+const REASSIGNABLE = USER_DEPENDENTS.filter(dep => dep.reassign).map(dep => dep.collection);
+
+function dependentFilter(dep, user) {
+  if (dep.filter) return dep.filter(user);
+  return { [dep.field]: { $in: userRefValues(user._id.toString()) } };
+}
+
+/**
+ * Count the documents that depend on a user
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @returns {Promise<{ counts: object, total: number }>} collection => count
+ */
+async function countUserDependents(db, user) {
+  const counts = {};
+  let total = 0;
+  for (const dep of USER_DEPENDENTS) {
+    counts[dep.collection] = await db.collection(dep.collection).countDocuments(dependentFilter(dep, user));
+    total += counts[dep.collection];
+  }
+  return { counts, total };
+}
+
+/**
+ * Delete a user and everything that depends on it
+ *
+ * Dependents go first and the user document last, so a failure part-way
+ * leaves the user in place and the delete can simply be retried.
+ *
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @param {object} [options]
+ * @param {object|null} [options.reassignTo] - User document that takes over reassignable content
+ * @param {Function} [options.onProgress] - (progress) => void, called after each collection
+ * @returns {Promise<{ removed: object, reassigned: object }>} collection => documents affected
+ */
+async function deleteUserCascade(db, user, { reassignTo = null, onProgress = () => {} } = {}) {
+  const removed = {};
+  const reassigned = {};
+
+  for (const [index, dep] of USER_DEPENDENTS.entries()) {
+    const filter = dependentFilter(dep, user);
+    if (reassignTo && dep.reassign) {
+      const result = await db.collection(dep.collection).updateMany(filter, { $set: dep.reassign(reassignTo) });
+      reassigned[dep.collection] = result.modifiedCount;
+    } else {
+      const result = await db.collection(dep.collection).deleteMany(filter);
+      removed[dep.collection] = result.deletedCount;
+    }
+    await onProgress({ step: dep.collection, completed: index + 1, steps: USER_DEPENDENTS.length + 1 });
+  }
+
+  const result = await db.collection('users').deleteOne({ _id: user._id });
+  removed.users = result.deletedCount;
+  await onProgress({ step: 'users', completed: USER_DEPENDENTS.length + 1, steps: USER_DEPENDENTS.length + 1 });
+
+  return { removed, reassigned };
+}
+
+// Agent tool resources that can hold uploaded files
+const AGENT_FILE_RESOURCES = ['file_search', 'execute_code', 'ocr', 'context'];
+
+/**
+ * Files a conversation uses that nothing outside it references
+ * @param {object} db - MongoDB database
+ * @param {string} conversationId
+ * @returns {Promise<string[]>} file_ids
+ */
+async function exclusiveConversationFileIds(db, conversationId) {
+  const messages = await db.collection('messages')
+    .find({ conversationId }, { projection: { files: 1, attachments: 1 } })
+    .toArray();
+  const fileIds = new Set();
+  for (const message of messages) {
+    for (const file of [...(message.files || []), ...(message.attachments || [])]) {
+      if (file && file.file_id) fileIds.add(file.file_id);
+    }
+  }
+  const tagged = await db.collection('files').distinct('file_id', { conversationId });
+  tagged.forEach(id => fileIds.add(id));
+  if (fileIds.size === 0) return [];
+
+  const candidates = [...fileIds];
+  const [otherMessages, agents] = await Promise.all([
+    db.collection('messages').find({
+      conversationId: { $ne: conversationId },
+      $or: [{ 'files.file_id': { $in: candidates } }, { 'attachments.file_id': { $in: candidates } }],
+    }, { projection: { files: 1, attachments: 1 } }).toArray(),
+    db.collection('agents').find({
+      $or: AGENT_FILE_RESOURCES.map(resource => ({ [`tool_resources.${resource}.file_ids`]: { $in: candidates } })),
+    }, { projection: { tool_resources: 1 } }).toArray(),
+  ]);
+
+  const shared = new Set();
+  for (const message of otherMessages) {
+    for (const file of [...(message.files || []), ...(message.attachments || [])]) {
+      if (file && file.file_id) shared.add(file.file_id);
+    }
+  }
+  for (const agent of agents) {
+    for (const resource of AGENT_FILE_RESOURCES) {
+      const ids = agent.tool_resources && agent.tool_resources[resource] && agent.tool_resources[resource].file_ids;
+      (ids || []).forEach(id => shared.add(id));
+    }
+  }
+
+  return candidates.filter(id => !shared.has(id));
+}
+
+/**
+ * Documents a conversation cascade touches, per collection
+ * @param {string} conversationId
+ * @param {string[]} fileIds - From exclusiveConversationFileIds
+ * @returns {Array<{ collection: string, filter: object }>}
+ */
+function conversationDependents(conversationId, fileIds) {
+  return [
+    { collection: 'messages', filter: { conversationId } },
+    { collection: 'files', filter: { file_id: { $in: fileIds } } },
+    { collection: 'sharedlinks', filter: { conversationId } },
+  ];
+}
+
+async function countDependents(db, dependents) {
+  const counts = {};
+  let total = 0;
+  for (const dep of dependents) {
+    counts[dep.collection] = await db.collection(dep.collection).countDocuments(dep.filter);
+    total += counts[dep.collection];
+  }
+  return { counts, total };
+}
+
+/**
+ * Count the documents deleting a conversation would also remove
+ * @param {object} db - MongoDB database
+ * @param {object} convo - The conversation document
+ * @returns {Promise<{ counts: object, total: number }>} collection => count
+ */
+async function countConversationDependents(db, convo) {
+  const fileIds = await exclusiveConversationFileIds(db, convo.conversationId);
+  return countDependents(db, conversationDependents(convo.conversationId, fileIds));
+}
+
+/**
+ * Delete a conversation with its messages, shared links and the files only it used
+ *
+ * As for users, dependents go first and the conversation last, so a failure
+ * part-way can be retried. Counts are taken before and after so the caller
+ * can report anything that was added concurrently and survived.
+ *
+ * @param {object} db - MongoDB database
+ * @param {object} convo - The conversation document
+ * @returns {Promise<{ before: object, removed: object, after: object }>} collection => documents
+ */
+async function deleteConversationCascade(db, convo) {
+  const fileIds = await exclusiveConversationFileIds(db, convo.conversationId);
+  const dependents = conversationDependents(convo.conversationId, fileIds);
+
+  const { counts: before } = await countDependents(db, dependents);
+  const removed = {};
+  for (const dep of dependents) {
+    const result = await db.collection(dep.collection).deleteMany(dep.filter);
+    removed[dep.collection] = result.deletedCount;
+  }
+  const result = await db.collection('conversations').deleteOne({ _id: convo._id });
+  removed.conversations = result.deletedCount;
+  const { counts: after } = await countDependents(db, dependents);
+
+  return { before, removed, after };
+}
+
+// Orphaned conversation ids listed in a sweep report; the rest are only counted
+const ORPHAN_SAMPLE_SIZE = 50;
+
+// LibreChat saves a new chat's messages before its conversation, so only
+// conversations whose newest message is older than this count as orphaned
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+// Conversation ids per deleteMany, keeping each $in well under the BSON size limit
+const ORPHAN_DELETE_BATCH = 500;
+
+// Cursor over { _id: conversationId, messages } for conversations that no longer exist
+function orphanGroups(db) {
+  const cutoff = new Date(Date.now() - ORPHAN_MIN_AGE_MS);
+  return db.collection('messages').aggregate([
+    { $match: { conversationId: { $type: 'string' } } },
+    { $group: { _id: '$conversationId', messages: { $sum: 1 }, lastMessageAt: { $max: '$createdAt' } } },
+    { $match: { lastMessageAt: { $lt: cutoff } } },
+    { $lookup: { from: 'conversations', localField: '_id', foreignField: 'conversationId', as: 'conversation' } },
+    { $match: { conversation: { $size: 0 } } },
+    { $project: { messages: 1 } },
+  ], { allowDiskUse: true });
+}
+
+/**
+ * Find messages whose conversation no longer exists
+ * @param {object} db - MongoDB database
+ * @returns {Promise<{ conversations: number, messages: number, sample: string[] }>}
+ *   sample: up to ORPHAN_SAMPLE_SIZE of the orphaned conversation ids
+ */
+async function findOrphanMessages(db) {
+  const report = { conversations: 0, messages: 0, sample: [] };
+  for await (const orphan of orphanGroups(db)) {
+    report.conversations++;
+    report.messages += orphan.messages;
+    if (report.sample.length < ORPHAN_SAMPLE_SIZE) report.sample.push(orphan._id);
+  }
+  return report;
+}
+
+/**
+ * Delete messages whose conversation no longer exists, ORPHAN_DELETE_BATCH conversations at a time
+ * @param {object} db - MongoDB database
+ * @returns {Promise<{ conversations: number, removed: number, sample: string[] }>}
+ *   sample: up to ORPHAN_SAMPLE_SIZE of the orphaned conversation ids
+ */
+async function sweepOrphanMessages(db) {
+  const outcome = { conversations: 0, removed: 0, sample: [] };
+  let batch = [];
+  const flush = async () => {
+    const result = await db.collection('messages').deleteMany({ conversationId: { $in: batch } });
+    outcome.removed += result.deletedCount;
+    batch = [];
+  };
+
+  for await (const orphan of orphanGroups(db)) {
+    outcome.conversations++;
+    if (outcome.sample.length < ORPHAN_SAMPLE_SIZE) outcome.sample.push(orphan._id);
+    batch.push(orphan._id);
+    if (batch.length >= ORPHAN_DELETE_BATCH) await flush();
+  }
+  if (batch.length > 0) await flush();
+  return outcome;
+}
+
+module.exports = {
+  USER_DEPENDENTS,
+  REASSIGNABLE,
+  countUserDependents,
+  deleteUserCascade,
+  ORPHAN_MIN_AGE_MS,
+  countConversationDependents,
+  deleteConversationCascade,
+  findOrphanMessages,
+  sweepOrphanMessages,
+};
@@ -0,0 +1,83 @@
+/**
+ * CSV helpers (RFC 4180)
+ *
+ * Small enough not to warrant a dependency: quoted fields, escaped quotes,
+ * embedded newlines and CRLF/LF line endings.
+ */
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text
+ * @returns {{ headers: string[], rows: object[] }}
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  // Strip a UTF-8 BOM left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return { headers: [], rows: [] };
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  const rows = nonEmpty.slice(1).map(values => Object.fromEntries(
+    headers.map((header, index) => [header, values[index] !== undefined ? values[index] : ''])
+  ));
+  return { headers, rows };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Leading =, +, -, @, tab or carriage return can be evaluated as a formula by spreadsheet apps (OWASP)
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * Format one CSV line
+ * @param {Array<*>} values
+ * @returns {string} Line including the trailing CRLF
+ */
+function toCsvLine(values) {
+  return `${values.map(escapeCsvValue).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  toCsvLine,
+};
@@ -0,0 +1,249 @@
+/**
+ * Data exports
+ *
+ * Per-user export (subject access requests) streams a zip archive with
+ * everything LibreChat stores about a user:
+ *
+ *   manifest.json            who exported what, when, and document counts
+ *   profile.json             the user document, without credentials
+ *   conversations.json       index of the user's conversations
+ *   conversations/<id>.json  conversation plus its full message list
+ *   conversations/<id>.md    readable transcript
+ *   files.json               file metadata (not the stored files themselves)
+ *   agents.json              agents the user authored
+ *   sessions.json            login sessions, without token hashes
+ *   transactions.json        token usage and credit history
+ *
+ * Conversation export renders single conversations as Markdown, JSON or HTML
+ * for handing to someone outside the admin panel, or several as one zip.
+ * The thread is the one LibreChat shows: the latest alternative at every branch.
+ */
+const archiver = require('archiver');
+const { ObjectId } = require('mongodb');
+const { userRefValues } = require('./query');
+const {
+  buildMessageTree,
+  latestThread,
+  conversationToMarkdown,
+  conversationToHtml,
+} = require('./transcript');
+const { withoutSecrets } = require('./password.service');
+
+function byUser(field, userId) {
+  return { [field]: { $in: userRefValues(userId.toString()) } };
+}
+
+function toJson(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Suggested download name for a user's archive
+ * @param {object} user
+ * @returns {string}
+ */
+function exportFilename(user) {
+  const who = (user.email || user._id.toString()).replace(/[^a-zA-Z0-9@._-]/g, '_');
+  return `librechat-export-${who}-${new Date().toISOString().slice(0, 10)}.zip`;
+}
+
+/**
+ * Write a user's data as a zip archive to a stream
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @param {object} output - Writable stream (e.g. an Express response)
+ * @param {object} options
+ * @param {string} options.exportedBy - Email of the admin running the export
+ * @returns {Promise<object>} Document counts per section
+ */
+async function writeUserExport(db, user, output, { exportedBy }) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const failed = new Promise((resolve, reject) => archive.on('error', reject));
+  archive.pipe(output);
+
+  const counts = {};
+
+  archive.append(toJson(withoutSecrets(user)), { name: 'profile.json' });
+
+  const index = [];
+  const convoCursor = db.collection('conversations').find(byUser('user', user._id)).sort({ createdAt: 1 });
+  let messageCount = 0;
+  for await (const convo of convoCursor) {
+    const messages = await db.collection('messages')
+      .find({ conversationId: convo.conversationId })
+      .sort({ createdAt: 1 })
+      .toArray();
+    messageCount += messages.length;
+
+    archive.append(toJson({ ...convo, messages }), { name: `conversations/${convo.conversationId}.json` });
+    archive.append(conversationToMarkdown(convo, messages), { name: `conversations/${convo.conversationId}.md` });
+    index.push({
+      conversationId: convo.conversationId,
+      title: convo.title,
+      endpoint: convo.endpoint,
+      model: convo.model,
+      createdAt: convo.createdAt,
+      updatedAt: convo.updatedAt,
+      messages: messages.length,
+    });
+  }
+  archive.append(toJson(index), { name: 'conversations.json' });
+  counts.conversations = index.length;
+  counts.messages = messageCount;
+
+  const sections = [
+    { name: 'files', collection: 'files', filter: byUser('user', user._id) },
+    { name: 'agents', collection: 'agents', filter: byUser('author', user._id) },
+    { name: 'sessions', collection: 'sessions', filter: byUser('user', user._id), projection: { refreshTokenHash: 0 } },
+    { name: 'transactions', collection: 'transactions', filter: byUser('user', user._id) },
+  ];
+  for (const section of sections) {
+    const docs = await db.collection(section.collection)
+      .find(section.filter, section.projection ? { projection: section.projection } : {})
+      .sort({ createdAt: 1 })
+      .toArray();
+    archive.append(toJson(docs), { name: `${section.name}.json` });
+    counts[section.name] = docs.length;
+  }
+
+  archive.append(toJson({
+    userId: user._id.toString(),
+    email: user.email,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    counts,
+  }), { name: 'manifest.json' });
+
+  await Promise.race([archive.finalize(), failed]);
+  return counts;
+}
+
+const CONVERSATION_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8' },
+  json: { contentType: 'application/json; charset=utf-8' },
+  html: { contentType: 'text/html; charset=utf-8' },
+};
+
+/**
+ * Load a conversation with its owner, agent and displayed thread
+ * @param {object} db - MongoDB database
+ * @param {object} convo - Conversation document
+ * @returns {Promise<{ convo, details, thread, messageCount, branchPoints }>}
+ */
+async function loadConversationExport(db, convo) {
+  const messages = await db.collection('messages').find({ conversationId: convo.conversationId }).toArray();
+  const tree = buildMessageTree(messages);
+
+  const userId = convo.user ? convo.user.toString() : null;
+  const [user, agent] = await Promise.all([
+    userId && ObjectId.isValid(userId)
+      ? db.collection('users').findOne(
+        { _id: new ObjectId(userId) },
+        { projection: { name: 1, username: 1, email: 1 } },
+      )
+      : null,
+    convo.agent_id
+      ? db.collection('agents').findOne({ id: convo.agent_id }, { projection: { id: 1, name: 1 } })
+      : null,
+  ]);
+
+  return {
+    convo,
+    details: {
+      user: user || (userId ? { name: userId } : undefined),
+      agent: agent || undefined,
+    },
+    thread: latestThread(tree),
+    messageCount: messages.length,
+    branchPoints: tree.branchPoints,
+  };
+}
+
+/**
+ * Render a loaded conversation in one of CONVERSATION_FORMATS
+ * @param {object} exported - From loadConversationExport
+ * @param {string} format - md | json | html
+ * @param {object} options
+ * @param {string} options.exportedBy - Email of the admin running the export
+ * @returns {string}
+ */
+function renderConversationExport({ convo, details, thread, messageCount, branchPoints }, format, { exportedBy }) {
+  if (format === 'md') return conversationToMarkdown(convo, thread, details);
+  if (format === 'html') return conversationToHtml(convo, thread, details);
+
+  const { user, agent } = details;
+  return toJson({
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    conversation: {
+      conversationId: convo.conversationId,
+      title: convo.title || 'Untitled Conversation',
+      user: user ? { id: convo.user, name: user.name || user.username, email: user.email } : null,
+      endpoint: convo.endpoint,
+      model: convo.model,
+      agent: agent ? { id: agent.id, name: agent.name } : convo.agent_id ? { id: convo.agent_id } : null,
+      createdAt: convo.createdAt,
+      updatedAt: convo.updatedAt,
+    },
+    messageCount,
+    branchPoints,
+    messages: thread.map(({ children, ...message }) => message),
+  });
+}
+
+/**
+ * Suggested download name for an exported conversation
+ * @param {object} convo
+ * @param {string} extension
+ * @returns {string}
+ */
+function conversationFilename(convo, extension) {
+  const title = (convo.title || 'conversation').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(0, 60);
+  return `${title}-${convo.conversationId}.${extension}`;
+}
+
+/**
+ * Write several conversations as a zip archive to a stream, one file each plus a manifest
+ * @param {object} db - MongoDB database
+ * @param {object[]} convos - Conversation documents
+ * @param {object} output - Writable stream (e.g. an Express response)
+ * @param {object} options
+ * @param {string} options.format - md | json | html
+ * @param {string} options.exportedBy - Email of the admin running the export
+ * @returns {Promise<number>} Messages exported across all conversations
+ */
+async function writeConversationsExport(db, convos, output, { format, exportedBy }) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const failed = new Promise((resolve, reject) => archive.on('error', reject));
+  archive.pipe(output);
+
+  let messageCount = 0;
+  const index = [];
+  for (const convo of convos) {
+    const exported = await loadConversationExport(db, convo);
+    const name = conversationFilename(convo, format);
+    archive.append(renderConversationExport(exported, format, { exportedBy }), { name });
+    messageCount += exported.messageCount;
+    index.push({ conversationId: convo.conversationId, title: convo.title, file: name, messages: exported.messageCount });
+  }
+
+  archive.append(toJson({
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    format,
+    conversations: index,
+  }), { name: 'manifest.json' });
+
+  await Promise.race([archive.finalize(), failed]);
+  return messageCount;
+}
+
+module.exports = {
+  exportFilename,
+  writeUserExport,
+  CONVERSATION_FORMATS,
+  loadConversationExport,
+  renderConversationExport,
+  conversationFilename,
+  writeConversationsExport,
+};
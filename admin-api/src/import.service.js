@@ -0,0 +1,144 @@
+/**
+ * Bulk user import
+ *
+ * Rows come from a CSV upload or a JSON array and are checked in full before
+ * anything is written: field formats, duplicate emails within the file and
+ * against existing users, and role names against the `roles` collection.
+ * The preview reports errors per row; a commit only goes ahead when every row
+ * is valid, so an import never half-applies.
+ *
+ * Passwords are not imported. Imported users sign in through SSO or are sent
+ * a reset link.
+ */
+const { validateBody } = require('./validation');
+const { ADMIN_ROLE, getRoleNames } = require('./roles.service');
+
+const IMPORT_COLUMNS = ['email', 'username', 'name', 'role', 'emailVerified', 'provider'];
+const PROVIDERS = ['local', 'openid', 'google', 'github', 'discord', 'facebook', 'apple', 'saml', 'ldap'];
+const MAX_IMPORT_ROWS = 5000;
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return undefined;
+}
+
+// Turn a raw CSV/JSON row into a user body plus any errors found on the way
+function normalizeRow(raw) {
+  const errors = {};
+  const value = {};
+
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value, errors: { row: 'Must be an object' } };
+  }
+
+  for (const [column, rawValue] of Object.entries(raw)) {
+    if (!IMPORT_COLUMNS.includes(column)) {
+      errors[column] = 'Unknown column';
+      continue;
+    }
+    if (rawValue === undefined || rawValue === null) continue;
+    if (typeof rawValue === 'string' && rawValue.trim() === '') continue;
+
+    if (column === 'emailVerified') {
+      const flag = parseBoolean(rawValue);
+      if (flag === undefined) errors.emailVerified = 'Must be true or false';
+      else value.emailVerified = flag;
+    } else if (typeof rawValue !== 'string') {
+      errors[column] = 'Must be a string';
+    } else {
+      value[column] = column === 'email' ? rawValue.trim().toLowerCase() : rawValue.trim();
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Check import rows without writing anything
+ * @param {object} db - MongoDB database
+ * @param {object[]} rawRows - Objects keyed by column name
+ * @param {object} [options]
+ * @param {boolean} [options.allowAdminRole] - Whether rows may have the ADMIN role (owner tier only)
+ * @returns {Promise<{ total: number, valid: number, invalid: number, rows: object[] }>}
+ *   rows: { row (1-based), email, value, errors|null }
+ */
+async function previewUserImport(db, rawRows, { allowAdminRole = false } = {}) {
+  const roleNames = await getRoleNames(db);
+  const rows = rawRows.map((raw, index) => ({ row: index + 1, ...normalizeRow(raw) }));
+
+  // Row emails are lowercased, but older users may hold mixed case; like the user routes, match
+  // without regard to case (a strength 2 collation, so one query covers every row)
+  const emails = rows.map(r => r.value.email).filter(Boolean);
+  const existing = new Set(
+    (await db.collection('users')
+      .find({ email: { $in: emails } }, { projection: { email: 1 }, collation: { locale: 'en', strength: 2 } })
+      .toArray())
+      .map(user => user.email.toLowerCase())
+  );
+
+  const firstRowByEmail = new Map();
+  for (const entry of rows) {
+    const { value, errors } = entry;
+    const { role, provider, ...fields } = value;
+
+    // Reuse the users write schema for formats and lengths; role and provider are checked here
+    const checked = validateBody('users', fields);
+    Object.assign(errors, checked.errors || {});
+
+    if (role !== undefined && !roleNames.has(role)) {
+      errors.role = `Unknown role "${role}"`;
+    } else if (role === ADMIN_ROLE && !allowAdminRole) {
+      errors.role = `Only owners can import ${ADMIN_ROLE} users`;
+    }
+    if (provider !== undefined && !PROVIDERS.includes(provider)) {
+      errors.provider = `Must be one of: ${PROVIDERS.join(', ')}`;
+    }
+
+    if (value.email) {
+      if (firstRowByEmail.has(value.email)) {
+        errors.email = `Duplicate of row ${firstRowByEmail.get(value.email)}`;
+      } else {
+        firstRowByEmail.set(value.email, entry.row);
+        if (existing.has(value.email)) errors.email = 'A user with this email already exists';
+      }
+    }
+
+    entry.email = value.email || null;
+    entry.errors = Object.keys(errors).length > 0 ? errors : null;
+  }
+
+  const invalid = rows.filter(r => r.errors).length;
+  return { total: rows.length, valid: rows.length - invalid, invalid, rows };
+}
+
+/**
+ * Insert the users from a fully valid preview
+ * @param {object} db - MongoDB database
+ * @param {object} preview - Result of previewUserImport with no invalid rows
+ * @returns {Promise<string[]>} Ids of the inserted users
+ */
+async function commitUserImport(db, preview) {
+  const now = new Date();
+  const docs = preview.rows.map(({ value }) => ({
+    ...value,
+    provider: value.provider || 'local',
+    role: value.role || 'USER',
+    emailVerified: value.emailVerified || false,
+    createdAt: now,
+    updatedAt: now,
+  }));
+  if (docs.length === 0) return [];
+
+  const result = await db.collection('users').insertMany(docs, { ordered: true });
+  return Object.values(result.insertedIds).map(id => id.toString());
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  previewUserImport,
+  commitUserImport,
+};
@@ -0,0 +1,105 @@
+/**
+ * Background jobs
+ *
+ * Long-running admin operations (e.g. cascading deletes of heavy users) can
+ * run after the request has returned. Each job is recorded in the
+ * `admin_jobs` collection with its status, progress and result so the UI can
+ * poll GET /api/jobs/:id. Work runs in this process; a job that was running
+ * when the API restarted stays "running" and has to be retried by hand.
+ */
+
+/**
+ * Format a job document for the API
+ * @param {object} job - admin_jobs document
+ * @returns {object}
+ */
+function formatJob(job) {
+  return {
+    id: job._id.toString(),
+    type: job.type,
+    status: job.status,
+    params: job.params,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Create a job runner backed by the admin_jobs collection
+ * @param {object} options
+ * @param {Function} options.getDb - Returns the connected MongoDB database
+ * @returns {{ start: Function, get: Function }}
+ */
+function createJobRunner({ getDb }) {
+  const collection = () => getDb().collection('admin_jobs');
+
+  async function update(id, fields) {
+    try {
+      await collection().updateOne({ _id: id }, { $set: { ...fields, updatedAt: new Date() } });
+    } catch (error) {
+      console.error(`❌ Error updating job ${id}:`, error);
+    }
+  }
+
+  /**
+   * Record a job and run it in the background
+   * @param {string} type - Job type, e.g. 'user-delete'
+   * @param {object} options
+   * @param {string} options.createdBy - Email of the admin who started it
+   * @param {object} [options.params] - Parameters shown with the job
+   * @param {Function} work - async (reportProgress) => result
+   * @returns {Promise<object>} The formatted job, status 'running'
+   */
+  async function start(type, { createdBy, params = {} }, work) {
+    const now = new Date();
+    const job = {
+      type,
+      status: 'running',
+      params,
+      progress: null,
+      result: null,
+      error: null,
+      createdBy,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+    const { insertedId } = await collection().insertOne(job);
+    job._id = insertedId;
+
+    setImmediate(async () => {
+      try {
+        const result = await work(progress => update(insertedId, { progress }));
+        await update(insertedId, { status: 'succeeded', result, finishedAt: new Date() });
+        console.log(`✅ Job ${type} ${insertedId} finished`);
+      } catch (error) {
+        console.error(`❌ Job ${type} ${insertedId} failed:`, error);
+        await update(insertedId, { status: 'failed', error: error.message, finishedAt: new Date() });
+      }
+    });
+
+    return formatJob(job);
+  }
+
+  /**
+   * Look up a job
+   * @param {ObjectId} id
+   * @returns {Promise<object|null>} The formatted job, or null if unknown
+   */
+  async function get(id) {
+    const job = await collection().findOne({ _id: id });
+    return job ? formatJob(job) : null;
+  }
+
+  return { start, get };
+}
+
+module.exports = {
+  createJobRunner,
+  formatJob,
+};
@@ -0,0 +1,415 @@
+/**
+ * Content moderation
+ *
+ * Moderation rules (`moderation_rules`) match message text against keyword
+ * lists or regular expressions, optionally only for some users or endpoints.
+ * A background scanner walks `messages` in (createdAt, _id) order from a
+ * checkpoint saved in `moderation_state`, so each message is scanned once
+ * however often the scanner runs. Only one scan runs at a time, whether
+ * scheduled or started by an admin. Hits are written to `moderation_flags`,
+ * one document per message (enforced by a unique index), where admins review
+ * them.
+ *
+ * Regex rules are written by admins, so a pattern that backtracks
+ * catastrophically must not stall the API: patterns with nested unbounded
+ * quantifiers are rejected on write, and every match runs with a time limit.
+ */
+const vm = require('vm');
+const { ObjectId } = require('mongodb');
+const { messageText } = require('./transcript');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const REVIEW_STATUSES = ['open', 'dismissed', 'escalated'];
+
+// Checkpoint document in moderation_state
+const SCANNER_STATE_ID = 'scanner';
+
+// Characters of context kept around the first match
+const EXCERPT_CONTEXT = 120;
+
+// Longest a single rule may spend on one message before it's skipped for the rest of the scan
+const MATCH_TIMEOUT_MS = 50;
+
+// Set while a scan runs, so the scheduler and manual scans never overlap
+let scanInProgress = false;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule into a matcher
+ * Keywords match whole words, case-insensitively; patterns use the rule's flags
+ * @param {object} rule - moderation_rules document
+ * @returns {RegExp|null} null when the rule has nothing to match
+ */
+function ruleRegex(rule) {
+  if (rule.type === 'regex') {
+    return rule.pattern ? new RegExp(rule.pattern, rule.caseSensitive ? 'g' : 'gi') : null;
+  }
+  const keywords = (rule.keywords || []).map(keyword => keyword.trim()).filter(Boolean);
+  if (keywords.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${keywords.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Whether a pattern repeats a group that itself contains an unbounded quantifier, e.g. (a+)+ or (\w*\s?)*
+ * Those can backtrack exponentially on text that almost matches.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  // One entry per open group: whether it contains *, + or {n,}
+  const groups = [];
+  let inClass = false;
+  // Whether the previous token was a group containing an unbounded quantifier
+  let afterUnboundedGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+      afterUnboundedGroup = false;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+      afterUnboundedGroup = false;
+    } else if (char === '(') {
+      groups.push(false);
+      afterUnboundedGroup = false;
+    } else if (char === ')') {
+      afterUnboundedGroup = groups.pop() || false;
+      if (afterUnboundedGroup && groups.length > 0) groups[groups.length - 1] = true;
+    } else if (char === '*' || char === '+' || (char === '{' && /^\{\d*,\}/.test(pattern.slice(i)))) {
+      if (afterUnboundedGroup) return true;
+      if (groups.length > 0) groups[groups.length - 1] = true;
+    } else if (char !== '?') {
+      afterUnboundedGroup = false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Error message for a rule that can't be compiled or could stall the scanner, for validation
+ * @param {object} rule
+ * @returns {string|null}
+ */
+function ruleError(rule) {
+  if (rule.type === 'regex' && rule.pattern && hasNestedQuantifier(rule.pattern)) {
+    return 'Repeats a group that already contains * or +, e.g. (a+)+, which can take exponential time; simplify the pattern';
+  }
+  try {
+    ruleRegex(rule);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Runs regex.exec in a separate context so a runaway pattern can be interrupted
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('regex.lastIndex = 0; regex.exec(text)');
+
+/**
+ * regex.exec with a time limit
+ * @returns {Array|null} The match, or null for no match
+ * @throws {Error} code ERR_SCRIPT_EXECUTION_TIMEOUT when the pattern took too long
+ */
+function execWithTimeout(regex, text, timeout = MATCH_TIMEOUT_MS) {
+  matchContext.regex = regex;
+  matchContext.text = text;
+  try {
+    return matchScript.runInContext(matchContext, { timeout });
+  } finally {
+    matchContext.regex = null;
+    matchContext.text = null;
+  }
+}
+
+function inScope(rule, message) {
+  const users = rule.users || [];
+  const endpoints = rule.endpoints || [];
+  if (users.length > 0 && !users.includes(String(message.user))) return false;
+  if (endpoints.length > 0 && !endpoints.includes(message.endpoint)) return false;
+  return true;
+}
+
+function excerpt(text, index, length) {
+  const start = Math.max(0, index - EXCERPT_CONTEXT);
+  const end = Math.min(text.length, index + length + EXCERPT_CONTEXT);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Match one message against compiled rules
+ * A rule that runs out of time is marked `timedOut` and skipped from then on.
+ * @param {object} message - messages document
+ * @param {Array<{ rule: object, regex: RegExp, timedOut?: boolean }>} compiled
+ * @returns {{ matches: object[], excerpt: string }|null} null when nothing matched
+ */
+function matchMessage(message, compiled) {
+  const text = messageText(message);
+  if (!text) return null;
+
+  const matches = [];
+  let first = null;
+  for (const entry of compiled) {
+    const { rule, regex } = entry;
+    if (entry.timedOut || !inScope(rule, message)) continue;
+    let found;
+    try {
+      found = execWithTimeout(regex, text);
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+      entry.timedOut = true;
+      console.error(`⚠️  Moderation rule ${rule.name} took over ${MATCH_TIMEOUT_MS}ms on message ${message.messageId}; skipping it for this scan`);
+      continue;
+    }
+    if (!found) continue;
+    matches.push({
+      ruleId: rule._id.toString(),
+      ruleName: rule.name,
+      severity: rule.severity,
+      match: found[0].slice(0, 200),
+    });
+    if (!first || found.index < first.index) first = { index: found.index, length: found[0].length };
+  }
+
+  return matches.length > 0 ? { matches, excerpt: excerpt(text, first.index, first.length) } : null;
+}
+
+function highestSeverity(matches) {
+  return matches.reduce(
+    (highest, match) => (SEVERITIES.indexOf(match.severity) > SEVERITIES.indexOf(highest) ? match.severity : highest),
+    SEVERITIES[0],
+  );
+}
+
+async function compileEnabledRules(db) {
+  const rules = await db.collection('moderation_rules').find({ enabled: { $ne: false } }).toArray();
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      const regex = ruleRegex(rule);
+      if (regex) compiled.push({ rule, regex });
+    } catch (error) {
+      // Rules are validated on write; skip any that were stored broken
+      console.error(`⚠️  Skipping moderation rule ${rule.name}:`, error.message);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Scanner checkpoint and progress
+ * @param {object} db - MongoDB database
+ * @returns {Promise<object>} { checkpoint: { createdAt, id } | null, scanned, flagged, lastRunAt }
+ */
+async function getScannerState(db) {
+  const state = await db.collection('moderation_state').findOne({ _id: SCANNER_STATE_ID });
+  return {
+    checkpoint: state && state.checkpoint ? state.checkpoint : null,
+    scanned: state ? state.scanned || 0 : 0,
+    flagged: state ? state.flagged || 0 : 0,
+    lastRunAt: state ? state.lastRunAt || null : null,
+  };
+}
+
+/**
+ * Move the checkpoint so the next scan starts at a date (e.g. after adding a rule)
+ * @param {object} db - MongoDB database
+ * @param {Date|null} since - null rescans every message
+ */
+async function resetScanner(db, since) {
+  await db.collection('moderation_state').updateOne(
+    { _id: SCANNER_STATE_ID },
+    { $set: { checkpoint: since ? { createdAt: since, id: null } : null } },
+    { upsert: true },
+  );
+}
+
+function afterCheckpoint(checkpoint) {
+  if (!checkpoint) return {};
+  if (!checkpoint.id) return { createdAt: { $gte: checkpoint.createdAt } };
+  return {
+    $or: [
+      { createdAt: { $gt: checkpoint.createdAt } },
+      { createdAt: checkpoint.createdAt, _id: { $gt: checkpoint.id } },
+    ],
+  };
+}
+
+/**
+ * Scan messages created since the checkpoint, unless a scan is already running
+ * @param {object} db - MongoDB database
+ * @param {object} [options]
+ * @param {Date|null} [options.since] - Move the checkpoint to this date first (null rescans everything)
+ * @param {number} [options.batchSize] - Messages read per query
+ * @param {number} [options.maxBatches] - Stop after this many batches; the next run continues
+ * @returns {Promise<{ scanned: number, flagged: number, done: boolean, checkpoint: object|null, timedOutRules: string[] }|null>}
+ *   null when another scan is running; done: false when maxBatches was reached before catching up
+ */
+async function scanMessages(db, { since, batchSize = 500, maxBatches = 20 } = {}) {
+  if (scanInProgress) return null;
+  scanInProgress = true;
+  try {
+    if (since !== undefined) await resetScanner(db, since);
+    return await scanBatches(db, { batchSize, maxBatches });
+  } finally {
+    scanInProgress = false;
+  }
+}
+
+/**
+ * Whether a scan is running right now
+ * @returns {boolean}
+ */
+function isScanRunning() {
+  return scanInProgress;
+}
+
+// Record a flag for a message unless it already has one; returns whether a flag was created
+async function insertFlag(db, message, hit) {
+  try {
+    const result = await db.collection('moderation_flags').updateOne(
+      { messageId: message.messageId },
+      {
+        $setOnInsert: {
+          messageId: message.messageId,
+          conversationId: message.conversationId,
+          user: message.user ? message.user.toString() : null,
+          sender: message.sender || null,
+          isCreatedByUser: Boolean(message.isCreatedByUser),
+          endpoint: message.endpoint || null,
+          model: message.model || null,
+          messageCreatedAt: message.createdAt,
+          excerpt: hit.excerpt,
+          matches: hit.matches,
+          severity: highestSeverity(hit.matches),
+          status: 'open',
+          review: null,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Lost an upsert race against the unique index: the message is already flagged
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+async function scanBatches(db, { batchSize, maxBatches }) {
+  const compiled = await compileEnabledRules(db);
+  let { checkpoint } = await getScannerState(db);
+  let scanned = 0;
+  let flagged = 0;
+  let done = false;
+
+  for (let batchCount = 0; batchCount < maxBatches; batchCount++) {
+    const batch = await db.collection('messages')
+      .find({ $and: [{ createdAt: { $type: 'date' } }, afterCheckpoint(checkpoint)] })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (batch.length === 0) {
+      done = true;
+      break;
+    }
+
+    let batchFlagged = 0;
+    for (const message of batch) {
+      const hit = compiled.length > 0 ? matchMessage(message, compiled) : null;
+      if (!hit) continue;
+      // One flag per message; a rescan doesn't reopen a reviewed flag
+      if (await insertFlag(db, message, hit)) batchFlagged++;
+    }
+
+    scanned += batch.length;
+    const last = batch[batch.length - 1];
+    checkpoint = { createdAt: last.createdAt, id: last._id };
+    await db.collection('moderation_state').updateOne(
+      { _id: SCANNER_STATE_ID },
+      { $set: { checkpoint, lastRunAt: new Date() }, $inc: { scanned: batch.length, flagged: batchFlagged } },
+      { upsert: true },
+    );
+    flagged += batchFlagged;
+  }
+
+  const timedOutRules = compiled.filter(entry => entry.timedOut).map(entry => entry.rule.name);
+  return { scanned, flagged, done, checkpoint, timedOutRules };
+}
+
+/**
+ * Run scanMessages periodically
+ * @param {object} options
+ * @param {Function} options.getDb - Returns the connected MongoDB database
+ * @param {number} options.intervalMs
+ * @returns {NodeJS.Timeout} The interval, so it can be cleared
+ */
+function startModerationScanner({ getDb, intervalMs }) {
+  const timer = setInterval(async () => {
+    try {
+      // Skipped while a long backlog or a manual scan is still running
+      const outcome = await scanMessages(getDb());
+      if (outcome && outcome.flagged > 0) {
+        console.log(`✅ Moderation scan flagged ${outcome.flagged} of ${outcome.scanned} message(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error scanning messages:', error);
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for the scanner
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Create the unique index that keeps moderation_flags to one flag per message
+ * @param {object} db - MongoDB database
+ */
+async function ensureFlagIndex(db) {
+  await db.collection('moderation_flags').createIndex(
+    { messageId: 1 },
+    { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } },
+  );
+}
+
+/**
+ * Record a review decision on a flag
+ * @param {object} db - MongoDB database
+ * @param {string} id - Flag id
+ * @param {object} decision
+ * @param {string} decision.status - One of REVIEW_STATUSES
+ * @param {string|null} [decision.note]
+ * @param {string} decision.reviewedBy - Email of the admin
+ * @returns {Promise<{ before: object, after: object }|null>} null if the flag doesn't exist
+ */
+async function reviewFlag(db, id, { status, note = null, reviewedBy }) {
+  const before = await db.collection('moderation_flags').findOne({ _id: new ObjectId(id) });
+  if (!before) return null;
+  const review = status === 'open' ? null : { status, note, reviewedBy, reviewedAt: new Date() };
+  const after = await db.collection('moderation_flags').findOneAndUpdate(
+    { _id: before._id },
+    { $set: { status, review } },
+    { returnDocument: 'after' },
+  );
+  return { before, after };
+}
+
+module.exports = {
+  SEVERITIES,
+  REVIEW_STATUSES,
+  ruleError,
+  matchMessage,
+  getScannerState,
+  resetScanner,
+  scanMessages,
+  isScanRunning,
+  ensureFlagIndex,
+  startModerationScanner,
+  reviewFlag,
+};
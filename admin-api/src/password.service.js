@@ -0,0 +1,128 @@
+/**
+ * Passwords for LibreChat's local (email/password) users
+ *
+ * LibreChat verifies logins with bcryptjs, so hashes are produced the same
+ * way. Reset links reuse LibreChat's own reset flow: a bcrypt-hashed token in
+ * the `tokens` collection and a /reset-password link on the LibreChat client.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+// LibreChat accepts reset tokens for 15 minutes
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const PASSWORD_POLICY = {
+  minLength: 12,
+  // LibreChat's login schema rejects anything longer
+  maxLength: 128,
+  // Of: lowercase, uppercase, digit, symbol
+  minCharacterClasses: 3,
+};
+
+// Credentials and second-factor secrets never leave the API
+const USER_SECRET_FIELDS = ['password', 'totpSecret', 'backupCodes', 'refreshToken'];
+
+/**
+ * Copy of a user document without credentials
+ * @param {object} user
+ * @returns {object}
+ */
+function withoutSecrets(user) {
+  const copy = { ...user };
+  USER_SECRET_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Check a password against PASSWORD_POLICY
+ * @param {string} password
+ * @param {object} [user] - { email, username } the password must not contain
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+function checkPasswordPolicy(password, { email, username } = {}) {
+  if (typeof password !== 'string') return 'Must be a string';
+  if (password.length < PASSWORD_POLICY.minLength) {
+    return `Must be at least ${PASSWORD_POLICY.minLength} characters`;
+  }
+  if (password.length > PASSWORD_POLICY.maxLength) {
+    return `Must be ${PASSWORD_POLICY.maxLength} characters or less`;
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(password)).length;
+  if (classes < PASSWORD_POLICY.minCharacterClasses) {
+    return 'Must mix at least three of: lowercase, uppercase, digits, symbols';
+  }
+
+  const lower = password.toLowerCase();
+  const identifiers = [username, email && email.split('@')[0]].filter(value => value && value.length >= 3);
+  if (identifiers.some(value => lower.includes(value.toLowerCase()))) {
+    return 'Must not contain the username or email';
+  }
+
+  return null;
+}
+
+/**
+ * Hash a password the way LibreChat does
+ * @param {string} password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Generate a random password that satisfies the policy
+ * @returns {string}
+ */
+function generateTemporaryPassword() {
+  // Without look-alike characters, since these get read out or typed by hand
+  const sets = ['abcdefghjkmnpqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789', '!@#$%&*?'];
+  const all = sets.join('');
+  const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < 16) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+/**
+ * Create a LibreChat password reset link for a user
+ * Replaces any reset tokens the user already had.
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @param {string} clientUrl - LibreChat client URL, e.g. https://chat.example.com
+ * @returns {Promise<{ url: string, expiresAt: Date }>}
+ */
+async function createResetLink(db, user, clientUrl) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MS);
+
+  await db.collection('tokens').deleteMany({ userId: user._id, type: { $exists: false } });
+  await db.collection('tokens').insertOne({
+    userId: user._id,
+    token: await bcrypt.hash(resetToken, SALT_ROUNDS),
+    createdAt: now,
+    expiresAt,
+  });
+
+  const url = `${clientUrl.replace(/\/+$/, '')}/reset-password?token=${resetToken}&userId=${user._id}`;
+  return { url, expiresAt };
+}
+
+module.exports = {
+  PASSWORD_POLICY,
+  USER_SECRET_FIELDS,
+  withoutSecrets,
+  checkPasswordPolicy,
+  hashPassword,
+  generateTemporaryPassword,
+  createResetLink,
+};
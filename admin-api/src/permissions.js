@@ -0,0 +1,199 @@
+/**
+ * LibreChat role permission catalog
+ *
+ * The single description of every permission type and action a role can
+ * carry. Role validation, the defaults for new roles and the role forms in
+ * the UI (via GET /api/permissions/catalog) are all derived from it, so a new
+ * LibreChat permission only needs an entry here.
+ *
+ * Entries:
+ *  - type:        key under role.permissions (LibreChat's PermissionTypes)
+ *  - label, description
+ *  - group:       tab the UI shows the type under
+ *  - actions:     { action, label, description, default } - default applies to new roles
+ */
+const PERMISSION_CATALOG = [
+  {
+    type: 'BOOKMARKS',
+    label: 'Bookmarks',
+    description: 'Tagging conversations with bookmarks',
+    group: 'Bookmarks & Prompts',
+    actions: [
+      { action: 'USE', label: 'Use Bookmarks', description: 'Create and apply conversation bookmarks', default: false },
+    ],
+  },
+  {
+    type: 'PROMPTS',
+    label: 'Prompts',
+    description: 'The prompt library',
+    group: 'Bookmarks & Prompts',
+    actions: [
+      { action: 'USE', label: 'Use Prompts', description: 'Use prompts from the library', default: false },
+      { action: 'CREATE', label: 'Create Prompts', description: 'Add prompts to the library', default: false },
+      {
+        action: 'SHARED_GLOBAL',
+        label: 'Share Prompts Globally',
+        description: 'Share prompts with every user',
+        default: false,
+      },
+    ],
+  },
+  {
+    type: 'MEMORIES',
+    label: 'Memories',
+    description: 'Facts LibreChat remembers about the user across conversations',
+    group: 'Memories',
+    actions: [
+      { action: 'USE', label: 'Use Memories', description: 'Let conversations read and write memories', default: false },
+      { action: 'CREATE', label: 'Create Memories', description: 'Add memories by hand', default: false },
+      { action: 'UPDATE', label: 'Update Memories', description: 'Edit existing memories', default: false },
+      { action: 'READ', label: 'Read Memories', description: 'View stored memories', default: false },
+      { action: 'OPT_OUT', label: 'Opt Out of Memories', description: 'Turn memories off for themselves', default: false },
+    ],
+  },
+  {
+    type: 'AGENTS',
+    label: 'Agents',
+    description: 'Custom agents with tools and instructions',
+    group: 'Agents & Marketplace',
+    actions: [
+      { action: 'USE', label: 'Use Agents', description: 'Chat with agents', default: false },
+      { action: 'CREATE', label: 'Create Agents', description: 'Build new agents', default: false },
+      {
+        action: 'SHARED_GLOBAL',
+        label: 'Share Agents Globally',
+        description: 'Share agents with every user',
+        default: false,
+      },
+    ],
+  },
+  {
+    type: 'MARKETPLACE',
+    label: 'Marketplace',
+    description: 'The agent marketplace',
+    group: 'Agents & Marketplace',
+    actions: [
+      { action: 'USE', label: 'Use Marketplace', description: 'Browse and use marketplace agents', default: false },
+    ],
+  },
+  {
+    type: 'MULTI_CONVO',
+    label: 'Multi Conversation',
+    description: 'Comparing responses from two models side by side',
+    group: 'Chat Features',
+    actions: [
+      { action: 'USE', label: 'Use Multi Conversation', description: 'Start side-by-side conversations', default: false },
+    ],
+  },
+  {
+    type: 'TEMPORARY_CHAT',
+    label: 'Temporary Chat',
+    description: 'Conversations that are not saved to history',
+    group: 'Chat Features',
+    actions: [
+      { action: 'USE', label: 'Use Temporary Chat', description: 'Start temporary chats', default: false },
+    ],
+  },
+  {
+    type: 'RUN_CODE',
+    label: 'Code Interpreter',
+    description: 'Running code from conversations',
+    group: 'Chat Features',
+    actions: [
+      { action: 'USE', label: 'Run Code', description: 'Execute code with the code interpreter', default: false },
+    ],
+  },
+  {
+    type: 'WEB_SEARCH',
+    label: 'Web Search',
+    description: 'Searching the web from conversations',
+    group: 'Chat Features',
+    actions: [
+      { action: 'USE', label: 'Use Web Search', description: 'Let conversations search the web', default: false },
+    ],
+  },
+  {
+    type: 'FILE_SEARCH',
+    label: 'File Search',
+    description: 'Retrieval over uploaded files',
+    group: 'Files & People',
+    actions: [
+      { action: 'USE', label: 'Use File Search', description: 'Search the contents of uploaded files', default: false },
+    ],
+  },
+  {
+    type: 'FILE_CITATIONS',
+    label: 'File Citations',
+    description: 'Citing uploaded files in responses',
+    group: 'Files & People',
+    actions: [
+      { action: 'USE', label: 'Use File Citations', description: 'Show citations to file sources', default: false },
+    ],
+  },
+  {
+    type: 'PEOPLE_PICKER',
+    label: 'People Picker',
+    description: 'Looking up principals when sharing',
+    group: 'Files & People',
+    actions: [
+      { action: 'VIEW_USERS', label: 'View Users', description: 'Search users when sharing', default: false },
+      { action: 'VIEW_GROUPS', label: 'View Groups', description: 'Search groups when sharing', default: false },
+      { action: 'VIEW_ROLES', label: 'View Roles', description: 'Search roles when sharing', default: false },
+    ],
+  },
+];
+
+// type => [action], for validation
+const KNOWN_PERMISSIONS = Object.fromEntries(
+  PERMISSION_CATALOG.map(entry => [entry.type, entry.actions.map(a => a.action)])
+);
+
+/**
+ * Permission tree for a new role
+ * @param {object} [overrides] - type => { action: boolean }, applied over the defaults
+ * @returns {object} type => { action: boolean }
+ */
+function defaultPermissions(overrides = {}) {
+  return Object.fromEntries(PERMISSION_CATALOG.map(entry => [
+    entry.type,
+    {
+      ...Object.fromEntries(entry.actions.map(a => [a.action, a.default])),
+      ...overrides[entry.type],
+    },
+  ]));
+}
+
+/**
+ * Whether a permission tree grants an action
+ * LibreChat only allows actions set to true; missing types and actions are denied
+ * @param {object|undefined} permissions - A role's permissions
+ * @param {string} type
+ * @param {string} action
+ * @returns {boolean}
+ */
+function isGranted(permissions, type, action) {
+  return Boolean(permissions && permissions[type] && permissions[type][action] === true);
+}
+
+/**
+ * Every catalog action as one flat row, for matrices and explanations
+ * @returns {Array<{ type, typeLabel, group, action, label, description }>}
+ */
+function catalogActions() {
+  return PERMISSION_CATALOG.flatMap(entry => entry.actions.map(a => ({
+    type: entry.type,
+    typeLabel: entry.label,
+    group: entry.group,
+    action: a.action,
+    label: a.label,
+    description: a.description,
+  })));
+}
+
+module.exports = {
+  PERMISSION_CATALOG,
+  KNOWN_PERMISSIONS,
+  defaultPermissions,
+  isGranted,
+  catalogActions,
+};
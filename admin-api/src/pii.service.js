@@ -0,0 +1,400 @@
+/**
+ * PII detection and redaction
+ *
+ * Detectors find personal data in message text and in the text LibreChat
+ * extracts from uploaded files (`files.text`). A detector is a pattern plus an
+ * optional check (e.g. the Luhn checksum for card numbers), so adding one only
+ * needs an entry in PII_DETECTORS. Where matches overlap, the earlier detector
+ * in the list wins, which keeps card numbers from also counting as phones.
+ *
+ * Redaction replaces matches in place. The originals are not kept; instead
+ * each redacted value is stored in `pii_redactions` as a salted HMAC-SHA256
+ * keyed with a server-side secret, so a suspected original can later be
+ * checked against what was removed. A plain hash wouldn't do: SSNs, phone and
+ * card numbers have few enough possible values to brute-force from the hash,
+ * whereas without the secret, which never reaches the database, that's not
+ * possible.
+ */
+const crypto = require('crypto');
+
+function digitsOf(value) {
+  return value.replace(/\D/g, '');
+}
+
+// Card numbers: the Luhn checksum rules out most random digit runs
+function luhnValid(value) {
+  const digits = digitsOf(value);
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// IBANs: ISO 13616 mod-97 check
+function ibanValid(value) {
+  const iban = value.replace(/\s/g, '').toUpperCase();
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// US SSNs never use area 000, 666 or 9xx, group 00 or serial 0000
+function ssnValid(value) {
+  const [area, group, serial] = value.split('-');
+  return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+}
+
+function maskTail(value) {
+  const digits = value.replace(/[\s-]/g, '');
+  return `${'•'.repeat(Math.max(digits.length - 4, 2))}${digits.slice(-4)}`;
+}
+
+/**
+ * Detectors, in precedence order
+ *  - id, label
+ *  - pattern:     global RegExp
+ *  - validate:    (match) => boolean, to reject false positives
+ *  - placeholder: replaces the match when redacting
+ *  - mask:        (match) => display form for reports, so reports don't repeat the PII
+ */
+const PII_DETECTORS = [
+  {
+    id: 'email',
+    label: 'Email address',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    placeholder: '[REDACTED EMAIL]',
+    mask: value => `${value[0]}•••@${value.split('@')[1]}`,
+  },
+  {
+    id: 'credit_card',
+    label: 'Card number',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: luhnValid,
+    placeholder: '[REDACTED CARD]',
+    mask: maskTail,
+  },
+  {
+    id: 'iban',
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: ibanValid,
+    placeholder: '[REDACTED IBAN]',
+    mask: maskTail,
+  },
+  {
+    id: 'us_ssn',
+    label: 'US Social Security number',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+    validate: ssnValid,
+    placeholder: '[REDACTED SSN]',
+    mask: maskTail,
+  },
+  {
+    id: 'uk_nino',
+    label: 'UK National Insurance number',
+    pattern: /\b(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+    placeholder: '[REDACTED NINO]',
+    mask: maskTail,
+  },
+  {
+    id: 'phone',
+    label: 'Phone number',
+    pattern: /(?<![\w+])\+?\(?\d[\d\s().-]{6,}\d(?!\w)/g,
+    // Enough digits for a phone number, and not a date or a plain number
+    validate: value => {
+      const digits = digitsOf(value);
+      return digits.length >= 9 && digits.length <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+    },
+    placeholder: '[REDACTED PHONE]',
+    mask: maskTail,
+  },
+];
+
+/**
+ * Detectors selected by id
+ * @param {string[]} [ids] - Defaults to every detector
+ * @returns {object[]}
+ */
+function selectDetectors(ids) {
+  if (!ids || ids.length === 0) return PII_DETECTORS;
+  return PII_DETECTORS.filter(detector => ids.includes(detector.id));
+}
+
+/**
+ * Find PII in a text
+ * @param {string} text
+ * @param {object[]} detectors - From selectDetectors
+ * @returns {Array<{ detector: object, start: number, end: number, value: string }>} Sorted by start, non-overlapping
+ */
+function detectPii(text, detectors) {
+  if (!text) return [];
+  const found = [];
+  for (const detector of detectors) {
+    detector.pattern.lastIndex = 0;
+    for (const match of text.matchAll(detector.pattern)) {
+      const value = match[0];
+      const start = match.index;
+      const end = start + value.length;
+      if (detector.validate && !detector.validate(value)) continue;
+      if (found.some(other => start < other.end && end > other.start)) continue;
+      found.push({ detector, start, end, value });
+    }
+  }
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The text fields of a document that can hold PII
+ * Agent messages keep their text in `content` parts rather than `text`
+ * @param {object} doc - messages or files document
+ * @returns {Array<{ path: string, text: string }>} Dotted paths usable in $set
+ */
+function textFields(doc) {
+  const fields = [];
+  if (typeof doc.text === 'string' && doc.text) fields.push({ path: 'text', text: doc.text });
+  if (Array.isArray(doc.content)) {
+    doc.content.forEach((part, index) => {
+      if (!part || part.type !== 'text') return;
+      if (typeof part.text === 'string') fields.push({ path: `content.${index}.text`, text: part.text });
+      else if (part.text && typeof part.text.value === 'string') {
+        fields.push({ path: `content.${index}.text.value`, text: part.text.value });
+      }
+    });
+  }
+  return fields;
+}
+
+function keyedHash(secret, salt, value) {
+  return crypto.createHmac('sha256', secret).update(`${salt}${value}`).digest();
+}
+
+/**
+ * Proof of a redacted value: check a candidate with verifyHash
+ * @param {string} value
+ * @param {string} secret - PII_HASH_SECRET
+ * @returns {{ salt: string, hash: string }}
+ */
+function hashValue(value, secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt, hash: keyedHash(secret, salt, value).toString('hex') };
+}
+
+/**
+ * Whether a candidate is the value behind a stored hash
+ * @param {string} candidate
+ * @param {{ salt: string, hash: string }} proof
+ * @param {string} secret - The PII_HASH_SECRET the proof was made with
+ * @returns {boolean}
+ */
+function verifyHash(candidate, { salt, hash }, secret) {
+  if (!salt || !hash) return false;
+  const actual = keyedHash(secret, salt, candidate);
+  const expected = Buffer.from(hash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Replace PII in a text
+ * @param {string} text
+ * @param {object[]} findings - From detectPii on the same text
+ * @param {string} secret - PII_HASH_SECRET
+ * @returns {{ text: string, redactions: object[] }} redactions: { detector, start, length, salt, hash },
+ *   with start and length in the original text
+ */
+function redactText(text, findings, secret) {
+  let result = '';
+  let position = 0;
+  const redactions = [];
+  for (const finding of findings) {
+    result += text.slice(position, finding.start) + finding.detector.placeholder;
+    position = finding.end;
+    redactions.push({
+      detector: finding.detector.id,
+      start: finding.start,
+      length: finding.end - finding.start,
+      ...hashValue(finding.value, secret),
+    });
+  }
+  return { text: result + text.slice(position), redactions };
+}
+
+// Documents a scan or redaction covers; both sources are narrowed the same way
+const SOURCES = {
+  messages: {
+    collection: 'messages',
+    projection: { messageId: 1, conversationId: 1, user: 1, text: 1, content: 1, createdAt: 1 },
+    idOf: doc => doc.messageId || doc._id.toString(),
+  },
+  files: {
+    collection: 'files',
+    projection: { file_id: 1, filename: 1, conversationId: 1, user: 1, text: 1, createdAt: 1 },
+    idOf: doc => doc.file_id || doc._id.toString(),
+  },
+};
+
+// Most documents one scan reads; narrow the scope for more
+const MAX_SCAN_DOCUMENTS = 20000;
+
+// Findings listed individually in a report; the rest are only counted
+const MAX_REPORT_FINDINGS = 200;
+
+function countInto(target, key, detectorId) {
+  if (!target[key]) target[key] = { total: 0, counts: {} };
+  target[key].total++;
+  target[key].counts[detectorId] = (target[key].counts[detectorId] || 0) + 1;
+}
+
+/**
+ * Scan messages (and optionally files) for PII
+ * @param {object} db - MongoDB database
+ * @param {object} scope
+ * @param {object} scope.filters - source => MongoDB filter
+ * @param {string[]} scope.sources - 'messages' and/or 'files'
+ * @param {string[]} [scope.detectors] - Detector ids; defaults to all
+ * @returns {Promise<object>} { scanned, truncated, totals, byUser, byConversation, findings }
+ */
+async function scanForPii(db, { filters, sources, detectors: detectorIds }) {
+  const detectors = selectDetectors(detectorIds);
+  const totals = {};
+  const byUser = {};
+  const byConversation = {};
+  const findings = [];
+  let scanned = 0;
+  let truncated = false;
+
+  for (const sourceName of sources) {
+    const source = SOURCES[sourceName];
+    const cursor = db.collection(source.collection)
+      .find({ ...filters[sourceName], $or: [{ text: { $type: 'string' } }, { content: { $type: 'array' } }] })
+      .project(source.projection)
+      .sort({ createdAt: -1 })
+      .limit(MAX_SCAN_DOCUMENTS - scanned + 1);
+
+    for await (const doc of cursor) {
+      if (scanned >= MAX_SCAN_DOCUMENTS) {
+        truncated = true;
+        break;
+      }
+      scanned++;
+      const user = doc.user ? doc.user.toString() : 'unknown';
+      for (const field of textFields(doc)) {
+        for (const finding of detectPii(field.text, detectors)) {
+          const detectorId = finding.detector.id;
+          totals[detectorId] = (totals[detectorId] || 0) + 1;
+          countInto(byUser, user, detectorId);
+          if (doc.conversationId) countInto(byConversation, doc.conversationId, detectorId);
+          if (findings.length < MAX_REPORT_FINDINGS) {
+            findings.push({
+              source: sourceName,
+              id: source.idOf(doc),
+              conversationId: doc.conversationId || null,
+              user,
+              field: field.path,
+              detector: detectorId,
+              masked: finding.detector.mask(finding.value),
+              createdAt: doc.createdAt,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const ranked = (groups, key) => Object.entries(groups)
+    .map(([id, group]) => ({ [key]: id, ...group }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    scanned,
+    truncated,
+    totals,
+    byUser: ranked(byUser, 'user'),
+    byConversation: ranked(byConversation, 'conversationId'),
+    findings,
+  };
+}
+
+/**
+ * Redact PII in place and record a proof for each changed document
+ * @param {object} db - MongoDB database
+ * @param {object} scope - As for scanForPii
+ * @param {object} options
+ * @param {string} options.redactedBy - Email of the admin
+ * @param {string} options.secret - PII_HASH_SECRET, keying the stored hashes
+ * @returns {Promise<{ documents: number, redactions: number, counts: object, records: string[] }>}
+ *   records: ids of the pii_redactions documents written
+ */
+async function redactPii(db, { filters, sources, detectors: detectorIds }, { redactedBy, secret }) {
+  const detectors = selectDetectors(detectorIds);
+  const counts = {};
+  const records = [];
+  let documents = 0;
+  let redactions = 0;
+
+  for (const sourceName of sources) {
+    const source = SOURCES[sourceName];
+    const cursor = db.collection(source.collection)
+      .find({ ...filters[sourceName], $or: [{ text: { $type: 'string' } }, { content: { $type: 'array' } }] })
+      .project(source.projection);
+
+    for await (const doc of cursor) {
+      const $set = {};
+      // Only rewrite text that hasn't changed since it was read
+      const unchanged = {};
+      const fields = [];
+      for (const field of textFields(doc)) {
+        const found = detectPii(field.text, detectors);
+        if (found.length === 0) continue;
+        const redacted = redactText(field.text, found, secret);
+        $set[field.path] = redacted.text;
+        unchanged[field.path] = field.text;
+        fields.push({ path: field.path, redactions: redacted.redactions });
+      }
+      if (fields.length === 0) continue;
+
+      const result = await db.collection(source.collection).updateOne({ _id: doc._id, ...unchanged }, { $set });
+      if (result.modifiedCount === 0) continue;
+
+      const { insertedId } = await db.collection('pii_redactions').insertOne({
+        source: sourceName,
+        documentId: source.idOf(doc),
+        conversationId: doc.conversationId || null,
+        user: doc.user ? doc.user.toString() : null,
+        fields,
+        redactedBy,
+        redactedAt: new Date(),
+      });
+      records.push(insertedId.toString());
+      documents++;
+      for (const redaction of fields.flatMap(field => field.redactions)) {
+        counts[redaction.detector] = (counts[redaction.detector] || 0) + 1;
+        redactions++;
+      }
+    }
+  }
+
+  return { documents, redactions, counts, records };
+}
+
+module.exports = {
+  PII_DETECTORS,
+  MAX_SCAN_DOCUMENTS,
+  detectPii,
+  redactText,
+  verifyHash,
+  scanForPii,
+  redactPii,
+};
@@ -0,0 +1,222 @@
+/**
+ * Admin tiers and per-route access policy
+ *
+ * Tiers are ordered: each tier can do everything the tiers before it can.
+ *  - viewer:   read-only access (helpdesk)
+ *  - operator: can create, edit and delete LibreChat data
+ *  - owner:    can also manage admin tiers, run kubectl and restart deployments
+ */
+
+const TIERS = ['viewer', 'operator', 'owner'];
+
+/**
+ * Minimum tier per "METHOD /path", keyed by the Express route pattern that
+ * handles the request, with :params as registered and a method of '*'
+ * matching any verb. Every /api route must be listed: the server refuses to
+ * start otherwise (see findUnlistedRoutes), so a new read-only route can't
+ * silently fall back to the viewer tier. Paths that match no route fall back
+ * to DEFAULT_TIERS, which fails closed for anything that writes.
+ */
+const ROUTE_POLICY = {
+  // Admin tier management
+  '* /api/admin-tiers': 'owner',
+  '* /api/admin-tiers/:id': 'owner',
+
+  // Users (writes that grant or remove LibreChat's ADMIN role also need owner;
+  // the routes check that, since it depends on the body and the user)
+  'GET /api/users': 'viewer',
+  'GET /api/users/:id': 'viewer',
+  'GET /api/users/:id/summary': 'viewer',
+  'GET /api/users/:id/effective-permissions': 'viewer',
+  'GET /api/users/:id/impact': 'viewer',
+  'POST /api/users': 'operator',
+  'POST /api/users/import': 'operator',
+  'POST /api/users/assign-role': 'operator',
+  'PUT /api/users/:id': 'operator',
+  'DELETE /api/users/:id': 'operator',
+  'GET /api/users/export': 'operator',
+  'GET /api/users/:id/export': 'operator',
+  'POST /api/users/:id/temporary-password': 'operator',
+  'POST /api/users/:id/reset-link': 'operator',
+  'POST /api/users/:id/suspend': 'operator',
+  'POST /api/users/:id/unsuspend': 'operator',
+
+  // Roles
+  'GET /api/roles': 'viewer',
+  'GET /api/roles/matrix': 'viewer',
+  'GET /api/roles/:id': 'viewer',
+  'GET /api/permissions/catalog': 'viewer',
+  'POST /api/roles': 'operator',
+  'POST /api/roles/:id/clone': 'operator',
+  'PUT /api/roles/:id': 'operator',
+  'DELETE /api/roles/:id': 'operator',
+
+  // Agents
+  'GET /api/agents': 'viewer',
+  'GET /api/agents/:id': 'viewer',
+  'GET /api/agents/:id/versions': 'viewer',
+  'GET /api/agents/:id/versions/diff': 'viewer',
+  'GET /api/agents/:id/export': 'viewer',
+  'POST /api/agents': 'operator',
+  'PUT /api/agents/:id': 'operator',
+  'POST /api/agents/:id/rollback': 'operator',
+  'POST /api/agents/import': 'operator',
+  'POST /api/agents/:id/clone': 'operator',
+  'PUT /api/agents/:id/template': 'operator',
+  'DELETE /api/agents/:id': 'operator',
+
+  // LibreChat data
+  'GET /api/stats': 'viewer',
+  'GET /api/cost-stats': 'viewer',
+  'GET /api/convos': 'viewer',
+  'GET /api/convos/:id': 'viewer',
+  'GET /api/convos/:id/transcript': 'viewer',
+  'GET /api/convos/:id/impact': 'viewer',
+  'GET /api/convos/export': 'operator',
+  'GET /api/convos/:id/export': 'operator',
+  'DELETE /api/convos/:id': 'operator',
+  'GET /api/messages': 'viewer',
+  'GET /api/messages/:id': 'viewer',
+  'GET /api/messages/orphans': 'viewer',
+  'DELETE /api/messages/orphans': 'operator',
+  'DELETE /api/messages/:id': 'operator',
+  'GET /api/files': 'viewer',
+  'GET /api/files/:id': 'viewer',
+  'DELETE /api/files/:id': 'operator',
+  'GET /api/sessions': 'viewer',
+  'GET /api/sessions/:id': 'viewer',
+  'DELETE /api/sessions/:id': 'operator',
+  'GET /api/tokens': 'viewer',
+  'GET /api/tokens/:id': 'viewer',
+  'DELETE /api/tokens/:id': 'operator',
+  'GET /api/transactions': 'viewer',
+  'GET /api/transactions/:id': 'viewer',
+  'DELETE /api/transactions/:id': 'operator',
+  'GET /api/projects': 'viewer',
+  'GET /api/projects/:id': 'viewer',
+  'DELETE /api/projects/:id': 'operator',
+
+  // Moderation
+  'GET /api/moderation-rules': 'viewer',
+  'GET /api/moderation-rules/:id': 'viewer',
+  'POST /api/moderation-rules': 'operator',
+  'PUT /api/moderation-rules/:id': 'operator',
+  'DELETE /api/moderation-rules/:id': 'operator',
+  'GET /api/moderation/scanner': 'viewer',
+  'POST /api/moderation/scanner/scan': 'operator',
+  'GET /api/moderation-flags': 'viewer',
+  'GET /api/moderation-flags/:id': 'viewer',
+  'POST /api/moderation-flags/review': 'operator',
+  'POST /api/moderation-flags/:id/review': 'operator',
+
+  // PII (redaction rewrites message and file text; its records say where PII was)
+  'GET /api/pii/detectors': 'viewer',
+  'POST /api/pii/scan': 'operator',
+  'POST /api/pii/redact': 'owner',
+  'GET /api/pii-redactions': 'owner',
+  'GET /api/pii-redactions/:id': 'owner',
+  'POST /api/pii-redactions/:id/verify': 'owner',
+
+  // Retention (purges remove data in bulk)
+  'GET /api/retention-policies': 'viewer',
+  'GET /api/retention-policies/:id': 'viewer',
+  'POST /api/retention-policies': 'owner',
+  'PUT /api/retention-policies/:id': 'owner',
+  'DELETE /api/retention-policies/:id': 'owner',
+  'GET /api/retention-runs': 'viewer',
+  'GET /api/retention-runs/:id': 'viewer',
+  'POST /api/retention-runs/dry-run': 'operator',
+  'POST /api/retention-runs': 'owner',
+
+  // Background jobs
+  'GET /api/jobs/:id': 'viewer',
+
+  // Audit trail
+  'GET /api/audit-logs': 'viewer',
+  'GET /api/audit-logs/:id': 'viewer',
+  'DELETE /api/audit-logs/:id': 'owner',
+
+  // Cluster
+  'GET /api/system-status': 'viewer',
+  'GET /api/pods': 'viewer',
+  'GET /api/pods/:id': 'viewer',
+  'GET /api/pods/:namespace/:podName/logs': 'operator',
+  'GET /api/deployments': 'viewer',
+  'GET /api/deployments/:id': 'viewer',
+  'POST /api/deployments/:id/restart': 'owner',
+  'GET /api/kubectl/commands': 'viewer',
+  'POST /api/kubectl/execute': 'owner',
+};
+
+const DEFAULT_TIERS = {
+  GET: 'viewer',
+  HEAD: 'viewer',
+};
+const DEFAULT_WRITE_TIER = 'owner';
+
+/**
+ * Compare two tiers
+ * @param {string} actual - Caller's tier
+ * @param {string} required - Minimum tier
+ * @returns {boolean} True if actual is at least required
+ */
+function hasTier(actual, required) {
+  const actualRank = TIERS.indexOf(actual);
+  return actualRank !== -1 && actualRank >= TIERS.indexOf(required);
+}
+
+// HEAD requests run the GET handler, so they need the same tier
+function policyMethod(method) {
+  const verb = method.toUpperCase();
+  return verb === 'HEAD' ? 'GET' : verb;
+}
+
+// Express matches routes case-insensitively, so the patterns must too
+function compilePolicy(policy) {
+  return Object.entries(policy).map(([route, tier]) => {
+    const [method, path] = route.split(' ');
+    const pattern = path.split('/').map(segment => (
+      segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    )).join('/');
+    return { method, regex: new RegExp(`^${pattern}/?$`, 'i'), tier };
+  });
+}
+
+/**
+ * Build a lookup for the minimum tier of a request
+ * @param {object} policy - Route policy table
+ * @returns {Function} (method, path) => tier, where path is the matched route pattern or, failing that, the request path
+ */
+function createPolicy(policy = ROUTE_POLICY) {
+  const rules = compilePolicy(policy);
+
+  return function requiredTier(method, path) {
+    const verb = policyMethod(method);
+    const listed = policy[`${verb} ${path}`] || policy[`* ${path}`];
+    if (listed) return listed;
+    const rule = rules.find(r => (r.method === '*' || r.method === verb) && r.regex.test(path));
+    if (rule) return rule.tier;
+    return DEFAULT_TIERS[verb] || DEFAULT_WRITE_TIER;
+  };
+}
+
+/**
+ * Find registered routes that have no ROUTE_POLICY entry
+ * @param {{ method: string, path: string }[]} routes - Registered routes, e.g. from registeredRoutes(app)
+ * @param {object} policy - Route policy table
+ * @returns {string[]} "METHOD /path" for each unlisted route
+ */
+function findUnlistedRoutes(routes, policy = ROUTE_POLICY) {
+  return routes
+    .map(({ method, path }) => ({ verb: policyMethod(method), path }))
+    .filter(({ verb, path }) => !policy[`${verb} ${path}`] && !policy[`* ${path}`])
+    .map(({ verb, path }) => `${verb} ${path}`);
+}
+
+module.exports = {
+  TIERS,
+  ROUTE_POLICY,
+  hasTier,
+  createPolicy,
+  findUnlistedRoutes,
+};
@@ -0,0 +1,278 @@
+/**
+ * List query helpers
+ *
+ * Turns React-Admin's `params.filter` query parameters into a MongoDB filter
+ * using a per-resource declaration of which fields can be filtered and how,
+ * and pages results either by page number (skip) or by an opaque keyset
+ * cursor for large collections.
+ */
+const { ObjectId } = require('mongodb');
+
+// Query parameters that control paging and sorting, never filters
+const RESERVED_PARAMS = ['page', 'limit', 'order', 'sort', 'cursor', 'q'];
+
+/**
+ * Escape a user-provided string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// qs parses `?field[$ne]=x` into an object; only plain strings may reach a filter
+function stringValues(value) {
+  return toArray(value).filter(v => typeof v === 'string');
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * LibreChat stores user references as ObjectIds in some collections and strings in others
+ * @param {string|string[]} value - User id(s)
+ * @returns {Array<string|ObjectId>} Values to match with $in
+ */
+function userRefValues(value) {
+  return toArray(value).flatMap(v => (
+    /^[a-f0-9]{24}$/i.test(v) ? [v, new ObjectId(v)] : [v]
+  ));
+}
+
+/**
+ * Filter types (values that aren't strings, e.g. `?role[$ne]=x`, are ignored):
+ *  - exact:     equality (repeated params match any of the values)
+ *  - contains:  case-insensitive substring
+ *  - prefix:    case-insensitive prefix (e.g. MIME type "image/")
+ *  - boolean:   'true' / 'false'
+ *  - number:    numeric equality
+ *  - userRef:   user id stored as string or ObjectId
+ *  - dateRange: <param>_gte / <param>_lte bounds
+ */
+const FILTER_TYPES = {
+  exact: (value) => {
+    const values = stringValues(value);
+    if (values.length === 0) return undefined;
+    return Array.isArray(value) ? { $in: values } : values[0];
+  },
+  contains: (value) => ({ $regex: escapeRegex(String(value)), $options: 'i' }),
+  prefix: (value) => ({ $regex: `^${escapeRegex(String(value))}`, $options: 'i' }),
+  boolean: (value) => (value === true || value === 'true' ? true : { $ne: true }),
+  number: (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+  },
+  userRef: (value) => {
+    const values = stringValues(value);
+    return values.length > 0 ? { $in: userRefValues(values) } : undefined;
+  },
+};
+
+/**
+ * Build a MongoDB filter from list query parameters
+ * @param {object} query - req.query
+ * @param {object} spec - Resource declaration
+ * @param {object} spec.filters - param name => { type, field? } (field defaults to the param name)
+ * @param {string[]} spec.search - Fields matched by the free-text `q` parameter
+ * @returns {object} MongoDB filter
+ */
+function buildFilter(query, { filters = {}, search = [] } = {}) {
+  const clauses = [];
+
+  for (const [param, { type, field = param }] of Object.entries(filters)) {
+    if (type === 'dateRange') {
+      const range = {};
+      const from = query[`${param}_gte`] !== undefined ? parseDate(query[`${param}_gte`]) : null;
+      const to = query[`${param}_lte`] !== undefined ? parseDate(query[`${param}_lte`]) : null;
+      if (from) range.$gte = from;
+      if (to) range.$lte = to;
+      if (Object.keys(range).length > 0) clauses.push({ [field]: range });
+      continue;
+    }
+
+    const value = query[param];
+    if (value === undefined || value === '' || RESERVED_PARAMS.includes(param)) continue;
+
+    const condition = FILTER_TYPES[type](value);
+    if (condition !== undefined) clauses.push({ [field]: condition });
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q && search.length > 0) {
+    const pattern = { $regex: escapeRegex(q), $options: 'i' };
+    clauses.push({ $or: search.map(field => ({ [field]: pattern })) });
+  }
+
+  if (clauses.length === 0) return {};
+  if (clauses.length === 1) return clauses[0];
+  return { $and: clauses };
+}
+
+function cursorJson(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+}
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {object} doc - Last document of the page
+ * @param {string} field - Sort field
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(doc, field) {
+  const value = field === '_id' ? null : doc[field];
+  const payload = {
+    v: cursorJson(value),
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {{ value: *, id: ObjectId }|null} Position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) return null;
+    const value = cursorValue(v);
+    if (value === undefined) return null;
+    return { value, id: new ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cursors come back from the client, so only the value shapes encodeCursor writes are accepted;
+// anything else (e.g. { "$ne": null }) would be spliced into the filter as an operator
+function cursorValue(v) {
+  if (v === null || typeof v === 'string' || typeof v === 'boolean') return v;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+  if (!v || typeof v !== 'object' || Array.isArray(v) || Object.keys(v).length !== 1) return undefined;
+  if (typeof v.$date === 'string') return parseDate(v.$date) || undefined;
+  if (typeof v.$oid === 'string' && /^[a-f0-9]{24}$/i.test(v.$oid)) return new ObjectId(v.$oid);
+  return undefined;
+}
+
+// Documents strictly after a cursor position, using _id as the tie-breaker.
+// Missing/null values sort lowest, so they come last when descending and first when ascending.
+function afterCursor(field, direction, { value, id }) {
+  const op = direction === -1 ? '$lt' : '$gt';
+  if (field === '_id') return { _id: { [op]: id } };
+
+  if (value === null) {
+    return direction === -1
+      ? { [field]: null, _id: { $lt: id } }
+      : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+  }
+
+  const clauses = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } },
+  ];
+  if (direction === -1) clauses.push({ [field]: null });
+  return { $or: clauses };
+}
+
+/**
+ * Parse paging, sorting and filtering parameters for a list endpoint
+ * @param {object} query - req.query
+ * @param {object} spec - Resource declaration ({ filters, search, sortable, defaultSort, defaultOrder, defaultLimit })
+ * @returns {{ error: string }|{ baseFilter, filter, sort, limit, skip, cursor, field, direction }}
+ */
+function parseListQuery(query, spec) {
+  const {
+    sortable = [],
+    defaultSort = 'createdAt',
+    defaultOrder = 'desc',
+    defaultLimit = 25,
+    maxLimit = 500,
+  } = spec;
+  const { page = '1', limit = String(defaultLimit), order = defaultOrder } = query;
+
+  // React-Admin sorts by `id` unless told otherwise; that is the ObjectId for every collection
+  let field = query.sort || defaultSort;
+  if (field === 'id') field = '_id';
+  if (field !== '_id' && field !== defaultSort && !sortable.includes(field)) {
+    return { error: `Cannot sort by "${field}". Sortable fields: ${[defaultSort, ...sortable].join(', ')}` };
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  const parsedLimit = Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit);
+  const parsedPage = Math.max(parseInt(page) || 1, 1);
+
+  const baseFilter = buildFilter(query, spec);
+  let filter = baseFilter;
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    // An empty cursor asks for the first page in cursor mode
+    cursor = query.cursor || '';
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) return { error: 'Invalid cursor' };
+      const after = afterCursor(field, direction, position);
+      filter = Object.keys(baseFilter).length > 0 ? { $and: [baseFilter, after] } : after;
+    }
+  }
+
+  return {
+    baseFilter,
+    filter,
+    sort: field === '_id' ? { _id: direction } : { [field]: direction, _id: direction },
+    limit: parsedLimit,
+    skip: cursor === null ? (parsedPage - 1) * parsedLimit : 0,
+    cursor,
+    field,
+    direction,
+  };
+}
+
+/**
+ * Fetch one page of a list
+ * @param {object} collection - MongoDB collection
+ * @param {object} list - Result of parseListQuery
+ * @param {object} [findOptions] - Passed to find(), e.g. { projection }
+ * @returns {Promise<{ docs: object[], total: number, nextCursor: string|null }>}
+ */
+async function fetchPage(collection, list, findOptions = {}) {
+  const docs = await collection
+    .find(list.filter, findOptions)
+    .sort(list.sort)
+    .skip(list.skip)
+    .limit(list.limit + 1)
+    .toArray();
+
+  const hasMore = docs.length > list.limit;
+  if (hasMore) docs.pop();
+
+  // The total ignores the cursor position; an unfiltered count can use collection metadata
+  const total = Object.keys(list.baseFilter).length === 0
+    ? await collection.estimatedDocumentCount()
+    : await collection.countDocuments(list.baseFilter);
+
+  const nextCursor = list.cursor !== null && hasMore
+    ? encodeCursor(docs[docs.length - 1], list.field)
+    : null;
+
+  return { docs, total, nextCursor };
+}
+
+module.exports = {
+  buildFilter,
+  parseListQuery,
+  fetchPage,
+  encodeCursor,
+  decodeCursor,
+  escapeRegex,
+  userRefValues,
+  RESERVED_PARAMS,
+};
@@ -0,0 +1,160 @@
+/**
+ * Generic resource routes
+ *
+ * Most LibreChat collections only need list, get and delete endpoints that
+ * differ in collection name, id field, formatting and what the audit entry
+ * records. Each collection is declared once in a registry and this module
+ * generates consistent routes for it: the same 404 wording, id validation,
+ * response shape and audit behaviour everywhere.
+ *
+ * Every generated route still needs a ROUTE_POLICY entry in policy.js; the
+ * server won't start without one.
+ */
+const { ObjectId } = require('mongodb');
+const { requireObjectId } = require('./validation');
+const { parseListQuery, fetchPage } = require('./query');
+
+const DEFAULT_OPERATIONS = ['list', 'get', 'delete'];
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Normalize a registry entry
+ * @param {string} name - URL segment, e.g. 'messages' for /api/messages
+ * @param {object} definition
+ * @param {string} definition.collection - MongoDB collection
+ * @param {string} definition.label - Singular display name, e.g. 'message'
+ * @param {string} [definition.labelPlural] - Defaults to label + 's'
+ * @param {string} [definition.idField] - '_id' (ObjectId, default) or a custom string id field such as the agents' `id`
+ * @param {object} [definition.list] - LIST_QUERIES entry (filters, search, sortable, ...)
+ * @param {object} [definition.projection] - Exclusion projection for fields never sent to the UI
+ * @param {Function} [definition.format] - (doc) => extra or overridden fields in every response
+ * @param {Function} [definition.listFormat] - (doc) => list row; defaults to the full document plus format
+ * @param {string[]} [definition.operations] - Subset of 'list', 'get', 'delete'
+ * @param {object|false} [definition.audit] - { resource, snapshot(doc) } recorded on delete, or false for none
+ */
+function defineResource(name, definition) {
+  const idField = definition.idField || '_id';
+  const label = definition.label;
+  const labelPlural = definition.labelPlural || `${label}s`;
+
+  // Custom id fields may be missing on legacy documents, so fall back to the ObjectId
+  const toId = doc => (idField === '_id' ? doc._id.toString() : String(doc[idField] || doc._id));
+
+  const format = definition.format || (() => ({}));
+  const formatOne = doc => ({ ...doc, ...format(doc), id: toId(doc), _id: doc._id.toString() });
+
+  return {
+    name,
+    collection: definition.collection,
+    idField,
+    list: definition.list || {},
+    projection: definition.projection,
+    operations: definition.operations || DEFAULT_OPERATIONS,
+    audit: definition.audit === undefined ? false : definition.audit,
+    label,
+    notFound: `${capitalize(label)} not found`,
+    labelPlural,
+    formatOne,
+    formatRow: definition.listFormat
+      ? doc => ({ ...definition.listFormat(doc), id: toId(doc), _id: doc._id.toString() })
+      : formatOne,
+  };
+}
+
+/**
+ * Register list/get/delete routes for every resource in a registry
+ * @param {object} app - Express app
+ * @param {object} registry - name => definition (see defineResource)
+ * @param {object} options
+ * @param {Function} options.getDb - Returns the connected MongoDB database
+ * @param {Function} options.audit - (req, action, resource, resourceId, data) => Promise
+ * @returns {object} name => normalized resource
+ */
+function registerResources(app, registry, { getDb, audit }) {
+  const resources = {};
+
+  for (const [name, definition] of Object.entries(registry)) {
+    const resource = defineResource(name, definition);
+    resources[name] = resource;
+
+    const basePath = `/api/${name}`;
+    const collection = () => getDb().collection(resource.collection);
+    const findOptions = resource.projection ? { projection: resource.projection } : {};
+
+    const idParam = resource.idField === '_id' ? [requireObjectId()] : [];
+    const idFilter = req => (
+      resource.idField === '_id'
+        ? { _id: new ObjectId(req.params.id) }
+        : { [resource.idField]: req.params.id }
+    );
+
+    if (resource.operations.includes('list')) {
+      // GET /api/<name> - List with filtering, sorting and paging
+      app.get(basePath, async (req, res) => {
+        try {
+          const list = parseListQuery(req.query, resource.list);
+          if (list.error) {
+            return res.status(400).json({ error: list.error });
+          }
+
+          const { docs, total, nextCursor } = await fetchPage(collection(), list, findOptions);
+          res.json({ data: docs.map(resource.formatRow), total, nextCursor });
+        } catch (error) {
+          console.error(`Error fetching ${resource.labelPlural}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+    }
+
+    if (resource.operations.includes('get')) {
+      // GET /api/<name>/:id - Get one
+      app.get(`${basePath}/:id`, ...idParam, async (req, res) => {
+        try {
+          const doc = await collection().findOne(idFilter(req), findOptions);
+          if (!doc) {
+            return res.status(404).json({ error: resource.notFound });
+          }
+
+          res.json(resource.formatOne(doc));
+        } catch (error) {
+          console.error(`Error fetching ${resource.label}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+    }
+
+    if (resource.operations.includes('delete')) {
+      // DELETE /api/<name>/:id - Delete one
+      app.delete(`${basePath}/:id`, ...idParam, async (req, res) => {
+        try {
+          const doc = await collection().findOneAndDelete(idFilter(req));
+          if (!doc) {
+            return res.status(404).json({ error: resource.notFound });
+          }
+
+          if (resource.audit) {
+            const snapshot = resource.audit.snapshot ? resource.audit.snapshot(doc) : {};
+            await audit(req, 'delete', resource.audit.resource, req.params.id, {
+              [`deleted${capitalize(resource.label)}`]: snapshot,
+            });
+          }
+
+          res.json({ id: req.params.id });
+        } catch (error) {
+          console.error(`Error deleting ${resource.label}:`, error);
+          res.status(500).json({ error: error.message });
+        }
+      });
+    }
+  }
+
+  return resources;
+}
+
+module.exports = {
+  defineResource,
+  registerResources,
+};
@@ -0,0 +1,294 @@
+/**
+ * Data retention
+ *
+ * Retention policies (`retention_policies`) remove LibreChat data older than
+ * a number of days. A policy targets one collection and either every user or
+ * only users holding some roles. For a given target, role policies take
+ * precedence: an all-users policy skips users whose role has its own policy,
+ * so "90 days, but 365 for ADMIN" works with two policies.
+ *
+ * Each evaluation is recorded in `retention_runs` with per-policy counts,
+ * whether it was a dry run, and what triggered it. The scheduler runs enabled
+ * policies periodically; dry runs can be started by hand at any time. A purge
+ * locks its policy (`purgeLock` on the policy document), so a manual run and a
+ * scheduled one never purge the same policy at once; the later one skips it.
+ */
+const { ObjectId } = require('mongodb');
+
+/**
+ * What a policy can target
+ *  - collection: MongoDB collection
+ *  - dateField:  age is measured from this field
+ *  - userField:  owner reference, or null when documents can't be matched to a role
+ *  - cascade:    collections keyed by conversationId removed along with each batch
+ *
+ * Files aren't a target: their content lives in LibreChat's storage backend
+ * (local uploads, S3 or Azure), which this API can't reach, and deleting only
+ * the `files` documents would leave blobs that nothing can find afterwards.
+ */
+const RETENTION_TARGETS = {
+  conversations: {
+    label: 'Conversations',
+    collection: 'conversations',
+    // Last activity, so a long-running conversation isn't purged while in use
+    dateField: 'updatedAt',
+    userField: 'user',
+    cascade: ['messages', 'sharedlinks'],
+  },
+  messages: { label: 'Messages', collection: 'messages', dateField: 'createdAt', userField: 'user' },
+  transactions: { label: 'Transactions', collection: 'transactions', dateField: 'createdAt', userField: 'user' },
+  audit_logs: { label: 'Audit logs', collection: 'audit_logs', dateField: 'timestamp', userField: null },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents deleted per batch, so a large purge doesn't hold one huge $in
+const BATCH_SIZE = 1000;
+
+// How long a purge may hold its policy's lock, so a run that died mid-purge doesn't block the policy for good
+const LOCK_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+// Take the policy's purge lock for a run; false if another run holds it
+async function lockPolicy(db, policyId, runId) {
+  const now = new Date();
+  const result = await db.collection('retention_policies').updateOne(
+    { _id: policyId, $or: [{ purgeLock: null }, { 'purgeLock.expiresAt': { $lt: now } }] },
+    { $set: { purgeLock: { runId, expiresAt: new Date(now.getTime() + LOCK_TIMEOUT_MS) } } },
+  );
+  return result.modifiedCount > 0;
+}
+
+async function unlockPolicy(db, policyId, runId) {
+  await db.collection('retention_policies').updateOne(
+    { _id: policyId, 'purgeLock.runId': runId },
+    { $set: { purgeLock: null } },
+  );
+}
+
+/**
+ * Format a retention policy document for the API
+ * @param {object} policy - retention_policies document
+ * @returns {object}
+ */
+function formatPolicy(policy) {
+  return {
+    id: policy._id.toString(),
+    _id: policy._id.toString(),
+    name: policy.name,
+    target: policy.target,
+    maxAgeDays: policy.maxAgeDays,
+    roles: policy.roles || [],
+    enabled: policy.enabled !== false,
+    note: policy.note || '',
+    lastRunAt: policy.lastRunAt || null,
+    createdAt: policy.createdAt,
+    updatedAt: policy.updatedAt,
+  };
+}
+
+// Users without a role field are LibreChat's default USER role
+function roleFilter(roles) {
+  return roles.includes('USER')
+    ? { $or: [{ role: { $in: roles } }, { role: { $exists: false } }, { role: null }] }
+    : { role: { $in: roles } };
+}
+
+// Both the string and ObjectId form of each user id, as LibreChat stores either
+async function userRefsWithRoles(db, roles) {
+  const ids = await db.collection('users').distinct('_id', roleFilter(roles));
+  return ids.flatMap(id => [id, id.toString()]);
+}
+
+/**
+ * MongoDB filter for the documents a policy would remove
+ * @param {object} db - MongoDB database
+ * @param {object} policy - retention_policies document
+ * @param {object[]} policies - Every enabled policy, for role precedence
+ * @param {Date} now
+ * @returns {Promise<{ filter: object, cutoff: Date }>}
+ */
+async function policyFilter(db, policy, policies, now) {
+  const target = RETENTION_TARGETS[policy.target];
+  const cutoff = new Date(now.getTime() - policy.maxAgeDays * DAY_MS);
+  const filter = { [target.dateField]: { $lt: cutoff } };
+
+  if (target.userField) {
+    const roles = policy.roles || [];
+    if (roles.length > 0) {
+      filter[target.userField] = { $in: await userRefsWithRoles(db, roles) };
+    } else {
+      const overridden = [...new Set(policies
+        .filter(other => other.target === policy.target && (other.roles || []).length > 0)
+        .flatMap(other => other.roles))];
+      if (overridden.length > 0) {
+        filter[target.userField] = { $nin: await userRefsWithRoles(db, overridden) };
+      }
+    }
+  }
+
+  return { filter, cutoff };
+}
+
+async function purge(db, target, filter) {
+  const collection = db.collection(target.collection);
+  const removed = {};
+  let total = 0;
+
+  for (;;) {
+    const batch = await collection
+      .find(filter, { projection: { _id: 1, conversationId: 1 } })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (batch.length === 0) break;
+
+    // Dependents first, so an interrupted purge leaves nothing orphaned
+    const conversationIds = batch.map(doc => doc.conversationId).filter(Boolean);
+    for (const dependent of target.cascade || []) {
+      const result = await db.collection(dependent).deleteMany({ conversationId: { $in: conversationIds } });
+      removed[dependent] = (removed[dependent] || 0) + result.deletedCount;
+    }
+
+    const result = await collection.deleteMany({ _id: { $in: batch.map(doc => doc._id) } });
+    total += result.deletedCount;
+  }
+
+  return { total, removed };
+}
+
+/**
+ * Evaluate retention policies, removing what they match unless it's a dry run
+ * @param {object} db - MongoDB database
+ * @param {object} options
+ * @param {string[]} [options.policyIds] - Only these policies; defaults to every enabled policy
+ * @param {boolean} [options.dryRun] - Count without deleting
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {string} options.triggeredBy - Email of the admin, or 'system'
+ * @returns {Promise<object>} The formatted retention_runs document
+ */
+async function runRetention(db, { policyIds = null, dryRun = false, trigger, triggeredBy }) {
+  const now = new Date();
+  const enabled = await db.collection('retention_policies').find({ enabled: { $ne: false } }).toArray();
+  const selected = policyIds
+    ? await db.collection('retention_policies').find({ _id: { $in: policyIds.map(id => new ObjectId(id)) } }).toArray()
+    : enabled;
+
+  const run = {
+    trigger,
+    triggeredBy,
+    dryRun,
+    status: 'running',
+    results: [],
+    totals: { matched: 0, removed: 0 },
+    startedAt: now,
+    finishedAt: null,
+  };
+  const { insertedId } = await db.collection('retention_runs').insertOne(run);
+  run._id = insertedId;
+
+  for (const policy of selected) {
+    const target = RETENTION_TARGETS[policy.target];
+    const result = {
+      policyId: policy._id.toString(),
+      policyName: policy.name,
+      target: policy.target,
+      maxAgeDays: policy.maxAgeDays,
+      roles: policy.roles || [],
+      cutoff: null,
+      matched: 0,
+      removed: 0,
+      cascaded: {},
+      skipped: null,
+      error: null,
+    };
+    try {
+      if (!dryRun && !(await lockPolicy(db, policy._id, insertedId))) {
+        result.skipped = 'Another retention run is purging this policy';
+      } else {
+        try {
+          const { filter, cutoff } = await policyFilter(db, policy, enabled, now);
+          result.cutoff = cutoff;
+          result.matched = await db.collection(target.collection).countDocuments(filter);
+          if (!dryRun && result.matched > 0) {
+            const { total, removed } = await purge(db, target, filter);
+            result.removed = total;
+            result.cascaded = removed;
+          }
+          if (!dryRun) {
+            await db.collection('retention_policies').updateOne({ _id: policy._id }, { $set: { lastRunAt: new Date() } });
+          }
+        } finally {
+          if (!dryRun) await unlockPolicy(db, policy._id, insertedId);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Retention policy ${policy.name} failed:`, error);
+      result.error = error.message;
+    }
+    run.results.push(result);
+    run.totals.matched += result.matched;
+    run.totals.removed += result.removed;
+  }
+
+  run.status = run.results.some(result => result.error) ? 'failed' : 'succeeded';
+  run.finishedAt = new Date();
+  await db.collection('retention_runs').updateOne({ _id: insertedId }, {
+    $set: { status: run.status, results: run.results, totals: run.totals, finishedAt: run.finishedAt },
+  });
+
+  return formatRun(run);
+}
+
+/**
+ * Format a retention run document for the API
+ * @param {object} run - retention_runs document
+ * @returns {object}
+ */
+function formatRun(run) {
+  return {
+    ...run,
+    id: run._id.toString(),
+    _id: run._id.toString(),
+    policyCount: (run.results || []).length,
+  };
+}
+
+/**
+ * Run enabled retention policies periodically
+ * @param {object} options
+ * @param {Function} options.getDb - Returns the connected MongoDB database
+ * @param {number} options.intervalMs
+ * @param {Function} [options.onRun] - async (run) => void, e.g. to write an audit entry
+ * @returns {NodeJS.Timeout} The interval, so it can be cleared
+ */
+function startRetentionScheduler({ getDb, intervalMs, onRun = async () => {} }) {
+  let running = false;
+  const timer = setInterval(async () => {
+    // A purge can outlast the interval; don't overlap ticks (policy locks cover manual runs)
+    if (running) return;
+    running = true;
+    try {
+      const db = getDb();
+      const enabled = await db.collection('retention_policies').countDocuments({ enabled: { $ne: false } });
+      if (enabled > 0) {
+        const run = await runRetention(db, { trigger: 'schedule', triggeredBy: 'system' });
+        await onRun(run);
+        console.log(`✅ Retention run removed ${run.totals.removed} document(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error running retention policies:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_TARGETS,
+  formatPolicy,
+  formatRun,
+  runRetention,
+  startRetentionScheduler,
+};
@@ -0,0 +1,144 @@
+/**
+ * LibreChat roles
+ *
+ * Users reference roles by name (`users.role`), not by id, and LibreChat
+ * doesn't enforce that the name exists. Writes from the admin panel check it
+ * here so a typo can't leave a user with a role that grants nothing.
+ */
+const { isGranted, catalogActions } = require('./permissions');
+
+// LibreChat's administrator role. Without an admin_tiers entry it also makes
+// the account an owner of this panel, so only owners may grant or remove it.
+const ADMIN_ROLE = 'ADMIN';
+
+// LibreChat seeds these in `roles`, but a fresh database may not have them yet
+const BUILT_IN_ROLES = ['USER', ADMIN_ROLE];
+
+/**
+ * All assignable role names
+ * @param {object} db - MongoDB database
+ * @returns {Promise<Set<string>>}
+ */
+async function getRoleNames(db) {
+  return new Set([...BUILT_IN_ROLES, ...await db.collection('roles').distinct('name')]);
+}
+
+/**
+ * Whether a role name can be assigned to users
+ * @param {object} db - MongoDB database
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function roleExists(db, name) {
+  if (BUILT_IN_ROLES.includes(name)) return true;
+  return (await db.collection('roles').countDocuments({ name }, { limit: 1 })) > 0;
+}
+
+/**
+ * Number of users holding each role
+ * @param {object} db - MongoDB database
+ * @param {string[]} names - Role names
+ * @returns {Promise<object>} name => count (0 for unassigned roles)
+ */
+async function countUsersByRole(db, names) {
+  const counts = Object.fromEntries(names.map(name => [name, 0]));
+  const groups = await db.collection('users').aggregate([
+    { $match: { role: { $in: names } } },
+    { $group: { _id: '$role', count: { $sum: 1 } } },
+  ]).toArray();
+  for (const group of groups) {
+    counts[group._id] = group.count;
+  }
+  return counts;
+}
+
+/**
+ * Move every user from one role name to another
+ *
+ * Used after a rename (the role document already carries the new name) and
+ * before a delete, so users never point at a role that doesn't exist.
+ *
+ * @param {object} db - MongoDB database
+ * @param {string} fromName
+ * @param {string} toName
+ * @returns {Promise<number>} Users moved
+ */
+async function moveRoleUsers(db, fromName, toName) {
+  const result = await db.collection('users').updateMany(
+    { role: fromName },
+    { $set: { role: toName, updatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Every role against every catalog action
+ * @param {object} db - MongoDB database
+ * @returns {Promise<{ roles: object[], rows: object[] }>}
+ *   rows: catalog action + values (role name => granted) + differs (not the same for every role)
+ */
+async function buildRoleMatrix(db) {
+  const roles = await db.collection('roles').find({}).sort({ name: 1 }).toArray();
+  const userCounts = await countUsersByRole(db, roles.map(role => role.name));
+
+  const rows = catalogActions().map(row => {
+    const values = Object.fromEntries(roles.map(role => [role.name, isGranted(role.permissions, row.type, row.action)]));
+    return { ...row, values, differs: new Set(Object.values(values)).size > 1 };
+  });
+
+  return {
+    roles: roles.map(role => ({ id: role._id.toString(), name: role.name, userCount: userCounts[role.name] })),
+    rows,
+  };
+}
+
+/**
+ * What a user can actually do, and why
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @returns {Promise<object>} role, roleFound, suspended, notes[], permissions[] (catalog action + allowed + reason)
+ */
+async function getEffectivePermissions(db, user) {
+  const roleName = user.role || 'USER';
+  const role = await db.collection('roles').findOne({ name: roleName });
+  const suspended = Boolean(user.suspension && user.suspension.active);
+
+  const notes = [];
+  if (!role) {
+    notes.push(`Role "${roleName}" doesn't exist in the roles collection, so LibreChat grants nothing`);
+  }
+  if (suspended) {
+    notes.push('User is suspended and cannot sign in, so none of these apply until the suspension is lifted');
+  }
+
+  const permissions = catalogActions().map(row => {
+    const granted = isGranted(role && role.permissions, row.type, row.action);
+    let reason;
+    if (!role) reason = 'Role not found';
+    else if (granted) reason = `Granted by role ${roleName}`;
+    else reason = `Not granted by role ${roleName}`;
+    if (granted && suspended) reason += ' (suspended)';
+    return { ...row, granted, allowed: granted && !suspended, reason };
+  });
+
+  return {
+    id: user._id.toString(),
+    role: roleName,
+    roleId: role ? role._id.toString() : null,
+    roleFound: Boolean(role),
+    suspended,
+    notes,
+    permissions,
+  };
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  BUILT_IN_ROLES,
+  getRoleNames,
+  roleExists,
+  countUsersByRole,
+  moveRoleUsers,
+  buildRoleMatrix,
+  getEffectivePermissions,
+};
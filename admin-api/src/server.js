@@ -2,6 +2,78 @@ const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const cors = require('cors');
 const k8sService = require('./k8s.service');
+const { createAdminAuth, parseTrustedProxies, registeredRoutes } = require('./auth.middleware');
+const { hasTier, findUnlistedRoutes } = require('./policy');
+const { validate, requireObjectId, isObjectId, sendValidationError } = require('./validation');
+const { parseListQuery, fetchPage, escapeRegex } = require('./query');
+const { registerResources } = require('./resource.router');
+const { createJobRunner } = require('./jobs');
+const {
+  REASSIGNABLE,
+  countUserDependents,
+  deleteUserCascade,
+  ORPHAN_MIN_AGE_MS,
+  countConversationDependents,
+  deleteConversationCascade,
+  findOrphanMessages,
+  sweepOrphanMessages,
+} = require('./cascade.service');
+const {
+  exportFilename,
+  writeUserExport,
+  CONVERSATION_FORMATS,
+  loadConversationExport,
+  renderConversationExport,
+  conversationFilename,
+  writeConversationsExport,
+} = require('./export.service');
+const {
+  withoutSecrets,
+  checkPasswordPolicy,
+  hashPassword,
+  generateTemporaryPassword,
+  createResetLink,
+} = require('./password.service');
+const { suspendUser, unsuspendUser, startSuspensionSweep } = require('./suspension.service');
+const { RETENTION_TARGETS, formatPolicy, runRetention, startRetentionScheduler } = require('./retention.service');
+const {
+  ruleError,
+  getScannerState,
+  scanMessages,
+  isScanRunning,
+  ensureFlagIndex,
+  startModerationScanner,
+  reviewFlag,
+} = require('./moderation.service');
+const {
+  CONFLICT_STRATEGIES,
+  generateAgentId,
+  initialVersion,
+  compareVersions,
+  listVersions,
+  saveAgentVersion,
+  rollbackAgent,
+  exportAgentBundle,
+  previewAgentImport,
+  commitAgentImport,
+  cloneAgent,
+} = require('./agent.service');
+const { PII_DETECTORS, MAX_SCAN_DOCUMENTS, verifyHash, scanForPii, redactPii } = require('./pii.service');
+const { parseCsv, toCsvLine } = require('./csv');
+const { buildMessageTree } = require('./transcript');
+const { IMPORT_COLUMNS, MAX_IMPORT_ROWS, previewUserImport, commitUserImport } = require('./import.service');
+const { estimateCost, getUserSummary } = require('./summary.service');
+const {
+  ADMIN_ROLE,
+  BUILT_IN_ROLES,
+  getRoleNames,
+  roleExists,
+  countUsersByRole,
+  moveRoleUsers,
+  buildRoleMatrix,
+  getEffectivePermissions,
+} = require('./roles.service');
+const { PERMISSION_CATALOG, defaultPermissions } = require('./permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -10,6 +82,22 @@ const PORT = process.env.PORT || 3001;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://mongo.librechat.svc.cluster.local:27017';
 const DB_NAME = process.env.DB_NAME || 'LibreChat';
 
+// LibreChat client URL, used to build password reset links
+const DOMAIN_CLIENT = process.env.DOMAIN_CLIENT || null;
+
+// How often expired user suspensions are lifted
+const SUSPENSION_SWEEP_INTERVAL_MS = parseInt(process.env.SUSPENSION_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+// How often enabled retention policies run
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+
+// How often the moderation scanner checks for new messages
+const MODERATION_SCAN_INTERVAL_MS = parseInt(process.env.MODERATION_SCAN_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Keys the hashes PII redaction keeps of removed values; redaction is disabled without it.
+// Changing it makes earlier redactions unverifiable.
+const PII_HASH_SECRET = process.env.PII_HASH_SECRET || null;
+
 let db = null;
 
 // Connect to MongoDB
@@ -60,15 +148,417 @@ async function createAuditLog(action, resource, resourceId, userEmail, userName,
 
 /**
  * Extract user info from OAuth2-Proxy headers
+ * Prefers the caller resolved by the auth middleware
  */
 function getUserFromHeaders(req) {
+  if (req.caller) {
+    return { userEmail: req.caller.email, userName: req.caller.name };
+  }
   const userEmail = req.headers['x-forwarded-email'] || req.headers['x-auth-request-email'] || 'unknown';
   const userName = req.headers['x-forwarded-user'] || req.headers['x-auth-request-user'] || userEmail;
   return { userEmail, userName };
 }
 
+// ==================== LIST QUERIES ====================
+
+// Per list endpoint: filterable fields, free-text (`q`) search fields, and the
+// fields it may be sorted by. The default sort is always allowed.
+const LIST_QUERIES = {
+  users: {
+    filters: {
+      email: { type: 'contains' },
+      role: { type: 'exact' },
+      provider: { type: 'exact' },
+      emailVerified: { type: 'boolean' },
+      suspended: { type: 'boolean', field: 'suspension.active' },
+      createdAt: { type: 'dateRange' },
+    },
+    search: ['email', 'username', 'name'],
+    sortable: ['email', 'username', 'name', 'role', 'provider', 'updatedAt'],
+  },
+  convos: {
+    filters: {
+      user: { type: 'userRef' },
+      endpoint: { type: 'exact' },
+      model: { type: 'exact' },
+      createdAt: { type: 'dateRange' },
+      updatedAt: { type: 'dateRange' },
+    },
+    search: ['title', 'conversationId'],
+    sortable: ['updatedAt', 'title', 'user', 'endpoint', 'model'],
+  },
+  roles: {
+    filters: {
+      name: { type: 'exact' },
+    },
+    search: ['name'],
+    sortable: [],
+    defaultSort: 'name',
+    defaultOrder: 'asc',
+  },
+  'admin-tiers': {
+    filters: {
+      tier: { type: 'exact' },
+    },
+    search: ['email', 'note'],
+    sortable: ['tier', 'note', 'updatedAt'],
+    defaultSort: 'email',
+    defaultOrder: 'asc',
+  },
+  'retention-policies': {
+    filters: {
+      target: { type: 'exact' },
+      enabled: { type: 'boolean' },
+    },
+    search: ['name', 'note'],
+    sortable: ['name', 'target', 'maxAgeDays', 'enabled', 'lastRunAt', 'updatedAt'],
+    defaultSort: 'name',
+    defaultOrder: 'asc',
+  },
+  'retention-runs': {
+    filters: {
+      trigger: { type: 'exact' },
+      status: { type: 'exact' },
+      dryRun: { type: 'boolean' },
+      startedAt: { type: 'dateRange' },
+    },
+    search: ['triggeredBy'],
+    sortable: ['trigger', 'triggeredBy', 'status', 'finishedAt'],
+    defaultSort: 'startedAt',
+  },
+  'moderation-rules': {
+    filters: {
+      type: { type: 'exact' },
+      severity: { type: 'exact' },
+      enabled: { type: 'boolean' },
+    },
+    search: ['name', 'note', 'keywords', 'pattern'],
+    sortable: ['name', 'type', 'severity', 'enabled', 'updatedAt'],
+    defaultSort: 'name',
+    defaultOrder: 'asc',
+  },
+  'moderation-flags': {
+    filters: {
+      status: { type: 'exact' },
+      severity: { type: 'exact' },
+      ruleId: { type: 'exact', field: 'matches.ruleId' },
+      user: { type: 'exact' },
+      conversationId: { type: 'exact' },
+      endpoint: { type: 'exact' },
+      isCreatedByUser: { type: 'boolean' },
+      messageCreatedAt: { type: 'dateRange' },
+    },
+    search: ['excerpt', 'matches.match'],
+    sortable: ['severity', 'status', 'messageCreatedAt', 'user'],
+    defaultSort: 'createdAt',
+  },
+  'pii-redactions': {
+    filters: {
+      source: { type: 'exact' },
+      user: { type: 'exact' },
+      conversationId: { type: 'exact' },
+      detector: { type: 'exact', field: 'fields.redactions.detector' },
+      redactedAt: { type: 'dateRange' },
+    },
+    search: ['documentId', 'redactedBy'],
+    sortable: ['source', 'user', 'redactedBy'],
+    defaultSort: 'redactedAt',
+  },
+  messages: {
+    filters: {
+      conversationId: { type: 'exact' },
+      user: { type: 'userRef' },
+      sender: { type: 'exact' },
+      model: { type: 'exact' },
+      endpoint: { type: 'exact' },
+      isCreatedByUser: { type: 'boolean' },
+      error: { type: 'boolean' },
+      createdAt: { type: 'dateRange' },
+    },
+    search: ['text'],
+    sortable: ['endpoint', 'tokenCount'],
+  },
+  agents: {
+    filters: {
+      author: { type: 'userRef' },
+      provider: { type: 'exact' },
+      model: { type: 'exact' },
+      category: { type: 'exact' },
+      is_promoted: { type: 'boolean' },
+      is_template: { type: 'boolean' },
+    },
+    search: ['name', 'description', 'id'],
+    sortable: ['name', 'provider', 'model', 'category', 'is_promoted', 'is_template', 'updatedAt'],
+  },
+  files: {
+    filters: {
+      user: { type: 'userRef' },
+      type: { type: 'prefix' },
+      source: { type: 'exact' },
+      conversationId: { type: 'exact' },
+      createdAt: { type: 'dateRange' },
+    },
+    search: ['filename', 'file_id'],
+    sortable: ['filename', 'bytes', 'type', 'context', 'source', 'usage'],
+  },
+  sessions: {
+    filters: {
+      user: { type: 'userRef' },
+      expiration: { type: 'dateRange' },
+    },
+    search: [],
+    sortable: ['user'],
+    defaultSort: 'expiration',
+  },
+  tokens: {
+    filters: {
+      userId: { type: 'userRef' },
+      email: { type: 'contains' },
+      type: { type: 'exact' },
+      identifier: { type: 'exact' },
+    },
+    search: ['email', 'identifier'],
+    sortable: ['type', 'email', 'userId', 'expiresAt'],
+  },
+  transactions: {
+    filters: {
+      user: { type: 'userRef' },
+      model: { type: 'exact' },
+      tokenType: { type: 'exact' },
+      context: { type: 'exact' },
+      conversationId: { type: 'exact' },
+      createdAt: { type: 'dateRange' },
+    },
+    search: ['model', 'conversationId'],
+    sortable: ['rawAmount', 'tokenValue', 'rate', 'user'],
+  },
+  projects: {
+    filters: {
+      name: { type: 'contains' },
+    },
+    search: ['name'],
+    sortable: ['name', 'createdAt'],
+    defaultSort: 'updatedAt',
+  },
+  'audit-logs': {
+    filters: {
+      action: { type: 'exact' },
+      resource: { type: 'exact' },
+      resourceId: { type: 'exact' },
+      userEmail: { type: 'contains' },
+      timestamp: { type: 'dateRange' },
+    },
+    search: ['resourceId', 'userEmail', 'userName'],
+    sortable: ['action', 'resource', 'resourceId', 'userEmail', 'userName', 'ipAddress'],
+    defaultSort: 'timestamp',
+    defaultLimit: 50,
+  },
+};
+
+// ==================== RESOURCE REGISTRY ====================
+
+// Collections served by the generic list/get/delete routes (see resource.router.js).
+// Collections with custom write logic (users, roles, admin tiers) keep their own routes;
+// agents get their create/update routes in the AGENTS section.
+const RESOURCES = {
+  convos: {
+    collection: 'conversations',
+    label: 'conversation',
+    idField: 'conversationId',
+    list: LIST_QUERIES.convos,
+    // Delete is in the conversations section, with an optional cascade
+    operations: ['list', 'get'],
+    format: convo => ({ title: convo.title || 'Untitled Conversation' }),
+    listFormat: convo => ({
+      conversationId: convo.conversationId,
+      title: convo.title || 'Untitled Conversation',
+      user: convo.user,
+      endpoint: convo.endpoint,
+      model: convo.model,
+      createdAt: convo.createdAt,
+      updatedAt: convo.updatedAt,
+    }),
+  },
+  messages: {
+    collection: 'messages',
+    label: 'message',
+    list: LIST_QUERIES.messages,
+    audit: {
+      resource: 'messages',
+      snapshot: message => ({ conversationId: message.conversationId }),
+    },
+  },
+  agents: {
+    collection: 'agents',
+    label: 'agent',
+    // Agents use a custom 'id' field (agent_...), not MongoDB _id
+    idField: 'id',
+    list: LIST_QUERIES.agents,
+    audit: {
+      resource: 'agents',
+      snapshot: agent => ({ name: agent.name }),
+    },
+  },
+  files: {
+    collection: 'files',
+    label: 'file',
+    list: LIST_QUERIES.files,
+    audit: {
+      resource: 'files',
+      snapshot: file => ({ filename: file.filename, filepath: file.filepath }),
+    },
+  },
+  sessions: {
+    collection: 'sessions',
+    label: 'session',
+    list: LIST_QUERIES.sessions,
+    projection: { refreshTokenHash: 0 },
+    audit: {
+      resource: 'sessions',
+      snapshot: session => ({ user: session.user, expiration: session.expiration }),
+    },
+  },
+  tokens: {
+    collection: 'tokens',
+    label: 'token',
+    list: LIST_QUERIES.tokens,
+    projection: { token: 0 },
+    audit: {
+      resource: 'tokens',
+      snapshot: token => ({ userId: token.userId, type: token.type }),
+    },
+  },
+  transactions: {
+    collection: 'transactions',
+    label: 'transaction',
+    list: LIST_QUERIES.transactions,
+    audit: {
+      resource: 'transactions',
+      snapshot: transaction => ({ user: transaction.user, rawAmount: transaction.rawAmount }),
+    },
+  },
+  projects: {
+    collection: 'projects',
+    label: 'project',
+    list: LIST_QUERIES.projects,
+    audit: {
+      resource: 'projects',
+      snapshot: project => ({ name: project.name }),
+    },
+  },
+  'retention-runs': {
+    collection: 'retention_runs',
+    label: 'retention run',
+    list: LIST_QUERIES['retention-runs'],
+    // Runs are history; they are created by POST /api/retention-runs and never deleted
+    operations: ['list', 'get'],
+    format: run => ({ policyCount: (run.results || []).length }),
+  },
+  'moderation-flags': {
+    collection: 'moderation_flags',
+    label: 'moderation flag',
+    list: LIST_QUERIES['moderation-flags'],
+    // Flags are created by the scanner and changed only through review
+    operations: ['list', 'get'],
+  },
+  'pii-redactions': {
+    collection: 'pii_redactions',
+    label: 'PII redaction',
+    list: LIST_QUERIES['pii-redactions'],
+    // Proof of what was removed; written by POST /api/pii/redact and never deleted
+    operations: ['list', 'get'],
+    // Checked by POST /api/pii-redactions/:id/verify, never sent out
+    projection: { 'fields.redactions.salt': 0, 'fields.redactions.hash': 0 },
+    format: record => ({
+      redactionCount: (record.fields || []).reduce((sum, field) => sum + field.redactions.length, 0),
+    }),
+  },
+  'audit-logs': {
+    collection: 'audit_logs',
+    label: 'audit log',
+    list: LIST_QUERIES['audit-logs'],
+    // Deleting an audit entry isn't itself audited, to avoid recursion
+    audit: false,
+  },
+};
+
+// Indexes backing the default and common list sorts. Each ends with _id, the
+// keyset tie-breaker; MongoDB walks them in either direction. Every sortable
+// field of messages and transactions has one, since those collections are too
+// large to sort in memory; add the index when widening their `sortable`.
+const LIST_INDEXES = {
+  messages: [
+    { createdAt: 1, _id: 1 },
+    { conversationId: 1, createdAt: 1 },
+    { user: 1, createdAt: 1 },
+    { endpoint: 1, _id: 1 },
+    { tokenCount: 1, _id: 1 },
+  ],
+  transactions: [
+    { createdAt: 1, _id: 1 },
+    { user: 1, createdAt: 1 },
+    { user: 1, _id: 1 },
+    { rawAmount: 1, _id: 1 },
+    { tokenValue: 1, _id: 1 },
+    { rate: 1, _id: 1 },
+  ],
+  conversations: [
+    { createdAt: 1, _id: 1 },
+    { user: 1, createdAt: 1 },
+  ],
+  users: [
+    { createdAt: 1, _id: 1 },
+    { name: 1, _id: 1 },
+  ],
+  audit_logs: [
+    { timestamp: 1, _id: 1 },
+  ],
+  // messageId gets a unique index from ensureFlagIndex
+  moderation_flags: [
+    { createdAt: 1, _id: 1 },
+    { status: 1, createdAt: 1 },
+  ],
+  pii_redactions: [
+    { redactedAt: 1, _id: 1 },
+  ],
+};
+
+// Create list indexes if missing. Failures are logged per index so one conflict doesn't block startup.
+async function ensureIndexes() {
+  for (const [collection, indexes] of Object.entries(LIST_INDEXES)) {
+    for (const keys of indexes) {
+      try {
+        await db.collection(collection).createIndex(keys);
+      } catch (error) {
+        console.error(`⚠️  Could not create index ${JSON.stringify(keys)} on ${collection}:`, error.message);
+      }
+    }
+  }
+  console.log('✅ List indexes ensured');
+
+  try {
+    await ensureFlagIndex(db);
+  } catch (error) {
+    console.error('⚠️  Could not create the unique moderation flag index:', error.message);
+  }
+}
+
+// Admin authorization
+const adminAuth = createAdminAuth({
+  getDb: () => db,
+  trustedProxies: parseTrustedProxies(process.env.TRUSTED_PROXIES),
+});
+
+// Background jobs (cascading deletes etc.)
+const jobs = createJobRunner({ getDb: () => db });
+
 // Middleware
 app.use(cors());
+// Imports can be much larger than a form submission and may be sent as raw CSV
+app.use('/api/users/import',
+  express.json({ limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+app.use('/api/agents/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Health check
@@ -76,22 +566,125 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', mongodb: db ? 'connected' : 'disconnected' });
 });
 
+// Every /api route requires a caller authenticated by OAuth2-Proxy
+app.use('/api', adminAuth.authenticate);
+
+// ==================== CURRENT USER ENDPOINT ====================
+
+// GET /api/user - Get current authenticated user (available to non-admins so the UI can show who is signed in)
+app.get('/api/user', async (req, res) => {
+  try {
+    const { email, name, user, tier } = req.caller;
+
+    if (!user) {
+      // If user not found in database, return basic info from headers
+      return res.json({
+        id: 'unknown',
+        email,
+        name,
+        role: 'USER',
+        tier,
+      });
+    }
+
+    // Return user from database
+    res.json({
+      id: user._id.toString(),
+      _id: user._id.toString(),
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      role: user.role || 'USER',
+      provider: user.provider,
+      avatar: user.avatar,
+      tier,
+    });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// All remaining /api routes require an admin tier that satisfies the route policy
+app.use('/api', adminAuth.authorize);
+
 // ==================== USERS ENDPOINTS ====================
 
+// Role names are free text in LibreChat; only accept ones that exist in `roles`
+async function requireKnownRole(req, res, next) {
+  try {
+    if (req.body.role !== undefined && !(await roleExists(db, req.body.role))) {
+      return sendValidationError(res, { role: `Unknown role "${req.body.role}"` });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking role:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Whether the caller may grant or remove the ADMIN role, which makes an account an owner here
+function canManageAdminRole(req) {
+  return hasTier(req.caller.tier, 'owner');
+}
+
+function sendAdminRoleForbidden(res) {
+  res.status(403).json({
+    error: `Granting or removing the ${ADMIN_ROLE} role requires the owner admin tier`,
+    requiredTier: 'owner',
+  });
+}
+
+// Columns of the users CSV export, in order
+const USER_CSV_COLUMNS = [
+  'id', 'email', 'username', 'name', 'role', 'provider', 'emailVerified', 'suspended', 'createdAt', 'updatedAt',
+];
+
+// Stream every user matching the list filters as CSV (no paging)
+async function sendUsersCsv(req, res, list) {
+  const { userEmail, userName } = getUserFromHeaders(req);
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="users-${date}.csv"`);
+  res.write(toCsvLine(USER_CSV_COLUMNS));
+
+  let count = 0;
+  const cursor = db.collection('users')
+    .find(list.baseFilter, { projection: { password: 0, totpSecret: 0, backupCodes: 0 } })
+    .sort(list.sort);
+  for await (const user of cursor) {
+    res.write(toCsvLine([
+      user._id.toString(),
+      user.email,
+      user.username,
+      user.name,
+      user.role || 'USER',
+      user.provider,
+      user.emailVerified || false,
+      Boolean(user.suspension && user.suspension.active),
+      user.createdAt,
+      user.updatedAt,
+    ]));
+    count++;
+  }
+  res.end();
+
+  await createAuditLog('export', 'users', 'bulk', userEmail, userName, {
+    format: 'csv',
+    count,
+    filter: req.query,
+  }, req.ip);
+}
+
 // GET /api/users - List all users with pagination
 app.get('/api/users', async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const users = await db.collection('users')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const list = parseListQuery(req.query, LIST_QUERIES.users);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
 
-    const total = await db.collection('users').countDocuments();
+    const { docs: users, total, nextCursor } = await fetchPage(db.collection('users'), list);
 
     // Format for React-Admin
     const formattedUsers = users.map(user => ({
@@ -103,20 +696,99 @@ app.get('/api/users', async (req, res) => {
       role: user.role || 'USER',
       provider: user.provider,
       emailVerified: user.emailVerified || false,
+      suspension: user.suspension || null,
       avatar: user.avatar,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
     }));
 
-    res.json({ data: formattedUsers, total });
+    res.json({ data: formattedUsers, total, nextCursor });
   } catch (error) {
     console.error('Error fetching users:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// GET /api/users/export - Download every user matching the list filters and sort as CSV (no paging)
+app.get('/api/users/export', async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_QUERIES.users);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    await sendUsersCsv(req, res, list);
+  } catch (error) {
+    console.error('Error exporting users:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/users/import - Bulk create users from CSV (text/csv) or JSON (array or { rows })
+// ?dryRun=true only reports per-row errors; otherwise every row must be valid or nothing is written
+app.post('/api/users/import', async (req, res) => {
+  try {
+    let rows;
+    let format;
+    if (typeof req.body === 'string') {
+      format = 'csv';
+      const parsed = parseCsv(req.body);
+      if (!parsed.headers.includes('email')) {
+        return res.status(400).json({ error: `CSV needs a header row with an "email" column. Columns: ${IMPORT_COLUMNS.join(', ')}` });
+      }
+      rows = parsed.rows;
+    } else {
+      format = 'json';
+      rows = Array.isArray(req.body) ? req.body : req.body && req.body.rows;
+      if (!Array.isArray(rows)) {
+        return res.status(400).json({ error: 'Body must be a CSV file, a JSON array of users or { rows: [...] }' });
+      }
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No rows to import' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const preview = await previewUserImport(db, rows, { allowAdminRole: canManageAdminRole(req) });
+    const report = {
+      dryRun,
+      total: preview.total,
+      valid: preview.valid,
+      invalid: preview.invalid,
+      rows: preview.rows.map(({ row, email, errors }) => ({ row, email, errors })),
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (preview.invalid > 0) {
+      return res.status(400).json({ error: `${preview.invalid} row(s) are invalid; nothing was imported`, ...report });
+    }
+
+    const ids = await commitUserImport(db, preview);
+
+    // One entry for the whole import rather than one per user
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('import', 'users', 'bulk', userEmail, userName, {
+      format,
+      count: ids.length,
+      emails: preview.rows.map(r => r.email),
+    }, req.ip);
+
+    res.status(201).json({ ...report, imported: ids.length, ids });
+  } catch (error) {
+    console.error('Error importing users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/users/:id - Get single user
-app.get('/api/users/:id', async (req, res) => {
+app.get('/api/users/:id', requireObjectId(), async (req, res) => {
   try {
     const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
     if (!user) {
@@ -126,7 +798,7 @@ app.get('/api/users/:id', async (req, res) => {
     res.json({
       id: user._id.toString(),
       _id: user._id.toString(),
-      ...user,
+      ...withoutSecrets(user),
     });
   } catch (error) {
     console.error('Error fetching user:', error);
@@ -134,14 +806,76 @@ app.get('/api/users/:id', async (req, res) => {
   }
 });
 
+// GET /api/users/:id/summary - Activity, usage and ownership at a glance for support
+app.get('/api/users/:id/summary', requireObjectId(), async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await getUserSummary(db, user));
+  } catch (error) {
+    console.error('Error building user summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/users/:id/effective-permissions - What the user can do through their role, and why
+app.get('/api/users/:id/effective-permissions', requireObjectId(), async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(await getEffectivePermissions(db, user));
+  } catch (error) {
+    console.error('Error resolving effective permissions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // POST /api/users - Create new user
-app.post('/api/users', async (req, res) => {
+// LibreChat finds accounts by lowercased email, so addresses differing only in case are one account.
+// Older documents may still hold mixed case, hence the case-insensitive match.
+function findUserByEmail(email, exceptId = null) {
+  const filter = { email: { $regex: `^${escapeRegex(email)}$`, $options: 'i' } };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return db.collection('users').findOne(filter, { projection: { email: 1 } });
+}
+
+function sendEmailTaken(res) {
+  res.status(409).json({
+    error: 'A user with this email already exists',
+    errors: { email: 'A user with this email already exists' },
+  });
+}
+
+app.post('/api/users', validate('users'), requireKnownRole, async (req, res) => {
   try {
-    const { id: _, _id: __, ...userData } = req.body;
+    const userData = req.body;
+    if (userData.role === ADMIN_ROLE && !canManageAdminRole(req)) {
+      return sendAdminRoleForbidden(res);
+    }
+
+    userData.email = userData.email.trim().toLowerCase();
+    if (await findUserByEmail(userData.email)) {
+      return sendEmailTaken(res);
+    }
 
-    // Add timestamps
+    if (userData.password !== undefined) {
+      const passwordError = checkPasswordPolicy(userData.password, userData);
+      if (passwordError) {
+        return sendValidationError(res, { password: passwordError });
+      }
+      userData.password = await hashPassword(userData.password);
+    }
+
+    // Users created here sign in with email and password; SSO users are created by LibreChat on first login
     const newUser = {
       ...userData,
+      provider: 'local',
       createdAt: new Date(),
       updatedAt: new Date(),
       emailVerified: userData.emailVerified || false,
@@ -153,7 +887,7 @@ app.post('/api/users', async (req, res) => {
     const createdUser = {
       id: result.insertedId.toString(),
       _id: result.insertedId.toString(),
-      ...newUser,
+      ...withoutSecrets(newUser),
     };
 
     // Audit log
@@ -172,9 +906,24 @@ app.post('/api/users', async (req, res) => {
 });
 
 // PUT /api/users/:id - Update user
-app.put('/api/users/:id', async (req, res) => {
+app.put('/api/users/:id', requireObjectId(), validate('users', { partial: true }), requireKnownRole, async (req, res) => {
   try {
-    const { id: _, _id: __, ...updateData } = req.body;
+    const updateData = req.body;
+
+    if (!canManageAdminRole(req) && (updateData.role !== undefined || updateData.email !== undefined)) {
+      // The tier follows the account's email, so an ADMIN's email is guarded like the role
+      const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) }, { projection: { role: 1 } });
+      if (updateData.role === ADMIN_ROLE || (user && user.role === ADMIN_ROLE)) {
+        return sendAdminRoleForbidden(res);
+      }
+    }
+
+    if (updateData.email !== undefined) {
+      updateData.email = updateData.email.trim().toLowerCase();
+      if (await findUserByEmail(updateData.email, new ObjectId(req.params.id))) {
+        return sendEmailTaken(res);
+      }
+    }
 
     const result = await db.collection('users').findOneAndUpdate(
       { _id: new ObjectId(req.params.id) },
@@ -195,7 +944,7 @@ app.put('/api/users/:id', async (req, res) => {
     res.json({
       id: result._id.toString(),
       _id: result._id.toString(),
-      ...result,
+      ...withoutSecrets(result),
     });
   } catch (error) {
     console.error('Error updating user:', error);
@@ -203,195 +952,380 @@ app.put('/api/users/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/users/:id - Delete user
-app.delete('/api/users/:id', async (req, res) => {
+// POST /api/users/assign-role - Give many users the same role in one write
+// Body: { ids: [userId], role }
+app.post('/api/users/assign-role', validate('user-role-assignment'), requireKnownRole, async (req, res) => {
   try {
-    // Get user before deleting for audit log
-    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
-
-    const result = await db.collection('users').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const { ids, role } = req.body;
+    const invalid = ids.filter(id => !isObjectId(id));
+    if (ids.length === 0 || invalid.length > 0) {
+      return sendValidationError(res, { ids: ids.length === 0 ? 'Select at least one user' : `Invalid user id "${invalid[0]}"` });
+    }
+    if (!canManageAdminRole(req)) {
+      const admins = await db.collection('users').countDocuments({
+        _id: { $in: ids.map(id => new ObjectId(id)) },
+        role: ADMIN_ROLE,
+      });
+      if (role === ADMIN_ROLE || admins > 0) {
+        return sendAdminRoleForbidden(res);
+      }
     }
 
-    // Audit log
+    const result = await db.collection('users').updateMany(
+      { _id: { $in: ids.map(id => new ObjectId(id)) } },
+      { $set: { role, updatedAt: new Date() } }
+    );
+
+    // One entry for the whole assignment rather than one per user
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'users', req.params.id, userEmail, userName, {
-      deletedUser: user ? { username: user.username, email: user.email } : null,
+    await createAuditLog('update', 'users', 'bulk', userEmail, userName, {
+      changes: { role },
+      ids,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.json({ role, matched: result.matchedCount, modified: result.modifiedCount });
   } catch (error) {
-    console.error('Error deleting user:', error);
+    console.error('Error assigning role:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== CONVERSATIONS ENDPOINTS ====================
+// Password actions only apply to users who sign in with a LibreChat password
+async function findLocalUser(req, res) {
+  const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (user.provider && user.provider !== 'local') {
+    res.status(409).json({ error: `User signs in with ${user.provider}; passwords only apply to local users` });
+    return null;
+  }
+  return user;
+}
 
-// GET /api/convos - List all conversations with pagination
-app.get('/api/convos', async (req, res) => {
+// POST /api/users/:id/temporary-password - Set a password for the admin to hand over
+// Body: { password } to choose one, or {} to generate one. The plaintext is returned once and never stored.
+app.post('/api/users/:id/temporary-password', requireObjectId(), async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const conversations = await db.collection('conversations')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const user = await findLocalUser(req, res);
+    if (!user) return;
+
+    const provided = req.body && req.body.password;
+    const password = provided === undefined || provided === '' ? generateTemporaryPassword() : provided;
+    const passwordError = checkPasswordPolicy(password, user);
+    if (passwordError) {
+      return sendValidationError(res, { password: passwordError });
+    }
 
-    const total = await db.collection('conversations').countDocuments();
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { password: await hashPassword(password), updatedAt: new Date() } }
+    );
 
-    // Format for React-Admin
-    const formattedConvos = conversations.map(convo => ({
-      id: convo.conversationId || convo._id.toString(),
-      _id: convo._id.toString(),
-      conversationId: convo.conversationId,
-      title: convo.title || 'Untitled Conversation',
-      user: convo.user,
-      endpoint: convo.endpoint,
-      model: convo.model,
-      createdAt: convo.createdAt,
-      updatedAt: convo.updatedAt,
-    }));
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('set-password', 'users', req.params.id, userEmail, userName, {
+      email: user.email,
+      generated: password !== provided,
+    }, req.ip);
 
-    res.json({ data: formattedConvos, total });
+    res.json({ id: req.params.id, password });
   } catch (error) {
-    console.error('Error fetching conversations:', error);
+    console.error('Error setting temporary password:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/convos/:id - Get single conversation
-app.get('/api/convos/:id', async (req, res) => {
+// POST /api/users/:id/reset-link - Generate a LibreChat password reset link
+app.post('/api/users/:id/reset-link', requireObjectId(), async (req, res) => {
   try {
-    const convo = await db.collection('conversations').findOne({ conversationId: req.params.id });
-    if (!convo) {
-      return res.status(404).json({ error: 'Conversation not found' });
+    if (!DOMAIN_CLIENT) {
+      return res.status(503).json({ error: 'DOMAIN_CLIENT is not configured, so reset links cannot be built' });
     }
 
-    res.json({
-      id: convo.conversationId || convo._id.toString(),
-      _id: convo._id.toString(),
-      ...convo,
-    });
+    const user = await findLocalUser(req, res);
+    if (!user) return;
+    if (await findUserByEmail(user.email, user._id)) {
+      return res.status(409).json({
+        error: 'Another account uses this email in different case; LibreChat cannot tell which one should sign in',
+      });
+    }
+
+    const { url, expiresAt } = await createResetLink(db, user, DOMAIN_CLIENT);
+
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('reset-link', 'users', req.params.id, userEmail, userName, {
+      email: user.email,
+      expiresAt,
+    }, req.ip);
+
+    res.json({ id: req.params.id, url, expiresAt });
   } catch (error) {
-    console.error('Error fetching conversation:', error);
+    console.error('Error creating reset link:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/convos/:id - Delete conversation
-app.delete('/api/convos/:id', async (req, res) => {
+// POST /api/users/:id/suspend - Lock a user out and revoke their sessions and tokens
+// Body: { reason?, until? } - without `until` the suspension lasts until lifted by hand
+app.post('/api/users/:id/suspend', requireObjectId(), validate('user-suspension'), async (req, res) => {
   try {
-    // Get conversation before deleting for audit log
-    const convo = await db.collection('conversations').findOne({ conversationId: req.params.id });
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    const result = await db.collection('conversations').deleteOne({ conversationId: req.params.id });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Conversation not found' });
+    let until = null;
+    if (req.body.until) {
+      until = new Date(req.body.until);
+      if (Number.isNaN(until.getTime()) || until <= new Date()) {
+        return sendValidationError(res, { until: 'Must be a date in the future' });
+      }
     }
 
-    // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'conversations', req.params.id, userEmail, userName, {
-      deletedConversation: convo ? { title: convo.title, user: convo.user } : null,
+    const { suspension, revoked } = await suspendUser(db, user, {
+      reason: req.body.reason || null,
+      until,
+      suspendedBy: userEmail,
+    });
+
+    await createAuditLog('suspend', 'users', req.params.id, userEmail, userName, {
+      email: user.email,
+      reason: suspension.reason,
+      until: suspension.until,
+      revoked,
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.json({ id: req.params.id, suspension, revoked });
   } catch (error) {
-    console.error('Error deleting conversation:', error);
+    console.error('Error suspending user:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== ROLES ENDPOINTS ====================
-
-// GET /api/roles - List all roles with pagination
-app.get('/api/roles', async (req, res) => {
+// POST /api/users/:id/unsuspend - Lift a suspension
+app.post('/api/users/:id/unsuspend', requireObjectId(), async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'asc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const roles = await db.collection('roles')
-      .find({})
-      .sort({ name: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.suspension) {
+      return res.status(409).json({ error: 'User is not suspended' });
+    }
 
-    const total = await db.collection('roles').countDocuments();
+    await unsuspendUser(db, user);
 
-    // Format for React-Admin
-    const formattedRoles = roles.map(role => ({
-      id: role._id.toString(),
-      _id: role._id.toString(),
-      name: role.name,
-      permissions: role.permissions,
-    }));
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('unsuspend', 'users', req.params.id, userEmail, userName, {
+      email: user.email,
+      suspension: user.suspension,
+    }, req.ip);
 
-    res.json({ data: formattedRoles, total });
+    res.json({ id: req.params.id, suspension: null });
   } catch (error) {
-    console.error('Error fetching roles:', error);
+    console.error('Error unsuspending user:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/roles/:id - Get single role
-app.get('/api/roles/:id', async (req, res) => {
+// GET /api/users/:id/impact - Dry run: count the documents a delete would remove
+app.get('/api/users/:id/impact', requireObjectId(), async (req, res) => {
   try {
-    const role = await db.collection('roles').findOne({ _id: new ObjectId(req.params.id) });
-    if (!role) {
-      return res.status(404).json({ error: 'Role not found' });
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
+    const { counts, total } = await countUserDependents(db, user);
+
     res.json({
-      id: role._id.toString(),
-      _id: role._id.toString(),
-      ...role,
+      id: req.params.id,
+      user: { username: user.username, email: user.email },
+      counts,
+      total,
+      reassignable: REASSIGNABLE,
     });
   } catch (error) {
-    console.error('Error fetching role:', error);
+    console.error('Error computing user impact:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/roles - Create new role
-app.post('/api/roles', async (req, res) => {
+// GET /api/users/:id/export - Download everything stored about a user as a zip archive
+app.get('/api/users/:id/export', requireObjectId(), async (req, res) => {
+  let user;
   try {
-    const { id: _, _id: __, ...roleData } = req.body;
-
-    // Validate required fields
-    if (!roleData.name) {
-      return res.status(400).json({ error: 'Role name is required' });
+    user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
+  } catch (error) {
+    console.error('Error fetching user for export:', error);
+    return res.status(500).json({ error: error.message });
+  }
 
-    // Check if role with same name already exists
-    const existingRole = await db.collection('roles').findOne({ name: roleData.name });
-    if (existingRole) {
-      return res.status(400).json({ error: 'Role with this name already exists' });
-    }
+  const { userEmail, userName } = getUserFromHeaders(req);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(user)}"`);
 
-    // Create new role with default permissions structure if not provided
-    const newRole = {
-      name: roleData.name,
-      permissions: roleData.permissions || {
-        BOOKMARKS: { USE: false },
-        PROMPTS: { SHARED_GLOBAL: false, USE: false, CREATE: false },
-        MEMORIES: { USE: false, CREATE: false, UPDATE: false, READ: false, OPT_OUT: false },
-        AGENTS: { SHARED_GLOBAL: false, USE: false, CREATE: false },
-        MULTI_CONVO: { USE: false },
-        TEMPORARY_CHAT: { USE: false },
-        RUN_CODE: { USE: false },
-        WEB_SEARCH: { USE: false },
-        PEOPLE_PICKER: { VIEW_USERS: false, VIEW_GROUPS: false, VIEW_ROLES: false },
-        MARKETPLACE: { USE: false },
-        FILE_SEARCH: { USE: false },
-        FILE_CITATIONS: { USE: false },
-      },
-    };
+  try {
+    const counts = await writeUserExport(db, user, res, { exportedBy: userEmail });
+
+    await createAuditLog('export', 'users', req.params.id, userEmail, userName, {
+      exportedUser: { username: user.username, email: user.email },
+      counts,
+    }, req.ip);
+  } catch (error) {
+    // Headers are already sent, so the client sees a truncated download
+    console.error('Error exporting user data:', error);
+    res.destroy(error);
+  }
+});
+
+// Whether a user document is the signed-in admin's own LibreChat account
+function isCaller(req, user) {
+  const { email, user: callerUser } = req.caller || {};
+  if (callerUser && callerUser._id.equals(user._id)) return true;
+  return Boolean(email && user.email && user.email.toLowerCase() === email);
+}
+
+// DELETE /api/users/:id - Delete user and everything they own
+// ?reassignTo=<userId> hands agents and prompts to another user instead of deleting them
+// ?background=true returns 202 with a job id instead of waiting
+app.delete('/api/users/:id', requireObjectId(), async (req, res) => {
+  try {
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (isCaller(req, user)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (user.role === ADMIN_ROLE && !canManageAdminRole(req)) {
+      return sendAdminRoleForbidden(res);
+    }
+
+    let reassignTo = null;
+    if (req.query.reassignTo) {
+      if (!isObjectId(req.query.reassignTo) || req.query.reassignTo === req.params.id) {
+        return res.status(400).json({ error: 'reassignTo must be the id of another user' });
+      }
+      reassignTo = await db.collection('users').findOne({ _id: new ObjectId(req.query.reassignTo) });
+      if (!reassignTo) {
+        return res.status(400).json({ error: 'reassignTo user not found' });
+      }
+    }
+
+    const { userEmail, userName } = getUserFromHeaders(req);
+    const run = async (onProgress) => {
+      const { removed, reassigned } = await deleteUserCascade(db, user, { reassignTo, onProgress });
+
+      await createAuditLog('delete', 'users', req.params.id, userEmail, userName, {
+        deletedUser: { username: user.username, email: user.email },
+        removed,
+        reassigned,
+        reassignedTo: reassignTo ? { id: reassignTo._id.toString(), email: reassignTo.email } : null,
+      }, req.ip);
+
+      return { removed, reassigned };
+    };
+
+    if (req.query.background === 'true') {
+      const job = await jobs.start('user-delete', {
+        createdBy: userEmail,
+        params: { userId: req.params.id, email: user.email, reassignTo: req.query.reassignTo || null },
+      }, run);
+      return res.status(202).json({ id: req.params.id, jobId: job.id });
+    }
+
+    const outcome = await run();
+    res.json({ id: req.params.id, ...outcome });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ROLES ENDPOINTS ====================
+
+// GET /api/roles - List all roles with pagination
+app.get('/api/roles', async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_QUERIES.roles);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const { docs: roles, total, nextCursor } = await fetchPage(db.collection('roles'), list);
+    const userCounts = await countUsersByRole(db, roles.map(role => role.name));
+
+    // Format for React-Admin
+    const formattedRoles = roles.map(role => ({
+      id: role._id.toString(),
+      _id: role._id.toString(),
+      name: role.name,
+      permissions: role.permissions,
+      userCount: userCounts[role.name],
+    }));
+
+    res.json({ data: formattedRoles, total, nextCursor });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/roles/matrix - Every role against every permission action, flagging where roles differ
+app.get('/api/roles/matrix', async (req, res) => {
+  try {
+    res.json(await buildRoleMatrix(db));
+  } catch (error) {
+    console.error('Error building role matrix:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/roles/:id - Get single role
+app.get('/api/roles/:id', requireObjectId(), async (req, res) => {
+  try {
+    const role = await db.collection('roles').findOne({ _id: new ObjectId(req.params.id) });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    const userCounts = await countUsersByRole(db, [role.name]);
+
+    res.json({
+      id: role._id.toString(),
+      _id: role._id.toString(),
+      ...role,
+      userCount: userCounts[role.name],
+    });
+  } catch (error) {
+    console.error('Error fetching role:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/roles - Create new role
+app.post('/api/roles', validate('roles'), async (req, res) => {
+  try {
+    const roleData = req.body;
+
+    // Check if role with same name already exists
+    const existingRole = await db.collection('roles').findOne({ name: roleData.name });
+    if (existingRole) {
+      return res.status(400).json({ error: 'Role with this name already exists' });
+    }
+
+    // Anything not given falls back to the catalog defaults
+    const newRole = {
+      name: roleData.name,
+      permissions: defaultPermissions(roleData.permissions),
+    };
 
     const result = await db.collection('roles').insertOne(newRole);
 
@@ -414,25 +1348,82 @@ app.post('/api/roles', async (req, res) => {
   }
 });
 
+// POST /api/roles/:id/clone - Start a new role from an existing role's permissions
+// Body: { name }
+app.post('/api/roles/:id/clone', requireObjectId(), validate('role-clone'), async (req, res) => {
+  try {
+    const source = await db.collection('roles').findOne({ _id: new ObjectId(req.params.id) });
+    if (!source) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { name } = req.body;
+    if (BUILT_IN_ROLES.includes(name) || await db.collection('roles').findOne({ name })) {
+      return sendValidationError(res, { name: 'Role with this name already exists' });
+    }
+
+    const newRole = {
+      name,
+      permissions: defaultPermissions(source.permissions),
+    };
+    const result = await db.collection('roles').insertOne(newRole);
+
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('create', 'roles', result.insertedId.toString(), userEmail, userName, {
+      name,
+      clonedFrom: { id: req.params.id, name: source.name },
+    }, req.ip);
+
+    res.status(201).json({
+      id: result.insertedId.toString(),
+      _id: result.insertedId.toString(),
+      ...newRole,
+      userCount: 0,
+    });
+  } catch (error) {
+    console.error('Error cloning role:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // PUT /api/roles/:id - Update role
-app.put('/api/roles/:id', async (req, res) => {
+// Renaming moves every user on the old name to the new one, since users reference roles by name
+app.put('/api/roles/:id', requireObjectId(), validate('roles', { partial: true }), async (req, res) => {
   try {
-    const { id: _, _id: __, ...updateData } = req.body;
+    const updateData = req.body;
 
-    // If updating name, check if it conflicts with existing role
-    if (updateData.name) {
+    const role = await db.collection('roles').findOne({ _id: new ObjectId(req.params.id) });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const renamed = updateData.name !== undefined && updateData.name !== role.name;
+    if (renamed) {
+      if (BUILT_IN_ROLES.includes(role.name)) {
+        return sendValidationError(res, { name: `${role.name} is built into LibreChat and can't be renamed` });
+      }
       const existingRole = await db.collection('roles').findOne({
         name: updateData.name,
-        _id: { $ne: new ObjectId(req.params.id) }
+        _id: { $ne: role._id }
       });
-      if (existingRole) {
+      if (existingRole || BUILT_IN_ROLES.includes(updateData.name)) {
         return res.status(400).json({ error: 'Role with this name already exists' });
       }
     }
 
-    const result = await db.collection('roles').findOneAndUpdate(
-      { _id: new ObjectId(req.params.id) },
-      { $set: updateData },
+    // Permissions are merged per action, so a body with one permission type leaves the others as they are
+    const { permissions, ...fields } = updateData;
+    const $set = { ...fields };
+    for (const [permType, actions] of Object.entries(permissions || {})) {
+      for (const [action, allowed] of Object.entries(actions)) {
+        $set[`permissions.${permType}.${action}`] = allowed;
+      }
+    }
+
+    const result = Object.keys($set).length === 0 ? role : await db.collection('roles').findOneAndUpdate(
+      { _id: role._id },
+      { $set },
       { returnDocument: 'after' }
     );
 
@@ -440,16 +1431,22 @@ app.put('/api/roles/:id', async (req, res) => {
       return res.status(404).json({ error: 'Role not found' });
     }
 
+    // After the role so a failed rename never leaves users on a name that doesn't exist yet
+    const usersMigrated = renamed ? await moveRoleUsers(db, role.name, updateData.name) : 0;
+
     // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
     await createAuditLog('update', 'roles', req.params.id, userEmail, userName, {
       changes: updateData,
+      ...(renamed && { renamedFrom: role.name, usersMigrated }),
     }, req.ip);
 
+    const userCounts = await countUsersByRole(db, [result.name]);
     res.json({
       id: result._id.toString(),
       _id: result._id.toString(),
       ...result,
+      userCount: userCounts[result.name],
     });
   } catch (error) {
     console.error('Error updating role:', error);
@@ -458,20 +1455,34 @@ app.put('/api/roles/:id', async (req, res) => {
 });
 
 // DELETE /api/roles/:id - Delete role
-app.delete('/api/roles/:id', async (req, res) => {
+// Refused while users hold the role, unless ?reassignTo=<role name> moves them first
+app.delete('/api/roles/:id', requireObjectId(), async (req, res) => {
   try {
-    // Check if any users are assigned this role
     const role = await db.collection('roles').findOne({ _id: new ObjectId(req.params.id) });
-    if (role) {
-      const usersWithRole = await db.collection('users').countDocuments({ role: role.name });
-      if (usersWithRole > 0) {
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const { reassignTo } = req.query;
+    const usersWithRole = await db.collection('users').countDocuments({ role: role.name });
+    let usersReassigned = 0;
+    if (usersWithRole > 0) {
+      if (!reassignTo) {
         return res.status(400).json({
-          error: `Cannot delete role. ${usersWithRole} user(s) are assigned this role.`
+          error: `Cannot delete role. ${usersWithRole} user(s) are assigned this role; reassign them to another role first.`,
+          userCount: usersWithRole,
         });
       }
+      if (reassignTo === role.name || !(await roleExists(db, reassignTo))) {
+        return sendValidationError(res, { reassignTo: `Unknown role "${reassignTo}"` });
+      }
+      if ((reassignTo === ADMIN_ROLE || role.name === ADMIN_ROLE) && !canManageAdminRole(req)) {
+        return sendAdminRoleForbidden(res);
+      }
+      usersReassigned = await moveRoleUsers(db, role.name, reassignTo);
     }
 
-    const result = await db.collection('roles').deleteOne({ _id: new ObjectId(req.params.id) });
+    const result = await db.collection('roles').deleteOne({ _id: role._id });
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: 'Role not found' });
     }
@@ -479,7 +1490,8 @@ app.delete('/api/roles/:id', async (req, res) => {
     // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
     await createAuditLog('delete', 'roles', req.params.id, userEmail, userName, {
-      deletedRole: role ? { name: role.name } : null,
+      deletedRole: { name: role.name },
+      ...(usersReassigned > 0 && { reassignedTo: reassignTo, usersReassigned }),
     }, req.ip);
 
     res.json({ id: req.params.id });
@@ -489,754 +1501,1371 @@ app.delete('/api/roles/:id', async (req, res) => {
   }
 });
 
-// ==================== DASHBOARD/STATS ENDPOINTS ====================
+// GET /api/permissions/catalog - Every permission type and action a role can carry, with labels
+app.get('/api/permissions/catalog', (req, res) => {
+  res.json({ data: PERMISSION_CATALOG });
+});
 
-// GET /api/stats - Get dashboard statistics
-app.get('/api/stats', async (req, res) => {
+// ==================== ADMIN TIERS ENDPOINTS ====================
+
+// Format an admin tier assignment for React-Admin
+const formatAdminTier = (assignment) => ({
+  id: assignment._id.toString(),
+  _id: assignment._id.toString(),
+  email: assignment.email,
+  tier: assignment.tier,
+  note: assignment.note || '',
+  createdAt: assignment.createdAt,
+  updatedAt: assignment.updatedAt,
+});
+
+// GET /api/admin-tiers - List admin tier assignments
+app.get('/api/admin-tiers', async (req, res) => {
   try {
-    const [userCount, convoCount, recentUsers, recentConvos] = await Promise.all([
-      db.collection('users').countDocuments(),
-      db.collection('conversations').countDocuments(),
-      db.collection('users').find({}).sort({ createdAt: -1 }).limit(5).toArray(),
-      db.collection('conversations').find({}).sort({ createdAt: -1 }).limit(5).toArray(),
-    ]);
+    const list = parseListQuery(req.query, LIST_QUERIES['admin-tiers']);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
 
-    res.json({
-      totalUsers: userCount,
-      totalConversations: convoCount,
-      recentUsers: recentUsers.length,
-      recentConversations: recentConvos.length,
-    });
+    const { docs: assignments, total, nextCursor } = await fetchPage(db.collection('admin_tiers'), list);
+
+    res.json({ data: assignments.map(formatAdminTier), total, nextCursor });
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error fetching admin tiers:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== CURRENT USER ENDPOINT ====================
+// GET /api/admin-tiers/:id - Get single admin tier assignment
+app.get('/api/admin-tiers/:id', requireObjectId(), async (req, res) => {
+  try {
+    const assignment = await db.collection('admin_tiers').findOne({ _id: new ObjectId(req.params.id) });
+    if (!assignment) {
+      return res.status(404).json({ error: 'Admin tier not found' });
+    }
 
-// GET /api/user - Get current authenticated user from OAuth2-Proxy headers
-app.get('/api/user', async (req, res) => {
+    res.json(formatAdminTier(assignment));
+  } catch (error) {
+    console.error('Error fetching admin tier:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/admin-tiers - Assign an admin tier to an email
+app.post('/api/admin-tiers', validate('admin-tiers'), async (req, res) => {
   try {
-    // OAuth2-Proxy injects authentication headers
-    const userEmail = req.headers['x-forwarded-email'] || req.headers['x-auth-request-email'];
+    const { email, tier, note } = req.body;
 
-    if (!userEmail) {
-      return res.status(401).json({ error: 'Not authenticated' });
+    const normalizedEmail = email.toLowerCase();
+    const existing = await db.collection('admin_tiers').findOne({ email: normalizedEmail });
+    if (existing) {
+      return res.status(400).json({ error: 'This email already has an admin tier' });
     }
 
-    // Find user by email in MongoDB
-    const user = await db.collection('users').findOne({ email: userEmail });
+    const newAssignment = {
+      email: normalizedEmail,
+      tier,
+      note: note || '',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
 
-    if (!user) {
-      // If user not found in database, return basic info from headers
-      return res.json({
-        id: 'unknown',
-        email: userEmail,
-        name: req.headers['x-forwarded-user'] || req.headers['x-auth-request-user'] || userEmail,
-        role: 'USER',
-      });
-    }
+    const result = await db.collection('admin_tiers').insertOne(newAssignment);
 
-    // Return user from database
-    res.json({
-      id: user._id.toString(),
-      _id: user._id.toString(),
-      username: user.username,
-      name: user.name,
-      email: user.email,
-      role: user.role || 'USER',
-      provider: user.provider,
-      avatar: user.avatar,
-    });
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('create', 'admin-tiers', result.insertedId.toString(), userEmail, userName, {
+      email: newAssignment.email,
+      tier: newAssignment.tier,
+    }, req.ip);
+
+    res.status(201).json(formatAdminTier({ _id: result.insertedId, ...newAssignment }));
   } catch (error) {
-    console.error('Error fetching current user:', error);
+    console.error('Error creating admin tier:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== MESSAGES ENDPOINTS ====================
+// PUT /api/admin-tiers/:id - Change an admin tier assignment
+app.put('/api/admin-tiers/:id', requireObjectId(), validate('admin-tiers', { partial: true }), async (req, res) => {
+  try {
+    const updateData = req.body;
+
+    const result = await db.collection('admin_tiers').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      return res.status(404).json({ error: 'Admin tier not found' });
+    }
+
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('update', 'admin-tiers', req.params.id, userEmail, userName, {
+      email: result.email,
+      changes: updateData,
+    }, req.ip);
 
-// GET /api/messages - List all messages with pagination
-app.get('/api/messages', async (req, res) => {
+    res.json(formatAdminTier(result));
+  } catch (error) {
+    console.error('Error updating admin tier:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/admin-tiers/:id - Remove an admin tier assignment
+app.delete('/api/admin-tiers/:id', requireObjectId(), async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const assignment = await db.collection('admin_tiers').findOne({ _id: new ObjectId(req.params.id) });
 
-    const messages = await db.collection('messages')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const result = await db.collection('admin_tiers').deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Admin tier not found' });
+    }
 
-    const total = await db.collection('messages').countDocuments();
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('delete', 'admin-tiers', req.params.id, userEmail, userName, {
+      deletedTier: assignment ? { email: assignment.email, tier: assignment.tier } : null,
+    }, req.ip);
 
-    const formattedMessages = messages.map(msg => ({
-      id: msg._id.toString(),
-      _id: msg._id.toString(),
-      ...msg,
-    }));
+    res.json({ id: req.params.id });
+  } catch (error) {
+    console.error('Error deleting admin tier:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== RETENTION ENDPOINTS ====================
+
+// Checks the validator can't express: whole days, roles only where documents have an owner
+async function checkRetentionPolicy(policy) {
+  const errors = {};
+  if (policy.maxAgeDays !== undefined && (!Number.isInteger(policy.maxAgeDays) || policy.maxAgeDays < 1)) {
+    errors.maxAgeDays = 'Must be a whole number of days, at least 1';
+  }
+  const roles = policy.roles || [];
+  if (roles.length > 0 && policy.target && !RETENTION_TARGETS[policy.target].userField) {
+    errors.roles = `${RETENTION_TARGETS[policy.target].label} can't be limited to roles`;
+  } else if (roles.length > 0) {
+    const known = await getRoleNames(db);
+    const unknown = roles.find(role => !known.has(role));
+    if (unknown) errors.roles = `Unknown role "${unknown}"`;
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+}
 
-    res.json({ data: formattedMessages, total });
+// GET /api/retention-policies - List retention policies
+app.get('/api/retention-policies', async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_QUERIES['retention-policies']);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const { docs: policies, total, nextCursor } = await fetchPage(db.collection('retention_policies'), list);
+
+    res.json({ data: policies.map(formatPolicy), total, nextCursor });
   } catch (error) {
-    console.error('Error fetching messages:', error);
+    console.error('Error fetching retention policies:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/messages/:id - Get single message
-app.get('/api/messages/:id', async (req, res) => {
+// GET /api/retention-policies/:id - Get single retention policy
+app.get('/api/retention-policies/:id', requireObjectId(), async (req, res) => {
   try {
-    const message = await db.collection('messages').findOne({ _id: new ObjectId(req.params.id) });
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
+    const policy = await db.collection('retention_policies').findOne({ _id: new ObjectId(req.params.id) });
+    if (!policy) {
+      return res.status(404).json({ error: 'Retention policy not found' });
     }
 
-    res.json({
-      id: message._id.toString(),
-      _id: message._id.toString(),
-      ...message,
-    });
+    res.json(formatPolicy(policy));
   } catch (error) {
-    console.error('Error fetching message:', error);
+    console.error('Error fetching retention policy:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/messages/:id - Delete message
-app.delete('/api/messages/:id', async (req, res) => {
+// POST /api/retention-policies - Create a retention policy
+app.post('/api/retention-policies', validate('retention-policies'), async (req, res) => {
   try {
-    const message = await db.collection('messages').findOne({ _id: new ObjectId(req.params.id) });
+    const errors = await checkRetentionPolicy(req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
 
-    const result = await db.collection('messages').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Message not found' });
+    const newPolicy = {
+      name: req.body.name.trim(),
+      target: req.body.target,
+      maxAgeDays: req.body.maxAgeDays,
+      roles: req.body.roles || [],
+      enabled: req.body.enabled !== false,
+      note: req.body.note || '',
+      lastRunAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection('retention_policies').insertOne(newPolicy);
+
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('create', 'retention-policies', result.insertedId.toString(), userEmail, userName, {
+      name: newPolicy.name,
+      target: newPolicy.target,
+      maxAgeDays: newPolicy.maxAgeDays,
+      roles: newPolicy.roles,
+    }, req.ip);
+
+    res.status(201).json(formatPolicy({ _id: result.insertedId, ...newPolicy }));
+  } catch (error) {
+    console.error('Error creating retention policy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/retention-policies/:id - Update a retention policy
+app.put(
+  '/api/retention-policies/:id',
+  requireObjectId(),
+  validate('retention-policies', { partial: true }),
+  async (req, res) => {
+    try {
+      const existing = await db.collection('retention_policies').findOne({ _id: new ObjectId(req.params.id) });
+      if (!existing) {
+        return res.status(404).json({ error: 'Retention policy not found' });
+      }
+
+      const updateData = req.body;
+      const errors = await checkRetentionPolicy({ ...formatPolicy(existing), ...updateData });
+      if (errors) {
+        return sendValidationError(res, errors);
+      }
+
+      const result = await db.collection('retention_policies').findOneAndUpdate(
+        { _id: existing._id },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      // Audit log
+      const { userEmail, userName } = getUserFromHeaders(req);
+      await createAuditLog('update', 'retention-policies', req.params.id, userEmail, userName, {
+        name: result.name,
+        changes: updateData,
+      }, req.ip);
+
+      res.json(formatPolicy(result));
+    } catch (error) {
+      console.error('Error updating retention policy:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// DELETE /api/retention-policies/:id - Delete a retention policy (past runs are kept)
+app.delete('/api/retention-policies/:id', requireObjectId(), async (req, res) => {
+  try {
+    const policy = await db.collection('retention_policies').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!policy) {
+      return res.status(404).json({ error: 'Retention policy not found' });
     }
 
     // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'messages', req.params.id, userEmail, userName, {
-      deletedMessage: message ? { conversationId: message.conversationId } : null,
+    await createAuditLog('delete', 'retention-policies', req.params.id, userEmail, userName, {
+      deletedPolicy: { name: policy.name, target: policy.target, maxAgeDays: policy.maxAgeDays, roles: policy.roles },
     }, req.ip);
 
     res.json({ id: req.params.id });
   } catch (error) {
-    console.error('Error deleting message:', error);
+    console.error('Error deleting retention policy:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== AGENTS ENDPOINTS ====================
+// Summary audit entry for a retention run, manual or scheduled
+function auditRetentionRun(run, userEmail, userName, ipAddress = null) {
+  return createAuditLog('purge', 'retention-runs', run.id, userEmail, userName, {
+    dryRun: run.dryRun,
+    trigger: run.trigger,
+    status: run.status,
+    totals: run.totals,
+    policies: run.results.map(result => ({
+      name: result.policyName,
+      target: result.target,
+      matched: result.matched,
+      removed: result.removed,
+      error: result.error,
+    })),
+  }, ipAddress);
+}
 
-// GET /api/agents - List all agents with pagination
-app.get('/api/agents', async (req, res) => {
-  try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+// Starts a manual run; shared by the dry-run and purge routes, which differ in required tier
+function retentionRunHandler(dryRun) {
+  return async (req, res) => {
+    try {
+      const { policyIds } = req.body;
+      if (policyIds && !policyIds.every(isObjectId)) {
+        return sendValidationError(res, { policyIds: 'Must be retention policy ids' });
+      }
 
-    const agents = await db.collection('agents')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+      const { userEmail, userName } = getUserFromHeaders(req);
+      const run = async () => {
+        const outcome = await runRetention(db, {
+          policyIds: policyIds && policyIds.length > 0 ? policyIds : null,
+          dryRun,
+          trigger: 'manual',
+          triggeredBy: userEmail,
+        });
+        await auditRetentionRun(outcome, userEmail, userName, req.ip);
+        return outcome;
+      };
 
-    const total = await db.collection('agents').countDocuments();
+      if (req.query.background === 'true') {
+        const job = await jobs.start('retention-run', { createdBy: userEmail, params: { dryRun, policyIds } }, run);
+        return res.status(202).json({ jobId: job.id });
+      }
 
-    const formattedAgents = agents.map(agent => ({
-      id: agent._id.toString(),
-      _id: agent._id.toString(),
-      ...agent,
-    }));
+      res.status(201).json(await run());
+    } catch (error) {
+      console.error('Error running retention policies:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// POST /api/retention-runs/dry-run - Report what the policies would remove, without deleting
+app.post('/api/retention-runs/dry-run', validate('retention-run'), retentionRunHandler(true));
+
+// POST /api/retention-runs - Run the policies now (defaults to every enabled policy)
+// ?background=true runs as a job
+app.post('/api/retention-runs', validate('retention-run'), retentionRunHandler(false));
 
-    res.json({ data: formattedAgents, total });
+// ==================== MODERATION ENDPOINTS ====================
+
+// List fields arrive from free-text inputs; keep only non-empty trimmed entries
+function cleanModerationRule(rule) {
+  const cleaned = { ...rule };
+  for (const field of ['keywords', 'users', 'endpoints']) {
+    if (cleaned[field]) cleaned[field] = cleaned[field].map(value => value.trim()).filter(Boolean);
+  }
+  return cleaned;
+}
+
+// A rule needs something to match, and its pattern must compile
+function checkModerationRule(rule) {
+  if (rule.type === 'regex') {
+    if (!rule.pattern || !rule.pattern.trim()) return { pattern: 'Required for regex rules' };
+    const error = ruleError(rule);
+    return error ? { pattern: error } : null;
+  }
+  if (!(rule.keywords || []).some(keyword => keyword.trim())) {
+    return { keywords: 'Add at least one keyword' };
+  }
+  return null;
+}
+
+const formatModerationRule = rule => ({
+  id: rule._id.toString(),
+  _id: rule._id.toString(),
+  name: rule.name,
+  type: rule.type,
+  keywords: rule.keywords || [],
+  pattern: rule.pattern || '',
+  caseSensitive: Boolean(rule.caseSensitive),
+  severity: rule.severity,
+  users: rule.users || [],
+  endpoints: rule.endpoints || [],
+  enabled: rule.enabled !== false,
+  note: rule.note || '',
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt,
+});
+
+// GET /api/moderation-rules - List moderation rules
+app.get('/api/moderation-rules', async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, LIST_QUERIES['moderation-rules']);
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const { docs: rules, total, nextCursor } = await fetchPage(db.collection('moderation_rules'), list);
+
+    res.json({ data: rules.map(formatModerationRule), total, nextCursor });
   } catch (error) {
-    console.error('Error fetching agents:', error);
+    console.error('Error fetching moderation rules:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/agents/:id - Get single agent
-app.get('/api/agents/:id', async (req, res) => {
+// GET /api/moderation-rules/:id - Get single moderation rule
+app.get('/api/moderation-rules/:id', requireObjectId(), async (req, res) => {
   try {
-    // Agents use a custom 'id' field, not MongoDB _id
-    const agent = await db.collection('agents').findOne({ id: req.params.id });
-    if (!agent) {
-      return res.status(404).json({ error: 'Agent not found' });
+    const rule = await db.collection('moderation_rules').findOne({ _id: new ObjectId(req.params.id) });
+    if (!rule) {
+      return res.status(404).json({ error: 'Moderation rule not found' });
     }
 
-    res.json({
-      id: agent.id,
-      _id: agent._id.toString(),
-      ...agent,
-    });
+    res.json(formatModerationRule(rule));
   } catch (error) {
-    console.error('Error fetching agent:', error);
+    console.error('Error fetching moderation rule:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/agents/:id - Delete agent
-app.delete('/api/agents/:id', async (req, res) => {
+// POST /api/moderation-rules - Create a moderation rule (applies to messages scanned from now on)
+app.post('/api/moderation-rules', validate('moderation-rules'), async (req, res) => {
   try {
-    // Get agent before deleting for audit log
-    const agent = await db.collection('agents').findOne({ id: req.params.id });
+    const rule = cleanModerationRule(req.body);
+    const errors = checkModerationRule(rule);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
 
-    // Agents use a custom 'id' field, not MongoDB _id
-    const result = await db.collection('agents').deleteOne({ id: req.params.id });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Agent not found' });
+    const newRule = {
+      name: rule.name.trim(),
+      type: rule.type,
+      keywords: rule.keywords || [],
+      pattern: rule.pattern || '',
+      caseSensitive: Boolean(rule.caseSensitive),
+      severity: rule.severity,
+      users: rule.users || [],
+      endpoints: rule.endpoints || [],
+      enabled: rule.enabled !== false,
+      note: rule.note || '',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await db.collection('moderation_rules').insertOne(newRule);
+
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('create', 'moderation-rules', result.insertedId.toString(), userEmail, userName, {
+      name: newRule.name,
+      type: newRule.type,
+      severity: newRule.severity,
+    }, req.ip);
+
+    res.status(201).json(formatModerationRule({ _id: result.insertedId, ...newRule }));
+  } catch (error) {
+    console.error('Error creating moderation rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/moderation-rules/:id - Update a moderation rule
+app.put(
+  '/api/moderation-rules/:id',
+  requireObjectId(),
+  validate('moderation-rules', { partial: true }),
+  async (req, res) => {
+    try {
+      const existing = await db.collection('moderation_rules').findOne({ _id: new ObjectId(req.params.id) });
+      if (!existing) {
+        return res.status(404).json({ error: 'Moderation rule not found' });
+      }
+
+      const updateData = cleanModerationRule(req.body);
+      const errors = checkModerationRule({ ...formatModerationRule(existing), ...updateData });
+      if (errors) {
+        return sendValidationError(res, errors);
+      }
+
+      const result = await db.collection('moderation_rules').findOneAndUpdate(
+        { _id: existing._id },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      // Audit log
+      const { userEmail, userName } = getUserFromHeaders(req);
+      await createAuditLog('update', 'moderation-rules', req.params.id, userEmail, userName, {
+        name: result.name,
+        changes: updateData,
+      }, req.ip);
+
+      res.json(formatModerationRule(result));
+    } catch (error) {
+      console.error('Error updating moderation rule:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// DELETE /api/moderation-rules/:id - Delete a moderation rule (its flags are kept)
+app.delete('/api/moderation-rules/:id', requireObjectId(), async (req, res) => {
+  try {
+    const rule = await db.collection('moderation_rules').findOneAndDelete({ _id: new ObjectId(req.params.id) });
+    if (!rule) {
+      return res.status(404).json({ error: 'Moderation rule not found' });
     }
 
     // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'agents', req.params.id, userEmail, userName, {
-      deletedAgent: agent ? { name: agent.name } : null,
+    await createAuditLog('delete', 'moderation-rules', req.params.id, userEmail, userName, {
+      deletedRule: { name: rule.name, type: rule.type, severity: rule.severity },
     }, req.ip);
 
     res.json({ id: req.params.id });
   } catch (error) {
-    console.error('Error deleting agent:', error);
+    console.error('Error deleting moderation rule:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// PUT /api/agents/:id - Update agent
-app.put('/api/agents/:id', async (req, res) => {
+// GET /api/moderation/scanner - Scanner checkpoint and review queue counts
+app.get('/api/moderation/scanner', async (req, res) => {
   try {
-    const { id: _reqId, _id: __, ...updateData } = req.body;
+    const [state, statuses] = await Promise.all([
+      getScannerState(db),
+      db.collection('moderation_flags').aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray(),
+    ]);
 
-    // Agents use a custom 'id' field, not MongoDB _id
-    const result = await db.collection('agents').findOneAndUpdate(
-      { id: req.params.id },
-      { $set: { ...updateData, updatedAt: new Date() } },
-      { returnDocument: 'after' }
-    );
+    res.json({
+      ...state,
+      running: isScanRunning(),
+      intervalMs: MODERATION_SCAN_INTERVAL_MS,
+      flags: Object.fromEntries(statuses.map(status => [status._id, status.count])),
+    });
+  } catch (error) {
+    console.error('Error fetching moderation scanner state:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (!result) {
-      return res.status(404).json({ error: 'Agent not found' });
+// POST /api/moderation/scanner/scan - Scan new messages now
+// { since } first moves the checkpoint back, e.g. to apply a new rule to older messages
+app.post('/api/moderation/scanner/scan', validate('moderation-scan'), async (req, res) => {
+  try {
+    let since;
+    if (req.body.since) {
+      since = new Date(req.body.since);
+      if (Number.isNaN(since.getTime())) {
+        return sendValidationError(res, { since: 'Must be a date' });
+      }
+    }
+
+    // Scheduled and manual scans share one checkpoint, so only one may run at a time
+    const outcome = await scanMessages(db, { since });
+    if (!outcome) {
+      return res.status(409).json({ error: 'A moderation scan is already running; try again when it finishes' });
     }
 
     // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('update', 'agents', req.params.id, userEmail, userName, {
-      changes: updateData,
+    await createAuditLog('execute', 'moderation-scanner', 'scan', userEmail, userName, {
+      since: since || null,
+      scanned: outcome.scanned,
+      flagged: outcome.flagged,
+      timedOutRules: outcome.timedOutRules,
     }, req.ip);
 
-    res.json({
-      id: result.id,
-      _id: result._id.toString(),
-      ...result,
-    });
+    res.json(outcome);
   } catch (error) {
-    console.error('Error updating agent:', error);
+    console.error('Error scanning messages:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// POST /api/agents - Create new agent
-app.post('/api/agents', async (req, res) => {
+// Record one review decision and its audit entry
+async function reviewModerationFlag(req, id) {
+  const { userEmail, userName } = getUserFromHeaders(req);
+  const reviewed = await reviewFlag(db, id, {
+    status: req.body.status,
+    note: req.body.note || null,
+    reviewedBy: userEmail,
+  });
+  if (!reviewed) return null;
+
+  await createAuditLog('review', 'moderation-flags', id, userEmail, userName, {
+    decision: req.body.status,
+    previousStatus: reviewed.before.status,
+    note: req.body.note || null,
+    messageId: reviewed.before.messageId,
+    conversationId: reviewed.before.conversationId,
+    rules: reviewed.before.matches.map(match => match.ruleName),
+  }, req.ip);
+
+  return reviewed.after;
+}
+
+// POST /api/moderation-flags/review - Apply one decision to several flags ({ ids, status, note })
+app.post('/api/moderation-flags/review', validate('moderation-bulk-review'), async (req, res) => {
   try {
-    const { id: _, _id: __, ...agentData } = req.body;
+    const { ids } = req.body;
+    const invalid = ids.filter(id => !isObjectId(id));
+    if (ids.length === 0 || invalid.length > 0) {
+      return sendValidationError(res, { ids: ids.length === 0 ? 'Select at least one flag' : `Invalid flag id "${invalid[0]}"` });
+    }
 
-    // Generate custom agent ID (format: agent_<random>)
-    const generateAgentId = () => {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-      let result = 'agent_';
-      for (let i = 0; i < 21; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return result;
-    };
+    let reviewed = 0;
+    for (const id of ids) {
+      if (await reviewModerationFlag(req, id)) reviewed++;
+    }
+
+    res.json({ reviewed, status: req.body.status });
+  } catch (error) {
+    console.error('Error reviewing moderation flags:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Ensure required fields
-    if (!agentData.name) {
-      return res.status(400).json({ error: 'Agent name is required' });
+// POST /api/moderation-flags/:id/review - Dismiss, escalate or reopen a flag
+app.post('/api/moderation-flags/:id/review', requireObjectId(), validate('moderation-review'), async (req, res) => {
+  try {
+    const flag = await reviewModerationFlag(req, req.params.id);
+    if (!flag) {
+      return res.status(404).json({ error: 'Moderation flag not found' });
     }
 
-    // Create new agent with defaults
-    const newAgent = {
-      id: generateAgentId(),
-      name: agentData.name,
-      description: agentData.description || '',
-      instructions: agentData.instructions || '',
-      provider: agentData.provider || 'azureOpenAI',
-      model: agentData.model || 'gpt-4',
-      artifacts: agentData.artifacts || '',
-      tools: agentData.tools || [],
-      tool_kwargs: agentData.tool_kwargs || [],
-      agent_ids: agentData.agent_ids || [],
-      conversation_starters: agentData.conversation_starters || [],
-      projectIds: agentData.projectIds || [],
-      category: agentData.category || 'general',
-      support_contact: agentData.support_contact || { name: '', email: '' },
-      is_promoted: agentData.is_promoted || false,
-      end_after_tools: agentData.end_after_tools || false,
-      hide_sequential_outputs: agentData.hide_sequential_outputs || false,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      versions: [],
-    };
+    res.json({ ...flag, id: flag._id.toString(), _id: flag._id.toString() });
+  } catch (error) {
+    console.error('Error reviewing moderation flag:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const result = await db.collection('agents').insertOne(newAgent);
+// ==================== PII ENDPOINTS ====================
 
-    const createdAgent = {
-      id: newAgent.id,
-      _id: result.insertedId.toString(),
-      ...newAgent,
-    };
+// Both forms of a user id, as LibreChat stores messages.user as a string and files.user as an ObjectId
+const userRefs = id => (isObjectId(id) ? [id, new ObjectId(id)] : [id]);
+
+/**
+ * Turn a scan or redaction request into per-source filters
+ * @returns {{ filters: object, sources: string[] }|{ errors: object }}
+ */
+function piiScope(body) {
+  const { user, conversationId, messageIds, fileIds, since, until, detectors, includeFiles } = body;
+  const unknown = (detectors || []).find(id => !PII_DETECTORS.some(detector => detector.id === id));
+  if (unknown) {
+    return { errors: { detectors: `Unknown detector "${unknown}"` } };
+  }
+
+  const createdAt = {};
+  for (const [field, value, operator] of [['since', since, '$gte'], ['until', until, '$lte']]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { errors: { [field]: 'Must be a date' } };
+    }
+    createdAt[operator] = date;
+  }
+
+  const common = {};
+  if (user) common.user = { $in: userRefs(user) };
+  if (conversationId) common.conversationId = conversationId;
+  if (Object.keys(createdAt).length > 0) common.createdAt = createdAt;
+
+  // Picking documents by id limits the scope to their source
+  let sources = includeFiles ? ['messages', 'files'] : ['messages'];
+  if (messageIds || fileIds) {
+    sources = [messageIds && 'messages', fileIds && 'files'].filter(Boolean);
+  }
+
+  return {
+    filters: {
+      messages: { ...common, ...(messageIds && { messageId: { $in: messageIds } }) },
+      files: { ...common, ...(fileIds && { file_id: { $in: fileIds } }) },
+    },
+    sources,
+  };
+}
+
+// GET /api/pii/detectors - Detectors available to scans and redactions
+app.get('/api/pii/detectors', (req, res) => {
+  res.json({
+    data: PII_DETECTORS.map(({ id, label, placeholder }) => ({ id, label, placeholder })),
+    maxScanDocuments: MAX_SCAN_DOCUMENTS,
+  });
+});
+
+// POST /api/pii/scan - Report PII per user and per conversation (values are masked)
+// ?background=true runs as a job
+app.post('/api/pii/scan', validate('pii-scope'), async (req, res) => {
+  try {
+    const scope = piiScope(req.body);
+    if (scope.errors) {
+      return sendValidationError(res, scope.errors);
+    }
+
+    const { userEmail } = getUserFromHeaders(req);
+    const run = () => scanForPii(db, { ...scope, detectors: req.body.detectors });
+
+    if (req.query.background === 'true') {
+      const job = await jobs.start('pii-scan', { createdBy: userEmail, params: req.body }, run);
+      return res.status(202).json({ jobId: job.id });
+    }
+
+    res.json(await run());
+  } catch (error) {
+    console.error('Error scanning for PII:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/pii/redact - Replace PII in place, keeping a salted hash of each value
+// Needs a user, conversation or document ids, so a mistake can't rewrite every message
+// ?background=true runs as a job
+app.post('/api/pii/redact', validate('pii-scope'), async (req, res) => {
+  try {
+    if (!PII_HASH_SECRET) {
+      return res.status(503).json({ error: 'PII_HASH_SECRET is not configured, so removed values cannot be recorded safely' });
+    }
+    const { user, conversationId, messageIds, fileIds } = req.body;
+    if (!user && !conversationId && !(messageIds && messageIds.length) && !(fileIds && fileIds.length)) {
+      return sendValidationError(res, { scope: 'Choose a user, conversation or documents to redact' });
+    }
+    const scope = piiScope(req.body);
+    if (scope.errors) {
+      return sendValidationError(res, scope.errors);
+    }
 
-    // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('create', 'agents', newAgent.id, userEmail, userName, {
-      name: newAgent.name,
-      provider: newAgent.provider,
-      model: newAgent.model,
-    }, req.ip);
+    const run = async () => {
+      const outcome = await redactPii(db, { ...scope, detectors: req.body.detectors }, {
+        redactedBy: userEmail,
+        secret: PII_HASH_SECRET,
+      });
+
+      // The audit entry records what was redacted where, never the values
+      await createAuditLog('redact', 'pii', 'bulk', userEmail, userName, {
+        scope: req.body,
+        ...outcome,
+      }, req.ip);
+
+      return outcome;
+    };
+
+    if (req.query.background === 'true') {
+      const job = await jobs.start('pii-redact', { createdBy: userEmail, params: req.body }, run);
+      return res.status(202).json({ jobId: job.id });
+    }
 
-    res.status(201).json(createdAgent);
+    res.json(await run());
   } catch (error) {
-    console.error('Error creating agent:', error);
+    console.error('Error redacting PII:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== FILES ENDPOINTS ====================
-
-// GET /api/files - List all files with pagination
-app.get('/api/files', async (req, res) => {
+// POST /api/pii-redactions/:id/verify - Check whether a value is one this redaction removed ({ value })
+app.post('/api/pii-redactions/:id/verify', requireObjectId(), validate('pii-verify'), async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const record = await db.collection('pii_redactions').findOne({ _id: new ObjectId(req.params.id) });
+    if (!record) {
+      return res.status(404).json({ error: 'PII redaction not found' });
+    }
+    if (!PII_HASH_SECRET) {
+      return res.status(503).json({ error: 'PII_HASH_SECRET is not configured' });
+    }
 
-    const files = await db.collection('files')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const matches = record.fields.flatMap(field => field.redactions
+      .filter(redaction => verifyHash(req.body.value, redaction, PII_HASH_SECRET))
+      .map(redaction => ({ field: field.path, detector: redaction.detector, start: redaction.start })));
 
-    const total = await db.collection('files').countDocuments();
+    res.json({ matched: matches.length > 0, matches });
+  } catch (error) {
+    console.error('Error verifying PII redaction:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const formattedFiles = files.map(file => ({
-      id: file._id.toString(),
-      _id: file._id.toString(),
-      ...file,
-    }));
+// ==================== JOBS ENDPOINTS ====================
 
-    res.json({ data: formattedFiles, total });
+// GET /api/jobs/:id - Status, progress and result of a background job
+app.get('/api/jobs/:id', requireObjectId(), async (req, res) => {
+  try {
+    const job = await jobs.get(new ObjectId(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
   } catch (error) {
-    console.error('Error fetching files:', error);
+    console.error('Error fetching job:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/files/:id - Get single file
-app.get('/api/files/:id', async (req, res) => {
+// ==================== DASHBOARD/STATS ENDPOINTS ====================
+
+// GET /api/stats - Get dashboard statistics
+app.get('/api/stats', async (req, res) => {
   try {
-    const file = await db.collection('files').findOne({ _id: new ObjectId(req.params.id) });
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+    const [userCount, convoCount, recentUsers, recentConvos] = await Promise.all([
+      db.collection('users').countDocuments(),
+      db.collection('conversations').countDocuments(),
+      db.collection('users').find({}).sort({ createdAt: -1 }).limit(5).toArray(),
+      db.collection('conversations').find({}).sort({ createdAt: -1 }).limit(5).toArray(),
+    ]);
 
     res.json({
-      id: file._id.toString(),
-      _id: file._id.toString(),
-      ...file,
+      totalUsers: userCount,
+      totalConversations: convoCount,
+      recentUsers: recentUsers.length,
+      recentConversations: recentConvos.length,
     });
   } catch (error) {
-    console.error('Error fetching file:', error);
+    console.error('Error fetching stats:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/files/:id - Delete file
-app.delete('/api/files/:id', async (req, res) => {
+// ==================== CONVERSATIONS ENDPOINTS ====================
+
+// Most conversations one bulk export may zip
+const MAX_CONVERSATION_EXPORT = 100;
+
+function conversationFormatError(format) {
+  return CONVERSATION_FORMATS[format] ? null : `Format must be one of: ${Object.keys(CONVERSATION_FORMATS).join(', ')}`;
+}
+
+// GET /api/convos/export?ids=<id>&ids=<id>&format=md|json|html - Several conversations as one zip archive
+app.get('/api/convos/export', async (req, res) => {
+  const format = req.query.format || 'md';
+  const ids = [].concat(req.query.ids || []).filter(Boolean);
+  const formatError = conversationFormatError(format);
+  if (formatError) {
+    return sendValidationError(res, { format: formatError });
+  }
+  if (ids.length === 0 || ids.length > MAX_CONVERSATION_EXPORT) {
+    return sendValidationError(res, {
+      ids: ids.length === 0 ? 'Select at least one conversation' : `At most ${MAX_CONVERSATION_EXPORT} conversations per export`,
+    });
+  }
+
+  let convos;
+  try {
+    convos = await db.collection('conversations').find({ conversationId: { $in: ids } }).sort({ createdAt: 1 }).toArray();
+    if (convos.length === 0) {
+      return res.status(404).json({ error: 'No matching conversations' });
+    }
+  } catch (error) {
+    console.error('Error fetching conversations for export:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  const { userEmail, userName } = getUserFromHeaders(req);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="conversations-${new Date().toISOString().slice(0, 10)}.zip"`,
+  );
+
   try {
-    const file = await db.collection('files').findOne({ _id: new ObjectId(req.params.id) });
+    const messageCount = await writeConversationsExport(db, convos, res, { format, exportedBy: userEmail });
 
-    const result = await db.collection('files').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'File not found' });
+    await createAuditLog('export', 'conversations', 'bulk', userEmail, userName, {
+      format,
+      conversationIds: convos.map(convo => convo.conversationId),
+      count: convos.length,
+      messageCount,
+    }, req.ip);
+  } catch (error) {
+    // Headers are already sent, so the client sees a truncated download
+    console.error('Error exporting conversations:', error);
+    res.destroy(error);
+  }
+});
+
+// GET /api/convos/:id/export?format=md|json|html - Download one conversation with its metadata and thread
+app.get('/api/convos/:id/export', async (req, res) => {
+  const format = req.query.format || 'md';
+  const formatError = conversationFormatError(format);
+  if (formatError) {
+    return sendValidationError(res, { format: formatError });
+  }
+
+  try {
+    const convo = await db.collection('conversations').findOne({ conversationId: req.params.id });
+    if (!convo) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'files', req.params.id, userEmail, userName, {
-      deletedFile: file ? { filename: file.filename, filepath: file.filepath } : null,
+    const exported = await loadConversationExport(db, convo);
+    const body = renderConversationExport(exported, format, { exportedBy: userEmail });
+
+    await createAuditLog('export', 'conversations', convo.conversationId, userEmail, userName, {
+      format,
+      title: convo.title,
+      user: convo.user,
+      messageCount: exported.messageCount,
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.setHeader('Content-Type', CONVERSATION_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${conversationFilename(convo, format)}"`);
+    res.send(body);
   } catch (error) {
-    console.error('Error deleting file:', error);
+    console.error('Error exporting conversation:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== SESSIONS ENDPOINTS ====================
-
-// GET /api/sessions - List all sessions with pagination
-app.get('/api/sessions', async (req, res) => {
+// GET /api/convos/:id/transcript - Every message of a conversation as a tree, branches included
+app.get('/api/convos/:id/transcript', async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const convo = await db.collection('conversations').findOne({ conversationId: req.params.id });
+    if (!convo) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
-    const sessions = await db.collection('sessions')
-      .find({})
-      .sort({ expiration: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+    const messages = await db.collection('messages')
+      .find({ conversationId: convo.conversationId })
       .toArray();
+    const tree = buildMessageTree(messages);
 
-    const total = await db.collection('sessions').countDocuments();
-
-    const formattedSessions = sessions.map(session => ({
-      id: session._id.toString(),
-      _id: session._id.toString(),
-      ...session,
-    }));
-
-    res.json({ data: formattedSessions, total });
+    res.json({
+      conversation: {
+        id: convo.conversationId,
+        conversationId: convo.conversationId,
+        title: convo.title || 'Untitled Conversation',
+        user: convo.user,
+        endpoint: convo.endpoint,
+        model: convo.model,
+        createdAt: convo.createdAt,
+        updatedAt: convo.updatedAt,
+      },
+      messageCount: messages.length,
+      totalTokens: messages.reduce((sum, message) => sum + (message.tokenCount || 0), 0),
+      ...tree,
+    });
   } catch (error) {
-    console.error('Error fetching sessions:', error);
+    console.error('Error building transcript:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/sessions/:id - Get single session
-app.get('/api/sessions/:id', async (req, res) => {
+// GET /api/convos/:id/impact - Dry run: count what a cascading delete would also remove
+app.get('/api/convos/:id/impact', async (req, res) => {
   try {
-    const session = await db.collection('sessions').findOne({ _id: new ObjectId(req.params.id) });
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
+    const convo = await db.collection('conversations').findOne({ conversationId: req.params.id });
+    if (!convo) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
+    const { counts, total } = await countConversationDependents(db, convo);
+
     res.json({
-      id: session._id.toString(),
-      _id: session._id.toString(),
-      ...session,
+      id: req.params.id,
+      conversation: { title: convo.title || 'Untitled Conversation', user: convo.user },
+      counts,
+      total,
     });
   } catch (error) {
-    console.error('Error fetching session:', error);
+    console.error('Error computing conversation impact:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/sessions/:id - Delete session
-app.delete('/api/sessions/:id', async (req, res) => {
+// DELETE /api/convos/:id - Delete a conversation
+// ?cascade=true also removes its messages, shared links and files nothing else uses
+app.delete('/api/convos/:id', async (req, res) => {
   try {
-    const session = await db.collection('sessions').findOne({ _id: new ObjectId(req.params.id) });
-
-    const result = await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Session not found' });
+    const convo = await db.collection('conversations').findOne({ conversationId: req.params.id });
+    if (!convo) {
+      return res.status(404).json({ error: 'Conversation not found' });
     }
 
-    // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'sessions', req.params.id, userEmail, userName, {
-      deletedSession: session ? { session: session.session } : null,
+    const deletedConversation = { title: convo.title, user: convo.user };
+
+    if (req.query.cascade !== 'true') {
+      await db.collection('conversations').deleteOne({ _id: convo._id });
+      await createAuditLog('delete', 'conversations', req.params.id, userEmail, userName, {
+        deletedConversation,
+      }, req.ip);
+      return res.json({ id: req.params.id });
+    }
+
+    const { before, removed, after } = await deleteConversationCascade(db, convo);
+
+    await createAuditLog('delete', 'conversations', req.params.id, userEmail, userName, {
+      deletedConversation,
+      cascade: true,
+      before,
+      removed,
+      after,
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.json({ id: req.params.id, before, removed, after });
   } catch (error) {
-    console.error('Error deleting session:', error);
+    console.error('Error deleting conversation:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== TOKENS ENDPOINTS ====================
-
-// GET /api/tokens - List all tokens with pagination
-app.get('/api/tokens', async (req, res) => {
+// GET /api/messages/orphans - Dry run: messages whose conversation no longer exists
+// Conversations with a message in the last ORPHAN_MIN_AGE_MS are left out, here and in the sweep
+app.get('/api/messages/orphans', async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const tokens = await db.collection('tokens')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
-
-    const total = await db.collection('tokens').countDocuments();
-
-    const formattedTokens = tokens.map(token => ({
-      id: token._id.toString(),
-      _id: token._id.toString(),
-      ...token,
-    }));
-
-    res.json({ data: formattedTokens, total });
+    res.json({ ...await findOrphanMessages(db), minAgeMs: ORPHAN_MIN_AGE_MS });
   } catch (error) {
-    console.error('Error fetching tokens:', error);
+    console.error('Error finding orphaned messages:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/tokens/:id - Get single token
-app.get('/api/tokens/:id', async (req, res) => {
+// DELETE /api/messages/orphans - Remove messages whose conversation no longer exists
+// ?background=true runs the sweep as a job
+app.delete('/api/messages/orphans', async (req, res) => {
   try {
-    const token = await db.collection('tokens').findOne({ _id: new ObjectId(req.params.id) });
-    if (!token) {
-      return res.status(404).json({ error: 'Token not found' });
+    const { userEmail, userName } = getUserFromHeaders(req);
+    const run = async () => {
+      const outcome = await sweepOrphanMessages(db);
+
+      await createAuditLog('delete', 'messages', 'bulk', userEmail, userName, {
+        orphanSweep: true,
+        ...outcome,
+      }, req.ip);
+
+      return outcome;
+    };
+
+    if (req.query.background === 'true') {
+      const job = await jobs.start('orphan-message-sweep', { createdBy: userEmail }, run);
+      return res.status(202).json({ jobId: job.id });
     }
 
-    res.json({
-      id: token._id.toString(),
-      _id: token._id.toString(),
-      ...token,
-    });
+    res.json(await run());
   } catch (error) {
-    console.error('Error fetching token:', error);
+    console.error('Error sweeping orphaned messages:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/tokens/:id - Delete token
-app.delete('/api/tokens/:id', async (req, res) => {
+// ==================== GENERIC RESOURCE ENDPOINTS ====================
+
+// List, get and delete routes for every collection in RESOURCES
+registerResources(app, RESOURCES, {
+  getDb: () => db,
+  audit: async (req, action, resource, resourceId, data) => {
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog(action, resource, resourceId, userEmail, userName, data, req.ip);
+  },
+});
+
+// ==================== AGENTS ENDPOINTS ====================
+
+// PUT /api/agents/:id - Update agent, recording the result in its version history
+app.put('/api/agents/:id', validate('agents', { partial: true }), async (req, res) => {
   try {
-    const token = await db.collection('tokens').findOne({ _id: new ObjectId(req.params.id) });
+    const updateData = req.body;
 
-    const result = await db.collection('tokens').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Token not found' });
+    // Agents use a custom 'id' field, not MongoDB _id
+    const agent = await db.collection('agents').findOne({ id: req.params.id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
     }
 
-    // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'tokens', req.params.id, userEmail, userName, {
-      deletedToken: token ? { user: token.user } : null,
+    const { agent: result, version } = await saveAgentVersion(db, agent, { set: updateData }, { editedBy: userEmail });
+
+    // Audit log
+    await createAuditLog('update', 'agents', req.params.id, userEmail, userName, {
+      changes: updateData,
+      version,
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.json({
+      id: result.id,
+      _id: result._id.toString(),
+      ...result,
+    });
   } catch (error) {
-    console.error('Error deleting token:', error);
+    console.error('Error updating agent:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== TRANSACTIONS ENDPOINTS ====================
-
-// GET /api/transactions - List all transactions with pagination
-app.get('/api/transactions', async (req, res) => {
+// GET /api/agents/:id/versions - Version history, newest first
+app.get('/api/agents/:id/versions', async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const transactions = await db.collection('transactions')
-      .find({})
-      .sort({ createdAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
-
-    const total = await db.collection('transactions').countDocuments();
-
-    const formattedTransactions = transactions.map(txn => ({
-      id: txn._id.toString(),
-      _id: txn._id.toString(),
-      ...txn,
-    }));
+    const agent = await db.collection('agents').findOne({ id: req.params.id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-    res.json({ data: formattedTransactions, total });
+    const versions = listVersions(agent);
+    res.json({ data: versions, total: versions.length });
   } catch (error) {
-    console.error('Error fetching transactions:', error);
+    console.error('Error fetching agent versions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/transactions/:id - Get single transaction
-app.get('/api/transactions/:id', async (req, res) => {
+// GET /api/agents/:id/versions/diff?from=&to= - Field-level diff between two versions
+// `to` defaults to the agent as it is now
+app.get('/api/agents/:id/versions/diff', async (req, res) => {
   try {
-    const transaction = await db.collection('transactions').findOne({ _id: new ObjectId(req.params.id) });
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    const agent = await db.collection('agents').findOne({ id: req.params.id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const versions = agent.versions || [];
+    const versionAt = value => versions[Number(value) - 1] || null;
+    const from = versionAt(req.query.from);
+    const to = req.query.to ? versionAt(req.query.to) : agent;
+    if (!from || !to) {
+      return res.status(400).json({ error: `Versions are numbered 1 to ${versions.length}` });
     }
 
     res.json({
-      id: transaction._id.toString(),
-      _id: transaction._id.toString(),
-      ...transaction,
+      from: Number(req.query.from),
+      to: req.query.to ? Number(req.query.to) : 'current',
+      changes: compareVersions(from, to),
     });
   } catch (error) {
-    console.error('Error fetching transaction:', error);
+    console.error('Error comparing agent versions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/transactions/:id - Delete transaction
-app.delete('/api/transactions/:id', async (req, res) => {
+// POST /api/agents/:id/rollback - Restore an earlier version ({ version }); recorded as a new version
+app.post('/api/agents/:id/rollback', validate('agent-rollback'), async (req, res) => {
   try {
-    const transaction = await db.collection('transactions').findOne({ _id: new ObjectId(req.params.id) });
+    const agent = await db.collection('agents').findOne({ id: req.params.id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-    const result = await db.collection('transactions').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Transaction not found' });
+    const { userEmail, userName } = getUserFromHeaders(req);
+    const restored = await rollbackAgent(db, agent, req.body.version, { editedBy: userEmail });
+    if (!restored) {
+      return sendValidationError(res, { version: `Versions are numbered 1 to ${(agent.versions || []).length}` });
     }
 
     // Audit log
-    const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'transactions', req.params.id, userEmail, userName, {
-      deletedTransaction: transaction ? { user: transaction.user, rawAmount: transaction.rawAmount } : null,
+    await createAuditLog('rollback', 'agents', req.params.id, userEmail, userName, {
+      name: restored.agent.name,
+      restoredVersion: req.body.version,
+      version: restored.version,
+      fields: restored.changes.map(change => change.field),
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.json({
+      id: restored.agent.id,
+      _id: restored.agent._id.toString(),
+      ...restored.agent,
+    });
   } catch (error) {
-    console.error('Error deleting transaction:', error);
+    console.error('Error rolling back agent:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== PROJECTS ENDPOINTS ====================
-
-// GET /api/projects - List all projects with pagination
-app.get('/api/projects', async (req, res) => {
+// GET /api/agents/:id/export - Download the agent and its sub-agents as a bundle for another install
+app.get('/api/agents/:id/export', async (req, res) => {
   try {
-    const { page = '1', limit = '25', order = 'desc' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const projects = await db.collection('projects')
-      .find({})
-      .sort({ updatedAt: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const agent = await db.collection('agents').findOne({ id: req.params.id });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-    const total = await db.collection('projects').countDocuments();
+    const { userEmail, userName } = getUserFromHeaders(req);
+    const bundle = await exportAgentBundle(db, agent, { exportedBy: userEmail });
 
-    const formattedProjects = projects.map(project => ({
-      id: project._id.toString(),
-      _id: project._id.toString(),
-      ...project,
-    }));
+    // Audit log
+    await createAuditLog('export', 'agents', req.params.id, userEmail, userName, {
+      name: agent.name,
+      agents: bundle.agents.map(exported => exported.id),
+      warnings: bundle.warnings,
+    }, req.ip);
 
-    res.json({ data: formattedProjects, total });
+    const slug = (agent.name || agent.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || agent.id;
+    res.setHeader('Content-Disposition', `attachment; filename="agent-${slug}.json"`);
+    res.json(bundle);
   } catch (error) {
-    console.error('Error fetching projects:', error);
+    console.error('Error exporting agent:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/projects/:id - Get single project
-app.get('/api/projects/:id', async (req, res) => {
+// POST /api/agents/import - Create the agents in a bundle with new ids
+// ?dryRun=true reports the plan and name conflicts without writing
+// ?onConflict=fail|skip|rename - what to do when an agent with the same name exists (default fail);
+// skip reuses the existing agent, including for sub-agent references
+// ?owner=<userId> - LibreChat user the agents will belong to (default: the admin's own LibreChat account)
+app.post('/api/agents/import', async (req, res) => {
   try {
-    const project = await db.collection('projects').findOne({ _id: new ObjectId(req.params.id) });
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    const onConflict = req.query.onConflict || 'fail';
+    if (!CONFLICT_STRATEGIES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict must be one of ${CONFLICT_STRATEGIES.join(', ')}` });
     }
 
-    res.json({
-      id: project._id.toString(),
-      _id: project._id.toString(),
-      ...project,
-    });
-  } catch (error) {
-    console.error('Error fetching project:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+    let owner = req.caller.user;
+    if (req.query.owner) {
+      if (!isObjectId(req.query.owner)) {
+        return res.status(400).json({ error: 'owner must be a user id' });
+      }
+      owner = await db.collection('users').findOne({ _id: new ObjectId(req.query.owner) });
+      if (!owner) {
+        return res.status(400).json({ error: 'owner user not found' });
+      }
+    }
 
-// DELETE /api/projects/:id - Delete project
-app.delete('/api/projects/:id', async (req, res) => {
-  try {
-    const project = await db.collection('projects').findOne({ _id: new ObjectId(req.params.id) });
+    const preview = await previewAgentImport(db, req.body, { onConflict });
+    if (preview.error) {
+      return res.status(400).json({ error: preview.error });
+    }
 
-    const result = await db.collection('projects').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Project not found' });
+    const dryRun = req.query.dryRun === 'true';
+    const report = {
+      dryRun,
+      onConflict,
+      total: preview.total,
+      invalid: preview.invalid,
+      conflicts: preview.conflicts,
+      warnings: preview.warnings,
+      owner: owner ? { id: owner._id.toString(), email: owner.email, name: owner.name || owner.username || null } : null,
+      agents: preview.agents.map(({ value, ...agent }) => agent),
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (preview.invalid > 0) {
+      return res.status(400).json({ error: `${preview.invalid} agent(s) are invalid; nothing was imported`, ...report });
+    }
+    if (onConflict === 'fail' && preview.conflicts > 0) {
+      return res.status(409).json({ error: `${preview.conflicts} agent name(s) already exist; choose skip or rename`, ...report });
+    }
+    if (!owner) {
+      return res.status(400).json({ error: 'Your admin login has no LibreChat account; choose an owner for the imported agents', ...report });
     }
 
-    // Audit log
     const { userEmail, userName } = getUserFromHeaders(req);
-    await createAuditLog('delete', 'projects', req.params.id, userEmail, userName, {
-      deletedProject: project ? { name: project.name } : null,
+    const { created, rootId } = await commitAgentImport(db, preview, { editedBy: userEmail, owner });
+
+    // One entry for the whole import rather than one per agent
+    await createAuditLog('import', 'agents', 'bulk', userEmail, userName, {
+      onConflict,
+      owner: report.owner,
+      created,
+      skipped: preview.agents.filter(agent => agent.action === 'skip').map(agent => agent.conflict),
+      warnings: preview.warnings,
     }, req.ip);
 
-    res.json({ id: req.params.id });
+    res.status(201).json({ ...report, imported: created.length, created, rootId });
   } catch (error) {
-    console.error('Error deleting project:', error);
+    console.error('Error importing agents:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ==================== AUDIT LOGS ENDPOINTS ====================
-
-// GET /api/audit-logs - List all audit logs with pagination
-app.get('/api/audit-logs', async (req, res) => {
+// POST /api/agents/:id/clone - Copy an agent; the body holds optional field overrides (e.g. { name })
+app.post('/api/agents/:id/clone', validate('agents', { partial: true }), async (req, res) => {
   try {
-    const { page = '1', limit = '50', order = 'desc', action, resource, userEmail } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build filter
-    const filter = {};
-    if (action) filter.action = action;
-    if (resource) filter.resource = resource;
-    if (userEmail) filter.userEmail = userEmail;
-
-    const auditLogs = await db.collection('audit_logs')
-      .find(filter)
-      .sort({ timestamp: order === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    const source = await db.collection('agents').findOne({ id: req.params.id });
+    if (!source) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-    const total = await db.collection('audit_logs').countDocuments(filter);
+    const { userEmail, userName } = getUserFromHeaders(req);
+    const { agent, droppedActions } = await cloneAgent(db, source, req.body, { editedBy: userEmail });
 
-    // Format for React-Admin
-    const formattedLogs = auditLogs.map(log => ({
-      id: log._id.toString(),
-      _id: log._id.toString(),
-      action: log.action,
-      resource: log.resource,
-      resourceId: log.resourceId,
-      userEmail: log.userEmail,
-      userName: log.userName,
-      data: log.data,
-      ipAddress: log.ipAddress,
-      timestamp: log.timestamp,
-    }));
+    // Audit log
+    await createAuditLog('create', 'agents', agent.id, userEmail, userName, {
+      name: agent.name,
+      clonedFrom: { id: source.id, name: source.name },
+      overrides: Object.keys(req.body),
+      droppedActions,
+    }, req.ip);
 
-    res.json({ data: formattedLogs, total });
+    res.status(201).json({
+      id: agent.id,
+      _id: agent._id.toString(),
+      ...agent,
+      droppedActions,
+    });
   } catch (error) {
-    console.error('Error fetching audit logs:', error);
+    console.error('Error cloning agent:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/audit-logs/:id - Get single audit log
-app.get('/api/audit-logs/:id', async (req, res) => {
+// PUT /api/agents/:id/template - Offer the agent as a template for new agents, or stop ({ is_template })
+// Kept out of the version history: it describes how admins use the agent, not how it behaves
+app.put('/api/agents/:id/template', validate('agent-template'), async (req, res) => {
   try {
-    const auditLog = await db.collection('audit_logs').findOne({ _id: new ObjectId(req.params.id) });
-    if (!auditLog) {
-      return res.status(404).json({ error: 'Audit log not found' });
+    const update = req.body.is_template ? { $set: { is_template: true } } : { $unset: { is_template: '' } };
+    const result = await db.collection('agents').findOneAndUpdate({ id: req.params.id }, update, { returnDocument: 'after' });
+    if (!result) {
+      return res.status(404).json({ error: 'Agent not found' });
     }
 
+    // Audit log
+    const { userEmail, userName } = getUserFromHeaders(req);
+    await createAuditLog('update', 'agents', req.params.id, userEmail, userName, {
+      name: result.name,
+      changes: { is_template: req.body.is_template },
+    }, req.ip);
+
     res.json({
-      id: auditLog._id.toString(),
-      _id: auditLog._id.toString(),
-      ...auditLog,
+      id: result.id,
+      _id: result._id.toString(),
+      ...result,
     });
   } catch (error) {
-    console.error('Error fetching audit log:', error);
+    console.error('Error updating agent template flag:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// DELETE /api/audit-logs/:id - Delete audit log (for cleanup)
-app.delete('/api/audit-logs/:id', async (req, res) => {
+// POST /api/agents - Create new agent
+app.post('/api/agents', validate('agents'), async (req, res) => {
   try {
-    const result = await db.collection('audit_logs').deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: 'Audit log not found' });
-    }
+    const agentData = req.body;
 
-    // Note: We don't create an audit log for deleting audit logs to avoid infinite recursion
-    res.json({ id: req.params.id });
+    // Create new agent with defaults
+    const newAgent = {
+      id: generateAgentId(),
+      name: agentData.name,
+      description: agentData.description || '',
+      instructions: agentData.instructions || '',
+      provider: agentData.provider,
+      model: agentData.model,
+      artifacts: agentData.artifacts || '',
+      tools: agentData.tools || [],
+      tool_kwargs: agentData.tool_kwargs || [],
+      agent_ids: agentData.agent_ids || [],
+      conversation_starters: agentData.conversation_starters || [],
+      projectIds: agentData.projectIds || [],
+      category: agentData.category || 'general',
+      support_contact: agentData.support_contact || { name: '', email: '' },
+      is_promoted: agentData.is_promoted || false,
+      end_after_tools: agentData.end_after_tools || false,
+      hide_sequential_outputs: agentData.hide_sequential_outputs || false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    const { userEmail, userName } = getUserFromHeaders(req);
+    newAgent.versions = [initialVersion(newAgent, userEmail)];
+
+    const result = await db.collection('agents').insertOne(newAgent);
+
+    const createdAgent = {
+      id: newAgent.id,
+      _id: result.insertedId.toString(),
+      ...newAgent,
+    };
+
+    // Audit log
+    await createAuditLog('create', 'agents', newAgent.id, userEmail, userName, {
+      name: newAgent.name,
+      provider: newAgent.provider,
+      model: newAgent.model,
+    }, req.ip);
+
+    res.status(201).json(createdAgent);
   } catch (error) {
-    console.error('Error deleting audit log:', error);
+    console.error('Error creating agent:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1367,7 +2996,7 @@ app.get('/api/cost-stats', async (req, res) => {
           totalTokens: stat.totalTokens,
           totalValue: stat.totalValue,
           transactionCount: stat.transactionCount,
-          estimatedCost: (stat.totalTokens / 1000 * 0.03).toFixed(4) // Rough estimate: $0.03 per 1K tokens
+          estimatedCost: estimateCost(stat.totalTokens).toFixed(4)
         };
       })
     );
@@ -1404,7 +3033,7 @@ app.get('/api/cost-stats', async (req, res) => {
         totalTokens: monthStats.totalTokens,
         totalValue: monthStats.totalValue,
         transactionCount: monthStats.transactionCount,
-        estimatedCost: (monthStats.totalTokens / 1000 * 0.03).toFixed(2) // Rough estimate
+        estimatedCost: estimateCost(monthStats.totalTokens).toFixed(2)
       },
       topConsumers: topConsumers,
       timestamp: new Date().toISOString()
@@ -1635,7 +3264,35 @@ app.get('/api/kubectl/commands', async (req, res) => {
 
 // Start server
 async function start() {
+  // Every route behind authorize needs its own tier in ROUTE_POLICY; /api/user is registered before it
+  const unlisted = findUnlistedRoutes(
+    registeredRoutes(app).filter(route => route.path.startsWith('/api/') && route.path !== '/api/user')
+  );
+  if (unlisted.length > 0) {
+    console.error(`❌ Routes missing from ROUTE_POLICY in policy.js: ${unlisted.join(', ')}`);
+    process.exit(1);
+  }
   await connectDB();
+  // Index builds on large collections can be slow; set ENSURE_INDEXES=false to manage them separately
+  if (process.env.ENSURE_INDEXES !== 'false') {
+    await ensureIndexes();
+  }
+  if (!PII_HASH_SECRET) console.log('⚠️  PII_HASH_SECRET is not set; PII redaction is disabled');
+  startRetentionScheduler({
+    getDb: () => db,
+    intervalMs: RETENTION_INTERVAL_MS,
+    onRun: run => auditRetentionRun(run, 'system', 'Retention scheduler'),
+  });
+  startModerationScanner({ getDb: () => db, intervalMs: MODERATION_SCAN_INTERVAL_MS });
+  startSuspensionSweep({
+    getDb: () => db,
+    intervalMs: SUSPENSION_SWEEP_INTERVAL_MS,
+    onLifted: user => createAuditLog('unsuspend', 'users', user._id.toString(), 'system', 'Suspension sweep', {
+      email: user.email,
+      suspension: user.suspension,
+      expired: true,
+    }),
+  });
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 Admin API server running on port ${PORT}`);
     console.log(`📊 MongoDB: ${MONGODB_URI}`);
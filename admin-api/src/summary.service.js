@@ -0,0 +1,195 @@
+/**
+ * User activity summary
+ *
+ * Aggregates what a support request usually needs about one user in a single
+ * round trip: content counts, when they were last active, this month's token
+ * usage and estimated cost, sessions, files, owned agents and the audit trail
+ * of admin actions taken on them.
+ */
+const { userRefValues } = require('./query');
+
+// Rough estimate used across the admin panel: $0.03 per 1K tokens
+const COST_PER_1K_TOKENS = 0.03;
+
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Evaluate an arithmetic setting such as `1000 * 60 * 60 * 24 * 7`
+ * LibreChat evaluates REFRESH_TOKEN_EXPIRY as an expression (its .env.example
+ * ships one), so a plain Number() would reject the usual value. Only numbers,
+ * + - * / and parentheses are accepted; nothing is eval'd.
+ * @param {string} text
+ * @returns {number|null} null if the text isn't such an expression
+ */
+function evaluateExpression(text) {
+  const tokens = String(text).match(/\d+(?:\.\d+)?|[-+*/()]|\S/g) || [];
+  let position = 0;
+
+  const primary = () => {
+    const token = tokens[position++];
+    if (token === '-') return -primary();
+    if (token === '(') {
+      const value = sum();
+      if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses');
+      return value;
+    }
+    if (token === undefined || !/^\d/.test(token)) throw new Error(`Unexpected ${token || 'end'}`);
+    return Number(token);
+  };
+  const product = () => {
+    let value = primary();
+    while (tokens[position] === '*' || tokens[position] === '/') {
+      value = tokens[position++] === '*' ? value * primary() : value / primary();
+    }
+    return value;
+  };
+  const sum = () => {
+    let value = product();
+    while (tokens[position] === '+' || tokens[position] === '-') {
+      value = tokens[position++] === '+' ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  try {
+    const value = sum();
+    return position === tokens.length && Number.isFinite(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sessionTtl(setting) {
+  if (!setting) return DEFAULT_SESSION_TTL_MS;
+  const value = evaluateExpression(setting);
+  if (value && value > 0) return value;
+  console.error(`⚠️  REFRESH_TOKEN_EXPIRY "${setting}" is not a number of milliseconds; assuming 7 days for session activity`);
+  return DEFAULT_SESSION_TTL_MS;
+}
+
+// LibreChat pushes a session's expiration forward by this much on every token refresh
+// (REFRESH_TOKEN_EXPIRY, default 7 days), so expiration minus the TTL is the last refresh
+const SESSION_TTL_MS = sessionTtl(process.env.REFRESH_TOKEN_EXPIRY);
+
+const RECENT_AUDIT_LIMIT = 20;
+
+/**
+ * Estimated cost in dollars of a token count
+ * @param {number} tokens
+ * @returns {number}
+ */
+function estimateCost(tokens) {
+  return (tokens / 1000) * COST_PER_1K_TOKENS;
+}
+
+function startOfMonth(now) {
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+function latest(...dates) {
+  const valid = dates.filter(Boolean).map(date => new Date(date));
+  if (valid.length === 0) return null;
+  return new Date(Math.max(...valid.map(date => date.getTime())));
+}
+
+/**
+ * Build the activity summary for a user
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>}
+ */
+async function getUserSummary(db, user, { now = new Date() } = {}) {
+  const userId = user._id.toString();
+  const ref = { $in: userRefValues(userId) };
+  const monthStart = startOfMonth(now);
+
+  const [
+    conversations,
+    messages,
+    lastMessage,
+    latestSession,
+    activeSessions,
+    fileStats,
+    agents,
+    usage,
+    recentAudit,
+  ] = await Promise.all([
+    db.collection('conversations').countDocuments({ user: ref }),
+    db.collection('messages').countDocuments({ user: ref }),
+    db.collection('messages').find({ user: ref }, { projection: { createdAt: 1 } })
+      .sort({ createdAt: -1 }).limit(1).next(),
+    db.collection('sessions').find({ user: ref }, { projection: { expiration: 1 } })
+      .sort({ expiration: -1 }).limit(1).next(),
+    db.collection('sessions').countDocuments({ user: ref, expiration: { $gt: now } }),
+    db.collection('files').aggregate([
+      { $match: { user: ref } },
+      { $group: { _id: null, count: { $sum: 1 }, bytes: { $sum: { $ifNull: ['$bytes', 0] } } } },
+    ]).next(),
+    db.collection('agents').find({ author: ref }, { projection: { id: 1, name: 1, model: 1, updatedAt: 1 } })
+      .sort({ updatedAt: -1 }).toArray(),
+    db.collection('transactions').aggregate([
+      { $match: { user: ref, createdAt: { $gte: monthStart, $lte: now } } },
+      {
+        $group: {
+          _id: '$tokenType',
+          tokens: { $sum: { $abs: '$rawAmount' } },
+          value: { $sum: { $abs: '$tokenValue' } },
+          count: { $sum: 1 },
+        },
+      },
+    ]).toArray(),
+    db.collection('audit_logs').find({ resource: 'users', resourceId: userId })
+      .sort({ timestamp: -1 }).limit(RECENT_AUDIT_LIMIT).toArray(),
+  ]);
+
+  const byType = Object.fromEntries(usage.map(group => [group._id || 'unknown', group.tokens]));
+  const totalTokens = usage.reduce((sum, group) => sum + group.tokens, 0);
+  const lastSessionRefresh = latestSession && latestSession.expiration
+    ? new Date(new Date(latestSession.expiration).getTime() - SESSION_TTL_MS)
+    : null;
+
+  return {
+    id: userId,
+    conversations,
+    messages,
+    lastActive: latest(lastMessage && lastMessage.createdAt, lastSessionRefresh),
+    lastMessageAt: lastMessage ? lastMessage.createdAt : null,
+    sessions: {
+      active: activeSessions,
+      lastRefreshAt: lastSessionRefresh,
+    },
+    usage: {
+      periodStart: monthStart,
+      totalTokens,
+      promptTokens: byType.prompt || 0,
+      completionTokens: byType.completion || 0,
+      totalValue: usage.reduce((sum, group) => sum + group.value, 0),
+      transactionCount: usage.reduce((sum, group) => sum + group.count, 0),
+      estimatedCost: Number(estimateCost(totalTokens).toFixed(4)),
+    },
+    files: {
+      count: fileStats ? fileStats.count : 0,
+      bytes: fileStats ? fileStats.bytes : 0,
+    },
+    agents: agents.map(agent => ({
+      id: agent.id,
+      name: agent.name,
+      model: agent.model,
+      updatedAt: agent.updatedAt,
+    })),
+    recentAudit: recentAudit.map(entry => ({
+      id: entry._id.toString(),
+      action: entry.action,
+      userEmail: entry.userEmail,
+      timestamp: entry.timestamp,
+      data: entry.data,
+    })),
+  };
+}
+
+module.exports = {
+  estimateCost,
+  getUserSummary,
+};
@@ -0,0 +1,137 @@
+/**
+ * User suspension
+ *
+ * Suspending a user records `suspension` on their document, deletes their
+ * `sessions` (refresh tokens) and `tokens` so existing logins stop working,
+ * and writes an entry to LibreChat's ban store so new logins are refused.
+ * LibreChat keeps bans in Keyv on the `logs` collection (namespace "ban")
+ * unless it runs with USE_REDIS, in which case only the revocation applies.
+ *
+ * Suspensions with an expiry are lifted by a periodic sweep.
+ */
+
+// LibreChat's checkBan middleware reads `ban:<userId>` from this collection
+const BAN_COLLECTION = 'logs';
+
+// Indefinite suspensions still need an expiresAt for LibreChat's time-left check
+const INDEFINITE_BAN_MS = Date.UTC(9999, 0, 1);
+
+function banKey(userId) {
+  return `ban:${userId}`;
+}
+
+async function writeBan(db, user, suspension) {
+  const userId = user._id.toString();
+  const expires = suspension.until ? suspension.until.getTime() : null;
+  // Keyv stores values serialized as { value, expires }
+  const value = JSON.stringify({
+    value: {
+      type: 'admin_suspension',
+      user_id: userId,
+      reason: suspension.reason,
+      expiresAt: expires || INDEFINITE_BAN_MS,
+    },
+    expires,
+  });
+  await db.collection(BAN_COLLECTION).updateOne(
+    { key: banKey(userId) },
+    { $set: { key: banKey(userId), value, expiresAt: suspension.until || null } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Suspend a user and revoke their sessions and tokens
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ * @param {object} options
+ * @param {string|null} [options.reason]
+ * @param {Date|null} [options.until] - Lifted automatically after this time; null for indefinite
+ * @param {string} options.suspendedBy - Email of the admin
+ * @returns {Promise<{ suspension: object, revoked: { sessions: number, tokens: number } }>}
+ */
+async function suspendUser(db, user, { reason = null, until = null, suspendedBy }) {
+  const suspension = {
+    active: true,
+    reason,
+    until,
+    suspendedAt: new Date(),
+    suspendedBy,
+  };
+
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $set: { suspension, updatedAt: new Date() } }
+  );
+  await writeBan(db, user, suspension);
+
+  const userRefs = [user._id, user._id.toString()];
+  const sessions = await db.collection('sessions').deleteMany({ user: { $in: userRefs } });
+  const tokens = await db.collection('tokens').deleteMany({ userId: { $in: userRefs } });
+
+  return { suspension, revoked: { sessions: sessions.deletedCount, tokens: tokens.deletedCount } };
+}
+
+/**
+ * Lift a user's suspension
+ * @param {object} db - MongoDB database
+ * @param {object} user - The user document
+ */
+async function unsuspendUser(db, user) {
+  await db.collection('users').updateOne(
+    { _id: user._id },
+    { $unset: { suspension: '' }, $set: { updatedAt: new Date() } }
+  );
+  await db.collection(BAN_COLLECTION).deleteOne({ key: banKey(user._id.toString()) });
+}
+
+/**
+ * Lift every suspension whose expiry has passed
+ * @param {object} db - MongoDB database
+ * @returns {Promise<object[]>} The users that were unsuspended
+ */
+async function liftExpiredSuspensions(db) {
+  const expired = await db.collection('users')
+    .find({ 'suspension.active': true, 'suspension.until': { $ne: null, $lte: new Date() } })
+    .toArray();
+  for (const user of expired) {
+    await unsuspendUser(db, user);
+  }
+  return expired;
+}
+
+/**
+ * Run liftExpiredSuspensions periodically
+ * @param {object} options
+ * @param {Function} options.getDb - Returns the connected MongoDB database
+ * @param {number} options.intervalMs
+ * @param {Function} [options.onLifted] - async (user) => void, e.g. to write an audit entry
+ * @returns {NodeJS.Timeout} The interval, so it can be cleared
+ */
+function startSuspensionSweep({ getDb, intervalMs, onLifted = async () => {} }) {
+  const timer = setInterval(async () => {
+    try {
+      const lifted = await liftExpiredSuspensions(getDb());
+      for (const user of lifted) {
+        await onLifted(user);
+      }
+      if (lifted.length > 0) {
+        console.log(`✅ Lifted ${lifted.length} expired suspension(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error lifting expired suspensions:', error);
+    }
+  }, intervalMs);
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  BAN_COLLECTION,
+  banKey,
+  suspendUser,
+  unsuspendUser,
+  liftExpiredSuspensions,
+  startSuspensionSweep,
+};
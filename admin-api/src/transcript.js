@@ -0,0 +1,253 @@
+/**
+ * Conversation transcripts
+ *
+ * Renders a LibreChat conversation and its messages as human-readable text,
+ * and rebuilds the message tree. Messages carry either a plain `text` field
+ * or, for agents, a `content` array of typed parts; both are handled.
+ *
+ * LibreChat links each message to the one it answers via `parentMessageId`.
+ * Regenerating a response or editing a prompt adds a sibling under the same
+ * parent, so a conversation is a tree whose branches are those alternatives.
+ */
+
+// parentMessageId of the first message in a conversation (LibreChat's Constants.NO_PARENT)
+const NO_PARENT = '00000000-0000-0000-0000-000000000000';
+
+/**
+ * Display name for the author of a message
+ * @param {object} message
+ * @returns {string}
+ */
+function messageAuthor(message) {
+  if (message.isCreatedByUser) return 'User';
+  return message.sender || message.model || 'Assistant';
+}
+
+/**
+ * Plain text of a message
+ * @param {object} message
+ * @returns {string}
+ */
+function messageText(message) {
+  if (typeof message.text === 'string' && message.text) return message.text;
+  if (!Array.isArray(message.content)) return '';
+
+  return message.content.map((part) => {
+    if (!part) return '';
+    if (part.type === 'text') return typeof part.text === 'string' ? part.text : (part.text && part.text.value) || '';
+    if (part.type === 'tool_call' && part.tool_call) return `_[tool call: ${part.tool_call.name || 'unknown'}]_`;
+    if (part.type === 'image_file' || part.type === 'image_url') return '_[image]_';
+    return '';
+  }).filter(Boolean).join('\n\n');
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Who and what a conversation belongs to, as label/value pairs for the transcript header
+ * @param {object} convo - Conversation document
+ * @param {object} [details]
+ * @param {object} [details.user] - Owner ({ name, username, email })
+ * @param {object} [details.agent] - Agent the conversation used ({ id, name })
+ * @returns {Array<[string, string]>}
+ */
+function conversationDetails(convo, { user, agent } = {}) {
+  const rows = [['Conversation ID', convo.conversationId]];
+  if (user) {
+    const name = user.name || user.username;
+    rows.push(['User', name && user.email ? `${name} <${user.email}>` : name || user.email || String(convo.user)]);
+  }
+  rows.push(['Endpoint', convo.endpoint || 'N/A'], ['Model', convo.model || 'N/A']);
+  if (agent || convo.agent_id) {
+    rows.push(['Agent', agent && agent.name ? `${agent.name} (${agent.id})` : convo.agent_id]);
+  }
+  rows.push(['Created', formatDate(convo.createdAt)], ['Updated', formatDate(convo.updatedAt)]);
+  return rows;
+}
+
+/**
+ * Render a conversation as Markdown
+ * @param {object} convo - Conversation document
+ * @param {object[]} messages - Its messages, in display order
+ * @param {object} [details] - Owner and agent, see conversationDetails
+ * @returns {string}
+ */
+function conversationToMarkdown(convo, messages, details) {
+  const lines = [
+    `# ${convo.title || 'Untitled Conversation'}`,
+    '',
+    ...conversationDetails(convo, details).map(([label, value]) => `- ${label}: ${value}`),
+    '',
+  ];
+
+  for (const message of messages) {
+    lines.push(`## ${messageAuthor(message)} (${formatDate(message.createdAt)})`, '');
+    lines.push(messageText(message) || '_[no text]_', '');
+    if (message.error) lines.push('> ⚠️ This message ended with an error.', '');
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 2rem auto; color: #2d3748; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; font-size: 0.9rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  .message { border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; margin: 1rem 0; }
+  .message.user { background: #ebf4ff; }
+  .message.error { border-color: #fc8181; }
+  .meta { font-size: 0.8rem; color: #718096; margin-bottom: 0.5rem; }
+  .text { white-space: pre-wrap; word-break: break-word; }
+`;
+
+/**
+ * Render a conversation as a self-contained HTML page
+ * Message text is escaped, never interpreted as markup
+ * @param {object} convo - Conversation document
+ * @param {object[]} messages - Its messages, in display order
+ * @param {object} [details] - Owner and agent, see conversationDetails
+ * @returns {string}
+ */
+function conversationToHtml(convo, messages, details) {
+  const title = escapeHtml(convo.title || 'Untitled Conversation');
+  const rows = conversationDetails(convo, details)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('\n');
+  const body = messages.map((message) => {
+    const classes = ['message', message.isCreatedByUser ? 'user' : 'assistant', message.error ? 'error' : '']
+      .filter(Boolean).join(' ');
+    return [
+      `<div class="${classes}">`,
+      `<div class="meta"><strong>${escapeHtml(messageAuthor(message))}</strong> &middot; ${escapeHtml(formatDate(message.createdAt))}</div>`,
+      `<div class="text">${escapeHtml(messageText(message)) || '<em>[no text]</em>'}</div>`,
+      message.error ? '<p><em>This message ended with an error.</em></p>' : '',
+      '</div>',
+    ].filter(Boolean).join('\n');
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<dl>
+${rows}
+</dl>
+${body}
+</body>
+</html>
+`;
+}
+
+function byCreatedAt(a, b) {
+  return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+}
+
+function fileSummary(file) {
+  return {
+    file_id: file.file_id,
+    filename: file.filename,
+    type: file.type,
+    bytes: file.bytes,
+    filepath: file.filepath,
+  };
+}
+
+/**
+ * Rebuild the message tree of a conversation
+ *
+ * Nodes are returned flat, keyed by messageId, with ordered child ids, so a
+ * client can walk any branch without deep nesting. Messages whose parent is
+ * missing (e.g. deleted) become extra roots rather than disappearing.
+ *
+ * @param {object[]} messages - Every message of one conversation
+ * @returns {{ rootIds: string[], nodes: object, branchPoints: number }}
+ *   nodes: messageId => { messageId, parentMessageId, author, sender, isCreatedByUser, model, endpoint,
+ *   text, tokenCount, files, attachments, feedback, error, unfinished, isEdited, createdAt, children }
+ */
+function buildMessageTree(messages) {
+  const sorted = [...messages].sort(byCreatedAt);
+  const nodes = {};
+
+  for (const message of sorted) {
+    nodes[message.messageId] = {
+      messageId: message.messageId,
+      parentMessageId: message.parentMessageId || null,
+      author: messageAuthor(message),
+      sender: message.sender || null,
+      isCreatedByUser: Boolean(message.isCreatedByUser),
+      model: message.model || null,
+      endpoint: message.endpoint || null,
+      text: messageText(message),
+      tokenCount: message.tokenCount || 0,
+      files: (message.files || []).filter(Boolean).map(fileSummary),
+      attachments: (message.attachments || []).filter(Boolean).map(fileSummary),
+      feedback: message.feedback || null,
+      error: Boolean(message.error),
+      unfinished: Boolean(message.unfinished),
+      isEdited: Boolean(message.isEdited),
+      createdAt: message.createdAt,
+      children: [],
+    };
+  }
+
+  const rootIds = [];
+  for (const node of Object.values(nodes)) {
+    const parent = node.parentMessageId && node.parentMessageId !== NO_PARENT
+      ? nodes[node.parentMessageId]
+      : null;
+    if (parent) parent.children.push(node.messageId);
+    else rootIds.push(node.messageId);
+  }
+
+  const branchPoints = Object.values(nodes).filter(node => node.children.length > 1).length
+    + (rootIds.length > 1 ? 1 : 0);
+
+  return { rootIds, nodes, branchPoints };
+}
+
+/**
+ * The thread LibreChat shows by default: the latest alternative at every branch
+ * @param {{ rootIds: string[], nodes: object }} tree - From buildMessageTree
+ * @returns {object[]} Nodes from the root down
+ */
+function latestThread(tree) {
+  const thread = [];
+  const seen = new Set();
+  let id = tree.rootIds[tree.rootIds.length - 1];
+  while (id && !seen.has(id)) {
+    seen.add(id);
+    const node = tree.nodes[id];
+    thread.push(node);
+    id = node.children[node.children.length - 1];
+  }
+  return thread;
+}
+
+module.exports = {
+  NO_PARENT,
+  buildMessageTree,
+  latestThread,
+  messageAuthor,
+  messageText,
+  conversationToMarkdown,
+  conversationToHtml,
+};
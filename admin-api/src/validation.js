@@ -0,0 +1,359 @@
+/**
+ * Request validation for admin writes
+ *
+ * Each resource declares the fields an admin may write, their types and
+ * allowed values. Anything else is rejected so a UI bug or crafted request
+ * can't write arbitrary keys into LibreChat's documents. Errors are keyed by
+ * field path so React-Admin can show them inline on the form.
+ */
+const { ObjectId } = require('mongodb');
+const { TIERS } = require('./policy');
+const { KNOWN_PERMISSIONS } = require('./permissions');
+const { RETENTION_TARGETS } = require('./retention.service');
+const { SEVERITIES, REVIEW_STATUSES } = require('./moderation.service');
+
+// React-Admin echoes these back with every record; they are never writable
+const IGNORED_FIELDS = ['id', '_id', '__v', 'createdAt', 'updatedAt'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Field specs:
+ *  - type: 'string' | 'boolean' | 'number' | 'object' | 'array' | 'permissions'
+ *  - required: must be present (and non-empty) on create
+ *  - nullable: null is accepted
+ *  - enum: allowed values
+ *  - format: 'email'
+ *  - maxLength: for strings
+ *  - items: element type for arrays
+ *  - fields: nested field specs for objects (unknown nested keys are rejected)
+ *  - createOnly: only accepted on create
+ */
+const SCHEMAS = {
+  users: {
+    username: { type: 'string', maxLength: 80 },
+    email: { type: 'string', format: 'email', required: true, maxLength: 254 },
+    name: { type: 'string', maxLength: 120, nullable: true },
+    // Must also name a role in `roles`; the route checks that against the database
+    role: { type: 'string', maxLength: 64 },
+    emailVerified: { type: 'boolean' },
+    avatar: { type: 'string', nullable: true },
+    password: { type: 'string', createOnly: true },
+  },
+  roles: {
+    name: { type: 'string', required: true, maxLength: 64 },
+    permissions: { type: 'permissions' },
+  },
+  'role-clone': {
+    name: { type: 'string', required: true, maxLength: 64 },
+  },
+  agents: {
+    name: { type: 'string', required: true, maxLength: 256 },
+    description: { type: 'string', nullable: true, maxLength: 4000 },
+    instructions: { type: 'string', nullable: true, maxLength: 100000 },
+    avatar: { type: 'object', nullable: true },
+    // No server default: the deployment's endpoints decide which are valid
+    provider: { type: 'string', required: true, maxLength: 64 },
+    model: { type: 'string', required: true, maxLength: 256 },
+    model_parameters: { type: 'object' },
+    artifacts: { type: 'string', nullable: true },
+    recursion_limit: { type: 'number', nullable: true },
+    tools: { type: 'array', items: 'string' },
+    tool_kwargs: { type: 'array' },
+    tool_resources: { type: 'object' },
+    actions: { type: 'array', items: 'string' },
+    agent_ids: { type: 'array', items: 'string' },
+    conversation_starters: { type: 'array', items: 'string' },
+    projectIds: { type: 'array' },
+    category: { type: 'string', maxLength: 64 },
+    support_contact: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', nullable: true },
+        email: { type: 'string', nullable: true },
+      },
+    },
+    is_promoted: { type: 'boolean' },
+    end_after_tools: { type: 'boolean' },
+    hide_sequential_outputs: { type: 'boolean' },
+  },
+  'user-role-assignment': {
+    ids: { type: 'array', items: 'string', required: true },
+    role: { type: 'string', required: true, maxLength: 64 },
+  },
+  'user-suspension': {
+    reason: { type: 'string', nullable: true, maxLength: 500 },
+    until: { type: 'string', nullable: true },
+  },
+  'agent-template': {
+    is_template: { type: 'boolean', required: true },
+  },
+  'agent-rollback': {
+    version: { type: 'number', required: true },
+  },
+  'retention-policies': {
+    name: { type: 'string', required: true, maxLength: 120 },
+    target: { type: 'string', enum: Object.keys(RETENTION_TARGETS), required: true },
+    // Whole days, at least 1; the route checks that
+    maxAgeDays: { type: 'number', required: true },
+    // Empty means every user; the route checks the names against the database
+    roles: { type: 'array', items: 'string' },
+    enabled: { type: 'boolean' },
+    note: { type: 'string', nullable: true, maxLength: 500 },
+  },
+  'retention-run': {
+    policyIds: { type: 'array', items: 'string' },
+  },
+  'moderation-rules': {
+    name: { type: 'string', required: true, maxLength: 120 },
+    type: { type: 'string', enum: ['keywords', 'regex'], required: true },
+    keywords: { type: 'array', items: 'string' },
+    // Compiled by the route to report syntax errors
+    pattern: { type: 'string', nullable: true, maxLength: 500 },
+    caseSensitive: { type: 'boolean' },
+    severity: { type: 'string', enum: SEVERITIES, required: true },
+    // Empty scopes match every user / endpoint
+    users: { type: 'array', items: 'string' },
+    endpoints: { type: 'array', items: 'string' },
+    enabled: { type: 'boolean' },
+    note: { type: 'string', nullable: true, maxLength: 500 },
+  },
+  'moderation-scan': {
+    since: { type: 'string', nullable: true },
+  },
+  'moderation-review': {
+    status: { type: 'string', enum: REVIEW_STATUSES, required: true },
+    note: { type: 'string', nullable: true, maxLength: 1000 },
+  },
+  'moderation-bulk-review': {
+    ids: { type: 'array', items: 'string', required: true },
+    status: { type: 'string', enum: REVIEW_STATUSES, required: true },
+    note: { type: 'string', nullable: true, maxLength: 1000 },
+  },
+  'pii-scope': {
+    user: { type: 'string', nullable: true },
+    conversationId: { type: 'string', nullable: true },
+    messageIds: { type: 'array', items: 'string' },
+    fileIds: { type: 'array', items: 'string' },
+    since: { type: 'string', nullable: true },
+    until: { type: 'string', nullable: true },
+    // Defaults to every detector
+    detectors: { type: 'array', items: 'string' },
+    includeFiles: { type: 'boolean' },
+  },
+  'pii-verify': {
+    value: { type: 'string', required: true, maxLength: 500 },
+  },
+  'admin-tiers': {
+    email: { type: 'string', format: 'email', required: true, createOnly: true },
+    tier: { type: 'string', enum: TIERS, required: true },
+    note: { type: 'string', nullable: true, maxLength: 500 },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Free-form objects still can't carry operator-like or dotted keys into MongoDB
+function checkKeys(value, path, errors) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => checkKeys(item, `${path}.${index}`, errors));
+    return;
+  }
+  if (typeOf(value) !== 'object') return;
+  for (const [key, nestedValue] of Object.entries(value)) {
+    if (key.startsWith('$') || key.includes('.')) {
+      errors[path] = `Invalid key "${key}"`;
+      return;
+    }
+    checkKeys(nestedValue, `${path}.${key}`, errors);
+  }
+}
+
+function checkPermissions(value, path, errors) {
+  if (typeOf(value) !== 'object') {
+    errors[path] = 'Must be an object of permission types';
+    return;
+  }
+  for (const [permType, actions] of Object.entries(value)) {
+    const knownActions = KNOWN_PERMISSIONS[permType];
+    if (!knownActions) {
+      errors[`${path}.${permType}`] = 'Unknown permission type';
+      continue;
+    }
+    if (typeOf(actions) !== 'object') {
+      errors[`${path}.${permType}`] = 'Must be an object of actions';
+      continue;
+    }
+    for (const [action, allowed] of Object.entries(actions)) {
+      if (!knownActions.includes(action)) {
+        errors[`${path}.${permType}.${action}`] = `Unknown ${permType} permission`;
+      } else if (typeof allowed !== 'boolean') {
+        errors[`${path}.${permType}.${action}`] = 'Must be true or false';
+      }
+    }
+  }
+}
+
+function checkField(spec, value, path, errors) {
+  if (value === null) {
+    if (!spec.nullable) errors[path] = 'Cannot be empty';
+    return;
+  }
+
+  if (spec.type === 'permissions') {
+    checkPermissions(value, path, errors);
+    return;
+  }
+
+  const actualType = typeOf(value);
+  if (actualType !== spec.type) {
+    errors[path] = `Must be a${spec.type === 'array' || spec.type === 'object' ? 'n' : ''} ${spec.type}`;
+    return;
+  }
+
+  if (spec.type === 'string') {
+    if (spec.required && !value.trim()) {
+      errors[path] = 'Required';
+    } else if (spec.maxLength && value.length > spec.maxLength) {
+      errors[path] = `Must be ${spec.maxLength} characters or less`;
+    } else if (spec.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors[path] = 'Must be a valid email';
+    } else if (spec.enum && !spec.enum.includes(value)) {
+      errors[path] = `Must be one of: ${spec.enum.join(', ')}`;
+    }
+  }
+
+  if (spec.type === 'number' && !Number.isFinite(value)) {
+    errors[path] = 'Must be a number';
+  }
+
+  if (spec.type === 'array' && spec.items) {
+    value.forEach((item, index) => {
+      if (typeOf(item) !== spec.items) {
+        errors[`${path}.${index}`] = `Must be a ${spec.items}`;
+      }
+    });
+  }
+
+  if ((spec.type === 'object' && !spec.fields) || (spec.type === 'array' && !spec.items)) {
+    checkKeys(value, path, errors);
+  }
+
+  if (spec.type === 'object' && spec.fields) {
+    for (const [key, nestedValue] of Object.entries(value)) {
+      const nestedSpec = spec.fields[key];
+      if (!nestedSpec) {
+        errors[`${path}.${key}`] = 'Unknown field';
+      } else {
+        checkField(nestedSpec, nestedValue, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a write body against a resource schema
+ * @param {string} resource - Schema name (e.g. 'users')
+ * @param {object} body - Request body
+ * @param {object} options
+ * @param {boolean} options.partial - True for updates: required fields may be omitted
+ * @returns {{ value: object, errors: object|null }} Sanitized body and field errors
+ */
+function validateBody(resource, body, { partial = false } = {}) {
+  const schema = SCHEMAS[resource];
+  const errors = {};
+  const value = {};
+
+  if (typeOf(body) !== 'object') {
+    return { value, errors: { body: 'Request body must be a JSON object' } };
+  }
+
+  for (const [field, fieldValue] of Object.entries(body)) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const spec = schema[field];
+    if (!spec || (partial && spec.createOnly)) {
+      errors[field] = 'Field cannot be written';
+      continue;
+    }
+    if (fieldValue === undefined) continue;
+
+    checkField(spec, fieldValue, field, errors);
+    value[field] = fieldValue;
+  }
+
+  if (!partial) {
+    for (const [field, spec] of Object.entries(schema)) {
+      if (spec.required && (value[field] === undefined || value[field] === null) && !errors[field]) {
+        errors[field] = 'Required';
+      }
+    }
+  }
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Send a structured 400 that React-Admin shows inline on the form
+ * @param {object} res - Express response
+ * @param {object} errors - Field path => message
+ */
+function sendValidationError(res, errors) {
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Validation failed',
+    errors,
+  });
+}
+
+/**
+ * Middleware that validates req.body and replaces it with the sanitized value
+ * @param {string} resource - Schema name
+ * @param {object} options - { partial } as for validateBody
+ */
+function validate(resource, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validateBody(resource, req.body, options);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    req.body = value;
+    next();
+  };
+}
+
+/**
+ * Check that a string is a 24-character hex MongoDB ObjectId
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isObjectId(id) {
+  return typeof id === 'string' && /^[a-f0-9]{24}$/i.test(id) && ObjectId.isValid(id);
+}
+
+/**
+ * Middleware that rejects malformed ObjectId route params with a 400
+ * @param {string} param - Route param name
+ */
+function requireObjectId(param = 'id') {
+  return (req, res, next) => {
+    if (!isObjectId(req.params[param])) {
+      return res.status(400).json({ error: `Invalid ${param}: expected a 24-character ObjectId` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  KNOWN_PERMISSIONS,
+  SCHEMAS,
+  validateBody,
+  validate,
+  sendValidationError,
+  isObjectId,
+  requireObjectId,
+};
@@ -7,11 +7,14 @@ import { Dashboard } from './resources/dashboard/Dashboard';
 import { CostDashboard } from './resources/costs/CostDashboard';
 import { UserList } from './resources/users/UserList';
 import { UserEdit } from './resources/users/UserEdit';
+import { UserShow } from './resources/users/UserShow';
 import { UserCreate } from './resources/users/UserCreate';
 import { ConversationList } from './resources/conversations/ConversationList';
+import { ConversationShow } from './resources/conversations/ConversationShow';
 import { RoleList } from './resources/roles/RoleList';
 import { RoleEdit } from './resources/roles/RoleEdit';
 import { RoleCreate } from './resources/roles/RoleCreate';
+import { RoleMatrix } from './resources/roles/RoleMatrix';
 import { PodList } from './resources/pods/PodList';
 import { PodShow } from './resources/pods/PodShow';
 import { MessageList } from './resources/messages/MessageList';
@@ -26,6 +29,20 @@ import { TransactionList } from './resources/transactions/TransactionList';
 import { ProjectList } from './resources/projects/ProjectList';
 import { AuditList } from './resources/audit/AuditList';
 import { ClusterManagement } from './resources/cluster/ClusterManagement';
+import { AdminTierList } from './resources/tiers/AdminTierList';
+import { AdminTierCreate } from './resources/tiers/AdminTierCreate';
+import { AdminTierEdit } from './resources/tiers/AdminTierEdit';
+import { RetentionPolicyList } from './resources/retention/RetentionPolicyList';
+import { RetentionPolicyCreate } from './resources/retention/RetentionPolicyCreate';
+import { RetentionPolicyEdit } from './resources/retention/RetentionPolicyEdit';
+import { RetentionRunList } from './resources/retention/RetentionRunList';
+import { RetentionRunShow } from './resources/retention/RetentionRunShow';
+import { ModerationRuleList } from './resources/moderation/ModerationRuleList';
+import { ModerationRuleCreate } from './resources/moderation/ModerationRuleCreate';
+import { ModerationRuleEdit } from './resources/moderation/ModerationRuleEdit';
+import { ModerationFlagList } from './resources/moderation/ModerationFlagList';
+import { PiiScanner } from './resources/pii/PiiScanner';
+import { PiiRedactionList } from './resources/pii/PiiRedactionList';
 import PeopleIcon from '@mui/icons-material/People';
 import ChatIcon from '@mui/icons-material/Chat';
 import SecurityIcon from '@mui/icons-material/Security';
@@ -38,6 +55,12 @@ import TokenIcon from '@mui/icons-material/Token';
 import ReceiptIcon from '@mui/icons-material/Receipt';
 import FolderIcon from '@mui/icons-material/Folder';
 import AssessmentIcon from '@mui/icons-material/Assessment';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+import AutoDeleteIcon from '@mui/icons-material/AutoDelete';
+import HistoryIcon from '@mui/icons-material/History';
+import FlagIcon from '@mui/icons-material/Flag';
+import RuleIcon from '@mui/icons-material/Rule';
+import PolicyIcon from '@mui/icons-material/Policy';
 
 function App() {
   return (
@@ -51,6 +74,7 @@ function App() {
       <Resource
         name="users"
         list={UserList}
+        show={UserShow}
         edit={UserEdit}
         create={UserCreate}
         icon={PeopleIcon}
@@ -67,9 +91,30 @@ function App() {
       <Resource
         name="convos"
         list={ConversationList}
+        show={ConversationShow}
         icon={ChatIcon}
         options={{ label: 'Conversations' }}
       />
+      <Resource
+        name="moderation-flags"
+        list={ModerationFlagList}
+        icon={FlagIcon}
+        options={{ label: 'Review Queue' }}
+      />
+      <Resource
+        name="moderation-rules"
+        list={ModerationRuleList}
+        create={ModerationRuleCreate}
+        edit={ModerationRuleEdit}
+        icon={RuleIcon}
+        options={{ label: 'Moderation Rules' }}
+      />
+      <Resource
+        name="pii-redactions"
+        list={PiiRedactionList}
+        icon={PolicyIcon}
+        options={{ label: 'PII Redactions' }}
+      />
       <Resource
         name="pods"
         list={PodList}
@@ -128,10 +173,35 @@ function App() {
         icon={AssessmentIcon}
         options={{ label: 'Audit Logs' }}
       />
+      <Resource
+        name="admin-tiers"
+        list={AdminTierList}
+        create={AdminTierCreate}
+        edit={AdminTierEdit}
+        icon={AdminPanelSettingsIcon}
+        options={{ label: 'Admin Tiers' }}
+      />
+      <Resource
+        name="retention-policies"
+        list={RetentionPolicyList}
+        create={RetentionPolicyCreate}
+        edit={RetentionPolicyEdit}
+        icon={AutoDeleteIcon}
+        options={{ label: 'Retention Policies' }}
+      />
+      <Resource
+        name="retention-runs"
+        list={RetentionRunList}
+        show={RetentionRunShow}
+        icon={HistoryIcon}
+        options={{ label: 'Retention Runs' }}
+      />
       <Resource name="deployments" />
       <CustomRoutes>
         <Route path="/costs" element={<CostDashboard />} />
+        <Route path="/role-matrix" element={<RoleMatrix />} />
         <Route path="/cluster" element={<ClusterManagement />} />
+        <Route path="/pii-scanner" element={<PiiScanner />} />
       </CustomRoutes>
     </Admin>
   );
@@ -1,4 +1,31 @@
 import type { AuthProvider } from 'react-admin';
+import { canAccessResource } from './permissions';
+
+interface CurrentUser {
+  id?: string;
+  _id?: string;
+  name?: string;
+  username?: string;
+  email?: string;
+  avatar?: string;
+  role?: string;
+  tier?: string | null;
+}
+
+// The identity can't change without a full OAuth2-Proxy round trip, so fetch it once per page load
+let currentUser: Promise<CurrentUser> | null = null;
+
+const fetchCurrentUser = () => {
+  if (!currentUser) {
+    currentUser = fetch('/admin/api/user')
+      .then((response) => response.json())
+      .catch((error) => {
+        currentUser = null;
+        throw error;
+      });
+  }
+  return currentUser;
+};
 
 /**
  * Auth provider for OAuth2-Proxy authentication
@@ -18,6 +45,7 @@ export const authProvider: AuthProvider = {
 
   // Called when the user clicks on logout
   logout: () => {
+    currentUser = null;
     // Redirect to OAuth2-Proxy's sign out endpoint
     window.location.href = '/admin/oauth2/sign_out';
     return Promise.resolve();
@@ -25,21 +53,24 @@ export const authProvider: AuthProvider = {
 
   // Called when the API returns an error
   checkError: ({ status }: { status: number }) => {
-    if (status === 401 || status === 403) {
+    if (status === 401) {
       // Redirect to OAuth2-Proxy which will re-authenticate
       window.location.href = '/admin/oauth2/start';
       return Promise.reject();
     }
+    if (status === 403) {
+      // Authenticated but not an admin - re-authenticating would loop, so just surface the error
+      return Promise.reject({ logoutUser: false, message: 'Admin access required' });
+    }
     return Promise.resolve();
   },
 
   // Get user identity from OAuth2-Proxy headers (passed through by API)
   getIdentity: async () => {
     try {
-      const response = await fetch('/admin/api/user');
-      const user = await response.json();
+      const user = await fetchCurrentUser();
       return {
-        id: user.id || user._id,
+        id: user.id || user._id || 'unknown',
         fullName: user.name || user.username || user.email,
         avatar: user.avatar,
       };
@@ -51,14 +82,23 @@ export const authProvider: AuthProvider = {
     }
   },
 
-  // Get user permissions - check if admin
+  // Get user permissions - the admin tier (viewer, operator, owner) or null for non-admins
   getPermissions: async () => {
     try {
-      const response = await fetch('/admin/api/user');
-      const user = await response.json();
-      return user.role === 'ADMIN' ? 'admin' : 'user';
+      const user = await fetchCurrentUser();
+      return user.tier || null;
     } catch (error) {
-      return 'user';
+      return null;
+    }
+  },
+
+  // Hide buttons and routes the admin tier doesn't allow
+  canAccess: async ({ action, resource }) => {
+    try {
+      const user = await fetchCurrentUser();
+      return canAccessResource(user.tier, action, resource);
+    } catch {
+      return false;
     }
   },
 };
@@ -14,6 +14,15 @@ import ReceiptIcon from '@mui/icons-material/Receipt';
 import AttachMoneyIcon from '@mui/icons-material/AttachMoney';
 import AssessmentIcon from '@mui/icons-material/Assessment';
 import CloudIcon from '@mui/icons-material/Cloud';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+import CompareIcon from '@mui/icons-material/Compare';
+import AutoDeleteIcon from '@mui/icons-material/AutoDelete';
+import HistoryIcon from '@mui/icons-material/History';
+import FlagIcon from '@mui/icons-material/Flag';
+import RuleIcon from '@mui/icons-material/Rule';
+import PrivacyTipIcon from '@mui/icons-material/PrivacyTip';
+import PolicyIcon from '@mui/icons-material/Policy';
+import { useHasTier } from '../permissions';
 
 const MenuSection = ({ title, children }: { title: string; children: React.ReactNode }) => (
   <Box sx={{ mb: 2 }}>
@@ -38,6 +47,7 @@ const MenuSection = ({ title, children }: { title: string; children: React.React
 
 export const CustomMenu = () => {
   const resources = useResourceDefinitions();
+  const isOwner = useHasTier('owner');
 
   return (
     <Menu
@@ -82,6 +92,13 @@ export const CustomMenu = () => {
             leftIcon={<SecurityIcon />}
           />
         )}
+        {resources.roles && (
+          <MenuItemLink
+            to="/role-matrix"
+            primaryText="Role Matrix"
+            leftIcon={<CompareIcon />}
+          />
+        )}
         {resources.sessions && (
           <MenuItemLink
             to="/sessions"
@@ -122,6 +139,35 @@ export const CustomMenu = () => {
         )}
       </MenuSection>
 
+      <MenuSection title="Moderation">
+        {resources['moderation-flags'] && (
+          <MenuItemLink
+            to="/moderation-flags"
+            primaryText="Review Queue"
+            leftIcon={<FlagIcon />}
+          />
+        )}
+        {resources['moderation-rules'] && (
+          <MenuItemLink
+            to="/moderation-rules"
+            primaryText="Moderation Rules"
+            leftIcon={<RuleIcon />}
+          />
+        )}
+        <MenuItemLink
+          to="/pii-scanner"
+          primaryText="PII Scanner"
+          leftIcon={<PrivacyTipIcon />}
+        />
+        {resources['pii-redactions'] && isOwner && (
+          <MenuItemLink
+            to="/pii-redactions"
+            primaryText="PII Redactions"
+            leftIcon={<PolicyIcon />}
+          />
+        )}
+      </MenuSection>
+
       <MenuSection title="Storage">
         {resources.files && (
           <MenuItemLink
@@ -174,6 +220,27 @@ export const CustomMenu = () => {
             leftIcon={<AssessmentIcon />}
           />
         )}
+        {resources['retention-policies'] && (
+          <MenuItemLink
+            to="/retention-policies"
+            primaryText="Retention Policies"
+            leftIcon={<AutoDeleteIcon />}
+          />
+        )}
+        {resources['retention-runs'] && (
+          <MenuItemLink
+            to="/retention-runs"
+            primaryText="Retention Runs"
+            leftIcon={<HistoryIcon />}
+          />
+        )}
+        {resources['admin-tiers'] && isOwner && (
+          <MenuItemLink
+            to="/admin-tiers"
+            primaryText="Admin Tiers"
+            leftIcon={<AdminPanelSettingsIcon />}
+          />
+        )}
       </MenuSection>
     </Menu>
   );
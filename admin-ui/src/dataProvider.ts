@@ -1,4 +1,4 @@
-import type { DataProvider } from 'react-admin';
+import type { DataProvider, RaRecord } from 'react-admin';
 import { fetchUtils } from 'react-admin';
 
 // API calls must go through the /admin path since that's where OAuth2-Proxy is configured
@@ -13,23 +13,73 @@ const httpClient = (url: string, options: any = {}) => {
   return fetchUtils.fetchJson(url, options);
 };
 
+// Only send the fields a form actually changed - the API rejects fields it doesn't allow writing,
+// and React-Admin echoes back every field of the fetched record
+const changedFields = (data: Record<string, unknown>, previousData?: Record<string, unknown>) => {
+  if (!previousData) return data;
+  return Object.keys(data).reduce((changes: Record<string, unknown>, key) => {
+    if (JSON.stringify(data[key]) !== JSON.stringify(previousData[key])) {
+      changes[key] = data[key];
+    }
+    return changes;
+  }, {});
+};
+
+// Large collections are paged with the API's keyset cursors instead of skip
+const CURSOR_RESOURCES = ['messages', 'transactions'];
+
+// Cursor for each page already fetched, per resource + filter + sort + page size.
+// Infinite lists request pages in order, so page N's cursor is known by the time it's asked for.
+const pageCursors = new Map<string, Map<number, string>>();
+
+const cursorKey = (resource: string, query: Record<string, unknown>) =>
+  `${resource}?${fetchUtils.queryParameters(query)}`;
+
+// Some references point at a field other than the id - LibreChat users store their role's *name*.
+// Pass meta: { idField: 'name' } (e.g. in a ReferenceInput's queryOptions) to key records by that field.
+const keyRecords = <T extends RaRecord>(records: T[], idField?: string): T[] =>
+  idField ? records.map((record) => ({ ...record, id: record[idField] })) : records;
+
 export const dataProvider: DataProvider = {
   getList: async (resource, params) => {
     const { page = 1, perPage = 25 } = params.pagination || {};
-    const { order = 'DESC' } = params.sort || {};
-    const query = {
+    const { field, order = 'DESC' } = params.sort || {};
+    const query: Record<string, unknown> = {
       ...params.filter,
       limit: perPage,
       order: order.toLowerCase(),
-      page,
     };
+    if (field) query.sort = field;
 
-    const url = `${apiUrl}/${resource}?${fetchUtils.queryParameters(query)}`;
+    if (CURSOR_RESOURCES.includes(resource)) {
+      const key = cursorKey(resource, query);
+      if (page === 1 || !pageCursors.has(key)) pageCursors.set(key, new Map([[1, '']]));
+      const cursors = pageCursors.get(key)!;
+      const cursor = cursors.get(page);
+
+      // Unknown cursor (e.g. a page number typed into the URL) falls back to offset paging
+      const url = `${apiUrl}/${resource}?${fetchUtils.queryParameters(
+        cursor === undefined ? { ...query, page } : { ...query, cursor }
+      )}`;
+      const { json } = await httpClient(url);
+      if (json.nextCursor) cursors.set(page + 1, json.nextCursor);
+
+      return {
+        data: json.data,
+        total: json.total,
+        pageInfo: {
+          hasNextPage: cursor === undefined ? page * perPage < json.total : Boolean(json.nextCursor),
+          hasPreviousPage: page > 1,
+        },
+      };
+    }
+
+    const url = `${apiUrl}/${resource}?${fetchUtils.queryParameters({ ...query, page })}`;
     const { json } = await httpClient(url);
 
     // Handle LibreChat's cursor-based pagination
     return {
-      data: json.conversations || json.data || json,
+      data: keyRecords(json.conversations || json.data || json, params.meta?.idField),
       total: json.total || (json.conversations ? json.conversations.length : 100),
     };
   },
@@ -41,6 +91,14 @@ export const dataProvider: DataProvider = {
   },
 
   getMany: async (resource, params) => {
+    const idField = params.meta?.idField;
+    if (idField) {
+      // The API filters on the field; repeated values match any of them
+      const query = { [idField]: params.ids, limit: params.ids.length };
+      const { json } = await httpClient(`${apiUrl}/${resource}?${fetchUtils.queryParameters(query)}`);
+      return { data: keyRecords(json.data, idField) };
+    }
+
     const promises = params.ids.map((id) =>
       httpClient(`${apiUrl}/${resource}/${id}`).then(({ json }) => json)
     );
@@ -50,14 +108,15 @@ export const dataProvider: DataProvider = {
 
   getManyReference: async (resource, params) => {
     const { page = 1, perPage = 25 } = params.pagination || {};
-    const { order = 'DESC' } = params.sort || {};
-    const query = {
+    const { field, order = 'DESC' } = params.sort || {};
+    const query: Record<string, unknown> = {
       ...params.filter,
       [params.target]: params.id,
       limit: perPage,
       order: order.toLowerCase(),
       page,
     };
+    if (field) query.sort = field;
 
     const url = `${apiUrl}/${resource}?${fetchUtils.queryParameters(query)}`;
     const { json } = await httpClient(url);
@@ -80,7 +139,7 @@ export const dataProvider: DataProvider = {
     const url = `${apiUrl}/${resource}/${params.id}`;
     const { json } = await httpClient(url, {
       method: 'PUT',
-      body: JSON.stringify(params.data),
+      body: JSON.stringify(changedFields(params.data, params.previousData)),
     });
     return { data: json };
   },
@@ -97,7 +156,9 @@ export const dataProvider: DataProvider = {
   },
 
   delete: async (resource, params) => {
-    const url = `${apiUrl}/${resource}/${params.id}`;
+    // meta carries delete options, e.g. { reassignTo, background } for users
+    const options = params.meta ? `?${fetchUtils.queryParameters(params.meta)}` : '';
+    const url = `${apiUrl}/${resource}/${params.id}${options}`;
     await httpClient(url, {
       method: 'DELETE',
     });
@@ -0,0 +1,41 @@
+import { usePermissions } from 'react-admin';
+
+/**
+ * Admin tiers, mirroring admin-api/src/policy.js
+ * viewer: read-only, operator: can change LibreChat data, owner: everything
+ */
+export type AdminTier = 'viewer' | 'operator' | 'owner';
+
+const TIERS: AdminTier[] = ['viewer', 'operator', 'owner'];
+
+// Minimum tier per React-Admin action; resources listed in RESOURCE_TIERS override it
+const ACTION_TIERS: Record<string, AdminTier> = {
+  list: 'viewer',
+  show: 'viewer',
+  export: 'viewer',
+  create: 'operator',
+  edit: 'operator',
+  delete: 'operator',
+};
+
+const RESOURCE_TIERS: Record<string, Partial<Record<string, AdminTier>>> = {
+  'admin-tiers': { list: 'owner', show: 'owner', create: 'owner', edit: 'owner', delete: 'owner' },
+  'audit-logs': { delete: 'owner' },
+  'retention-policies': { create: 'owner', edit: 'owner', delete: 'owner' },
+};
+
+export const hasTier = (tier: unknown, required: AdminTier) => {
+  const rank = TIERS.indexOf(tier as AdminTier);
+  return rank !== -1 && rank >= TIERS.indexOf(required);
+};
+
+export const canAccessResource = (tier: unknown, action: string, resource: string) => {
+  const required = RESOURCE_TIERS[resource]?.[action] || ACTION_TIERS[action] || 'owner';
+  return hasTier(tier, required);
+};
+
+// True when the signed-in admin has at least the given tier
+export const useHasTier = (required: AdminTier) => {
+  const { permissions } = usePermissions();
+  return hasTier(permissions, required);
+};
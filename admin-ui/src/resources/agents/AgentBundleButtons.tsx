@@ -0,0 +1,299 @@
+import { useState } from 'react';
+import { useNotify, useRecordContext, useRedirect } from 'react-admin';
+import { Link } from 'react-router-dom';
+import {
+  Alert,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { useHasTier } from '../../permissions';
+
+type ConflictStrategy = 'fail' | 'skip' | 'rename';
+
+interface ImportedAgent {
+  sourceId: string | null;
+  name: string | null;
+  action: 'create' | 'rename' | 'skip' | 'conflict';
+  newId: string;
+  importedName: string | null;
+  conflict: { id: string; name: string } | null;
+  errors: Record<string, string> | null;
+}
+
+interface ImportReport {
+  total: number;
+  invalid: number;
+  conflicts: number;
+  warnings: string[];
+  owner: { id: string; email: string; name: string | null } | null;
+  agents: ImportedAgent[];
+}
+
+const STRATEGIES: { id: ConflictStrategy; label: string }[] = [
+  { id: 'fail', label: 'Stop if a name is taken' },
+  { id: 'skip', label: 'Use the existing agent' },
+  { id: 'rename', label: 'Import under a new name' },
+];
+
+const actionChips: Record<ImportedAgent['action'], { label: string; color: 'success' | 'info' | 'default' | 'error' }> = {
+  create: { label: 'Create', color: 'success' },
+  rename: { label: 'Create renamed', color: 'info' },
+  skip: { label: 'Use existing', color: 'default' },
+  conflict: { label: 'Name taken', color: 'error' },
+};
+
+/**
+ * Download the agent and the sub-agents it references as a bundle for another install
+ */
+export const AgentExportButton = () => {
+  const record = useRecordContext();
+  if (!record) return null;
+
+  return (
+    <Button
+      size="small"
+      startIcon={<DownloadIcon />}
+      href={`/admin/api/agents/${encodeURIComponent(String(record.id))}/export`}
+      download
+      onClick={(event) => event.stopPropagation()}
+    >
+      Export
+    </Button>
+  );
+};
+
+/**
+ * Create agents from an exported bundle
+ * The bundle is checked with a dry run first, showing name conflicts and what will be created
+ */
+export const AgentImportButton = () => {
+  const notify = useNotify();
+  const redirect = useRedirect();
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [file, setFile] = useState<{ name: string; text: string } | null>(null);
+  const [onConflict, setOnConflict] = useState<ConflictStrategy>('fail');
+  const [owner, setOwner] = useState('');
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!isOperator) return null;
+
+  const post = async (text: string, strategy: ConflictStrategy, dryRun: boolean) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ dryRun: String(dryRun), onConflict: strategy });
+      if (owner.trim()) params.set('owner', owner.trim());
+      const response = await fetch(`/admin/api/agents/import?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: text,
+      });
+      const json = await response.json();
+      setReport(json.agents ? json : null);
+      if (!response.ok) {
+        setError(json.error || 'Import failed');
+        return null;
+      }
+      return json;
+    } catch {
+      setError('Import failed; is the file a JSON agent bundle?');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFile = async (selected: File | undefined) => {
+    setReport(null);
+    setFile(null);
+    if (!selected) return;
+    const text = await selected.text();
+    setFile({ name: selected.name, text });
+    await post(text, onConflict, true);
+  };
+
+  const handleStrategy = async (strategy: ConflictStrategy) => {
+    setOnConflict(strategy);
+    if (file) await post(file.text, strategy, true);
+  };
+
+  // Checks the new owner with a dry run
+  const handleOwnerBlur = async () => {
+    if (file) await post(file.text, onConflict, true);
+  };
+
+  const handleClose = () => {
+    setOpen(false);
+    setFile(null);
+    setOwner('');
+    setReport(null);
+    setError(null);
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    const result = await post(file.text, onConflict, false);
+    if (!result) return;
+    handleClose();
+    notify(`Imported ${result.imported} agent(s)`, { type: 'info' });
+    if (result.rootId) redirect('show', 'agents', result.rootId);
+  };
+
+  const blocked = !report || !report.owner || report.invalid > 0 || (onConflict === 'fail' && report.conflicts > 0);
+
+  return (
+    <>
+      <Button size="small" startIcon={<UploadFileIcon />} onClick={() => setOpen(true)}>
+        Import
+      </Button>
+      <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+        <DialogTitle>Import agents</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Upload a bundle exported from an agent list. Each agent gets a new ID and sub-agent references are updated to
+            match. Actions, tool files and projects aren't part of a bundle.
+          </Typography>
+          <Button component="label" variant="outlined" size="small" disabled={submitting} sx={{ mb: 2 }}>
+            {file ? file.name : 'Choose file'}
+            <input
+              type="file"
+              accept=".json,application/json"
+              hidden
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+          </Button>
+          {submitting && <CircularProgress size={20} sx={{ ml: 2 }} />}
+          <TextField
+            label="Owner (user ID)"
+            helperText={
+              report?.owner
+                ? `Imported agents will belong to ${report.owner.name || report.owner.email}`
+                : 'LibreChat user the imported agents will belong to; leave empty for your own account'
+            }
+            value={owner}
+            onChange={(e) => setOwner(e.target.value)}
+            onBlur={handleOwnerBlur}
+            fullWidth
+            size="small"
+            sx={{ mb: 2 }}
+          />
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {report && !report.owner && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Your admin login has no LibreChat account. Enter the ID of the user who should own the imported agents.
+            </Alert>
+          )}
+          {report && report.conflicts > 0 && (
+            <>
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                {report.conflicts} agent name(s) already exist here.
+              </Alert>
+              <RadioGroup
+                row
+                value={onConflict}
+                onChange={(e) => handleStrategy(e.target.value as ConflictStrategy)}
+                sx={{ mb: 2 }}
+              >
+                {STRATEGIES.map((strategy) => (
+                  <FormControlLabel
+                    key={strategy.id}
+                    value={strategy.id}
+                    control={<Radio size="small" />}
+                    label={strategy.label}
+                    disabled={submitting}
+                  />
+                ))}
+              </RadioGroup>
+            </>
+          )}
+          {report && report.warnings.length > 0 && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {report.warnings.map((warning) => (
+                <div key={warning}>{warning}</div>
+              ))}
+            </Alert>
+          )}
+          {report && (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Agent</TableCell>
+                  <TableCell>Result</TableCell>
+                  <TableCell>Imported as</TableCell>
+                  <TableCell>Existing agent</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {report.agents.map((agent, index) => (
+                  <TableRow key={agent.sourceId || index}>
+                    <TableCell>
+                      {agent.name || '—'}
+                      <Typography variant="caption" color="textSecondary" display="block">
+                        {agent.sourceId}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      {agent.errors ? (
+                        <Typography variant="body2" color="error">
+                          {Object.entries(agent.errors).map(([field, message]) => `${field}: ${message}`).join('; ')}
+                        </Typography>
+                      ) : (
+                        <Chip
+                          label={actionChips[agent.action].label}
+                          color={actionChips[agent.action].color}
+                          size="small"
+                        />
+                      )}
+                    </TableCell>
+                    <TableCell>{agent.action === 'skip' ? '—' : agent.importedName}</TableCell>
+                    <TableCell>
+                      {agent.conflict ? (
+                        <Link to={`/agents/${encodeURIComponent(agent.conflict.id)}/show`} onClick={handleClose}>
+                          {agent.conflict.name}
+                        </Link>
+                      ) : (
+                        '—'
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleImport} disabled={submitting || blocked}>
+            Import {report && !blocked ? `${report.agents.filter((agent) => agent.action !== 'skip').length} agent(s)` : ''}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
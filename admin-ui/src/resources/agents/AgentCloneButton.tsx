@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { useRecordContext, useNotify, useRedirect } from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { useHasTier } from '../../permissions';
+
+/**
+ * Create a new agent with the same configuration as this one, then open it for editing
+ */
+export const AgentCloneButton = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const redirect = useRedirect();
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!record || !isOperator) return null;
+
+  const handleClone = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`/admin/api/agents/${encodeURIComponent(String(record.id))}/clone`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() }),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Request failed');
+        return;
+      }
+      setOpen(false);
+      notify(
+        json.droppedActions > 0
+          ? `Created ${json.name}; its ${json.droppedActions} action(s) weren't copied`
+          : `Created ${json.name} from ${record.name}`,
+        { type: 'info' }
+      );
+      redirect('edit', 'agents', json.id);
+    } catch {
+      setError('Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<ContentCopyIcon />}
+        onClick={(event) => {
+          event.stopPropagation();
+          setName(`${record.name} (copy)`);
+          setError(null);
+          setOpen(true);
+        }}
+      >
+        Clone
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="xs" fullWidth>
+        <DialogTitle>Clone agent {record.name}</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            label="New agent name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            fullWidth
+            size="small"
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleClone} disabled={submitting || !name.trim()}>
+            {submitting ? <CircularProgress size={20} /> : 'Clone'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
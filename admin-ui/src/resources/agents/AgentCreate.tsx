@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import {
   Create,
   SimpleForm,
@@ -5,39 +6,119 @@ import {
   BooleanInput,
   ArrayInput,
   SimpleFormIterator,
+  useGetList,
+  useNotify,
+  useRedirect,
 } from 'react-admin';
+import type { RaRecord } from 'react-admin';
+import { Box, MenuItem, TextField } from '@mui/material';
 
-export const AgentCreate = () => (
-  <Create>
-    <SimpleForm>
-      <TextInput source="name" label="Name" required fullWidth />
-      <TextInput source="description" label="Description" fullWidth multiline rows={2} />
-      <TextInput
-        source="instructions"
-        label="Instructions"
-        fullWidth
-        multiline
-        rows={8}
-        helperText="Detailed instructions for the agent's behavior"
-      />
-      <TextInput source="provider" label="Provider" required defaultValue="azureOpenAI" />
-      <TextInput source="model" label="Model" required defaultValue="gpt-4" />
+// Form fields prefilled from a template; everything else is copied by the clone
+const templateValues = (template: RaRecord) => ({
+  name: '',
+  description: template.description || '',
+  instructions: template.instructions || '',
+  provider: template.provider,
+  model: template.model,
+  tools: template.tools || [],
+  conversation_starters: template.conversation_starters || [],
+  is_promoted: false,
+  end_after_tools: Boolean(template.end_after_tools),
+  hide_sequential_outputs: Boolean(template.hide_sequential_outputs),
+});
 
-      <ArrayInput source="tools" label="Tools" defaultValue={[]}>
-        <SimpleFormIterator>
-          <TextInput source="" label="Tool Name" fullWidth />
-        </SimpleFormIterator>
-      </ArrayInput>
+/**
+ * New agent, blank or started from a template
+ * Starting from a template clones it with the form's values, so settings the
+ * form doesn't show (model parameters, tool options, sub-agents) carry over
+ */
+export const AgentCreate = () => {
+  const notify = useNotify();
+  const redirect = useRedirect();
+  const [templateId, setTemplateId] = useState('');
+  const { data: templates = [] } = useGetList('agents', {
+    filter: { is_template: true },
+    sort: { field: 'name', order: 'ASC' },
+    pagination: { page: 1, perPage: 100 },
+  });
+  const template = templates.find((candidate) => candidate.id === templateId) || null;
 
-      <ArrayInput source="conversation_starters" label="Conversation Starters" defaultValue={[]}>
-        <SimpleFormIterator>
-          <TextInput source="" label="Starter" fullWidth multiline />
-        </SimpleFormIterator>
-      </ArrayInput>
+  const createFromTemplate = async (values: Record<string, unknown>) => {
+    try {
+      const response = await fetch(`/admin/api/agents/${encodeURIComponent(templateId)}/clone`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        if (json.errors) return json.errors;
+        notify(json.error || 'Failed to create agent', { type: 'error' });
+        return;
+      }
+      notify(`Created ${json.name} from template ${template?.name}`, { type: 'info' });
+      redirect('show', 'agents', json.id);
+    } catch {
+      notify('Failed to create agent', { type: 'error' });
+    }
+  };
 
-      <BooleanInput source="is_promoted" label="Promoted" defaultValue={false} />
-      <BooleanInput source="end_after_tools" label="End After Tools" defaultValue={false} />
-      <BooleanInput source="hide_sequential_outputs" label="Hide Sequential Outputs" defaultValue={false} />
-    </SimpleForm>
-  </Create>
-);
+  return (
+    <Create>
+      {templates.length > 0 && (
+        <Box sx={{ px: 2, pt: 2 }}>
+          <TextField
+            select
+            label="Start from template"
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            size="small"
+            sx={{ minWidth: 320 }}
+            helperText={template?.description || 'Prefills the form; the new agent keeps the template’s other settings'}
+          >
+            <MenuItem value="">Blank agent</MenuItem>
+            {templates.map((candidate) => (
+              <MenuItem key={candidate.id} value={candidate.id}>
+                {candidate.name}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      )}
+      <SimpleForm
+        key={templateId || 'blank'}
+        defaultValues={template ? templateValues(template) : undefined}
+        onSubmit={template ? createFromTemplate : undefined}
+      >
+        <TextInput source="name" label="Name" required fullWidth />
+        <TextInput source="description" label="Description" fullWidth multiline rows={2} />
+        <TextInput
+          source="instructions"
+          label="Instructions"
+          fullWidth
+          multiline
+          rows={8}
+          helperText="Detailed instructions for the agent's behavior"
+        />
+        <TextInput source="provider" label="Provider" required />
+        <TextInput source="model" label="Model" required />
+
+        <ArrayInput source="tools" label="Tools" defaultValue={[]}>
+          <SimpleFormIterator>
+            <TextInput source="" label="Tool Name" fullWidth />
+          </SimpleFormIterator>
+        </ArrayInput>
+
+        <ArrayInput source="conversation_starters" label="Conversation Starters" defaultValue={[]}>
+          <SimpleFormIterator>
+            <TextInput source="" label="Starter" fullWidth multiline />
+          </SimpleFormIterator>
+        </ArrayInput>
+
+        <BooleanInput source="is_promoted" label="Promoted" defaultValue={false} />
+        <BooleanInput source="end_after_tools" label="End After Tools" defaultValue={false} />
+        <BooleanInput source="hide_sequential_outputs" label="Hide Sequential Outputs" defaultValue={false} />
+      </SimpleForm>
+    </Create>
+  );
+};
@@ -8,7 +8,7 @@ import {
 } from 'react-admin';
 
 export const AgentEdit = () => (
-  <Edit>
+  <Edit mutationMode="pessimistic">
     <SimpleForm>
       <TextInput source="name" label="Name" required fullWidth />
       <TextInput source="description" label="Description" fullWidth multiline rows={2} />
@@ -5,12 +5,39 @@ import {
   DateField,
   BooleanField,
   FunctionField,
+  SearchInput,
+  TextInput,
+  BooleanInput,
+  TopToolbar,
+  FilterButton,
+  CreateButton,
+  ExportButton,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import SmartToyIcon from '@mui/icons-material/SmartToy';
+import { AgentExportButton, AgentImportButton } from './AgentBundleButtons';
+
+const agentFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="provider" label="Provider" />,
+  <TextInput source="model" label="Model" />,
+  <TextInput source="category" label="Category" />,
+  <TextInput source="author" label="Author ID" />,
+  <BooleanInput source="is_promoted" label="Promoted" />,
+  <BooleanInput source="is_template" label="Templates" />,
+];
+
+const AgentListActions = () => (
+  <TopToolbar>
+    <FilterButton />
+    <CreateButton />
+    <ExportButton />
+    <AgentImportButton />
+  </TopToolbar>
+);
 
 export const AgentList = () => (
-  <List perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
+  <List filters={agentFilters} perPage={25} sort={{ field: 'createdAt', order: 'DESC' }} actions={<AgentListActions />}>
     <Datagrid rowClick="show">
       <FunctionField
         label="Agent"
@@ -53,7 +80,9 @@ export const AgentList = () => (
         )}
       />
       <BooleanField source="is_promoted" label="Promoted" />
+      <BooleanField source="is_template" label="Template" looseValue />
       <DateField source="createdAt" label="Created" showTime />
+      <AgentExportButton />
     </Datagrid>
   </List>
 );
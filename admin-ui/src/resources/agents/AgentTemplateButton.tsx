@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { useNotify, useRecordContext, useRefresh } from 'react-admin';
+import { Button, CircularProgress } from '@mui/material';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
+import BookmarkRemoveIcon from '@mui/icons-material/BookmarkRemove';
+import { useHasTier } from '../../permissions';
+
+/**
+ * Offer the agent as a starting point on the create page, or stop offering it
+ */
+export const AgentTemplateButton = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const isOperator = useHasTier('operator');
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!record || !isOperator) return null;
+
+  const isTemplate = Boolean(record.is_template);
+
+  const handleToggle = async () => {
+    setSubmitting(true);
+    try {
+      const response = await fetch(`/admin/api/agents/${encodeURIComponent(String(record.id))}/template`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ is_template: !isTemplate }),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        notify(json.error || 'Request failed', { type: 'error' });
+        return;
+      }
+      notify(isTemplate ? `${record.name} is no longer a template` : `${record.name} is now a template`, { type: 'info' });
+      refresh();
+    } catch {
+      notify('Request failed', { type: 'error' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Button
+      size="small"
+      startIcon={submitting ? <CircularProgress size={16} /> : isTemplate ? <BookmarkRemoveIcon /> : <BookmarkAddIcon />}
+      onClick={handleToggle}
+      disabled={submitting}
+    >
+      {isTemplate ? 'Remove template' : 'Make template'}
+    </Button>
+  );
+};
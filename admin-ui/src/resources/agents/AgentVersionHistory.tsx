@@ -0,0 +1,323 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useNotify, useRecordContext, useRefresh } from 'react-admin';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
+import RestoreIcon from '@mui/icons-material/Restore';
+import { useHasTier } from '../../permissions';
+
+interface AgentVersion {
+  version: number;
+  savedAt: string | null;
+  editedBy: string | null;
+  restoredVersion: number | null;
+  changes: string[];
+  latest: boolean;
+}
+
+interface DiffLine {
+  type: 'same' | 'changed' | 'removed' | 'added';
+  left: string | null;
+  right: string | null;
+  leftLine: number | null;
+  rightLine: number | null;
+}
+
+interface FieldChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+  lines?: DiffLine[];
+}
+
+type Side = number | 'current';
+
+const lineColors: Record<DiffLine['type'], { left: string; right: string }> = {
+  same: { left: 'transparent', right: 'transparent' },
+  changed: { left: '#fff5f5', right: '#f0fff4' },
+  removed: { left: '#fed7d7', right: '#f7fafc' },
+  added: { left: '#f7fafc', right: '#c6f6d5' },
+};
+
+const formatValue = (value: unknown) =>
+  value === null || value === undefined ? '—' : typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+
+const codeSx = { fontFamily: 'monospace', fontSize: '0.8rem', whiteSpace: 'pre-wrap', wordBreak: 'break-word' };
+
+/**
+ * Instructions (and other multi-line text) before and after, line by line
+ */
+const SideBySide = ({ lines }: { lines: DiffLine[] }) => (
+  <Table size="small" sx={{ tableLayout: 'fixed', '& td': { borderBottom: 'none', py: 0.25 } }}>
+    <TableBody>
+      {lines.map((line, index) => (
+        <TableRow key={index}>
+          <TableCell sx={{ width: 40, color: 'text.secondary', ...codeSx }} align="right">{line.leftLine}</TableCell>
+          <TableCell sx={{ backgroundColor: lineColors[line.type].left, ...codeSx }}>{line.left}</TableCell>
+          <TableCell sx={{ width: 40, color: 'text.secondary', ...codeSx }} align="right">{line.rightLine}</TableCell>
+          <TableCell sx={{ backgroundColor: lineColors[line.type].right, ...codeSx }}>{line.right}</TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+const VersionDiff = ({ agentId, from, to }: { agentId: string; from: number; to: Side }) => {
+  const [changes, setChanges] = useState<FieldChange[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setChanges(null);
+    setError(null);
+    const query = new URLSearchParams({ from: String(from) });
+    if (to !== 'current') query.set('to', String(to));
+    fetch(`/admin/api/agents/${encodeURIComponent(agentId)}/versions/diff?${query}`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (response.ok) setChanges(json.changes);
+        else setError(json.error || 'Failed to compare versions');
+      })
+      .catch(() => setError('Failed to compare versions'));
+  }, [agentId, from, to]);
+
+  if (error) return <Alert severity="error">{error}</Alert>;
+  if (!changes) return <CircularProgress size={24} />;
+  if (changes.length === 0) {
+    return <Typography variant="body2" color="textSecondary">No differences</Typography>;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      {changes.map((change) => (
+        <Card key={change.field} variant="outlined" sx={{ p: 1.5 }}>
+          <Typography variant="subtitle2" sx={{ fontFamily: 'monospace', mb: 1 }}>
+            {change.field}
+          </Typography>
+          {change.lines ? (
+            <SideBySide lines={change.lines} />
+          ) : (
+            <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+              <Box sx={{ p: 1, backgroundColor: '#fff5f5', borderRadius: 1, ...codeSx }}>{formatValue(change.before)}</Box>
+              <Box sx={{ p: 1, backgroundColor: '#f0fff4', borderRadius: 1, ...codeSx }}>{formatValue(change.after)}</Box>
+            </Box>
+          )}
+        </Card>
+      ))}
+    </Box>
+  );
+};
+
+const RestoreButton = ({ agentId, version, onRestored }: { agentId: string; version: number; onRestored: () => void }) => {
+  const notify = useNotify();
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleRestore = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`/admin/api/agents/${encodeURIComponent(agentId)}/rollback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version }),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Rollback failed');
+        return;
+      }
+      setOpen(false);
+      notify(`Restored version ${version}`, { type: 'info' });
+      onRestored();
+    } catch {
+      setError('Rollback failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button size="small" startIcon={<RestoreIcon />} onClick={() => setOpen(true)}>
+        Restore
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Restore version {version}?</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <DialogContentText>
+            The agent's fields are set back to this version. The restore is saved as a new version, so it can be undone
+            the same way.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleRestore} disabled={submitting}>
+            {submitting ? <CircularProgress size={20} /> : 'Restore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+/**
+ * Versions of the agent, a diff between any two of them and rollback
+ */
+export const AgentVersionHistory = () => {
+  const record = useRecordContext();
+  const refresh = useRefresh();
+  const isOperator = useHasTier('operator');
+
+  const [versions, setVersions] = useState<AgentVersion[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [from, setFrom] = useState<number | null>(null);
+  const [to, setTo] = useState<Side>('current');
+
+  const agentId = record ? String(record.id) : null;
+
+  const load = useCallback(() => {
+    if (!agentId) return;
+    fetch(`/admin/api/agents/${encodeURIComponent(agentId)}/versions`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (!response.ok) {
+          setError(json.error || 'Failed to load versions');
+          return;
+        }
+        setVersions(json.data);
+        // Newest first: compare the previous version with the agent as it is now
+        setFrom(json.data.length > 1 ? json.data[1].version : json.data[0]?.version ?? null);
+        setTo('current');
+      })
+      .catch(() => setError('Failed to load versions'));
+  }, [agentId]);
+
+  useEffect(load, [load]);
+
+  if (!agentId) return null;
+  if (error) return <Alert severity="error">{error}</Alert>;
+  if (!versions) return <CircularProgress size={24} />;
+  if (versions.length === 0) {
+    return (
+      <Typography variant="body2" color="textSecondary">
+        No versions yet. The next edit records the agent as it is now.
+      </Typography>
+    );
+  }
+
+  const compare = (version: number) => {
+    setFrom(version > 1 ? version - 1 : version);
+    setTo(version);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Version</TableCell>
+            <TableCell>Saved</TableCell>
+            <TableCell>By</TableCell>
+            <TableCell>Changed</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {versions.map((version) => (
+            <TableRow key={version.version}>
+              <TableCell>
+                v{version.version}
+                {version.latest && <Chip label="Latest" size="small" sx={{ ml: 1 }} />}
+              </TableCell>
+              <TableCell>{version.savedAt ? new Date(version.savedAt).toLocaleString() : '—'}</TableCell>
+              <TableCell>{version.editedBy || '—'}</TableCell>
+              <TableCell>
+                <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                  {version.restoredVersion && (
+                    <Chip label={`Restored v${version.restoredVersion}`} size="small" color="primary" variant="outlined" />
+                  )}
+                  {version.changes.map((field) => (
+                    <Chip key={field} label={field} size="small" variant="outlined" />
+                  ))}
+                </Box>
+              </TableCell>
+              <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                {version.version > 1 && (
+                  <Button size="small" startIcon={<CompareArrowsIcon />} onClick={() => compare(version.version)}>
+                    Compare
+                  </Button>
+                )}
+                {isOperator && !version.latest && (
+                  <RestoreButton
+                    agentId={agentId}
+                    version={version.version}
+                    onRestored={() => {
+                      load();
+                      refresh();
+                    }}
+                  />
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+
+      {from !== null && (
+        <Box>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+            <TextField
+              select
+              label="From"
+              value={from}
+              onChange={(e) => setFrom(Number(e.target.value))}
+              size="small"
+              sx={{ minWidth: 120 }}
+            >
+              {versions.map((version) => (
+                <MenuItem key={version.version} value={version.version}>v{version.version}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label="To"
+              value={to}
+              onChange={(e) => setTo(e.target.value === 'current' ? 'current' : Number(e.target.value))}
+              size="small"
+              sx={{ minWidth: 120 }}
+            >
+              <MenuItem value="current">Current</MenuItem>
+              {versions.map((version) => (
+                <MenuItem key={version.version} value={version.version}>v{version.version}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <VersionDiff agentId={agentId} from={from} to={to} />
+        </Box>
+      )}
+    </Box>
+  );
+};
@@ -8,11 +8,42 @@ import {
   ExportButton,
   SelectColumnsButton,
   useRecordContext,
+  FilterButton,
+  SearchInput,
+  TextInput,
+  SelectInput,
+  DateInput,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 
+const auditFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <SelectInput
+    source="action"
+    choices={[
+      { id: 'create', name: 'Create' },
+      { id: 'update', name: 'Update' },
+      { id: 'delete', name: 'Delete' },
+      { id: 'restart', name: 'Restart' },
+      { id: 'execute', name: 'Execute' },
+      { id: 'import', name: 'Import' },
+      { id: 'export', name: 'Export' },
+      { id: 'purge', name: 'Purge' },
+      { id: 'review', name: 'Review' },
+      { id: 'redact', name: 'Redact' },
+      { id: 'rollback', name: 'Rollback' },
+    ]}
+  />,
+  <TextInput source="resource" label="Resource" />,
+  <TextInput source="resourceId" label="Resource ID" />,
+  <TextInput source="userEmail" label="User Email" />,
+  <DateInput source="timestamp_gte" label="After" />,
+  <DateInput source="timestamp_lte" label="Before" />,
+];
+
 const ListActions = () => (
   <TopToolbar>
+    <FilterButton />
     <SelectColumnsButton />
     <ExportButton />
   </TopToolbar>
@@ -84,6 +115,7 @@ export const AuditList = () => {
   return (
     <List
       actions={<ListActions />}
+      filters={auditFilters}
       sort={{ field: 'timestamp', order: 'DESC' }}
       perPage={50}
       sx={{
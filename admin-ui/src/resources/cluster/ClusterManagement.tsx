@@ -33,6 +33,7 @@ import {
 import RefreshIcon from '@mui/icons-material/Refresh';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { useHasTier } from '../../permissions';
 
 interface Deployment {
   id: string;
@@ -56,6 +57,7 @@ interface CommandResult {
 export const ClusterManagement = () => {
   const dataProvider = useDataProvider();
   const notify = useNotify();
+  const isOwner = useHasTier('owner');
 
   const [deployments, setDeployments] = useState<Deployment[]>([]);
   const [loading, setLoading] = useState(true);
@@ -250,16 +252,18 @@ export const ClusterManagement = () => {
                       </Typography>
                     </TableCell>
                     <TableCell>
-                      <Button
-                        variant="contained"
-                        size="small"
-                        startIcon={restarting === deployment.id ? <CircularProgress size={16} /> : <RefreshIcon />}
-                        onClick={() => handleRestartDeployment(deployment.id, deployment.name)}
-                        disabled={restarting === deployment.id}
-                        sx={{ minWidth: 100 }}
-                      >
-                        {restarting === deployment.id ? 'Restarting...' : 'Restart'}
-                      </Button>
+                      {isOwner && (
+                        <Button
+                          variant="contained"
+                          size="small"
+                          startIcon={restarting === deployment.id ? <CircularProgress size={16} /> : <RefreshIcon />}
+                          onClick={() => handleRestartDeployment(deployment.id, deployment.name)}
+                          disabled={restarting === deployment.id}
+                          sx={{ minWidth: 100 }}
+                        >
+                          {restarting === deployment.id ? 'Restarting...' : 'Restart'}
+                        </Button>
+                      )}
                     </TableCell>
                   </TableRow>
                 ))}
@@ -279,132 +283,139 @@ export const ClusterManagement = () => {
       </Card>
 
       {/* Kubectl Command Executor Section */}
-      <Card>
-        <CardContent>
-          <Typography variant="h5" component="h2" gutterBottom>
-            Kubectl Command Executor
-          </Typography>
-
-          <Alert severity="info" sx={{ mb: 3 }}>
-            Only read-only commands are allowed: <strong>get, describe, logs, explain</strong>
-          </Alert>
-
-          {/* Command Reference */}
-          <Accordion sx={{ mb: 3 }}>
-            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
-              <Typography>📖 Command Reference</Typography>
-            </AccordionSummary>
-            <AccordionDetails>
-              <Box>
-                {allowedCommands.map((cmd, index) => (
-                  <Box key={index} sx={{ mb: 2 }}>
-                    <Typography variant="subtitle2" fontWeight="bold">
-                      {cmd.command}
-                    </Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      {cmd.description}
-                    </Typography>
-                    <Typography variant="body2" sx={{ mt: 1, fontFamily: 'monospace', fontSize: '0.85rem' }}>
-                      Examples:
-                      {cmd.examples.map((example: string, i: number) => (
-                        <Box key={i} component="span" sx={{ display: 'block', ml: 2 }}>
-                          • {example}
-                        </Box>
-                      ))}
-                    </Typography>
-                  </Box>
-                ))}
-              </Box>
-            </AccordionDetails>
-          </Accordion>
+      {!isOwner && (
+        <Alert severity="info">
+          Restarting deployments and running kubectl commands requires the <strong>owner</strong> admin tier.
+        </Alert>
+      )}
+      {isOwner && (
+        <Card>
+          <CardContent>
+            <Typography variant="h5" component="h2" gutterBottom>
+              Kubectl Command Executor
+            </Typography>
 
-          {/* Command Input */}
-          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
-            <FormControl sx={{ minWidth: 150 }}>
-              <InputLabel>Namespace</InputLabel>
-              <Select
-                value={namespace}
-                label="Namespace"
-                onChange={(e) => setNamespace(e.target.value)}
-                disabled={executing}
-              >
-                <MenuItem value="librechat">librechat</MenuItem>
-                <MenuItem value="snow-mcp">snow-mcp</MenuItem>
-                <MenuItem value="default">default</MenuItem>
-              </Select>
-            </FormControl>
+            <Alert severity="info" sx={{ mb: 3 }}>
+              Only read-only commands are allowed: <strong>get, describe, logs, explain</strong>
+            </Alert>
 
-            <TextField
-              fullWidth
-              label="Command"
-              value={command}
-              onChange={(e) => setCommand(e.target.value)}
-              placeholder="get pods"
-              disabled={executing}
-              onKeyPress={(e) => {
-                if (e.key === 'Enter') {
-                  handleExecuteCommand();
-                }
-              }}
-            />
+            {/* Command Reference */}
+            <Accordion sx={{ mb: 3 }}>
+              <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                <Typography>📖 Command Reference</Typography>
+              </AccordionSummary>
+              <AccordionDetails>
+                <Box>
+                  {allowedCommands.map((cmd, index) => (
+                    <Box key={index} sx={{ mb: 2 }}>
+                      <Typography variant="subtitle2" fontWeight="bold">
+                        {cmd.command}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {cmd.description}
+                      </Typography>
+                      <Typography variant="body2" sx={{ mt: 1, fontFamily: 'monospace', fontSize: '0.85rem' }}>
+                        Examples:
+                        {cmd.examples.map((example: string, i: number) => (
+                          <Box key={i} component="span" sx={{ display: 'block', ml: 2 }}>
+                            • {example}
+                          </Box>
+                        ))}
+                      </Typography>
+                    </Box>
+                  ))}
+                </Box>
+              </AccordionDetails>
+            </Accordion>
 
-            <Button
-              variant="contained"
-              startIcon={executing ? <CircularProgress size={16} /> : <PlayArrowIcon />}
-              onClick={handleExecuteCommand}
-              disabled={executing || !command.trim()}
-              sx={{ minWidth: 120 }}
-            >
-              {executing ? 'Running...' : 'Execute'}
-            </Button>
-          </Box>
+            {/* Command Input */}
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <FormControl sx={{ minWidth: 150 }}>
+                <InputLabel>Namespace</InputLabel>
+                <Select
+                  value={namespace}
+                  label="Namespace"
+                  onChange={(e) => setNamespace(e.target.value)}
+                  disabled={executing}
+                >
+                  <MenuItem value="librechat">librechat</MenuItem>
+                  <MenuItem value="snow-mcp">snow-mcp</MenuItem>
+                  <MenuItem value="default">default</MenuItem>
+                </Select>
+              </FormControl>
 
-          {/* Command Result */}
-          {commandResult && (
-            <Box sx={{ mt: 3 }}>
-              <Typography variant="subtitle2" gutterBottom>
-                Result:
-              </Typography>
-              <Paper
-                sx={{
-                  p: 2,
-                  backgroundColor: commandResult.exitCode === 0 ? '#f0f9ff' : '#fef2f2',
-                  fontFamily: 'monospace',
-                  fontSize: '0.875rem',
-                  whiteSpace: 'pre-wrap',
-                  overflowX: 'auto',
-                  maxHeight: 400,
-                  overflowY: 'auto',
+              <TextField
+                fullWidth
+                label="Command"
+                value={command}
+                onChange={(e) => setCommand(e.target.value)}
+                placeholder="get pods"
+                disabled={executing}
+                onKeyPress={(e) => {
+                  if (e.key === 'Enter') {
+                    handleExecuteCommand();
+                  }
                 }}
+              />
+
+              <Button
+                variant="contained"
+                startIcon={executing ? <CircularProgress size={16} /> : <PlayArrowIcon />}
+                onClick={handleExecuteCommand}
+                disabled={executing || !command.trim()}
+                sx={{ minWidth: 120 }}
               >
-                {commandResult.output && (
-                  <Box>
-                    <Typography variant="caption" color="text.secondary">
-                      Output:
-                    </Typography>
-                    <Box component="pre" sx={{ m: 0, mt: 1 }}>
-                      {commandResult.output}
+                {executing ? 'Running...' : 'Execute'}
+              </Button>
+            </Box>
+
+            {/* Command Result */}
+            {commandResult && (
+              <Box sx={{ mt: 3 }}>
+                <Typography variant="subtitle2" gutterBottom>
+                  Result:
+                </Typography>
+                <Paper
+                  sx={{
+                    p: 2,
+                    backgroundColor: commandResult.exitCode === 0 ? '#f0f9ff' : '#fef2f2',
+                    fontFamily: 'monospace',
+                    fontSize: '0.875rem',
+                    whiteSpace: 'pre-wrap',
+                    overflowX: 'auto',
+                    maxHeight: 400,
+                    overflowY: 'auto',
+                  }}
+                >
+                  {commandResult.output && (
+                    <Box>
+                      <Typography variant="caption" color="text.secondary">
+                        Output:
+                      </Typography>
+                      <Box component="pre" sx={{ m: 0, mt: 1 }}>
+                        {commandResult.output}
+                      </Box>
                     </Box>
-                  </Box>
-                )}
-                {commandResult.error && (
-                  <Box sx={{ mt: commandResult.output ? 2 : 0 }}>
-                    <Typography variant="caption" color="error">
-                      Error:
-                    </Typography>
-                    <Box component="pre" sx={{ m: 0, mt: 1, color: 'error.main' }}>
-                      {commandResult.error}
+                  )}
+                  {commandResult.error && (
+                    <Box sx={{ mt: commandResult.output ? 2 : 0 }}>
+                      <Typography variant="caption" color="error">
+                        Error:
+                      </Typography>
+                      <Box component="pre" sx={{ m: 0, mt: 1, color: 'error.main' }}>
+                        {commandResult.error}
+                      </Box>
                     </Box>
-                  </Box>
-                )}
-                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
-                  Exit Code: {commandResult.exitCode} | Executed at: {new Date(commandResult.timestamp).toLocaleString()}
-                </Typography>
-              </Paper>
-            </Box>
-          )}
-        </CardContent>
-      </Card>
+                  )}
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+                    Exit Code: {commandResult.exitCode} | Executed at: {new Date(commandResult.timestamp).toLocaleString()}
+                  </Typography>
+                </Paper>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      )}
     </Box>
   );
 };
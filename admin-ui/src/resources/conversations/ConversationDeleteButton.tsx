@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { useCanAccess, useDelete, useNotify, useRecordContext, useRedirect, useRefresh } from 'react-admin';
+import {
+  Alert,
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+interface ConversationImpact {
+  counts: Record<string, number>;
+  total: number;
+}
+
+/**
+ * Delete button for conversations that previews what a cascading delete removes
+ * Without the cascade only the conversation document goes, as before
+ * @param redirectTo - Where to go after deleting, e.g. 'list' from the Show page
+ */
+export const ConversationDeleteButton = ({ redirectTo }: { redirectTo?: 'list' }) => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const redirect = useRedirect();
+  const [deleteOne, { isPending }] = useDelete();
+  const { canAccess } = useCanAccess({ resource: 'convos', action: 'delete', record });
+
+  const [open, setOpen] = useState(false);
+  const [impact, setImpact] = useState<ConversationImpact | null>(null);
+  const [cascade, setCascade] = useState(true);
+
+  if (!record || !canAccess) return null;
+
+  const handleOpen = async (event: React.MouseEvent) => {
+    // The row click opens the show view
+    event.stopPropagation();
+    setOpen(true);
+    setImpact(null);
+    try {
+      const response = await fetch(`/admin/api/convos/${encodeURIComponent(String(record.id))}/impact`);
+      if (!response.ok) throw new Error('Failed to load impact');
+      setImpact(await response.json());
+    } catch {
+      notify('Failed to load what this delete would remove', { type: 'error' });
+      setOpen(false);
+    }
+  };
+
+  const handleConfirm = () => {
+    deleteOne(
+      'convos',
+      { id: record.id, previousData: record, meta: cascade ? { cascade: 'true' } : {} },
+      {
+        mutationMode: 'pessimistic',
+        onSuccess: () => {
+          setOpen(false);
+          notify(cascade ? 'Conversation and its messages deleted' : 'Conversation deleted', { type: 'info' });
+          if (redirectTo) redirect(redirectTo, 'convos');
+          else refresh();
+        },
+        onError: (error: unknown) => {
+          notify(error instanceof Error ? error.message : 'Failed to delete conversation', { type: 'error' });
+        },
+      }
+    );
+  };
+
+  const affected = impact ? Object.entries(impact.counts).filter(([, count]) => count > 0) : [];
+
+  return (
+    <>
+      <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleOpen}>
+        Delete
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="sm" fullWidth>
+        <DialogTitle>Delete {record.title || 'this conversation'}?</DialogTitle>
+        <DialogContent>
+          {!impact ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <>
+              <FormControlLabel
+                control={<Checkbox checked={cascade} onChange={(e) => setCascade(e.target.checked)} />}
+                label="Also delete its messages, shared links and files no other conversation uses"
+              />
+              {cascade && affected.length > 0 && (
+                <Table size="small" sx={{ mt: 1 }}>
+                  <TableBody>
+                    {affected.map(([collection, count]) => (
+                      <TableRow key={collection}>
+                        <TableCell>{collection}</TableCell>
+                        <TableCell align="right">{count}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              {!cascade && impact.total > 0 && (
+                <Alert severity="warning" sx={{ mt: 1 }}>
+                  {impact.total} related documents will be left behind as orphans.
+                </Alert>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={isPending}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleConfirm} disabled={!impact || isPending}>
+            {isPending ? <CircularProgress size={20} /> : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
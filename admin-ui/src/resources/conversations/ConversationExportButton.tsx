@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { useListContext, useRecordContext } from 'react-admin';
+import { Button, Menu, MenuItem } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { useHasTier } from '../../permissions';
+
+const FORMATS = [
+  { id: 'md', name: 'Markdown' },
+  { id: 'json', name: 'JSON' },
+  { id: 'html', name: 'HTML' },
+];
+
+// Matches MAX_CONVERSATION_EXPORT in admin-api
+const MAX_BULK_EXPORT = 100;
+
+/**
+ * Download button with a menu of export formats
+ */
+const ExportMenuButton = ({ label, href, disabled }: { label: string; href: (format: string) => string; disabled?: boolean }) => {
+  const [anchor, setAnchor] = useState<HTMLElement | null>(null);
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<DownloadIcon />}
+        disabled={disabled}
+        onClick={(event) => {
+          event.stopPropagation();
+          setAnchor(event.currentTarget);
+        }}
+      >
+        {label}
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)} onClick={(e) => e.stopPropagation()}>
+        {FORMATS.map((format) => (
+          <MenuItem key={format.id} component="a" href={href(format.id)} download onClick={() => setAnchor(null)}>
+            {format.name}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+/**
+ * Download the conversation with its metadata and message thread
+ */
+export const ConversationExportButton = () => {
+  const record = useRecordContext();
+  const isOperator = useHasTier('operator');
+
+  if (!record || !isOperator) return null;
+
+  return (
+    <ExportMenuButton
+      label="Export"
+      href={(format) => `/admin/api/convos/${encodeURIComponent(String(record.id))}/export?format=${format}`}
+    />
+  );
+};
+
+/**
+ * Download the selected conversations as one zip archive
+ */
+export const BulkExportConversationsButton = () => {
+  const { selectedIds } = useListContext();
+  const isOperator = useHasTier('operator');
+
+  if (!isOperator) return null;
+
+  const query = (format: string) => {
+    const params = new URLSearchParams({ format });
+    selectedIds.forEach((id) => params.append('ids', String(id)));
+    return params;
+  };
+
+  return (
+    <ExportMenuButton
+      label={selectedIds.length > MAX_BULK_EXPORT ? `Export (max ${MAX_BULK_EXPORT})` : 'Export'}
+      disabled={selectedIds.length > MAX_BULK_EXPORT}
+      href={(format) => `/admin/api/convos/export?${query(format)}`}
+    />
+  );
+};
@@ -2,23 +2,42 @@ import {
   List,
   Datagrid,
   DateField,
-  DeleteButton,
+  FilterButton,
   FunctionField,
   SearchInput,
+  TextInput,
+  DateInput,
+  TopToolbar,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import ChatIcon from '@mui/icons-material/Chat';
 import SmartToyIcon from '@mui/icons-material/SmartToy';
 import CodeIcon from '@mui/icons-material/Code';
+import { BulkExportConversationsButton } from './ConversationExportButton';
+import { ConversationDeleteButton } from './ConversationDeleteButton';
+import { OrphanSweepButton } from './OrphanSweepButton';
 
 const conversationFilters = [
-  <SearchInput source="search" alwaysOn />,
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="user" label="User ID" />,
+  <TextInput source="endpoint" label="Endpoint" />,
+  <TextInput source="model" label="Model" />,
+  <DateInput source="createdAt_gte" label="Created after" />,
+  <DateInput source="createdAt_lte" label="Created before" />,
 ];
 
+const ConversationListActions = () => (
+  <TopToolbar>
+    <FilterButton />
+    <OrphanSweepButton />
+  </TopToolbar>
+);
+
 export const ConversationList = () => (
-  <List filters={conversationFilters}>
+  <List filters={conversationFilters} sort={{ field: 'createdAt', order: 'DESC' }} actions={<ConversationListActions />}>
     <Datagrid
-      bulkActionButtons={false}
+      bulkActionButtons={<BulkExportConversationsButton />}
+      rowClick="show"
       sx={{
         '& .RaDatagrid-headerCell': {
           backgroundColor: '#f7fafc',
@@ -92,7 +111,7 @@ export const ConversationList = () => (
         )}
       />
       <DateField source="createdAt" showTime label="Created" />
-      <DeleteButton />
+      <ConversationDeleteButton />
     </Datagrid>
   </List>
 );
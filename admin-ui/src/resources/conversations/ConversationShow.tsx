@@ -0,0 +1,250 @@
+import { useEffect, useState } from 'react';
+import { Show, TopToolbar, useRecordContext } from 'react-admin';
+import { Link } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Paper,
+  Typography,
+} from '@mui/material';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import AttachFileIcon from '@mui/icons-material/AttachFile';
+import ThumbUpIcon from '@mui/icons-material/ThumbUp';
+import ThumbDownIcon from '@mui/icons-material/ThumbDown';
+import { ConversationExportButton } from './ConversationExportButton';
+import { ConversationDeleteButton } from './ConversationDeleteButton';
+
+interface TranscriptFile {
+  file_id: string;
+  filename: string;
+  type: string;
+  bytes?: number;
+}
+
+interface TranscriptNode {
+  messageId: string;
+  parentMessageId: string | null;
+  author: string;
+  isCreatedByUser: boolean;
+  model: string | null;
+  endpoint: string | null;
+  text: string;
+  tokenCount: number;
+  files: TranscriptFile[];
+  attachments: TranscriptFile[];
+  feedback: { rating?: string; tag?: string | { label?: string }; text?: string } | null;
+  error: boolean;
+  unfinished: boolean;
+  isEdited: boolean;
+  createdAt: string;
+  children: string[];
+}
+
+interface Transcript {
+  conversation: { conversationId: string; title: string; user: string; endpoint: string; model: string };
+  messageCount: number;
+  totalTokens: number;
+  branchPoints: number;
+  rootIds: string[];
+  nodes: Record<string, TranscriptNode>;
+}
+
+// Key for the root level, where several first messages can exist
+const ROOT = '__root__';
+
+/**
+ * Switch between alternatives (regenerations, edits) at one branch point
+ */
+const BranchSwitcher = ({ index, count, onChange }: { index: number; count: number; onChange: (index: number) => void }) => (
+  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+    <IconButton size="small" disabled={index === 0} onClick={() => onChange(index - 1)}>
+      <ChevronLeftIcon fontSize="small" />
+    </IconButton>
+    <Typography variant="caption" color="textSecondary">
+      {index + 1} / {count}
+    </Typography>
+    <IconButton size="small" disabled={index === count - 1} onClick={() => onChange(index + 1)}>
+      <ChevronRightIcon fontSize="small" />
+    </IconButton>
+  </Box>
+);
+
+const MessageBubble = ({ node }: { node: TranscriptNode }) => {
+  const rating = node.feedback?.rating;
+  const tag = typeof node.feedback?.tag === 'string' ? node.feedback.tag : node.feedback?.tag?.label;
+
+  return (
+    <Paper
+      variant="outlined"
+      sx={{
+        p: 2,
+        maxWidth: '85%',
+        ml: node.isCreatedByUser ? 'auto' : 0,
+        backgroundColor: node.isCreatedByUser ? '#ebf4ff' : '#ffffff',
+        borderColor: node.error ? '#fc8181' : undefined,
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+          {node.author}
+        </Typography>
+        {node.model && !node.isCreatedByUser && <Chip label={node.model} size="small" />}
+        {node.isEdited && <Chip label="Edited" size="small" variant="outlined" />}
+        {node.error && <Chip label="Error" size="small" color="error" />}
+        {node.unfinished && <Chip label="Unfinished" size="small" color="warning" />}
+        <Typography variant="caption" color="textSecondary" sx={{ ml: 'auto' }}>
+          {node.tokenCount} tokens • {new Date(node.createdAt).toLocaleString()}
+        </Typography>
+      </Box>
+      <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+        {node.text || <em>No text</em>}
+      </Typography>
+      {[...node.files, ...node.attachments].length > 0 && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+          {[...node.files, ...node.attachments].map((file) => (
+            <Chip
+              key={file.file_id || file.filename}
+              icon={<AttachFileIcon />}
+              label={file.filename || file.file_id}
+              size="small"
+              variant="outlined"
+            />
+          ))}
+        </Box>
+      )}
+      {node.feedback && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+          {rating === 'thumbsUp' ? (
+            <ThumbUpIcon fontSize="small" sx={{ color: '#38a169' }} />
+          ) : (
+            <ThumbDownIcon fontSize="small" sx={{ color: '#e53e3e' }} />
+          )}
+          <Typography variant="caption" color="textSecondary">
+            {[tag, node.feedback.text].filter(Boolean).join(' — ') || 'Feedback'}
+          </Typography>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+/**
+ * The conversation as a chat thread, from GET /api/convos/:id/transcript
+ * Defaults to the latest alternative at every branch, like LibreChat
+ */
+const TranscriptView = () => {
+  const record = useRecordContext();
+  const [transcript, setTranscript] = useState<Transcript | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  // Chosen child index per parent message; unset means the latest
+  const [selected, setSelected] = useState<Record<string, number>>({});
+
+  useEffect(() => {
+    if (!record?.id) return;
+    let cancelled = false;
+    fetch(`/admin/api/convos/${encodeURIComponent(String(record.id))}/transcript`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (cancelled) return;
+        if (response.ok) setTranscript(json);
+        else setError(json.error || 'Failed to load transcript');
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load transcript');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [record?.id]);
+
+  if (error) return <Alert severity="error">{error}</Alert>;
+  if (!transcript) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  // Walk the chosen branch from the root down, noting where alternatives exist
+  const thread: { node: TranscriptNode; parentKey: string; siblings: string[] }[] = [];
+  let parentKey = ROOT;
+  let siblings = transcript.rootIds;
+  const seen = new Set<string>();
+  while (siblings.length > 0) {
+    const index = Math.min(selected[parentKey] ?? siblings.length - 1, siblings.length - 1);
+    const node = transcript.nodes[siblings[index]];
+    if (!node || seen.has(node.messageId)) break;
+    seen.add(node.messageId);
+    thread.push({ node, parentKey, siblings });
+    parentKey = node.messageId;
+    siblings = node.children;
+  }
+
+  const { conversation } = transcript;
+
+  return (
+    <Box>
+      <Card sx={{ mb: 2 }}>
+        <CardContent>
+          <Typography variant="h5" sx={{ fontWeight: 600, color: '#2d3748' }}>
+            {conversation.title}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+            {conversation.endpoint && <Chip label={conversation.endpoint} size="small" />}
+            {conversation.model && <Chip label={conversation.model} size="small" />}
+            <Chip label={`${transcript.messageCount} messages`} size="small" variant="outlined" />
+            <Chip label={`${transcript.totalTokens} tokens`} size="small" variant="outlined" />
+            {transcript.branchPoints > 0 && (
+              <Chip label={`${transcript.branchPoints} branch point(s)`} size="small" variant="outlined" color="primary" />
+            )}
+          </Box>
+          {conversation.user && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              User: <Link to={`/users/${conversation.user}/show`}>{conversation.user}</Link>
+            </Typography>
+          )}
+        </CardContent>
+      </Card>
+
+      {thread.length === 0 && <Typography color="textSecondary">This conversation has no messages.</Typography>}
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1.5 }}>
+        {thread.map(({ node, parentKey: key, siblings: options }) => (
+          <Box key={node.messageId}>
+            {options.length > 1 && (
+              <Box sx={{ display: 'flex', justifyContent: node.isCreatedByUser ? 'flex-end' : 'flex-start' }}>
+                <BranchSwitcher
+                  index={options.indexOf(node.messageId)}
+                  count={options.length}
+                  onChange={(index) => setSelected((current) => ({ ...current, [key]: index }))}
+                />
+              </Box>
+            )}
+            <MessageBubble node={node} />
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+const ConversationShowActions = () => (
+  <TopToolbar>
+    <ConversationExportButton />
+    <ConversationDeleteButton redirectTo="list" />
+  </TopToolbar>
+);
+
+export const ConversationShow = () => (
+  <Show title="Conversation" actions={<ConversationShowActions />}>
+    <Box sx={{ p: 2 }}>
+      <TranscriptView />
+    </Box>
+  </Show>
+);
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useNotify } from 'react-admin';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from '@mui/material';
+import CleaningServicesIcon from '@mui/icons-material/CleaningServices';
+import { useHasTier } from '../../permissions';
+
+interface OrphanReport {
+  conversations: number;
+  messages: number;
+  sample: string[];
+  minAgeMs: number;
+}
+
+/**
+ * Find and remove messages whose conversation no longer exists
+ * (left behind by conversation deletes without the cascade)
+ */
+export const OrphanSweepButton = () => {
+  const notify = useNotify();
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [report, setReport] = useState<OrphanReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!isOperator) return null;
+
+  const handleOpen = async () => {
+    setOpen(true);
+    setReport(null);
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/messages/orphans');
+      const json = await response.json();
+      if (!response.ok) throw new Error(json.error || 'Failed to find orphaned messages');
+      setReport(json);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Failed to find orphaned messages');
+    }
+  };
+
+  const handleSweep = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/messages/orphans', { method: 'DELETE' });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.error || 'Sweep failed');
+        return;
+      }
+      setOpen(false);
+      notify(`Removed ${json.removed} orphaned message(s) from ${json.conversations} deleted conversation(s)`, {
+        type: 'info',
+      });
+    } catch {
+      setError('Sweep failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button size="small" startIcon={<CleaningServicesIcon />} onClick={handleOpen}>
+        Orphaned Messages
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Orphaned messages</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {!report && !error && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          )}
+          {report && report.messages === 0 && (
+            <Alert severity="success">Every message belongs to an existing conversation.</Alert>
+          )}
+          {report && (
+            <Typography variant="body2" color="textSecondary" sx={{ mt: 1, mb: 1 }}>
+              Conversations with a message in the last {Math.round(report.minAgeMs / 60000)} minutes are skipped: LibreChat
+              saves a new chat's messages before the conversation itself.
+            </Typography>
+          )}
+          {report && report.messages > 0 && (
+            <>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {report.messages} message(s) belong to {report.conversations} conversation(s) that no longer exist.
+              </Alert>
+              <Typography variant="caption" color="textSecondary">
+                Conversation IDs{report.conversations > report.sample.length ? ` (first ${report.sample.length})` : ''}:
+              </Typography>
+              <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                {report.sample.join(', ')}
+              </Typography>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Close
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleSweep}
+            disabled={submitting || !report || report.messages === 0}
+          >
+            {submitting ? <CircularProgress size={20} /> : 'Delete orphans'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
@@ -5,13 +5,26 @@ import {
   DateField,
   FunctionField,
   NumberField,
+  SearchInput,
+  TextInput,
+  DateInput,
 } from 'react-admin';
 import { Box } from '@mui/material';
 import AttachFileIcon from '@mui/icons-material/AttachFile';
 import ImageIcon from '@mui/icons-material/Image';
 
+const fileFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="user" label="User ID" />,
+  <TextInput source="type" label="Type" helperText="MIME type or prefix, e.g. image/" />,
+  <TextInput source="source" label="Storage Source" />,
+  <TextInput source="conversationId" label="Conversation ID" />,
+  <DateInput source="createdAt_gte" label="Uploaded after" />,
+  <DateInput source="createdAt_lte" label="Uploaded before" />,
+];
+
 export const FileList = () => (
-  <List perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
+  <List filters={fileFilters} perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
     <Datagrid>
       <FunctionField
         label="File"
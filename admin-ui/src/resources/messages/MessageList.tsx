@@ -1,16 +1,40 @@
 import {
-  List,
+  InfiniteList,
   Datagrid,
   TextField,
   DateField,
   BooleanField,
   FunctionField,
+  SearchInput,
+  TextInput,
+  SelectInput,
+  BooleanInput,
+  DateInput,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import MessageIcon from '@mui/icons-material/Message';
 
+const messageFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="conversationId" label="Conversation ID" />,
+  <TextInput source="user" label="User ID" />,
+  <TextInput source="sender" label="Sender" />,
+  <TextInput source="model" label="Model" />,
+  <SelectInput
+    source="isCreatedByUser"
+    label="Author"
+    choices={[
+      { id: 'true', name: 'User' },
+      { id: 'false', name: 'Assistant' },
+    ]}
+  />,
+  <BooleanInput source="error" label="Errors only" />,
+  <DateInput source="createdAt_gte" label="Created after" />,
+  <DateInput source="createdAt_lte" label="Created before" />,
+];
+
 export const MessageList = () => (
-  <List perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
+  <InfiniteList filters={messageFilters} perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
     <Datagrid>
       <FunctionField
         label="Message"
@@ -43,6 +67,7 @@ export const MessageList = () => (
       <TextField source="endpoint" label="Endpoint" />
       <FunctionField
         label="Tokens"
+        sortBy="tokenCount"
         render={(record: any) => (
           <Chip
             label={record.tokenCount || 0}
@@ -54,8 +79,8 @@ export const MessageList = () => (
           />
         )}
       />
-      <BooleanField source="error" label="Error" />
+      <BooleanField source="error" label="Error" sortable={false} />
       <DateField source="createdAt" label="Created" showTime />
     </Datagrid>
-  </List>
+  </InfiniteList>
 );
@@ -0,0 +1,137 @@
+import {
+  List,
+  Datagrid,
+  DateField,
+  FunctionField,
+  ReferenceField,
+  SearchInput,
+  SelectInput,
+  TextField,
+  TextInput,
+  useRecordContext,
+} from 'react-admin';
+import { Link } from 'react-router-dom';
+import { Box, Chip, Typography } from '@mui/material';
+import { BulkReviewButtons, ReviewButtons } from './ReviewButtons';
+import { reviewStatusChoices, severityChoices, severityColors, statusColors } from './moderationChoices';
+
+interface FlagMatch {
+  ruleId: string;
+  ruleName: string;
+  severity: string;
+  match: string;
+}
+
+const flagFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <SelectInput source="status" choices={reviewStatusChoices} alwaysOn />,
+  <SelectInput source="severity" choices={severityChoices} alwaysOn />,
+  <TextInput source="user" label="User ID" />,
+  <TextInput source="conversationId" label="Conversation ID" />,
+  <TextInput source="endpoint" label="Endpoint" />,
+];
+
+/**
+ * The matched text in context, which rules hit it and any review decision
+ */
+const FlagDetails = () => {
+  const record = useRecordContext();
+  if (!record) return null;
+
+  return (
+    <Box sx={{ p: 2, backgroundColor: '#f7fafc' }}>
+      <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', mb: 2 }}>
+        {record.excerpt}
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        {record.matches.map((match: FlagMatch) => (
+          <Chip
+            key={match.ruleId}
+            label={`${match.ruleName}: "${match.match}"`}
+            size="small"
+            color={severityColors[match.severity] || 'default'}
+            variant="outlined"
+          />
+        ))}
+      </Box>
+      <Typography variant="caption" color="textSecondary" component="div">
+        {record.isCreatedByUser ? 'Written by the user' : `Response from ${record.sender || record.model || 'the assistant'}`}
+        {record.endpoint && ` • ${record.endpoint}`}
+        {record.model && ` • ${record.model}`}
+      </Typography>
+      {record.review && (
+        <Typography variant="caption" color="textSecondary" component="div">
+          {record.review.status} by {record.review.reviewedBy} on {new Date(record.review.reviewedAt).toLocaleString()}
+          {record.review.note && `: ${record.review.note}`}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Review queue for messages the moderation scanner flagged
+ */
+export const ModerationFlagList = () => (
+  <List
+    filters={flagFilters}
+    filterDefaultValues={{ status: 'open' }}
+    sort={{ field: 'createdAt', order: 'DESC' }}
+    title="Review Queue"
+  >
+    <Datagrid
+      expand={<FlagDetails />}
+      bulkActionButtons={<BulkReviewButtons />}
+      sx={{
+        '& .RaDatagrid-headerCell': {
+          backgroundColor: '#f7fafc',
+          fontWeight: 600,
+          color: '#2d3748',
+        },
+      }}
+    >
+      <FunctionField
+        source="severity"
+        label="Severity"
+        render={(record) => (
+          <Chip label={record.severity} size="small" color={severityColors[record.severity] || 'default'} />
+        )}
+      />
+      <FunctionField
+        label="Excerpt"
+        render={(record) => (
+          <Box sx={{ maxWidth: 420, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {record.excerpt}
+          </Box>
+        )}
+      />
+      <FunctionField
+        label="Rules"
+        render={(record) => record.matches.map((match: FlagMatch) => match.ruleName).join(', ')}
+      />
+      <ReferenceField source="user" reference="users" label="User" link="show" emptyText="Unknown">
+        <TextField source="email" />
+      </ReferenceField>
+      <FunctionField
+        label="Conversation"
+        render={(record) => (
+          <Link
+            to={`/convos/${encodeURIComponent(record.conversationId)}/show`}
+            onClick={(event) => event.stopPropagation()}
+          >
+            Transcript
+          </Link>
+        )}
+      />
+      <DateField source="messageCreatedAt" label="Sent" showTime />
+      <FunctionField
+        source="status"
+        label="Status"
+        render={(record) => (
+          <Chip label={record.status} size="small" color={statusColors[record.status] || 'default'} variant="outlined" />
+        )}
+      />
+      <ReviewButtons />
+    </Datagrid>
+  </List>
+);
@@ -0,0 +1,8 @@
+import { Create } from 'react-admin';
+import { ModerationRuleForm } from './ModerationRuleForm';
+
+export const ModerationRuleCreate = () => (
+  <Create redirect="list">
+    <ModerationRuleForm />
+  </Create>
+);
@@ -0,0 +1,8 @@
+import { Edit } from 'react-admin';
+import { ModerationRuleForm } from './ModerationRuleForm';
+
+export const ModerationRuleEdit = () => (
+  <Edit mutationMode="pessimistic">
+    <ModerationRuleForm />
+  </Edit>
+);
@@ -0,0 +1,71 @@
+import {
+  SimpleForm,
+  TextInput,
+  SelectInput,
+  BooleanInput,
+  ReferenceArrayInput,
+  AutocompleteArrayInput,
+  FormDataConsumer,
+  required,
+} from 'react-admin';
+import { ruleTypeChoices, severityChoices } from './moderationChoices';
+
+// Lists are edited as text; the API trims entries and drops empty ones
+const formatLines = (value?: string[]) => (value || []).join('\n');
+const parseLines = (value: string) => value.split('\n');
+const formatCommas = (value?: string[]) => (value || []).join(', ');
+const parseCommas = (value: string) => value.split(',');
+
+/**
+ * Fields shared by the moderation rule create and edit forms
+ */
+export const ModerationRuleForm = () => (
+  <SimpleForm>
+    <TextInput source="name" validate={[required()]} fullWidth />
+    <SelectInput source="type" choices={ruleTypeChoices} defaultValue="keywords" validate={[required()]} />
+    <FormDataConsumer>
+      {({ formData }) =>
+        formData.type === 'regex' ? (
+          <>
+            <TextInput
+              source="pattern"
+              label="Pattern"
+              fullWidth
+              helperText="JavaScript regular expression, e.g. \b\d{3}-\d{2}-\d{4}\b"
+            />
+            <BooleanInput source="caseSensitive" label="Case sensitive" />
+          </>
+        ) : (
+          <TextInput
+            source="keywords"
+            label="Keywords"
+            fullWidth
+            multiline
+            minRows={3}
+            format={formatLines}
+            parse={parseLines}
+            helperText="One word or phrase per line; matched as whole words, ignoring case"
+          />
+        )
+      }
+    </FormDataConsumer>
+    <SelectInput source="severity" choices={severityChoices} defaultValue="medium" validate={[required()]} />
+    <ReferenceArrayInput source="users" reference="users" perPage={25}>
+      <AutocompleteArrayInput
+        optionText="email"
+        label="Only these users"
+        helperText="Leave empty to scan every user's messages"
+      />
+    </ReferenceArrayInput>
+    <TextInput
+      source="endpoints"
+      label="Only these endpoints"
+      fullWidth
+      format={formatCommas}
+      parse={parseCommas}
+      helperText="Comma-separated, e.g. openAI, agents. Leave empty for every endpoint"
+    />
+    <BooleanInput source="enabled" defaultValue={true} />
+    <TextInput source="note" label="Note" fullWidth multiline />
+  </SimpleForm>
+);
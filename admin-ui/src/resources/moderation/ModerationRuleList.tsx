@@ -0,0 +1,80 @@
+import {
+  List,
+  Datagrid,
+  TextField,
+  DateField,
+  BooleanField,
+  EditButton,
+  DeleteButton,
+  CreateButton,
+  FunctionField,
+  SearchInput,
+  SelectInput,
+  TopToolbar,
+} from 'react-admin';
+import { Chip } from '@mui/material';
+import { ScannerStatusButton } from './ScannerStatusButton';
+import { ruleTypeChoices, severityChoices, severityColors } from './moderationChoices';
+
+const ruleFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <SelectInput source="type" choices={ruleTypeChoices} alwaysOn />,
+  <SelectInput source="severity" choices={severityChoices} alwaysOn />,
+];
+
+const ModerationRuleListActions = () => (
+  <TopToolbar>
+    <CreateButton />
+    <ScannerStatusButton />
+  </TopToolbar>
+);
+
+export const ModerationRuleList = () => (
+  <List filters={ruleFilters} sort={{ field: 'name', order: 'ASC' }} actions={<ModerationRuleListActions />}>
+    <Datagrid
+      rowClick="edit"
+      sx={{
+        '& .RaDatagrid-headerCell': {
+          backgroundColor: '#f7fafc',
+          fontWeight: 600,
+          color: '#2d3748',
+        },
+      }}
+    >
+      <TextField source="name" label="Name" />
+      <FunctionField
+        source="type"
+        label="Matches"
+        render={(record) =>
+          record.type === 'regex' ? (
+            <code>/{record.pattern}/</code>
+          ) : (
+            `${record.keywords.length} keyword(s)`
+          )
+        }
+      />
+      <FunctionField
+        source="severity"
+        label="Severity"
+        render={(record) => (
+          <Chip label={record.severity} size="small" color={severityColors[record.severity] || 'default'} />
+        )}
+      />
+      <FunctionField
+        label="Scope"
+        render={(record) =>
+          [
+            record.users.length > 0 && `${record.users.length} user(s)`,
+            record.endpoints.length > 0 && record.endpoints.join(', '),
+          ]
+            .filter(Boolean)
+            .join(' • ') || 'Everyone'
+        }
+      />
+      <BooleanField source="enabled" label="Enabled" />
+      <DateField source="updatedAt" label="Updated" showTime />
+      <EditButton />
+      <DeleteButton confirmTitle="Delete moderation rule" confirmContent="Flags this rule already raised are kept." />
+    </Datagrid>
+  </List>
+);
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { useListContext, useNotify, useRecordContext, useRefresh, useUnselectAll } from 'react-admin';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import CheckIcon from '@mui/icons-material/Check';
+import ReportIcon from '@mui/icons-material/Report';
+import ReplayIcon from '@mui/icons-material/Replay';
+import { useHasTier } from '../../permissions';
+
+type Decision = 'dismissed' | 'escalated' | 'open';
+
+const DECISIONS: Record<Decision, { label: string; icon: React.ReactNode; color: 'inherit' | 'error' | 'primary' }> = {
+  dismissed: { label: 'Dismiss', icon: <CheckIcon />, color: 'inherit' },
+  escalated: { label: 'Escalate', icon: <ReportIcon />, color: 'error' },
+  open: { label: 'Reopen', icon: <ReplayIcon />, color: 'primary' },
+};
+
+/**
+ * Button that asks for an optional note, then records a review decision
+ */
+const DecisionButton = ({
+  decision,
+  count,
+  submit,
+}: {
+  decision: Decision;
+  count: number;
+  submit: (status: Decision, note: string) => Promise<void>;
+}) => {
+  const [open, setOpen] = useState(false);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { label, icon, color } = DECISIONS[decision];
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await submit(decision, note.trim());
+      setOpen(false);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        color={color}
+        startIcon={icon}
+        onClick={(event) => {
+          event.stopPropagation();
+          setNote('');
+          setError(null);
+          setOpen(true);
+        }}
+      >
+        {label}
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {label} {count === 1 ? 'this flag' : `${count} flags`}
+        </DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            label="Note (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="contained" color={color === 'inherit' ? 'primary' : color} onClick={handleConfirm} disabled={submitting}>
+            {submitting ? <CircularProgress size={20} /> : label}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+const postReview = async (url: string, body: object) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const json = await response.json();
+  if (!response.ok) {
+    throw new Error(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Request failed');
+  }
+  return json;
+};
+
+/**
+ * Review decisions for one flag; reviewed flags can be reopened
+ */
+export const ReviewButtons = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const isOperator = useHasTier('operator');
+
+  if (!record || !isOperator) return null;
+
+  const submit = async (status: Decision, note: string) => {
+    await postReview(`/admin/api/moderation-flags/${record.id}/review`, { status, note: note || null });
+    notify(`Flag ${status === 'open' ? 'reopened' : status}`, { type: 'info' });
+    refresh();
+  };
+
+  const decisions: Decision[] = record.status === 'open' ? ['dismissed', 'escalated'] : ['open'];
+
+  return (
+    <Box sx={{ display: 'flex', gap: 0.5 }}>
+      {decisions.map((decision) => (
+        <DecisionButton key={decision} decision={decision} count={1} submit={submit} />
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * Dismiss or escalate every selected flag; each decision is audited separately
+ */
+export const BulkReviewButtons = () => {
+  const { selectedIds } = useListContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const unselectAll = useUnselectAll('moderation-flags');
+  const isOperator = useHasTier('operator');
+
+  if (!isOperator) return null;
+
+  const submit = async (status: Decision, note: string) => {
+    const json = await postReview('/admin/api/moderation-flags/review', {
+      ids: selectedIds.map(String),
+      status,
+      note: note || null,
+    });
+    notify(`${json.reviewed} flag(s) ${status}`, { type: 'info' });
+    unselectAll();
+    refresh();
+  };
+
+  return (
+    <>
+      <DecisionButton decision="dismissed" count={selectedIds.length} submit={submit} />
+      <DecisionButton decision="escalated" count={selectedIds.length} submit={submit} />
+    </>
+  );
+};
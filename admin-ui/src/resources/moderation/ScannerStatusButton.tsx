@@ -0,0 +1,151 @@
+import { useState } from 'react';
+import { useNotify, useRefresh } from 'react-admin';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from '@mui/material';
+import RadarIcon from '@mui/icons-material/Radar';
+import { useHasTier } from '../../permissions';
+
+interface ScannerState {
+  checkpoint: { createdAt: string; id: string | null } | null;
+  scanned: number;
+  flagged: number;
+  lastRunAt: string | null;
+  running: boolean;
+  intervalMs: number;
+  flags: Record<string, number>;
+}
+
+/**
+ * Where the moderation scanner has got to, with a manual scan and rescan
+ */
+export const ScannerStatusButton = () => {
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [state, setState] = useState<ScannerState | null>(null);
+  const [since, setSince] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [scanning, setScanning] = useState(false);
+
+  const load = async () => {
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/moderation/scanner');
+      const json = await response.json();
+      if (!response.ok) throw new Error(json.error || 'Failed to load scanner state');
+      setState(json);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Failed to load scanner state');
+    }
+  };
+
+  const handleScan = async () => {
+    setScanning(true);
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/moderation/scanner/scan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(since ? { since: new Date(since).toISOString() } : {}),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Scan failed');
+        return;
+      }
+      notify(
+        `Scanned ${json.scanned} message(s), ${json.flagged} new flag(s)${json.done ? '' : '; more remain for the next run'}`,
+        { type: 'info' }
+      );
+      if (json.timedOutRules.length > 0) {
+        notify(`Rules skipped after taking too long: ${json.timedOutRules.join(', ')}`, { type: 'warning' });
+      }
+      setSince('');
+      await load();
+      refresh();
+    } catch {
+      setError('Scan failed');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<RadarIcon />}
+        onClick={() => {
+          setOpen(true);
+          setState(null);
+          load();
+        }}
+      >
+        Scanner
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Moderation scanner</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {!state && !error && <CircularProgress />}
+          {state && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+              <Typography variant="body2">
+                Scanned up to:{' '}
+                <strong>
+                  {state.checkpoint ? new Date(state.checkpoint.createdAt).toLocaleString() : 'nothing scanned yet'}
+                </strong>
+              </Typography>
+              <Typography variant="body2">
+                Last run: {state.lastRunAt ? new Date(state.lastRunAt).toLocaleString() : 'never'} (runs every{' '}
+                {Math.round(state.intervalMs / 60000)} min)
+              </Typography>
+              <Typography variant="body2">
+                {state.scanned} message(s) scanned, {state.flagged} flagged in total
+              </Typography>
+              {state.running && <Alert severity="info">A scan is running now</Alert>}
+              <Typography variant="body2">
+                Review queue: {state.flags.open || 0} open, {state.flags.escalated || 0} escalated,{' '}
+                {state.flags.dismissed || 0} dismissed
+              </Typography>
+              {isOperator && (
+                <TextField
+                  label="Rescan from (optional)"
+                  type="date"
+                  value={since}
+                  onChange={(e) => setSince(e.target.value)}
+                  size="small"
+                  sx={{ mt: 2 }}
+                  slotProps={{ inputLabel: { shrink: true } }}
+                  helperText="Moves the checkpoint back so new rules apply to older messages"
+                />
+              )}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={scanning}>
+            Close
+          </Button>
+          {isOperator && (
+            <Button variant="contained" onClick={handleScan} disabled={scanning || !state || state.running}>
+              {scanning ? <CircularProgress size={20} /> : since ? 'Rescan' : 'Scan now'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
@@ -0,0 +1,29 @@
+// Mirrors SEVERITIES and REVIEW_STATUSES in admin-api/src/moderation.service.js
+export const severityChoices = [
+  { id: 'low', name: 'Low' },
+  { id: 'medium', name: 'Medium' },
+  { id: 'high', name: 'High' },
+];
+
+export const reviewStatusChoices = [
+  { id: 'open', name: 'Open' },
+  { id: 'dismissed', name: 'Dismissed' },
+  { id: 'escalated', name: 'Escalated' },
+];
+
+export const ruleTypeChoices = [
+  { id: 'keywords', name: 'Keyword list' },
+  { id: 'regex', name: 'Regular expression' },
+];
+
+export const severityColors: Record<string, 'default' | 'warning' | 'error'> = {
+  low: 'default',
+  medium: 'warning',
+  high: 'error',
+};
+
+export const statusColors: Record<string, 'primary' | 'default' | 'error'> = {
+  open: 'primary',
+  dismissed: 'default',
+  escalated: 'error',
+};
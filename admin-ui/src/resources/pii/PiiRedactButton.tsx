@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { useNotify } from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+import HideSourceIcon from '@mui/icons-material/HideSource';
+import { useHasTier } from '../../permissions';
+import type { PiiScope } from './piiDetectors';
+
+/**
+ * Replace the PII found in a scope with placeholders, after confirmation
+ * `description` names the scope in the dialog, e.g. "this conversation"
+ */
+export const PiiRedactButton = ({
+  scope,
+  description,
+  onRedacted,
+}: {
+  scope: PiiScope;
+  description: string;
+  onRedacted?: () => void;
+}) => {
+  const notify = useNotify();
+  const isOwner = useHasTier('owner');
+
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!isOwner) return null;
+
+  const handleRedact = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/pii/redact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scope),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Redaction failed');
+        return;
+      }
+      setOpen(false);
+      notify(`Redacted ${json.redactions} value(s) in ${json.documents} document(s)`, { type: 'info' });
+      onRedacted?.();
+    } catch {
+      setError('Redaction failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        color="error"
+        startIcon={<HideSourceIcon />}
+        onClick={(event) => {
+          event.stopPropagation();
+          setError(null);
+          setOpen(true);
+        }}
+      >
+        Redact
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="xs" fullWidth>
+        <DialogTitle>Redact PII in {description}</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <DialogContentText>
+            Every match is replaced in place with a placeholder such as [REDACTED EMAIL]. The original text can't be
+            restored; a keyed hash of each value is kept so it can later be checked against what was removed.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleRedact} disabled={submitting}>
+            {submitting ? <CircularProgress size={20} /> : 'Redact'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
@@ -0,0 +1,117 @@
+import {
+  List,
+  Datagrid,
+  DateField,
+  FunctionField,
+  NumberField,
+  SearchInput,
+  SelectInput,
+  TextField,
+  TextInput,
+  useRecordContext,
+} from 'react-admin';
+import { Link } from 'react-router-dom';
+import { Box, Table, TableBody, TableCell, TableHead, TableRow } from '@mui/material';
+import { PiiVerifyButton } from './PiiVerifyButton';
+import { detectorLabel, usePiiDetectors } from './piiDetectors';
+
+interface RedactedField {
+  path: string;
+  redactions: { detector: string; start: number; length: number }[];
+}
+
+const sourceChoices = [
+  { id: 'messages', name: 'Message' },
+  { id: 'files', name: 'File text' },
+];
+
+/**
+ * Each value removed from the document; the hashes that prove what it was stay on the server
+ */
+const RedactionDetails = () => {
+  const record = useRecordContext();
+  const detectors = usePiiDetectors();
+  if (!record) return null;
+
+  return (
+    <Box sx={{ p: 2, backgroundColor: '#f7fafc' }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Field</TableCell>
+            <TableCell>Type</TableCell>
+            <TableCell align="right">Position</TableCell>
+            <TableCell align="right">Length</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {record.fields.flatMap((field: RedactedField) =>
+            field.redactions.map((redaction) => (
+              <TableRow key={`${field.path}.${redaction.start}`}>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{field.path}</TableCell>
+                <TableCell>{detectorLabel(detectors, redaction.detector)}</TableCell>
+                <TableCell align="right">{redaction.start}</TableCell>
+                <TableCell align="right">{redaction.length}</TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+export const PiiRedactionList = () => {
+  const detectors = usePiiDetectors();
+
+  const redactionFilters = [
+    <SearchInput source="q" alwaysOn />,
+    <SelectInput source="source" choices={sourceChoices} alwaysOn />,
+    <SelectInput
+      source="detector"
+      label="Type"
+      choices={detectors.map((detector) => ({ id: detector.id, name: detector.label }))}
+      alwaysOn
+    />,
+    <TextInput source="user" label="User ID" />,
+    <TextInput source="conversationId" label="Conversation ID" />,
+  ];
+
+  return (
+    <List filters={redactionFilters} sort={{ field: 'redactedAt', order: 'DESC' }}>
+      <Datagrid
+        expand={<RedactionDetails />}
+        bulkActionButtons={false}
+        sx={{
+          '& .RaDatagrid-headerCell': {
+            backgroundColor: '#f7fafc',
+            fontWeight: 600,
+            color: '#2d3748',
+          },
+        }}
+      >
+        <DateField source="redactedAt" label="Redacted" showTime />
+        <FunctionField
+          source="source"
+          label="Source"
+          render={(record) => (record.source === 'files' ? 'File text' : 'Message')}
+        />
+        <TextField source="documentId" label="Document" sortable={false} />
+        <FunctionField
+          label="Conversation"
+          render={(record) =>
+            record.conversationId ? (
+              <Link to={`/convos/${record.conversationId}/show`} onClick={(e) => e.stopPropagation()}>
+                {record.conversationId}
+              </Link>
+            ) : null
+          }
+        />
+        <TextField source="user" label="User" />
+        <NumberField source="redactionCount" label="Values" sortable={false} />
+        <TextField source="redactedBy" label="By" />
+        <PiiVerifyButton />
+      </Datagrid>
+    </List>
+  );
+};
@@ -0,0 +1,304 @@
+import { useState } from 'react';
+import { Title } from 'react-admin';
+import { Link } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  FormControlLabel,
+  FormGroup,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { useHasTier } from '../../permissions';
+import { PiiRedactButton } from './PiiRedactButton';
+import { detectorLabel, usePiiDetectors } from './piiDetectors';
+import type { PiiDetector, PiiScope } from './piiDetectors';
+
+interface PiiGroup {
+  total: number;
+  counts: Record<string, number>;
+}
+
+interface PiiFinding {
+  source: 'messages' | 'files';
+  id: string;
+  conversationId: string | null;
+  user: string;
+  field: string;
+  detector: string;
+  masked: string;
+  createdAt: string;
+}
+
+interface PiiReport {
+  scanned: number;
+  truncated: boolean;
+  totals: Record<string, number>;
+  byUser: (PiiGroup & { user: string })[];
+  byConversation: (PiiGroup & { conversationId: string })[];
+  findings: PiiFinding[];
+}
+
+const headerSx = { backgroundColor: '#f7fafc', fontWeight: 600, color: '#2d3748' };
+
+const CountChips = ({ counts, detectors }: { counts: Record<string, number>; detectors: PiiDetector[] }) => (
+  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+    {Object.entries(counts).map(([id, count]) => (
+      <Chip key={id} label={`${detectorLabel(detectors, id)}: ${count}`} size="small" variant="outlined" />
+    ))}
+  </Box>
+);
+
+/**
+ * Scan messages and extracted file text for PII, report it per user and per
+ * conversation, and redact it from there
+ */
+export const PiiScanner = () => {
+  const detectors = usePiiDetectors();
+  const isOperator = useHasTier('operator');
+
+  const [user, setUser] = useState('');
+  const [conversationId, setConversationId] = useState('');
+  const [since, setSince] = useState('');
+  const [until, setUntil] = useState('');
+  const [excluded, setExcluded] = useState<string[]>([]);
+  const [includeFiles, setIncludeFiles] = useState(true);
+  const [report, setReport] = useState<PiiReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [scanning, setScanning] = useState(false);
+
+  const selectedDetectors = detectors.map((detector) => detector.id).filter((id) => !excluded.includes(id));
+  const scope: PiiScope = {
+    user: user.trim() || undefined,
+    conversationId: conversationId.trim() || undefined,
+    since: since || undefined,
+    until: until ? `${until}T23:59:59.999Z` : undefined,
+    detectors: excluded.length > 0 ? selectedDetectors : undefined,
+    includeFiles,
+  };
+
+  const handleScan = async () => {
+    setScanning(true);
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/pii/scan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scope),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Scan failed');
+        return;
+      }
+      setReport(json);
+    } catch {
+      setError('Scan failed');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const toggleDetector = (id: string) =>
+    setExcluded((current) => (current.includes(id) ? current.filter((other) => other !== id) : [...current, id]));
+
+  const totalFound = report ? Object.values(report.totals).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Title title="PII Scanner" />
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+            <TextField label="User ID" value={user} onChange={(e) => setUser(e.target.value)} size="small" />
+            <TextField
+              label="Conversation ID"
+              value={conversationId}
+              onChange={(e) => setConversationId(e.target.value)}
+              size="small"
+            />
+            <TextField
+              label="From"
+              type="date"
+              value={since}
+              onChange={(e) => setSince(e.target.value)}
+              size="small"
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+            <TextField
+              label="To"
+              type="date"
+              value={until}
+              onChange={(e) => setUntil(e.target.value)}
+              size="small"
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+            <FormControlLabel
+              control={<Switch checked={includeFiles} onChange={(e) => setIncludeFiles(e.target.checked)} />}
+              label="Include file text"
+            />
+          </Box>
+          <FormGroup row sx={{ mb: 2 }}>
+            {detectors.map((detector) => (
+              <FormControlLabel
+                key={detector.id}
+                control={
+                  <Checkbox checked={!excluded.includes(detector.id)} onChange={() => toggleDetector(detector.id)} />
+                }
+                label={detector.label}
+              />
+            ))}
+          </FormGroup>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <Button
+              variant="contained"
+              startIcon={scanning ? <CircularProgress size={16} color="inherit" /> : <SearchIcon />}
+              onClick={handleScan}
+              disabled={!isOperator || scanning || selectedDetectors.length === 0}
+            >
+              Scan
+            </Button>
+            {report && (scope.user || scope.conversationId) && totalFound > 0 && (
+              <PiiRedactButton scope={scope} description="this scope" onRedacted={handleScan} />
+            )}
+          </Box>
+        </CardContent>
+      </Card>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {report && (
+        <>
+          {report.truncated && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Only the {report.scanned} most recent documents were scanned. Narrow the scope to cover the rest.
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, flexWrap: 'wrap' }}>
+            <Typography variant="body2" color="textSecondary">
+              {totalFound} match(es) in {report.scanned} scanned document(s)
+            </Typography>
+            <CountChips counts={report.totals} detectors={detectors} />
+          </Box>
+
+          {totalFound > 0 && (
+            <>
+              <Typography variant="h6" sx={{ mb: 1 }}>By user</Typography>
+              <Card sx={{ mb: 3, overflowX: 'auto' }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={headerSx}>User</TableCell>
+                      <TableCell sx={headerSx} align="right">Matches</TableCell>
+                      <TableCell sx={headerSx}>Types</TableCell>
+                      <TableCell sx={headerSx} />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.byUser.map((group) => (
+                      <TableRow key={group.user}>
+                        <TableCell>
+                          {group.user === 'unknown' ? 'Unknown' : <Link to={`/users/${group.user}/show`}>{group.user}</Link>}
+                        </TableCell>
+                        <TableCell align="right">{group.total}</TableCell>
+                        <TableCell><CountChips counts={group.counts} detectors={detectors} /></TableCell>
+                        <TableCell align="right">
+                          {group.user !== 'unknown' && (
+                            <PiiRedactButton
+                              scope={{ ...scope, user: group.user }}
+                              description="this user's data"
+                              onRedacted={handleScan}
+                            />
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Card>
+
+              <Typography variant="h6" sx={{ mb: 1 }}>By conversation</Typography>
+              <Card sx={{ mb: 3, overflowX: 'auto' }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={headerSx}>Conversation</TableCell>
+                      <TableCell sx={headerSx} align="right">Matches</TableCell>
+                      <TableCell sx={headerSx}>Types</TableCell>
+                      <TableCell sx={headerSx} />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.byConversation.map((group) => (
+                      <TableRow key={group.conversationId}>
+                        <TableCell>
+                          <Link to={`/convos/${group.conversationId}/show`}>{group.conversationId}</Link>
+                        </TableCell>
+                        <TableCell align="right">{group.total}</TableCell>
+                        <TableCell><CountChips counts={group.counts} detectors={detectors} /></TableCell>
+                        <TableCell align="right">
+                          <PiiRedactButton
+                            scope={{ ...scope, conversationId: group.conversationId }}
+                            description="this conversation"
+                            onRedacted={handleScan}
+                          />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Card>
+
+              <Typography variant="h6" sx={{ mb: 1 }}>
+                Matches{report.findings.length < totalFound ? ` (first ${report.findings.length})` : ''}
+              </Typography>
+              <Card sx={{ overflowX: 'auto' }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell sx={headerSx}>Type</TableCell>
+                      <TableCell sx={headerSx}>Value</TableCell>
+                      <TableCell sx={headerSx}>Source</TableCell>
+                      <TableCell sx={headerSx}>Document</TableCell>
+                      <TableCell sx={headerSx}>Date</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {report.findings.map((finding, index) => (
+                      <TableRow key={`${finding.id}.${finding.field}.${index}`}>
+                        <TableCell>{detectorLabel(detectors, finding.detector)}</TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace' }}>{finding.masked}</TableCell>
+                        <TableCell>{finding.source === 'files' ? 'File text' : 'Message'}</TableCell>
+                        <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem' }}>
+                          {finding.conversationId ? (
+                            <Link to={`/convos/${finding.conversationId}/show`}>{finding.id}</Link>
+                          ) : (
+                            finding.id
+                          )}
+                        </TableCell>
+                        <TableCell>{finding.createdAt ? new Date(finding.createdAt).toLocaleString() : ''}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Card>
+            </>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
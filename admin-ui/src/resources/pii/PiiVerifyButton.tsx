@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { useRecordContext } from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import { useHasTier } from '../../permissions';
+
+interface VerifyResult {
+  matched: boolean;
+  matches: { field: string; detector: string; start: number }[];
+}
+
+/**
+ * Check whether a value is one a redaction removed, against its stored hashes
+ */
+export const PiiVerifyButton = () => {
+  const record = useRecordContext();
+  const isOwner = useHasTier('owner');
+
+  const [open, setOpen] = useState(false);
+  const [value, setValue] = useState('');
+  const [result, setResult] = useState<VerifyResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!record || !isOwner) return null;
+
+  const handleVerify = async () => {
+    setSubmitting(true);
+    setError(null);
+    setResult(null);
+    try {
+      const response = await fetch(`/admin/api/pii-redactions/${record.id}/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ value }),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Verification failed');
+        return;
+      }
+      setResult(json);
+    } catch {
+      setError('Verification failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<FactCheckIcon />}
+        onClick={(event) => {
+          event.stopPropagation();
+          setValue('');
+          setResult(null);
+          setError(null);
+          setOpen(true);
+        }}
+      >
+        Verify
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="xs" fullWidth>
+        <DialogTitle>Verify a redacted value</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Enter the value exactly as it appeared, including spaces and dashes.
+          </DialogContentText>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {result && (
+            <Alert severity={result.matched ? 'success' : 'info'} sx={{ mb: 2 }}>
+              {result.matched
+                ? `Removed from ${result.matches.map((match) => `${match.field} at ${match.start}`).join(', ')}`
+                : 'This value was not removed by this redaction.'}
+            </Alert>
+          )}
+          <TextField
+            label="Value"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            fullWidth
+            size="small"
+            autoComplete="off"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Close
+          </Button>
+          <Button variant="contained" onClick={handleVerify} disabled={submitting || !value}>
+            {submitting ? <CircularProgress size={20} /> : 'Verify'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
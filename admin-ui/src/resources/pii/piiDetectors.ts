@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react';
+
+export interface PiiDetector {
+  id: string;
+  label: string;
+  placeholder: string;
+}
+
+// What a scan or redaction covers, as accepted by POST /api/pii/scan and /api/pii/redact
+export interface PiiScope {
+  user?: string;
+  conversationId?: string;
+  since?: string;
+  until?: string;
+  detectors?: string[];
+  includeFiles?: boolean;
+}
+
+// Detectors from GET /api/pii/detectors, in precedence order
+export const usePiiDetectors = () => {
+  const [detectors, setDetectors] = useState<PiiDetector[]>([]);
+
+  useEffect(() => {
+    fetch('/admin/api/pii/detectors')
+      .then((response) => (response.ok ? response.json() : { data: [] }))
+      .then((json) => setDetectors(json.data))
+      .catch(() => setDetectors([]));
+  }, []);
+
+  return detectors;
+};
+
+export const detectorLabel = (detectors: PiiDetector[], id: string) =>
+  detectors.find((detector) => detector.id === id)?.label || id;
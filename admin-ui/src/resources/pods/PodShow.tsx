@@ -22,6 +22,7 @@ import {
 import StorageIcon from '@mui/icons-material/Storage';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import DownloadIcon from '@mui/icons-material/Download';
+import { useHasTier } from '../../permissions';
 
 const LogViewer = () => {
   const record = useRecordContext();
@@ -171,6 +172,9 @@ const LogViewer = () => {
   );
 };
 
+// Pod logs can contain user data, so they need the operator tier
+const PodLogs = () => (useHasTier('operator') ? <LogViewer /> : null);
+
 const ContainerStatus = () => {
   const record = useRecordContext();
 
@@ -273,7 +277,7 @@ export const PodShow = () => (
       <TextField source="ip" label="IP Address" />
       <TextField source="node" label="Node" />
       <ContainerStatus />
-      <LogViewer />
+      <PodLogs />
     </SimpleShowLayout>
   </Show>
 );
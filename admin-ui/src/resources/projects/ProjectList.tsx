@@ -3,12 +3,17 @@ import {
   Datagrid,
   DateField,
   FunctionField,
+  SearchInput,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import FolderIcon from '@mui/icons-material/Folder';
 
+const projectFilters = [
+  <SearchInput source="q" alwaysOn />,
+];
+
 export const ProjectList = () => (
-  <List perPage={25} sort={{ field: 'updatedAt', order: 'DESC' }}>
+  <List filters={projectFilters} perPage={25} sort={{ field: 'updatedAt', order: 'DESC' }}>
     <Datagrid rowClick="show">
       <FunctionField
         label="Project"
@@ -0,0 +1,8 @@
+import { Create } from 'react-admin';
+import { RetentionPolicyForm } from './RetentionPolicyForm';
+
+export const RetentionPolicyCreate = () => (
+  <Create redirect="list">
+    <RetentionPolicyForm />
+  </Create>
+);
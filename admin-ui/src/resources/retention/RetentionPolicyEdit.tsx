@@ -0,0 +1,8 @@
+import { Edit } from 'react-admin';
+import { RetentionPolicyForm } from './RetentionPolicyForm';
+
+export const RetentionPolicyEdit = () => (
+  <Edit mutationMode="pessimistic">
+    <RetentionPolicyForm />
+  </Edit>
+);
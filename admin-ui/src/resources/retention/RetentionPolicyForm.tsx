@@ -0,0 +1,52 @@
+import {
+  SimpleForm,
+  TextInput,
+  SelectInput,
+  NumberInput,
+  BooleanInput,
+  ReferenceArrayInput,
+  SelectArrayInput,
+  FormDataConsumer,
+  required,
+  minValue,
+} from 'react-admin';
+import { retentionTargetChoices, UNOWNED_TARGETS } from './retentionChoices';
+
+/**
+ * Fields shared by the retention policy create and edit forms
+ */
+export const RetentionPolicyForm = () => (
+  <SimpleForm>
+    <TextInput source="name" validate={[required()]} fullWidth />
+    <SelectInput source="target" choices={retentionTargetChoices} validate={[required()]} />
+    <NumberInput
+      source="maxAgeDays"
+      label="Keep for (days)"
+      min={1}
+      step={1}
+      validate={[required(), minValue(1)]}
+      helperText="Documents older than this are removed. Conversations are aged by their last activity."
+    />
+    <FormDataConsumer>
+      {({ formData }) =>
+        !UNOWNED_TARGETS.includes(formData.target) && (
+          <ReferenceArrayInput
+            source="roles"
+            reference="roles"
+            sort={{ field: 'name', order: 'ASC' }}
+            perPage={100}
+            queryOptions={{ meta: { idField: 'name' } }}
+          >
+            <SelectArrayInput
+              optionText="name"
+              label="Only users with these roles"
+              helperText="Leave empty for every user. Role policies take precedence over an all-users policy on the same target."
+            />
+          </ReferenceArrayInput>
+        )
+      }
+    </FormDataConsumer>
+    <BooleanInput source="enabled" label="Run on schedule" defaultValue={true} />
+    <TextInput source="note" label="Note" fullWidth multiline />
+  </SimpleForm>
+);
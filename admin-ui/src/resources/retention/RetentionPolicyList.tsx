@@ -0,0 +1,75 @@
+import {
+  List,
+  Datagrid,
+  TextField,
+  NumberField,
+  DateField,
+  BooleanField,
+  EditButton,
+  DeleteButton,
+  CreateButton,
+  FunctionField,
+  SelectInput,
+  TopToolbar,
+} from 'react-admin';
+import { Link } from 'react-router-dom';
+import { Button, Chip } from '@mui/material';
+import HistoryIcon from '@mui/icons-material/History';
+import { retentionTargetChoices, targetLabel } from './retentionChoices';
+import { BulkRetentionRunButton, RetentionRunButton } from './RetentionRunButton';
+
+const retentionFilters = [<SelectInput source="target" choices={retentionTargetChoices} alwaysOn />];
+
+const RetentionPolicyListActions = () => (
+  <TopToolbar>
+    <CreateButton />
+    <RetentionRunButton dryRun />
+    <RetentionRunButton dryRun={false} />
+    <Button size="small" component={Link} to="/retention-runs" startIcon={<HistoryIcon />}>
+      Run history
+    </Button>
+  </TopToolbar>
+);
+
+export const RetentionPolicyList = () => (
+  <List
+    filters={retentionFilters}
+    sort={{ field: 'name', order: 'ASC' }}
+    actions={<RetentionPolicyListActions />}
+  >
+    <Datagrid
+      rowClick="edit"
+      bulkActionButtons={
+        <>
+          <BulkRetentionRunButton dryRun />
+          <BulkRetentionRunButton dryRun={false} />
+        </>
+      }
+      sx={{
+        '& .RaDatagrid-headerCell': {
+          backgroundColor: '#f7fafc',
+          fontWeight: 600,
+          color: '#2d3748',
+        },
+      }}
+    >
+      <TextField source="name" label="Name" />
+      <FunctionField source="target" label="Target" render={(record) => targetLabel(record.target)} />
+      <NumberField source="maxAgeDays" label="Keep (days)" />
+      <FunctionField
+        label="Applies to"
+        render={(record) =>
+          record.roles.length > 0 ? (
+            record.roles.map((role: string) => <Chip key={role} label={role} size="small" sx={{ mr: 0.5 }} />)
+          ) : (
+            <Chip label="All users" size="small" variant="outlined" />
+          )
+        }
+      />
+      <BooleanField source="enabled" label="Scheduled" />
+      <DateField source="lastRunAt" label="Last run" showTime emptyText="Never" />
+      <EditButton />
+      <DeleteButton confirmTitle="Delete retention policy" confirmContent="Past runs of this policy are kept." />
+    </Datagrid>
+  </List>
+);
@@ -0,0 +1,81 @@
+import { Chip, Table, TableBody, TableCell, TableHead, TableRow } from '@mui/material';
+import { targetLabel } from './retentionChoices';
+
+export interface RetentionResult {
+  policyId: string;
+  policyName: string;
+  target: string;
+  maxAgeDays: number;
+  roles: string[];
+  cutoff: string | null;
+  matched: number;
+  removed: number;
+  cascaded: Record<string, number>;
+  skipped: string | null;
+  error: string | null;
+}
+
+export interface RetentionRun {
+  id: string;
+  trigger: 'schedule' | 'manual';
+  triggeredBy: string;
+  dryRun: boolean;
+  status: 'running' | 'succeeded' | 'failed';
+  results: RetentionResult[];
+  totals: { matched: number; removed: number };
+  startedAt: string;
+  finishedAt: string | null;
+}
+
+/**
+ * Per-policy outcome of a retention run
+ */
+export const RetentionResultsTable = ({ run }: { run: RetentionRun }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell sx={{ fontWeight: 600 }}>Policy</TableCell>
+        <TableCell sx={{ fontWeight: 600 }}>Target</TableCell>
+        <TableCell sx={{ fontWeight: 600 }}>Older than</TableCell>
+        <TableCell sx={{ fontWeight: 600 }} align="right">
+          Matched
+        </TableCell>
+        <TableCell sx={{ fontWeight: 600 }} align="right">
+          Removed
+        </TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {run.results.length === 0 && (
+        <TableRow>
+          <TableCell colSpan={5}>No policies were evaluated.</TableCell>
+        </TableRow>
+      )}
+      {run.results.map((result) => (
+        <TableRow key={result.policyId}>
+          <TableCell>
+            {result.policyName}
+            {result.roles.length > 0 && (
+              <Chip label={result.roles.join(', ')} size="small" variant="outlined" sx={{ ml: 1 }} />
+            )}
+            {result.skipped && <Chip label={result.skipped} size="small" color="warning" sx={{ ml: 1 }} />}
+            {result.error && <Chip label={result.error} size="small" color="error" sx={{ ml: 1 }} />}
+          </TableCell>
+          <TableCell>{targetLabel(result.target)}</TableCell>
+          <TableCell>
+            {result.maxAgeDays} days
+            {result.cutoff && ` (${new Date(result.cutoff).toLocaleDateString()})`}
+          </TableCell>
+          <TableCell align="right">{result.matched}</TableCell>
+          <TableCell align="right">
+            {run.dryRun ? '—' : result.removed}
+            {Object.entries(result.cascaded || {})
+              .filter(([, count]) => count > 0)
+              .map(([collection, count]) => ` + ${count} ${collection}`)
+              .join('')}
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { useListContext, useNotify, useRefresh } from 'react-admin';
+import { Link } from 'react-router-dom';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from '@mui/material';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import PreviewIcon from '@mui/icons-material/Preview';
+import { useHasTier } from '../../permissions';
+import { RetentionResultsTable } from './RetentionResultsTable';
+import type { RetentionRun } from './RetentionResultsTable';
+
+/**
+ * Run retention policies by hand, as a dry run (operators) or for real (owners)
+ * A real run asks for confirmation and shows the dry-run numbers first
+ * @param policyIds - Only these policies; defaults to every enabled policy
+ */
+export const RetentionRunButton = ({ dryRun, policyIds }: { dryRun: boolean; policyIds?: string[] }) => {
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const canRun = useHasTier(dryRun ? 'operator' : 'owner');
+
+  const [open, setOpen] = useState(false);
+  const [preview, setPreview] = useState<RetentionRun | null>(null);
+  const [run, setRun] = useState<RetentionRun | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!canRun) return null;
+
+  const request = async (path: string) => {
+    const response = await fetch(`/admin/api/retention-runs${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(policyIds ? { policyIds } : {}),
+    });
+    const json = await response.json();
+    if (!response.ok) {
+      throw new Error(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Request failed');
+    }
+    return json as RetentionRun;
+  };
+
+  const handleOpen = async () => {
+    setOpen(true);
+    setPreview(null);
+    setRun(null);
+    setError(null);
+    setSubmitting(true);
+    try {
+      // Both modes start with a dry run: it is the report, or the confirmation step
+      setPreview(await request('/dry-run'));
+      refresh();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRun = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const result = await request('');
+      setRun(result);
+      notify(`Retention run removed ${result.totals.removed} document(s)`, { type: 'info' });
+      refresh();
+    } catch (e) {
+      setError(e instanceof Error ? e.message : 'Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const shown = run || preview;
+
+  return (
+    <>
+      <Button
+        size="small"
+        color={dryRun ? 'primary' : 'error'}
+        startIcon={dryRun ? <PreviewIcon /> : <PlayArrowIcon />}
+        onClick={handleOpen}
+      >
+        {dryRun ? 'Dry run' : 'Run now'}
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>{run ? 'Retention run finished' : dryRun ? 'Retention dry run' : 'Run retention policies?'}</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {!shown && submitting && <CircularProgress />}
+          {shown && (
+            <>
+              <Typography variant="body2" sx={{ mb: 1 }}>
+                {run
+                  ? `Removed ${run.totals.removed} document(s).`
+                  : `${shown.totals.matched} document(s) are past their retention window.`}{' '}
+                <Link to={`/retention-runs/${shown.id}/show`} onClick={() => setOpen(false)}>
+                  View run
+                </Link>
+              </Typography>
+              <RetentionResultsTable run={shown} />
+              {!dryRun && !run && shown.totals.matched > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  Running now permanently deletes these documents.
+                </Alert>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Close
+          </Button>
+          {!dryRun && !run && (
+            <Button
+              color="error"
+              variant="contained"
+              onClick={handleRun}
+              disabled={submitting || !preview || preview.totals.matched === 0}
+            >
+              {submitting ? <CircularProgress size={20} /> : 'Delete now'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+/**
+ * RetentionRunButton for the policies selected in the list
+ */
+export const BulkRetentionRunButton = ({ dryRun }: { dryRun: boolean }) => {
+  const { selectedIds } = useListContext();
+  return <RetentionRunButton dryRun={dryRun} policyIds={selectedIds.map(String)} />;
+};
@@ -0,0 +1,70 @@
+import {
+  List,
+  Datagrid,
+  DateField,
+  FunctionField,
+  NumberField,
+  SelectInput,
+  TextField,
+} from 'react-admin';
+import { Chip } from '@mui/material';
+
+const statusColors: Record<string, 'success' | 'error' | 'default'> = {
+  succeeded: 'success',
+  failed: 'error',
+  running: 'default',
+};
+
+const runFilters = [
+  <SelectInput
+    source="trigger"
+    choices={[
+      { id: 'schedule', name: 'Scheduled' },
+      { id: 'manual', name: 'Manual' },
+    ]}
+    alwaysOn
+  />,
+  <SelectInput
+    source="dryRun"
+    label="Mode"
+    choices={[
+      { id: 'true', name: 'Dry run' },
+      { id: 'false', name: 'Purge' },
+    ]}
+    alwaysOn
+  />,
+];
+
+export const RetentionRunList = () => (
+  <List filters={runFilters} sort={{ field: 'startedAt', order: 'DESC' }}>
+    <Datagrid
+      rowClick="show"
+      bulkActionButtons={false}
+      sx={{
+        '& .RaDatagrid-headerCell': {
+          backgroundColor: '#f7fafc',
+          fontWeight: 600,
+          color: '#2d3748',
+        },
+      }}
+    >
+      <DateField source="startedAt" label="Started" showTime />
+      <FunctionField
+        label="Mode"
+        render={(record) => (
+          <Chip label={record.dryRun ? 'Dry run' : 'Purge'} size="small" variant={record.dryRun ? 'outlined' : 'filled'} />
+        )}
+      />
+      <FunctionField
+        source="status"
+        label="Status"
+        render={(record) => <Chip label={record.status} size="small" color={statusColors[record.status] || 'default'} />}
+      />
+      <TextField source="trigger" label="Trigger" />
+      <TextField source="triggeredBy" label="By" />
+      <NumberField source="policyCount" label="Policies" sortable={false} />
+      <NumberField source="totals.matched" label="Matched" sortable={false} />
+      <NumberField source="totals.removed" label="Removed" sortable={false} />
+    </Datagrid>
+  </List>
+);
@@ -0,0 +1,19 @@
+import { Show, SimpleShowLayout, DateField, TextField, BooleanField, NumberField, FunctionField } from 'react-admin';
+import { RetentionResultsTable } from './RetentionResultsTable';
+import type { RetentionRun } from './RetentionResultsTable';
+
+export const RetentionRunShow = () => (
+  <Show title="Retention run">
+    <SimpleShowLayout>
+      <DateField source="startedAt" label="Started" showTime />
+      <DateField source="finishedAt" label="Finished" showTime emptyText="Still running" />
+      <BooleanField source="dryRun" label="Dry run" />
+      <TextField source="status" />
+      <TextField source="trigger" />
+      <TextField source="triggeredBy" label="Triggered by" />
+      <NumberField source="totals.matched" label="Documents matched" />
+      <NumberField source="totals.removed" label="Documents removed" />
+      <FunctionField label="Policies" render={(record: RetentionRun) => <RetentionResultsTable run={record} />} />
+    </SimpleShowLayout>
+  </Show>
+);
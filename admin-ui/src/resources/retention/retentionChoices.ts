@@ -0,0 +1,13 @@
+// Targets of a retention policy, mirroring RETENTION_TARGETS in admin-api/src/retention.service.js
+export const retentionTargetChoices = [
+  { id: 'conversations', name: 'Conversations (with their messages and shared links)' },
+  { id: 'messages', name: 'Messages' },
+  { id: 'transactions', name: 'Transactions' },
+  { id: 'audit_logs', name: 'Audit logs' },
+];
+
+// Targets whose documents have no LibreChat owner, so they can't be limited to roles
+export const UNOWNED_TARGETS = ['audit_logs'];
+
+export const targetLabel = (target: string) =>
+  retentionTargetChoices.find((choice) => choice.id === target)?.name.split(' (')[0] || target;
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import {
+  useRecordContext,
+  useDelete,
+  useGetList,
+  useNotify,
+  useRefresh,
+  useCanAccess,
+} from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/**
+ * Delete button for roles
+ * Users reference roles by name, so a role that's still assigned must hand its users to another role first
+ */
+export const RoleDeleteButton = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const [deleteOne, { isPending }] = useDelete();
+  const { canAccess } = useCanAccess({ resource: 'roles', action: 'delete', record });
+
+  const [open, setOpen] = useState(false);
+  const [reassignTo, setReassignTo] = useState('');
+
+  const userCount: number = record?.userCount || 0;
+  const { data: roles = [] } = useGetList(
+    'roles',
+    { pagination: { page: 1, perPage: 100 }, sort: { field: 'name', order: 'ASC' } },
+    { enabled: open && userCount > 0 }
+  );
+
+  if (!record || !canAccess) return null;
+
+  const handleConfirm = () => {
+    deleteOne(
+      'roles',
+      { id: record.id, previousData: record, meta: reassignTo ? { reassignTo } : undefined },
+      {
+        mutationMode: 'pessimistic',
+        onSuccess: () => {
+          setOpen(false);
+          notify(
+            userCount > 0 ? `Moved ${userCount} user(s) to ${reassignTo} and deleted ${record.name}` : 'Role deleted',
+            { type: 'info' }
+          );
+          refresh();
+        },
+        onError: (error: unknown) => {
+          notify(error instanceof Error ? error.message : 'Failed to delete role', { type: 'error' });
+        },
+      }
+    );
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        color="error"
+        startIcon={<DeleteIcon />}
+        onClick={(event) => {
+          event.stopPropagation();
+          setReassignTo('');
+          setOpen(true);
+        }}
+      >
+        Delete
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete role {record.name}?</DialogTitle>
+        <DialogContent>
+          {userCount > 0 ? (
+            <>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {userCount} user(s) have this role. Choose a role to move them to before it's deleted.
+              </Alert>
+              <FormControl fullWidth size="small">
+                <InputLabel>Reassign users to</InputLabel>
+                <Select label="Reassign users to" value={reassignTo} onChange={(e) => setReassignTo(e.target.value)}>
+                  {roles
+                    .filter((role) => role.name !== record.name)
+                    .map((role) => (
+                      <MenuItem key={role.id} value={role.name}>
+                        {role.name}
+                      </MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+            </>
+          ) : (
+            <Alert severity="warning">No users have this role. This action cannot be undone.</Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={isPending}>
+            Cancel
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleConfirm}
+            disabled={isPending || (userCount > 0 && !reassignTo)}
+          >
+            {isPending ? <CircularProgress size={20} /> : userCount > 0 ? 'Reassign & delete' : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
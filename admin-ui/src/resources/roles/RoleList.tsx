@@ -2,15 +2,35 @@ import {
   List,
   Datagrid,
   EditButton,
-  DeleteButton,
   FunctionField,
+  NumberField,
+  SearchInput,
+  TopToolbar,
+  CreateButton,
 } from 'react-admin';
-import { Chip, Box } from '@mui/material';
+import { Link } from 'react-router-dom';
+import { Chip, Box, Button } from '@mui/material';
+import CompareIcon from '@mui/icons-material/Compare';
 import SecurityIcon from '@mui/icons-material/Security';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import { RoleDeleteButton } from './RoleDeleteButton';
+import { RoleCloneButton } from './RoleCloneButton';
+
+const roleFilters = [
+  <SearchInput source="q" alwaysOn />,
+];
+
+const RoleListActions = () => (
+  <TopToolbar>
+    <CreateButton />
+    <Button component={Link} to="/role-matrix" size="small" startIcon={<CompareIcon />}>
+      Compare roles
+    </Button>
+  </TopToolbar>
+);
 
 export const RoleList = () => (
-  <List>
+  <List filters={roleFilters} sort={{ field: 'name', order: 'ASC' }} actions={<RoleListActions />}>
     <Datagrid
       sx={{
         '& .RaDatagrid-headerCell': {
@@ -74,11 +94,10 @@ export const RoleList = () => (
           );
         }}
       />
+      <NumberField source="userCount" label="Users" sortable={false} />
       <EditButton />
-      <DeleteButton
-        confirmTitle="Delete Role"
-        confirmContent="Are you sure you want to delete this role? This action cannot be undone."
-      />
+      <RoleCloneButton />
+      <RoleDeleteButton />
     </Datagrid>
   </List>
 );
@@ -0,0 +1,135 @@
+import { Fragment, useEffect, useState } from 'react';
+import { Title } from 'react-admin';
+import { Link } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Card,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+
+interface MatrixRow {
+  type: string;
+  typeLabel: string;
+  action: string;
+  label: string;
+  description: string;
+  values: Record<string, boolean>;
+  differs: boolean;
+}
+
+interface RoleMatrixData {
+  roles: { id: string; name: string; userCount: number }[];
+  rows: MatrixRow[];
+}
+
+/**
+ * All roles against all permission actions, from GET /api/roles/matrix
+ * Rows where the roles disagree are highlighted
+ */
+export const RoleMatrix = () => {
+  const [matrix, setMatrix] = useState<RoleMatrixData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+
+  useEffect(() => {
+    fetch('/admin/api/roles/matrix')
+      .then(async (response) => {
+        const json = await response.json();
+        if (response.ok) setMatrix(json);
+        else setError(json.error || 'Failed to load role matrix');
+      })
+      .catch(() => setError('Failed to load role matrix'));
+  }, []);
+
+  if (error) return <Alert severity="error" sx={{ m: 3 }}>{error}</Alert>;
+  if (!matrix) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '60vh' }}>
+        <CircularProgress size={60} />
+      </Box>
+    );
+  }
+
+  const rows = differencesOnly ? matrix.rows.filter((row) => row.differs) : matrix.rows;
+  const types = [...new Set(rows.map((row) => row.type))];
+  const differing = matrix.rows.filter((row) => row.differs).length;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Title title="Role Matrix" />
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="body2" color="textSecondary">
+          {differing} of {matrix.rows.length} permissions differ between roles
+        </Typography>
+        <FormControlLabel
+          control={<Switch checked={differencesOnly} onChange={(e) => setDifferencesOnly(e.target.checked)} />}
+          label="Only show differences"
+        />
+      </Box>
+      <Card sx={{ overflowX: 'auto' }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ fontWeight: 600 }}>Permission</TableCell>
+              {matrix.roles.map((role) => (
+                <TableCell key={role.id} align="center" sx={{ fontWeight: 600 }}>
+                  <Link to={`/roles/${role.id}`}>{role.name}</Link>
+                  <Typography variant="caption" display="block" color="textSecondary">
+                    {role.userCount} user(s)
+                  </Typography>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {types.map((type) => {
+              const typeRows = rows.filter((row) => row.type === type);
+              return (
+                <Fragment key={type}>
+                  <TableRow>
+                    <TableCell
+                      colSpan={matrix.roles.length + 1}
+                      sx={{ backgroundColor: '#f7fafc', fontWeight: 600, color: '#2d3748' }}
+                    >
+                      {typeRows[0].typeLabel}
+                    </TableCell>
+                  </TableRow>
+                  {typeRows.map((row) => (
+                    <TableRow key={`${row.type}.${row.action}`} sx={row.differs ? { backgroundColor: '#fffbeb' } : undefined}>
+                      <TableCell>
+                        <Tooltip title={row.description}>
+                          <span>{row.label}</span>
+                        </Tooltip>
+                      </TableCell>
+                      {matrix.roles.map((role) => (
+                        <TableCell key={role.id} align="center">
+                          {row.values[role.name] ? (
+                            <CheckCircleIcon fontSize="small" sx={{ color: '#38a169' }} />
+                          ) : (
+                            <RemoveCircleOutlineIcon fontSize="small" sx={{ color: '#cbd5e0' }} />
+                          )}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </Fragment>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </Card>
+    </Box>
+  );
+};
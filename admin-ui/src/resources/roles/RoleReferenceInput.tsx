@@ -0,0 +1,28 @@
+import { ReferenceInput, SelectInput } from 'react-admin';
+import type { Validator } from 'react-admin';
+
+/**
+ * Role picker backed by the roles collection
+ * Users store the role's name rather than its id, so roles are referenced by name
+ */
+export const RoleReferenceInput = ({
+  source = 'role',
+  label = 'Role',
+  validate,
+  defaultValue,
+}: {
+  source?: string;
+  label?: string;
+  validate?: Validator | Validator[];
+  defaultValue?: string;
+}) => (
+  <ReferenceInput
+    source={source}
+    reference="roles"
+    sort={{ field: 'name', order: 'ASC' }}
+    perPage={100}
+    queryOptions={{ meta: { idField: 'name' } }}
+  >
+    <SelectInput optionText="name" label={label} validate={validate} defaultValue={defaultValue} />
+  </ReferenceInput>
+);
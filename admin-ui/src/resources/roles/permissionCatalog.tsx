@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react';
+import { BooleanInput, FormTab } from 'react-admin';
+import { Box, Typography } from '@mui/material';
+
+/**
+ * Role permissions as described by GET /api/permissions/catalog (admin-api/src/permissions.js)
+ */
+export interface PermissionAction {
+  action: string;
+  label: string;
+  description: string;
+  default: boolean;
+}
+
+export interface PermissionType {
+  type: string;
+  label: string;
+  description: string;
+  group: string;
+  actions: PermissionAction[];
+}
+
+// The catalog only changes with a deploy, so fetch it once per page load
+let catalogRequest: Promise<PermissionType[]> | null = null;
+
+const fetchCatalog = () => {
+  if (!catalogRequest) {
+    catalogRequest = fetch('/admin/api/permissions/catalog')
+      .then((response) => {
+        if (!response.ok) throw new Error('Failed to load permission catalog');
+        return response.json();
+      })
+      .then((json) => json.data)
+      .catch((error) => {
+        catalogRequest = null;
+        throw error;
+      });
+  }
+  return catalogRequest;
+};
+
+export const usePermissionCatalog = () => {
+  const [catalog, setCatalog] = useState<PermissionType[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCatalog()
+      .then((data) => {
+        if (!cancelled) setCatalog(data);
+      })
+      .catch((e: Error) => {
+        if (!cancelled) setError(e.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { catalog, error };
+};
+
+/**
+ * One form tab per catalog group, one switch per permission action
+ * TabbedForm only accepts tabs as direct children, so this returns the tabs rather than a component
+ * @param withDefaults - Prefill the catalog defaults (for new roles)
+ */
+export const permissionTabs = (catalog: PermissionType[], { withDefaults = false } = {}) => {
+  const groups = [...new Set(catalog.map((entry) => entry.group))];
+
+  return groups.map((group) => (
+    <FormTab label={group} key={group}>
+      <Box sx={{ padding: 2 }}>
+        {catalog
+          .filter((entry) => entry.group === group)
+          .map((entry, index) => (
+            <Box key={entry.type}>
+              <Typography variant="h6" gutterBottom sx={index > 0 ? { marginTop: 3 } : undefined}>
+                {entry.label}
+              </Typography>
+              <Typography variant="body2" color="textSecondary" gutterBottom>
+                {entry.description}
+              </Typography>
+              {entry.actions.map((action) => (
+                <BooleanInput
+                  key={action.action}
+                  source={`permissions.${entry.type}.${action.action}`}
+                  label={action.label}
+                  helperText={action.description}
+                  defaultValue={withDefaults ? action.default : undefined}
+                />
+              ))}
+            </Box>
+          ))}
+      </Box>
+    </FormTab>
+  ));
+};
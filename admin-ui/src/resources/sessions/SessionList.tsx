@@ -5,12 +5,20 @@ import {
   DateField,
   FunctionField,
   ReferenceField,
+  TextInput,
+  DateInput,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import VpnKeyIcon from '@mui/icons-material/VpnKey';
 
+const sessionFilters = [
+  <TextInput source="user" label="User ID" alwaysOn />,
+  <DateInput source="expiration_gte" label="Expires after" />,
+  <DateInput source="expiration_lte" label="Expires before" />,
+];
+
 export const SessionList = () => (
-  <List perPage={25} sort={{ field: 'expiration', order: 'DESC' }}>
+  <List filters={sessionFilters} perPage={25} sort={{ field: 'expiration', order: 'DESC' }}>
     <Datagrid>
       <FunctionField
         label="Session"
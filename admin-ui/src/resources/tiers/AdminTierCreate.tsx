@@ -0,0 +1,19 @@
+import {
+  Create,
+  SimpleForm,
+  TextInput,
+  SelectInput,
+  required,
+  email,
+} from 'react-admin';
+import { tierChoices } from './tierChoices';
+
+export const AdminTierCreate = () => (
+  <Create redirect="list">
+    <SimpleForm>
+      <TextInput source="email" validate={[required(), email()]} fullWidth />
+      <SelectInput source="tier" choices={tierChoices} defaultValue="viewer" validate={[required()]} />
+      <TextInput source="note" label="Note" fullWidth multiline />
+    </SimpleForm>
+  </Create>
+);
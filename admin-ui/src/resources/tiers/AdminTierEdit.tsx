@@ -0,0 +1,18 @@
+import {
+  Edit,
+  SimpleForm,
+  TextInput,
+  SelectInput,
+  required,
+} from 'react-admin';
+import { tierChoices } from './tierChoices';
+
+export const AdminTierEdit = () => (
+  <Edit mutationMode="pessimistic">
+    <SimpleForm>
+      <TextInput source="email" disabled fullWidth />
+      <SelectInput source="tier" choices={tierChoices} validate={[required()]} />
+      <TextInput source="note" label="Note" fullWidth multiline />
+    </SimpleForm>
+  </Edit>
+);
@@ -0,0 +1,56 @@
+import {
+  List,
+  Datagrid,
+  TextField,
+  DateField,
+  EditButton,
+  DeleteButton,
+  FunctionField,
+} from 'react-admin';
+import type { RaRecord } from 'react-admin';
+import { Chip } from '@mui/material';
+
+const tierColors: { [key: string]: string } = {
+  owner: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
+  operator: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  viewer: 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)',
+};
+
+export const AdminTierList = () => (
+  <List sort={{ field: 'email', order: 'ASC' }}>
+    <Datagrid
+      rowClick="edit"
+      sx={{
+        '& .RaDatagrid-headerCell': {
+          backgroundColor: '#f7fafc',
+          fontWeight: 600,
+          color: '#2d3748',
+        },
+      }}
+    >
+      <TextField source="email" label="Email" />
+      <FunctionField
+        label="Tier"
+        render={(record: RaRecord) => (
+          <Chip
+            label={record.tier}
+            size="small"
+            sx={{
+              background: tierColors[record.tier] || '#e2e8f0',
+              color: 'white',
+              fontWeight: 500,
+              textTransform: 'capitalize',
+            }}
+          />
+        )}
+      />
+      <TextField source="note" label="Note" />
+      <DateField source="updatedAt" label="Updated" showTime />
+      <EditButton />
+      <DeleteButton
+        confirmTitle="Remove Admin Tier"
+        confirmContent="This admin will lose access to the admin panel unless they hold the LibreChat ADMIN role."
+      />
+    </Datagrid>
+  </List>
+);
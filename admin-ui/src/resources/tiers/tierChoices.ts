@@ -0,0 +1,5 @@
+export const tierChoices = [
+  { id: 'viewer', name: 'Viewer - read-only access' },
+  { id: 'operator', name: 'Operator - can change LibreChat data' },
+  { id: 'owner', name: 'Owner - full access including cluster and admin tiers' },
+];
@@ -5,12 +5,22 @@ import {
   DateField,
   FunctionField,
   ReferenceField,
+  SearchInput,
+  TextInput,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import TokenIcon from '@mui/icons-material/Token';
 
+const tokenFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="userId" label="User ID" />,
+  <TextInput source="email" label="Email" />,
+  <TextInput source="type" label="Type" />,
+  <TextInput source="identifier" label="Identifier" />,
+];
+
 export const TokenList = () => (
-  <List perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
+  <List filters={tokenFilters} perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
     <Datagrid>
       <FunctionField
         label="Token"
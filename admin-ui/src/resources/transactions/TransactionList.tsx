@@ -1,17 +1,40 @@
 import {
-  List,
+  InfiniteList,
   Datagrid,
   TextField,
   DateField,
   FunctionField,
   ReferenceField,
   NumberField,
+  SearchInput,
+  TextInput,
+  SelectInput,
+  DateInput,
 } from 'react-admin';
 import { Box, Chip } from '@mui/material';
 import ReceiptIcon from '@mui/icons-material/Receipt';
 
+const transactionFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="user" label="User ID" />,
+  <TextInput source="model" label="Model" />,
+  <SelectInput
+    source="tokenType"
+    label="Token Type"
+    choices={[
+      { id: 'prompt', name: 'Prompt' },
+      { id: 'completion', name: 'Completion' },
+      { id: 'credits', name: 'Credits' },
+    ]}
+  />,
+  <TextInput source="context" label="Context" />,
+  <TextInput source="conversationId" label="Conversation ID" />,
+  <DateInput source="createdAt_gte" label="After" />,
+  <DateInput source="createdAt_lte" label="Before" />,
+];
+
 export const TransactionList = () => (
-  <List perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
+  <InfiniteList filters={transactionFilters} perPage={25} sort={{ field: 'createdAt', order: 'DESC' }}>
     <Datagrid>
       <FunctionField
         label="Transaction"
@@ -52,6 +75,7 @@ export const TransactionList = () => (
       <NumberField source="rawAmount" label="Tokens" />
       <FunctionField
         label="Value"
+        sortBy="tokenValue"
         render={(record: any) => (
           <Chip
             label={record.tokenValue > 0 ? `+${record.tokenValue}` : record.tokenValue}
@@ -69,5 +93,5 @@ export const TransactionList = () => (
       <NumberField source="rate" label="Rate" />
       <DateField source="createdAt" label="Created" showTime />
     </Datagrid>
-  </List>
+  </InfiniteList>
 );
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { useGetList, useListContext, useNotify, useRefresh, useUnselectAll } from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+} from '@mui/material';
+import SecurityIcon from '@mui/icons-material/Security';
+import { useHasTier } from '../../permissions';
+
+/**
+ * Assign one role to every selected user with a single request
+ */
+export const BulkAssignRoleButton = () => {
+  const { selectedIds } = useListContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const unselectAll = useUnselectAll('users');
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [role, setRole] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const { data: roles = [], isPending } = useGetList(
+    'roles',
+    { pagination: { page: 1, perPage: 100 }, sort: { field: 'name', order: 'ASC' } },
+    { enabled: open }
+  );
+
+  if (!isOperator) return null;
+
+  const handleAssign = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/admin/api/users/assign-role', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: selectedIds, role }),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Request failed');
+        return;
+      }
+      setOpen(false);
+      notify(`Assigned ${role} to ${json.modified} user(s)`, { type: 'info' });
+      unselectAll();
+      refresh();
+    } catch {
+      setError('Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button size="small" startIcon={<SecurityIcon />} onClick={() => setOpen(true)}>
+        Assign role
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Assign a role to {selectedIds.length} user(s)</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+            <InputLabel>Role</InputLabel>
+            <Select label="Role" value={role} onChange={(e) => setRole(e.target.value)} disabled={isPending}>
+              {roles.map((r) => (
+                <MenuItem key={r.id} value={r.name}>
+                  {r.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleAssign} disabled={submitting || !role}>
+            {submitting ? <CircularProgress size={20} /> : 'Assign'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
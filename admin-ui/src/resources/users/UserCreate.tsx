@@ -3,12 +3,12 @@ import {
   SimpleForm,
   TextInput,
   PasswordInput,
-  SelectInput,
   BooleanInput,
   required,
   email,
   minLength,
 } from 'react-admin';
+import { RoleReferenceInput } from '../roles/RoleReferenceInput';
 
 export const UserCreate = () => (
   <Create>
@@ -16,16 +16,12 @@ export const UserCreate = () => (
       <TextInput source="username" validate={[required()]} />
       <TextInput source="email" validate={[required(), email()]} />
       <TextInput source="name" />
-      <PasswordInput source="password" validate={[required(), minLength(8)]} />
-      <SelectInput
-        source="role"
-        choices={[
-          { id: 'USER', name: 'User' },
-          { id: 'ADMIN', name: 'Admin' },
-        ]}
-        defaultValue="USER"
-        validate={[required()]}
+      <PasswordInput
+        source="password"
+        validate={[required(), minLength(12)]}
+        helperText="At least 12 characters mixing three of: lowercase, uppercase, digits, symbols"
       />
+      <RoleReferenceInput validate={[required()]} defaultValue="USER" />
       <BooleanInput source="emailVerified" label="Email Verified" defaultValue={false} />
     </SimpleForm>
   </Create>
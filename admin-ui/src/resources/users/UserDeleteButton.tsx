@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import {
+  useRecordContext,
+  useDelete,
+  useNotify,
+  useRefresh,
+  useCanAccess,
+} from 'react-admin';
+import {
+  Box,
+  Button,
+  Checkbox,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  TextField,
+  Alert,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+interface UserImpact {
+  counts: Record<string, number>;
+  total: number;
+  reassignable: string[];
+}
+
+/**
+ * Delete button for users that previews what the cascade will remove
+ * The API deletes the user's conversations, messages, files, sessions etc. along with the user
+ */
+export const UserDeleteButton = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const [deleteOne, { isPending }] = useDelete();
+  const { canAccess } = useCanAccess({ resource: 'users', action: 'delete', record });
+
+  const [open, setOpen] = useState(false);
+  const [impact, setImpact] = useState<UserImpact | null>(null);
+  const [reassignTo, setReassignTo] = useState('');
+  const [background, setBackground] = useState(false);
+
+  if (!record || !canAccess) return null;
+
+  const handleOpen = async (event: React.MouseEvent) => {
+    // The row click opens the edit view
+    event.stopPropagation();
+    setOpen(true);
+    setImpact(null);
+    try {
+      const response = await fetch(`/admin/api/users/${record.id}/impact`);
+      if (!response.ok) throw new Error('Failed to load impact');
+      setImpact(await response.json());
+    } catch {
+      notify('Failed to load what this delete would remove', { type: 'error' });
+      setOpen(false);
+    }
+  };
+
+  const handleConfirm = () => {
+    const meta: Record<string, string> = {};
+    if (reassignTo.trim()) meta.reassignTo = reassignTo.trim();
+    if (background) meta.background = 'true';
+
+    deleteOne(
+      'users',
+      { id: record.id, previousData: record, meta },
+      {
+        mutationMode: 'pessimistic',
+        onSuccess: () => {
+          setOpen(false);
+          notify(background ? 'User deletion started in the background' : 'User and their data deleted', {
+            type: 'info',
+          });
+          refresh();
+        },
+        onError: (error: unknown) => {
+          notify(error instanceof Error ? error.message : 'Failed to delete user', { type: 'error' });
+        },
+      }
+    );
+  };
+
+  const affected = impact
+    ? Object.entries(impact.counts).filter(([, count]) => count > 0)
+    : [];
+
+  return (
+    <>
+      <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={handleOpen}>
+        Delete
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} onClick={(e) => e.stopPropagation()} maxWidth="sm" fullWidth>
+        <DialogTitle>Delete {record.email}?</DialogTitle>
+        <DialogContent>
+          {!impact ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+              <CircularProgress />
+            </Box>
+          ) : (
+            <>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {impact.total > 0
+                  ? `This also removes ${impact.total} documents that belong to this user.`
+                  : 'This user has no other data.'}
+              </Alert>
+              {affected.length > 0 && (
+                <Table size="small" sx={{ mb: 2 }}>
+                  <TableBody>
+                    {affected.map(([collection, count]) => (
+                      <TableRow key={collection}>
+                        <TableCell>{collection}</TableCell>
+                        <TableCell align="right">{count}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              <TextField
+                label="Reassign instead of delete (user ID)"
+                helperText={`Hands ${impact.reassignable.join(', ')} to another user`}
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                fullWidth
+                size="small"
+                sx={{ mb: 1 }}
+              />
+              <FormControlLabel
+                control={<Checkbox checked={background} onChange={(e) => setBackground(e.target.checked)} />}
+                label="Run in the background (for users with a lot of data)"
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={isPending}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleConfirm} disabled={!impact || isPending}>
+            {isPending ? <CircularProgress size={20} /> : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
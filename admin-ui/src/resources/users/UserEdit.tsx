@@ -2,28 +2,35 @@ import {
   Edit,
   SimpleForm,
   TextInput,
-  SelectInput,
   BooleanInput,
   DateField,
   required,
   email,
+  TopToolbar,
+  ShowButton,
 } from 'react-admin';
+import { RoleReferenceInput } from '../roles/RoleReferenceInput';
+import { UserExportButton } from './UserExportButton';
+import { UserPasswordButtons } from './UserPasswordButtons';
+import { UserSuspendButton } from './UserSuspendButton';
+
+const UserEditActions = () => (
+  <TopToolbar>
+    <ShowButton />
+    <UserSuspendButton />
+    <UserPasswordButtons />
+    <UserExportButton />
+  </TopToolbar>
+);
 
 export const UserEdit = () => (
-  <Edit>
+  <Edit mutationMode="pessimistic" actions={<UserEditActions />}>
     <SimpleForm>
       <TextInput source="id" disabled />
       <TextInput source="username" validate={[required()]} />
       <TextInput source="email" validate={[required(), email()]} />
       <TextInput source="name" />
-      <SelectInput
-        source="role"
-        choices={[
-          { id: 'USER', name: 'User' },
-          { id: 'ADMIN', name: 'Admin' },
-        ]}
-        validate={[required()]}
-      />
+      <RoleReferenceInput validate={[required()]} />
       <BooleanInput source="emailVerified" label="Email Verified" />
       <DateField source="createdAt" showTime />
       <DateField source="updatedAt" showTime />
@@ -0,0 +1,26 @@
+import { useRecordContext } from 'react-admin';
+import { Button } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { useHasTier } from '../../permissions';
+
+/**
+ * Downloads everything LibreChat stores about the user as a zip archive (profile,
+ * conversations with transcripts, files, agents, sessions, transactions)
+ */
+export const UserExportButton = () => {
+  const record = useRecordContext();
+  const isOperator = useHasTier('operator');
+
+  if (!record || !isOperator) return null;
+
+  return (
+    <Button
+      size="small"
+      startIcon={<DownloadIcon />}
+      href={`/admin/api/users/${record.id}/export`}
+      download
+    >
+      Export Data
+    </Button>
+  );
+};
@@ -0,0 +1,177 @@
+import { useState } from 'react';
+import { useNotify, useRefresh } from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { useHasTier } from '../../permissions';
+
+interface ImportRow {
+  row: number;
+  email: string | null;
+  errors: Record<string, string> | null;
+}
+
+interface ImportReport {
+  total: number;
+  valid: number;
+  invalid: number;
+  rows: ImportRow[];
+}
+
+/**
+ * Bulk import users from a CSV or JSON file
+ * The file is checked with a dry run first; nothing is written until every row is valid
+ */
+export const UserImportButton = () => {
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [file, setFile] = useState<{ name: string; text: string } | null>(null);
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!isOperator) return null;
+
+  const post = async (text: string, name: string, dryRun: boolean) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`/admin/api/users/import?dryRun=${dryRun}`, {
+        method: 'POST',
+        headers: { 'Content-Type': name.toLowerCase().endsWith('.json') ? 'application/json' : 'text/csv' },
+        body: text,
+      });
+      const json = await response.json();
+      if (json.rows) setReport(json);
+      if (!response.ok) {
+        setError(json.error || 'Import failed');
+        return null;
+      }
+      return json;
+    } catch {
+      setError('Import failed');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleFile = async (selected: File | undefined) => {
+    setReport(null);
+    setFile(null);
+    if (!selected) return;
+    const text = await selected.text();
+    setFile({ name: selected.name, text });
+    await post(text, selected.name, true);
+  };
+
+  const handleClose = () => {
+    setOpen(false);
+    setFile(null);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+    const result = await post(file.text, file.name, false);
+    if (!result) return;
+    handleClose();
+    notify(`Imported ${result.imported} user(s)`, { type: 'info' });
+    refresh();
+  };
+
+  const invalidRows = report?.rows.filter((r) => r.errors) || [];
+
+  return (
+    <>
+      <Button size="small" startIcon={<UploadFileIcon />} onClick={() => setOpen(true)}>
+        Import
+      </Button>
+      <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+        <DialogTitle>Import users</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Upload a CSV with a header row, or a JSON array. Columns: <code>email</code> (required),{' '}
+            <code>username</code>, <code>name</code>, <code>role</code>, <code>emailVerified</code>,{' '}
+            <code>provider</code>. Passwords aren't imported; send local users a reset link afterwards.
+          </Typography>
+          <Button component="label" variant="outlined" size="small" disabled={submitting} sx={{ mb: 2 }}>
+            {file ? file.name : 'Choose file'}
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              hidden
+              onChange={(e) => {
+                handleFile(e.target.files?.[0]);
+                e.target.value = '';
+              }}
+            />
+          </Button>
+          {submitting && <CircularProgress size={20} sx={{ ml: 2 }} />}
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {report && report.invalid === 0 && (
+            <Alert severity="success" sx={{ mb: 2 }}>
+              All {report.total} row(s) are valid and ready to import.
+            </Alert>
+          )}
+          {invalidRows.length > 0 && (
+            <>
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {report!.invalid} of {report!.total} row(s) have errors. Fix the file and choose it again.
+              </Alert>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Email</TableCell>
+                    <TableCell>Errors</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {invalidRows.map((r) => (
+                    <TableRow key={r.row}>
+                      <TableCell>{r.row}</TableCell>
+                      <TableCell>{r.email || '—'}</TableCell>
+                      <TableCell>
+                        {Object.entries(r.errors!).map(([field, message]) => `${field}: ${message}`).join('; ')}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={submitting || !report || report.invalid > 0}
+          >
+            Import {report && report.invalid === 0 ? `${report.total} user(s)` : ''}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
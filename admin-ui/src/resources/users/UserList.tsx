@@ -1,20 +1,88 @@
 import {
   List,
+  TopToolbar,
+  FilterButton,
+  CreateButton,
+  useListContext,
   Datagrid,
   DateField,
   EditButton,
-  DeleteButton,
   FunctionField,
+  SearchInput,
+  TextInput,
+  SelectInput,
+  BooleanInput,
+  DateInput,
 } from 'react-admin';
-import { Chip, Box, Avatar } from '@mui/material';
+import { Chip, Box, Avatar, Tooltip, Button } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
 import PersonIcon from '@mui/icons-material/Person';
 import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
 import VerifiedIcon from '@mui/icons-material/Verified';
+import BlockIcon from '@mui/icons-material/Block';
+import { UserDeleteButton } from './UserDeleteButton';
+import { UserImportButton } from './UserImportButton';
+import { BulkAssignRoleButton } from './BulkAssignRoleButton';
+import { RoleReferenceInput } from '../roles/RoleReferenceInput';
+import { useHasTier } from '../../permissions';
+
+const userFilters = [
+  <SearchInput source="q" alwaysOn />,
+  <TextInput source="email" label="Email" />,
+  <RoleReferenceInput />,
+  <SelectInput
+    source="provider"
+    choices={[
+      { id: 'local', name: 'Local' },
+      { id: 'openid', name: 'OpenID' },
+      { id: 'google', name: 'Google' },
+      { id: 'github', name: 'GitHub' },
+      { id: 'discord', name: 'Discord' },
+      { id: 'facebook', name: 'Facebook' },
+      { id: 'apple', name: 'Apple' },
+      { id: 'saml', name: 'SAML' },
+      { id: 'ldap', name: 'LDAP' },
+    ]}
+  />,
+  <BooleanInput source="emailVerified" label="Email Verified" />,
+  <BooleanInput source="suspended" label="Suspended" />,
+  <DateInput source="createdAt_gte" label="Created after" />,
+  <DateInput source="createdAt_lte" label="Created before" />,
+];
+
+// Server-side CSV of every user matching the current filters and sort, not just the visible page
+const UserCsvExportButton = () => {
+  const { filterValues, sort, total } = useListContext();
+  const isOperator = useHasTier('operator');
+  if (!isOperator) return null;
+
+  const query = new URLSearchParams({ sort: sort.field, order: sort.order.toLowerCase() });
+  Object.entries(filterValues).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+  });
+
+  return (
+    <Button size="small" startIcon={<DownloadIcon />} href={`/admin/api/users/export?${query}`} disabled={total === 0}>
+      Export CSV
+    </Button>
+  );
+};
+
+const UserListActions = () => (
+  <TopToolbar>
+    <FilterButton />
+    <CreateButton />
+    <UserCsvExportButton />
+    <UserImportButton />
+  </TopToolbar>
+);
 
 export const UserList = () => (
-  <List>
+  <List filters={userFilters} sort={{ field: 'createdAt', order: 'DESC' }} actions={<UserListActions />}>
     <Datagrid
-      rowClick="edit"
+      rowClick="show"
+      // No bulk delete: deleting a user cascades, so it goes through UserDeleteButton's impact preview
+      bulkActionButtons={<BulkAssignRoleButton />}
       sx={{
         '& .RaDatagrid-headerCell': {
           backgroundColor: '#f7fafc',
@@ -28,6 +96,7 @@ export const UserList = () => (
     >
       <FunctionField
         label="User"
+        sortBy="username"
         render={(record: any) => (
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
             <Avatar
@@ -52,6 +121,7 @@ export const UserList = () => (
       />
       <FunctionField
         label="Role"
+        sortBy="role"
         render={(record: any) => (
           <Chip
             icon={record.role === 'ADMIN' ? <AdminPanelSettingsIcon /> : <PersonIcon />}
@@ -73,26 +143,52 @@ export const UserList = () => (
       <FunctionField
         label="Status"
         render={(record: any) => (
-          <Chip
-            icon={<VerifiedIcon />}
-            label={record.emailVerified ? 'Verified' : 'Unverified'}
-            size="small"
-            sx={{
-              background: record.emailVerified
-                ? 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)'
-                : 'linear-gradient(135deg, #ee9ca7 0%, #ffdde1 100%)',
-              color: 'white',
-              fontWeight: 500,
-              '& .MuiChip-icon': {
+          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+            {record.suspension?.active && (
+              <Tooltip
+                title={[
+                  record.suspension.reason,
+                  record.suspension.until
+                    ? `Until ${new Date(record.suspension.until).toLocaleString()}`
+                    : 'Until lifted',
+                ].filter(Boolean).join(' • ')}
+              >
+                <Chip
+                  icon={<BlockIcon />}
+                  label="Suspended"
+                  size="small"
+                  sx={{
+                    background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',
+                    color: 'white',
+                    fontWeight: 500,
+                    '& .MuiChip-icon': {
+                      color: 'white',
+                    },
+                  }}
+                />
+              </Tooltip>
+            )}
+            <Chip
+              icon={<VerifiedIcon />}
+              label={record.emailVerified ? 'Verified' : 'Unverified'}
+              size="small"
+              sx={{
+                background: record.emailVerified
+                  ? 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)'
+                  : 'linear-gradient(135deg, #ee9ca7 0%, #ffdde1 100%)',
                 color: 'white',
-              },
-            }}
-          />
+                fontWeight: 500,
+                '& .MuiChip-icon': {
+                  color: 'white',
+                },
+              }}
+            />
+          </Box>
         )}
       />
       <DateField source="createdAt" showTime label="Created" />
       <EditButton />
-      <DeleteButton />
+      <UserDeleteButton />
     </Datagrid>
   </List>
 );
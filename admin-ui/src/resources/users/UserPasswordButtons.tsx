@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useRecordContext, useNotify } from 'react-admin';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import KeyIcon from '@mui/icons-material/Key';
+import LinkIcon from '@mui/icons-material/Link';
+import { useHasTier } from '../../permissions';
+
+type PasswordAction = 'temporary-password' | 'reset-link';
+
+interface PasswordResult {
+  password?: string;
+  url?: string;
+  expiresAt?: string;
+}
+
+/**
+ * Temporary password and reset link actions for users who sign in with a LibreChat password
+ * The secret is shown once; the API only stores the bcrypt hash
+ */
+export const UserPasswordButtons = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const isOperator = useHasTier('operator');
+
+  const [action, setAction] = useState<PasswordAction | null>(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [result, setResult] = useState<PasswordResult | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!record || !isOperator || (record.provider && record.provider !== 'local')) return null;
+
+  const open = (next: PasswordAction) => {
+    setAction(next);
+    setPassword('');
+    setError(null);
+    setResult(null);
+  };
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`/admin/api/users/${record.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(action === 'temporary-password' ? { password } : {}),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors?.password || json.error || 'Request failed');
+        return;
+      }
+      setResult(json);
+    } catch {
+      setError('Request failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const copy = async (value: string) => {
+    await navigator.clipboard.writeText(value);
+    notify('Copied to clipboard', { type: 'info' });
+  };
+
+  const secret = result?.password || result?.url;
+
+  return (
+    <>
+      <Button size="small" startIcon={<KeyIcon />} onClick={() => open('temporary-password')}>
+        Set Temporary Password
+      </Button>
+      <Button size="small" startIcon={<LinkIcon />} onClick={() => open('reset-link')}>
+        Reset Link
+      </Button>
+      <Dialog open={action !== null} onClose={() => setAction(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {action === 'temporary-password' ? 'Set temporary password' : 'Password reset link'} for {record.email}
+        </DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          {secret ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {result?.password
+                  ? 'Share this password with the user over a secure channel. It will not be shown again.'
+                  : `Send this link to the user. It expires at ${new Date(result?.expiresAt || '').toLocaleString()}.`}
+              </Alert>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <TextField value={secret} fullWidth size="small" InputProps={{ readOnly: true }} />
+                <Button onClick={() => copy(secret)}>Copy</Button>
+              </Box>
+            </>
+          ) : action === 'temporary-password' ? (
+            <TextField
+              label="Password"
+              type="password"
+              helperText="Leave blank to generate one. At least 12 characters mixing letters, digits and symbols."
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              fullWidth
+              size="small"
+              sx={{ mt: 1 }}
+            />
+          ) : (
+            <Alert severity="info">
+              Generating a link replaces any reset link the user already has.
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAction(null)}>{secret ? 'Close' : 'Cancel'}</Button>
+          {!secret && (
+            <Button variant="contained" onClick={submit} disabled={submitting}>
+              {submitting ? <CircularProgress size={20} /> : action === 'temporary-password' ? 'Set Password' : 'Generate Link'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
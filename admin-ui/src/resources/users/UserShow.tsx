@@ -0,0 +1,362 @@
+import { useEffect, useState } from 'react';
+import {
+  Show,
+  TabbedShowLayout,
+  TextField,
+  EmailField,
+  BooleanField,
+  DateField,
+  FunctionField,
+  TopToolbar,
+  EditButton,
+  useRecordContext,
+} from 'react-admin';
+import { Link } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+
+interface UserSummary {
+  conversations: number;
+  messages: number;
+  lastActive: string | null;
+  lastMessageAt: string | null;
+  sessions: { active: number; lastRefreshAt: string | null };
+  usage: {
+    periodStart: string;
+    totalTokens: number;
+    promptTokens: number;
+    completionTokens: number;
+    totalValue: number;
+    transactionCount: number;
+    estimatedCost: number;
+  };
+  files: { count: number; bytes: number };
+  agents: { id: string; name: string; model: string; updatedAt: string }[];
+  recentAudit: { id: string; action: string; userEmail: string; timestamp: string; data: Record<string, unknown> }[];
+}
+
+const formatNumber = (num: number) => new Intl.NumberFormat('en-US').format(num);
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const formatBytes = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+};
+
+// Link to another resource's list, filtered to this user
+const userListLink = (resource: string, userId: string) =>
+  `/${resource}?filter=${encodeURIComponent(JSON.stringify({ user: userId }))}`;
+
+const StatCard = ({ label, value, to }: { label: string; value: string; to?: string }) => (
+  <Card sx={{ flex: '1 1 180px' }}>
+    <CardContent>
+      <Typography variant="body2" sx={{ color: '#718096', mb: 0.5 }}>
+        {label}
+      </Typography>
+      <Typography variant="h5" sx={{ fontWeight: 600, color: '#2d3748' }}>
+        {to ? <Link to={to} style={{ color: 'inherit', textDecoration: 'none' }}>{value}</Link> : value}
+      </Typography>
+    </CardContent>
+  </Card>
+);
+
+interface EffectivePermissions {
+  role: string;
+  roleId: string | null;
+  roleFound: boolean;
+  notes: string[];
+  permissions: {
+    type: string;
+    typeLabel: string;
+    action: string;
+    label: string;
+    allowed: boolean;
+    reason: string;
+  }[];
+}
+
+/**
+ * What the user can do through their role, from GET /api/users/:id/effective-permissions
+ */
+const EffectivePermissionsTable = ({ userId }: { userId: string }) => {
+  const [effective, setEffective] = useState<EffectivePermissions | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/admin/api/users/${userId}/effective-permissions`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (cancelled) return;
+        if (response.ok) setEffective(json);
+        else setError(json.error || 'Failed to load permissions');
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load permissions');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (error) return <Alert severity="error">{error}</Alert>;
+  if (!effective) return <CircularProgress size={24} />;
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        Role:{' '}
+        {effective.roleId ? <Link to={`/roles/${effective.roleId}`}>{effective.role}</Link> : effective.role}
+      </Typography>
+      {effective.notes.map((note) => (
+        <Alert severity="warning" sx={{ mb: 1 }} key={note}>
+          {note}
+        </Alert>
+      ))}
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Feature</TableCell>
+            <TableCell>Permission</TableCell>
+            <TableCell>Allowed</TableCell>
+            <TableCell>Why</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {effective.permissions.map((permission) => (
+            <TableRow key={`${permission.type}.${permission.action}`}>
+              <TableCell>{permission.typeLabel}</TableCell>
+              <TableCell>{permission.label}</TableCell>
+              <TableCell>
+                <Chip
+                  label={permission.allowed ? 'Yes' : 'No'}
+                  color={permission.allowed ? 'success' : 'default'}
+                  size="small"
+                />
+              </TableCell>
+              <TableCell sx={{ color: '#718096' }}>{permission.reason}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+};
+
+const UserShowActions = () => (
+  <TopToolbar>
+    <EditButton />
+  </TopToolbar>
+);
+
+/**
+ * Tabs built on GET /api/users/:id/summary, loaded once per user
+ */
+const UserSummaryLayout = () => {
+  const record = useRecordContext();
+  const [summary, setSummary] = useState<UserSummary | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!record?.id) return;
+    let cancelled = false;
+    setSummary(null);
+    setError(null);
+    fetch(`/admin/api/users/${record.id}/summary`)
+      .then(async (response) => {
+        const json = await response.json();
+        if (cancelled) return;
+        if (response.ok) setSummary(json);
+        else setError(json.error || 'Failed to load summary');
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load summary');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [record?.id]);
+
+  if (!record) return null;
+
+  const userId = String(record.id);
+  const pending = error
+    ? <Alert severity="error">{error}</Alert>
+    : <CircularProgress size={24} />;
+
+  return (
+    <TabbedShowLayout>
+      <TabbedShowLayout.Tab label="Overview">
+        <TextField source="username" />
+        <EmailField source="email" />
+        <TextField source="name" />
+        <TextField source="role" />
+        <TextField source="provider" />
+        <BooleanField source="emailVerified" label="Email Verified" />
+        <FunctionField
+          label="Status"
+          render={(user) => (user.suspension?.active
+            ? <Chip label={`Suspended${user.suspension.reason ? `: ${user.suspension.reason}` : ''}`} color="error" size="small" />
+            : <Chip label="Active" color="success" size="small" />)}
+        />
+        <DateField source="createdAt" showTime label="Created" />
+        <FunctionField
+          label="Activity"
+          render={() => (summary ? (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+              <StatCard label="Last active" value={formatDate(summary.lastActive)} />
+              <StatCard
+                label="Conversations"
+                value={formatNumber(summary.conversations)}
+                to={userListLink('convos', userId)}
+              />
+              <StatCard
+                label="Messages"
+                value={formatNumber(summary.messages)}
+                to={userListLink('messages', userId)}
+              />
+              <StatCard
+                label="Active sessions"
+                value={formatNumber(summary.sessions.active)}
+                to={userListLink('sessions', userId)}
+              />
+            </Box>
+          ) : pending)}
+        />
+      </TabbedShowLayout.Tab>
+
+      <TabbedShowLayout.Tab label="Usage" path="usage">
+        <FunctionField
+          label={summary ? `Since ${new Date(summary.usage.periodStart).toLocaleDateString()}` : 'This month'}
+          render={() => (summary ? (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+              <StatCard
+                label="Tokens"
+                value={formatNumber(summary.usage.totalTokens)}
+                to={userListLink('transactions', userId)}
+              />
+              <StatCard label="Prompt tokens" value={formatNumber(summary.usage.promptTokens)} />
+              <StatCard label="Completion tokens" value={formatNumber(summary.usage.completionTokens)} />
+              <StatCard label="Estimated cost" value={`$${summary.usage.estimatedCost.toFixed(2)}`} />
+              <StatCard label="Transactions" value={formatNumber(summary.usage.transactionCount)} />
+            </Box>
+          ) : pending)}
+        />
+      </TabbedShowLayout.Tab>
+
+      <TabbedShowLayout.Tab label="Files & Agents" path="content">
+        <FunctionField
+          label="Files"
+          render={() => (summary ? (
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+              <StatCard
+                label="Files uploaded"
+                value={formatNumber(summary.files.count)}
+                to={userListLink('files', userId)}
+              />
+              <StatCard label="Total size" value={formatBytes(summary.files.bytes)} />
+            </Box>
+          ) : pending)}
+        />
+        <FunctionField
+          label="Agents owned"
+          render={() => {
+            if (!summary) return pending;
+            if (summary.agents.length === 0) {
+              return <Typography variant="body2" color="textSecondary">No agents</Typography>;
+            }
+            return (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Name</TableCell>
+                    <TableCell>Model</TableCell>
+                    <TableCell>Updated</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {summary.agents.map((agent) => (
+                    <TableRow key={agent.id}>
+                      <TableCell>
+                        <Link to={`/agents/${encodeURIComponent(agent.id)}/show`}>{agent.name || agent.id}</Link>
+                      </TableCell>
+                      <TableCell>{agent.model}</TableCell>
+                      <TableCell>{formatDate(agent.updatedAt)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            );
+          }}
+        />
+      </TabbedShowLayout.Tab>
+
+      <TabbedShowLayout.Tab label="Permissions" path="permissions">
+        <FunctionField
+          label="Effective permissions"
+          render={() => <EffectivePermissionsTable userId={userId} />}
+        />
+      </TabbedShowLayout.Tab>
+
+      <TabbedShowLayout.Tab label="Audit" path="audit">
+        <FunctionField
+          label="Recent admin actions on this user"
+          render={() => {
+            if (!summary) return pending;
+            if (summary.recentAudit.length === 0) {
+              return <Typography variant="body2" color="textSecondary">No audit entries</Typography>;
+            }
+            return (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>When</TableCell>
+                    <TableCell>Action</TableCell>
+                    <TableCell>By</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {summary.recentAudit.map((entry) => (
+                    <TableRow key={entry.id}>
+                      <TableCell>{formatDate(entry.timestamp)}</TableCell>
+                      <TableCell>
+                        <Chip label={entry.action} size="small" />
+                      </TableCell>
+                      <TableCell>{entry.userEmail}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            );
+          }}
+        />
+      </TabbedShowLayout.Tab>
+    </TabbedShowLayout>
+  );
+};
+
+export const UserShow = () => (
+  <Show actions={<UserShowActions />}>
+    <UserSummaryLayout />
+  </Show>
+);
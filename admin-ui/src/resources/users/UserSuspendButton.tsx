@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useRecordContext, useNotify, useRefresh } from 'react-admin';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+} from '@mui/material';
+import BlockIcon from '@mui/icons-material/Block';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import { useHasTier } from '../../permissions';
+
+/**
+ * Suspend or unsuspend a user
+ * Suspending also signs the user out everywhere by revoking their sessions and tokens
+ */
+export const UserSuspendButton = () => {
+  const record = useRecordContext();
+  const notify = useNotify();
+  const refresh = useRefresh();
+  const isOperator = useHasTier('operator');
+
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [until, setUntil] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!record || !isOperator) return null;
+
+  const post = async (action: 'suspend' | 'unsuspend', body: Record<string, unknown> = {}) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch(`/admin/api/users/${record.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const json = await response.json();
+      if (!response.ok) {
+        setError(json.errors ? Object.values(json.errors).join(', ') : json.error || 'Request failed');
+        return null;
+      }
+      return json;
+    } catch {
+      setError('Request failed');
+      return null;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSuspend = async () => {
+    const result = await post('suspend', {
+      reason: reason.trim() || null,
+      until: until ? new Date(until).toISOString() : null,
+    });
+    if (!result) return;
+    setOpen(false);
+    notify(
+      `User suspended; revoked ${result.revoked.sessions} session(s) and ${result.revoked.tokens} token(s)`,
+      { type: 'info' }
+    );
+    refresh();
+  };
+
+  const handleUnsuspend = async () => {
+    const result = await post('unsuspend');
+    if (result) {
+      notify('Suspension lifted', { type: 'info' });
+      refresh();
+    } else {
+      notify('Failed to lift suspension', { type: 'error' });
+    }
+  };
+
+  if (record.suspension?.active) {
+    return (
+      <Button size="small" startIcon={<LockOpenIcon />} onClick={handleUnsuspend} disabled={submitting}>
+        Unsuspend
+      </Button>
+    );
+  }
+
+  return (
+    <>
+      <Button size="small" color="error" startIcon={<BlockIcon />} onClick={() => setOpen(true)}>
+        Suspend
+      </Button>
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Suspend {record.email}?</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The user is signed out everywhere and can't sign in until the suspension is lifted.
+          </Alert>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            fullWidth
+            multiline
+            size="small"
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            label="Suspended until"
+            type="datetime-local"
+            helperText="Leave empty to suspend until lifted by hand"
+            value={until}
+            onChange={(e) => setUntil(e.target.value)}
+            fullWidth
+            size="small"
+            InputLabelProps={{ shrink: true }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button color="error" variant="contained" onClick={handleSuspend} disabled={submitting}>
+            {submitting ? <CircularProgress size={20} /> : 'Suspend'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};